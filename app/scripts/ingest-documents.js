@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Ingests documents into the RAG knowledge base: loyalty program T&Cs, hotel
+ * fact sheets and other Markdown, HTML, PDF text (.txt) or JSON files.
+ * Directories are searched for files with those extensions.
+ *
+ *   node scripts/ingest-documents.js [options] <file or directory>...
+ *
+ *   --type <type>        Kind of document, e.g. program_terms or hotel_fact_sheet
+ *   --source <name>      Source name (default the file name; one file only)
+ *   --version <label>    Version label (default a hash of the content)
+ *   --url <url>          Where the original can be read, shown with citations
+ *   --format <format>    markdown, html, pdf-text or json (default from the extension)
+ *   --program-id <id>    Loyalty program the documents belong to
+ *   --remove             Remove the named sources instead of ingesting
+ *
+ * Re-ingesting a source replaces its chunks; unchanged chunks keep their
+ * embeddings. Uses the server's database and LLM settings from .env.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { pool } = require('../server/database/connection');
+const { detectFormat } = require('../server/services/document-loaders');
+const { ragIngestionService } = require('../server/services/rag-ingestion-service');
+
+const { values: options, positionals: targets } = parseArgs({
+  allowPositionals: true,
+  options: {
+    type: { type: 'string' },
+    source: { type: 'string' },
+    version: { type: 'string' },
+    url: { type: 'string' },
+    format: { type: 'string' },
+    'program-id': { type: 'string' },
+    remove: { type: 'boolean', default: false }
+  }
+});
+
+/**
+ * Files under a path that a loader can read
+ */
+const collectFiles = (target) => {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+
+  return fs.readdirSync(target, { withFileTypes: true })
+    .flatMap(entry => {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        return collectFiles(entryPath);
+      }
+      return detectFormat(entry.name) ? [entryPath] : [];
+    })
+    .sort();
+};
+
+const ingest = async () => {
+  if (options.remove) {
+    for (const source of targets) {
+      const removed = await ragIngestionService.removeSource(source);
+      process.stdout.write(`${source}: removed ${removed} chunks\n`);
+    }
+    return 0;
+  }
+
+  const files = targets.flatMap(collectFiles);
+
+  if (options.source && files.length > 1) {
+    throw new Error('--source can only be used with a single file');
+  }
+
+  let failures = 0;
+
+  for (const file of files) {
+    try {
+      const result = await ragIngestionService.ingestFile(file, {
+        ...(options.source && { source: options.source }),
+        ...(options.version && { version: options.version }),
+        ...(options.url && { url: options.url }),
+        ...(options.format && { format: options.format }),
+        ...(options.type && { type: options.type }),
+        ...(options['program-id'] && { metadata: { programId: options['program-id'] } })
+      });
+
+      process.stdout.write(`${result.source} (${result.version}): ${result.chunks} chunks, `
+        + `${result.inserted} embedded, ${result.unchanged} unchanged, ${result.removed} removed\n`);
+    } catch (error) {
+      failures++;
+      process.stderr.write(`${file}: ${error.message}\n`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+};
+
+if (targets.length === 0) {
+  process.stderr.write('Usage: node scripts/ingest-documents.js [--type <type>] [--source <name>] [--version <label>] <file or directory>...\n');
+  process.exit(1);
+}
+
+ingest()
+  .then(async (code) => {
+    await pool.end();
+    process.exit(code);
+  })
+  .catch(async (error) => {
+    process.stderr.write(`Ingestion failed: ${error.message}\n`);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Serves StayCrest's tools to local MCP clients (IDE agents, desktop apps)
+ * over stdio by relaying each message to a running server's /mcp endpoint.
+ *
+ * Configure the client to run `node scripts/mcp-stdio.js` with:
+ *   STAYCREST_MCP_URL - MCP endpoint (default http://localhost:3000/mcp)
+ *   STAYCREST_TOKEN   - JWT of the user the tools run as; their role decides
+ *                       which tools are listed
+ */
+
+const axios = require('axios');
+const { StdioServerTransport } = require('../server/mcp/stdio-transport');
+
+const MCP_URL = process.env.STAYCREST_MCP_URL || 'http://localhost:3000/mcp';
+const TOKEN = process.env.STAYCREST_TOKEN;
+const TIMEOUT_MS = parseInt(process.env.STAYCREST_MCP_TIMEOUT_MS, 10) || 60000;
+
+if (!TOKEN) {
+  process.stderr.write('STAYCREST_TOKEN is required\n');
+  process.exit(1);
+}
+
+let protocolVersion = null;
+
+const relay = async (message) => {
+  const response = await axios.post(MCP_URL, message, {
+    timeout: TIMEOUT_MS,
+    headers: {
+      Authorization: `Bearer ${TOKEN}`,
+      Accept: 'application/json, text/event-stream',
+      ...(protocolVersion ? { 'MCP-Protocol-Version': protocolVersion } : {})
+    },
+    // JSON-RPC errors come back with 4xx bodies that the client should see
+    validateStatus: status => status < 500
+  });
+
+  if (response.status === 202) {
+    return null;
+  }
+
+  if (message.method === 'initialize' && response.data.result) {
+    protocolVersion = response.data.result.protocolVersion;
+  }
+
+  return response.data;
+};
+
+new StdioServerTransport(relay).start().then(() => process.exit(0));
@@ -1,6 +1,9 @@
 // server/agents/agent-system.js
 
-const LLMProvider = require('../services/llm-provider');
+const { v4: uuidv4 } = require('uuid');
+const defaultLLMProvider = require('../services/llm-provider');
+const { MemoryCheckpointStore } = require('../services/agent-checkpoint-store');
+const { collectSources, formatSources, citeAnswer } = require('../services/rag-citations');
 const WebAgent = require('./web-agent');
 const SearchAgent = require('./search-agent');
 const PlannerAgent = require('./planner-agent');
@@ -11,17 +14,28 @@ const MemorySystem = require('./memory-system');
  * Agent System with MCP architecture
  */
 class AgentSystem {
-  constructor(toolManager, searchService, loyaltyManager) {
+  /**
+   * @param {Object} toolManager - Tool manager the executor runs tools through
+   * @param {Object} searchService - Search service for the search agent
+   * @param {Object} loyaltyManager - Loyalty website manager for the web agent
+   * @param {Object} options - Shared instances to use instead of creating new ones
+   * @param {Object} options.llmProvider - LLM provider
+   * @param {Object} options.memorySystem - Memory system
+   * @param {Object} options.agents - Already constructed agents, by name
+   * @param {Object} options.checkpointStore - Where streamed runs are checkpointed for resuming
+   */
+  constructor(toolManager, searchService, loyaltyManager, options = {}) {
     this.toolManager = toolManager;
     this.searchService = searchService;
     this.loyaltyManager = loyaltyManager;
     
-    this.llmProvider = new LLMProvider();
-    this.memorySystem = new MemorySystem();
+    this.llmProvider = options.llmProvider || defaultLLMProvider;
+    this.memorySystem = options.memorySystem || new MemorySystem();
+    this.checkpointStore = options.checkpointStore || new MemoryCheckpointStore();
     
     // Initialize agents
-    this.agents = {
-      planner: new PlannerAgent(this.llmProvider, this.memorySystem),
+    this.agents = options.agents || {
+      planner: new PlannerAgent(this.llmProvider, this.memorySystem, { toolManager: this.toolManager }),
       executor: new ExecutorAgent(this.llmProvider, this.toolManager),
       search: new SearchAgent(this.llmProvider, this.searchService),
       web: new WebAgent(this.llmProvider, this.loyaltyManager)
@@ -32,19 +46,27 @@ class AgentSystem {
   
   /**
    * Initialize the agent system
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.registerTools - Register the agent tools (off when the app registers its own)
    */
-  async initialize() {
+  async initialize({ registerTools = true } = {}) {
     try {
       // Initialize LLM provider
-      await this.llmProvider.initialize();
+      if (!this.llmProvider.initialized) {
+        await this.llmProvider.initialize();
+      }
       
-      // Initialize agents
-      for (const [name, agent] of Object.entries(this.agents)) {
-        await agent.initialize();
+      // Initialize agents, skipping shared ones that are already running
+      for (const agent of Object.values(this.agents)) {
+        if (!agent.isInitialized) {
+          await agent.initialize();
+        }
       }
       
       // Register tools with toolManager
-      this.registerTools();
+      if (registerTools) {
+        this.registerTools();
+      }
       
       this.isInitialized = true;
       console.log('Agent system initialized successfully');
@@ -110,6 +132,8 @@ class AgentSystem {
         plan,
         results,
         response,
+        userId: context.userId,
+        sessionId: context.sessionId,
         timestamp: new Date()
       });
       
@@ -124,41 +148,164 @@ class AgentSystem {
    * Synthesize final response
    */
   async synthesizeResponse(query, results) {
-    const prompt = `
+    const synthesis = await this.llmProvider.generateResponse(this.createSynthesisPrompt(query, results));
+    return synthesis;
+  }
+  
+  /**
+   * Create the prompt that turns step results into the final answer
+   * @param {string} query - User query
+   * @param {Array<Object>} results - Step results
+   * @param {Array<Object>} sources - Numbered knowledge base chunks the answer can cite
+   */
+  createSynthesisPrompt(query, results, sources = []) {
+    return `
 Given the user query: "${query}"
 And the following results from various agents:
 ${JSON.stringify(results, null, 2)}
-
+${sources.length > 0 ? `
+And these numbered knowledge base sources:
+${formatSources(sources)}
+` : ''}
 Create a comprehensive, helpful response that:
 1. Directly answers the user's question
 2. Provides relevant hotel recommendations
 3. Highlights best loyalty program options
 4. Includes practical travel advice
 5. Mentions any special deals or offers found
-
+${sources.length > 0 ? `6. Cites the knowledge base source behind each program rule or hotel fact with its number in square brackets, e.g. [2], keeping the numbers used in the results above
+` : ''}
 Format the response in a clear, conversational manner.
 `;
-    
-    const synthesis = await this.llmProvider.generateResponse(prompt);
-    return synthesis;
+  }
+  
+  /**
+   * Load the checkpoint of a streamed run
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} Checkpoint, or null when unknown or expired
+   */
+  async getCheckpoint(runId) {
+    return runId ? this.checkpointStore.load(runId) : null;
+  }
+  
+  /**
+   * Save a run's checkpoint; a failed save only costs the ability to resume
+   */
+  async saveCheckpoint(checkpoint) {
+    try {
+      await this.checkpointStore.save({ ...checkpoint, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      console.warn('Error saving agent checkpoint:', error.message);
+    }
   }
   
   /**
    * Stream response for real-time updates
+   * 
+   * Yields `plan`, then `step_start` and `step_result` as steps of the plan's
+   * execution graph start and settle, `token` for each chunk of the
+   * synthesized answer, `citations` with the knowledge base chunks the
+   * answer cites and the grounding check of its cited sentences (only when
+   * steps found any) and finally `final_response` with the whole answer.
+   * 
+   * The plan and every successful step are checkpointed under `runId`.
+   * Calling again with the `runId` of a run that failed or was interrupted
+   * reuses its plan and step outputs (yielded with `restored: true`) and only
+   * runs what is left.
+   * @param {string} query - User query, ignored when resuming
+   * @param {Object} context - Query context with `userId`, `sessionId` and the earlier `conversation` messages
+   * @param {Object} options - Options
+   * @param {string} options.runId - Run to start or resume
    */
-  async *streamQuery(query, context = {}) {
-    // Yield initial plan
-    const plan = await this.agents.planner.createPlan(query, context);
-    yield { type: 'plan', data: plan };
-    
-    // Execute plan steps and yield intermediate results
-    for (const step of plan.steps) {
-      const stepResult = await this.agents.executor.executeStep(step);
-      yield { type: 'step_result', data: stepResult };
+  async *streamQuery(query, context = {}, { runId = uuidv4() } = {}) {
+    const checkpoint = await this.getCheckpoint(runId);
+    
+    if (checkpoint && checkpoint.status === 'completed') {
+      yield { type: 'plan', data: { ...checkpoint.plan, runId } };
+      if (checkpoint.citations) {
+        yield { type: 'citations', data: checkpoint.citations };
+      }
+      yield { type: 'final_response', data: checkpoint.response };
+      return;
     }
     
-    // Yield final synthesis
-    const response = await this.synthesizeResponse(query, plan.results);
+    const runQuery = checkpoint ? checkpoint.query : query;
+    const plan = checkpoint ? checkpoint.plan : await this.agents.planner.createPlan(runQuery, context);
+    const state = checkpoint || {
+      runId,
+      query: runQuery,
+      plan,
+      userId: context.userId,
+      sessionId: context.sessionId,
+      completed: {},
+      status: 'running'
+    };
+    
+    await this.saveCheckpoint(state);
+    yield { type: 'plan', data: { ...plan, runId } };
+    
+    // Execute the plan graph, checkpointing each step that succeeds
+    const resultsById = {};
+    for await (const event of this.agents.executor.streamExecute(plan, { completed: state.completed })) {
+      if (event.type === 'step_result') {
+        const { restored, ...stepResult } = event.data;
+        resultsById[stepResult.step_id] = stepResult;
+        
+        if (stepResult.success && !restored) {
+          state.completed[stepResult.step_id] = stepResult;
+          await this.saveCheckpoint(state);
+        }
+      }
+      
+      yield event;
+    }
+    
+    // Synthesize from results in plan order, whatever order they finished in,
+    // with the knowledge base chunks they found numbered across all steps
+    const { sources, results } = collectSources(plan.steps
+      .map((step, index) => resultsById[String(step.id || `step_${index + 1}`)])
+      .filter(Boolean));
+    
+    // Stream the synthesis token by token, as the next turn of the conversation when there is one
+    const synthesisPrompt = this.createSynthesisPrompt(runQuery, results, sources);
+    const conversation = context.conversation || [];
+    const tokens = conversation.length > 0 && typeof this.llmProvider.streamChat === 'function'
+      ? this.llmProvider.streamChat([...conversation, { role: 'user', content: synthesisPrompt }])
+      : this.llmProvider.streamResponse(synthesisPrompt);
+    
+    let response = '';
+    for await (const token of tokens) {
+      response += token;
+      yield { type: 'token', data: token };
+    }
+    
+    // The answer also draws on tools other than the knowledge base, so only cited sentences are checked
+    let citations = null;
+    if (sources.length > 0) {
+      const cited = citeAnswer(response, sources, { citedOnly: true });
+      citations = { citations: cited.citations, grounding: cited.grounding };
+    }
+    
+    await this.saveCheckpoint({ ...state, status: 'completed', response, citations });
+    
+    try {
+      await this.memorySystem.store({
+        query: runQuery,
+        plan,
+        results,
+        response,
+        userId: context.userId,
+        sessionId: context.sessionId,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      // The answer has already streamed; a memory failure shouldn't discard it
+      console.error('Error storing streamed query in memory:', error);
+    }
+    
+    if (citations) {
+      yield { type: 'citations', data: citations };
+    }
     yield { type: 'final_response', data: response };
   }
   
@@ -176,4 +323,6 @@ Format the response in a clear, conversational manner.
       memorySize: this.memorySystem.getSize()
     };
   }
-}
\ No newline at end of file
+}
+
+module.exports = AgentSystem;
@@ -0,0 +1,222 @@
+// server/agents/execution-graph.js
+
+/**
+ * Execution graph for planner output
+ *
+ * Plan steps declare the steps they need with `depends_on`. A step starts as
+ * soon as everything it depends on has finished, so independent steps (e.g.
+ * searches across several loyalty programs) run concurrently. A step whose
+ * dependency failed is skipped unless that dependency was optional.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+// "{{step_1.result.results}}" refers to part of an earlier step's output
+const STEP_REFERENCE = /^\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}$/;
+
+class PlanGraphError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PlanGraphError';
+    this.code = 'ERR_INVALID_PLAN_GRAPH';
+    this.details = details;
+  }
+}
+
+/**
+ * Give a planner step an id and a clean dependency list
+ * @param {Object} step - Step from the planner
+ * @param {number} index - Position in the plan
+ * @returns {Object} Normalized step
+ */
+const normalizeStep = (step, index) => {
+  const dependsOn = step.depends_on || step.dependsOn || [];
+
+  return {
+    ...step,
+    id: step.id ? String(step.id) : `step_${index + 1}`,
+    depends_on: (Array.isArray(dependsOn) ? dependsOn : [dependsOn]).map(String)
+  };
+};
+
+/**
+ * Read a dotted path from a value
+ * @param {*} value - Root value
+ * @param {Array<string>} path - Property names
+ * @returns {*} Value at the path, or undefined
+ */
+const getPath = (value, path) => path.reduce(
+  (current, key) => (current === null || current === undefined ? undefined : current[key]),
+  value
+);
+
+/**
+ * Replace `{{step_id.path}}` parameter values with earlier step outputs
+ * @param {*} parameters - Step parameters
+ * @param {Object} results - Step results by step id
+ * @returns {*} Parameters with references resolved
+ */
+const resolveStepParameters = (parameters, results) => {
+  if (typeof parameters === 'string') {
+    const match = parameters.match(STEP_REFERENCE);
+    if (!match || !results[match[1]]) {
+      return parameters;
+    }
+
+    const path = match[2] ? match[2].slice(1).split('.') : ['result'];
+    return getPath(results[match[1]], path);
+  }
+
+  if (Array.isArray(parameters)) {
+    return parameters.map(value => resolveStepParameters(value, results));
+  }
+
+  if (parameters && typeof parameters === 'object') {
+    return Object.fromEntries(
+      Object.entries(parameters).map(([key, value]) => [key, resolveStepParameters(value, results)])
+    );
+  }
+
+  return parameters;
+};
+
+class ExecutionGraph {
+  /**
+   * @param {Array} steps - Plan steps
+   * @throws {PlanGraphError} On duplicate ids, unknown dependencies or cycles
+   */
+  constructor(steps = []) {
+    this.steps = steps.map(normalizeStep);
+    this.stepsById = new Map();
+
+    for (const step of this.steps) {
+      if (this.stepsById.has(step.id)) {
+        throw new PlanGraphError(`Duplicate step id: ${step.id}`, { stepId: step.id });
+      }
+      this.stepsById.set(step.id, step);
+    }
+
+    for (const step of this.steps) {
+      const unknown = step.depends_on.filter(id => !this.stepsById.has(id));
+      if (unknown.length > 0) {
+        throw new PlanGraphError(`Step ${step.id} depends on unknown steps: ${unknown.join(', ')}`, {
+          stepId: step.id,
+          unknown
+        });
+      }
+    }
+
+    this.order = this.topologicalOrder();
+  }
+
+  /**
+   * Order steps so each comes after its dependencies
+   * @returns {Array<string>} Step ids
+   * @throws {PlanGraphError} When the dependencies form a cycle
+   */
+  topologicalOrder() {
+    const remaining = new Map(this.steps.map(step => [step.id, new Set(step.depends_on)]));
+    const order = [];
+
+    while (remaining.size > 0) {
+      const ready = [...remaining.keys()].filter(id => remaining.get(id).size === 0);
+
+      if (ready.length === 0) {
+        throw new PlanGraphError(`Plan steps depend on each other in a cycle: ${[...remaining.keys()].join(', ')}`, {
+          steps: [...remaining.keys()]
+        });
+      }
+
+      for (const id of ready) {
+        remaining.delete(id);
+        order.push(id);
+        remaining.forEach(dependencies => dependencies.delete(id));
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Execute the graph, yielding progress as steps start and settle
+   *
+   * Yields `{ type: 'step_start', data }` and `{ type: 'step_result', data }`.
+   * Steps in `completed` (e.g. from a checkpoint) aren't run again; their
+   * results are yielded first with `restored: true`.
+   * @param {Function} executeStep - async (step) => step result with `success`
+   * @param {Object} options - Execution options
+   * @param {Object} options.completed - Results of already completed steps by id
+   * @param {number} options.concurrency - Maximum steps running at once
+   */
+  async *run(executeStep, { completed = {}, concurrency = DEFAULT_CONCURRENCY } = {}) {
+    const results = {};
+
+    for (const id of this.order) {
+      if (completed[id]) {
+        results[id] = completed[id];
+        yield { type: 'step_result', data: { ...completed[id], restored: true } };
+      }
+    }
+
+    const pending = this.order.filter(id => !results[id]);
+    const running = new Map();
+
+    while (pending.length > 0 || running.size > 0) {
+      for (const id of [...pending]) {
+        const step = this.stepsById.get(id);
+
+        if (!step.depends_on.every(dependency => results[dependency])) {
+          continue;
+        }
+
+        const failed = step.depends_on.find(dependency =>
+          !results[dependency].success && this.stepsById.get(dependency).optional !== true);
+
+        if (failed) {
+          pending.splice(pending.indexOf(id), 1);
+          results[id] = {
+            step_id: id,
+            description: step.description,
+            tool: step.tool,
+            success: false,
+            skipped: true,
+            error: `Skipped because step ${failed} failed`
+          };
+          yield { type: 'step_result', data: results[id] };
+          continue;
+        }
+
+        if (running.size >= concurrency) {
+          break;
+        }
+
+        pending.splice(pending.indexOf(id), 1);
+        yield { type: 'step_start', data: { step_id: id, description: step.description, tool: step.tool } };
+
+        const resolvedStep = { ...step, parameters: resolveStepParameters(step.parameters || {}, results) };
+        running.set(id, Promise.resolve()
+          .then(() => executeStep(resolvedStep))
+          .catch(error => ({ step_id: id, tool: step.tool, success: false, error: error.message }))
+          .then(result => ({ id, result })));
+      }
+
+      if (running.size === 0) {
+        // Only skipped steps were left
+        continue;
+      }
+
+      const { id, result } = await Promise.race(running.values());
+      running.delete(id);
+      results[id] = result;
+      yield { type: 'step_result', data: result };
+    }
+  }
+}
+
+module.exports = {
+  ExecutionGraph,
+  PlanGraphError,
+  normalizeStep,
+  resolveStepParameters,
+  DEFAULT_CONCURRENCY
+};
@@ -1,3 +1,29 @@
+const { ExecutionGraph, DEFAULT_CONCURRENCY } = require('./execution-graph');
+
+// Error handling strategy when it is asked for as JSON
+const ERROR_STRATEGY_SCHEMA = {
+  type: 'object',
+  required: ['action', 'details'],
+  properties: {
+    action: { enum: ['retry', 'alternative', 'skip', 'abort'] },
+    details: { type: 'object' }
+  }
+};
+
+// Offered next to the registered tools when the LLM picks how to recover from a failed step
+const RECOVERY_TOOLS = [
+  {
+    name: 'skip_step',
+    description: 'Skip the failed step and continue with the rest of the plan',
+    parameters: { type: 'object', required: ['reason'], properties: { reason: { type: 'string' } } }
+  },
+  {
+    name: 'abort_plan',
+    description: 'Stop the plan because the failure is fatal to it',
+    parameters: { type: 'object', required: ['reason'], properties: { reason: { type: 'string' } } }
+  }
+];
+
 /**
  * Executor Agent for executing plans from the planner
  */
@@ -8,6 +34,7 @@ class ExecutorAgent {
     this.isInitialized = false;
     this.executionHistory = [];
     this.maxHistorySize = 100;
+    this.concurrency = parseInt(process.env.AGENT_STEP_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
   }
   
   /**
@@ -39,19 +66,25 @@ class ExecutorAgent {
     };
     
     try {
-      // Execute each step in sequence
-      for (const step of plan.steps) {
-        const stepResult = await this.executeStep(step);
+      // Independent steps run concurrently; dependents of a failed critical step are skipped
+      const optionalSteps = new Set(plan.steps
+        .map((step, index) => (this.canContinueAfterFailure(step) ? String(step.id || `step_${index + 1}`) : null))
+        .filter(Boolean));
+      
+      for await (const event of this.streamExecute(plan)) {
+        if (event.type !== 'step_result') {
+          continue;
+        }
+        
+        const stepResult = event.data;
         results.steps.push(stepResult);
         
-        // If step failed and it's critical, abort execution
-        if (!stepResult.success && !this.canContinueAfterFailure(step)) {
+        if (!stepResult.success && !stepResult.skipped && !optionalSteps.has(stepResult.step_id)) {
           results.success = false;
           results.errors.push({
-            step: step.id,
+            step: stepResult.step_id,
             message: `Critical step failed: ${stepResult.error}`
           });
-          break;
         }
       }
     } catch (error) {
@@ -70,6 +103,20 @@ class ExecutorAgent {
     return results;
   }
   
+  /**
+   * Execute a plan as a dependency graph, yielding progress as steps run
+   * @param {Object} plan - Plan from the planner agent
+   * @param {Object} options - Options for `ExecutionGraph#run`, e.g. checkpointed `completed` results
+   */
+  async *streamExecute(plan, options = {}) {
+    const graph = new ExecutionGraph(plan.steps);
+    
+    yield* graph.run(step => this.executeStep(step), {
+      concurrency: this.concurrency,
+      ...options
+    });
+  }
+  
   /**
    * Execute a single step
    * @param {Object} step - Step from the plan
@@ -104,11 +151,22 @@ class ExecutorAgent {
     } catch (error) {
       result.success = false;
       result.error = error.message;
+      if (error.code === 'ERR_TOOL_INPUT_INVALID' || error.code === 'ERR_TOOL_OUTPUT_INVALID') {
+        result.validation_errors = error.errors;
+      }
       
-      // Attempt error handling if specified
-      if (step.error_handling) {
+      // Attempt error handling if specified, or let the LLM fix parameters the tool rejected;
+      // a retry or alternative isn't handled again so recovery can't loop
+      if (!step.recovery && (step.error_handling || error.code === 'ERR_TOOL_INPUT_INVALID')) {
         try {
           result.error_handling = await this.handleStepError(step, error);
+          
+          // A retry or alternative that worked stands in for the failed call
+          if (result.error_handling && result.error_handling.success) {
+            result.success = true;
+            result.result = result.error_handling.result;
+            result.recovered = true;
+          }
         } catch (handlingError) {
           result.error_handling_failed = true;
         }
@@ -135,7 +193,10 @@ ${JSON.stringify(step, null, 2)}
 
 ## ERROR:
 ${error.message}
-
+${error.code === 'ERR_TOOL_INPUT_INVALID' ? `
+## PARAMETER SCHEMA FOR ${step.tool}:
+${JSON.stringify(this.toolManager.getToolSchema(step.tool), null, 2)}
+` : ''}
 ## ERROR HANDLING STRATEGY:
 ${step.error_handling || "No specific error handling strategy provided."}
 
@@ -144,7 +205,14 @@ What's the best way to handle this error? Consider:
 2. Can we modify the parameters and retry?
 3. Should we skip this step and continue with the rest?
 4. Is this error fatal to the entire plan?
-
+`;
+    
+    const strategy = await this.requestToolStrategy(step, errorPrompt);
+    if (strategy) {
+      return this.applyErrorStrategy(step, strategy);
+    }
+    
+    const jsonPrompt = `${errorPrompt}
 Provide a JSON response in this format:
 {
   "action": "retry|alternative|skip|abort",
@@ -156,7 +224,23 @@ Provide a JSON response in this format:
 }
 `;
     
-    const errorHandlingResponse = await this.llmProvider.generateResponse(errorPrompt, {
+    if (typeof this.llmProvider.generateStructured === 'function') {
+      try {
+        const structured = await this.llmProvider.generateStructured(jsonPrompt, ERROR_STRATEGY_SCHEMA, {
+          temperature: 0.2,
+          max_tokens: 500,
+          schemaName: 'error_strategy'
+        });
+        return await this.applyErrorStrategy(step, structured);
+      } catch (structuredError) {
+        if (structuredError.code !== 'ERR_STRUCTURED_OUTPUT') {
+          throw structuredError;
+        }
+        return { parsing_failed: true, raw_response: structuredError.raw, errors: structuredError.errors };
+      }
+    }
+    
+    const errorHandlingResponse = await this.llmProvider.generateResponse(jsonPrompt, {
       temperature: 0.2,
       max_tokens: 500
     });
@@ -167,23 +251,73 @@ Provide a JSON response in this format:
                         errorHandlingResponse.match(/{[\s\S]*}/);
       
       const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : errorHandlingResponse;
-      const strategy = JSON.parse(jsonString);
+      const parsed = JSON.parse(jsonString);
+      return await this.applyErrorStrategy(step, parsed);
+    } catch (parseError) {
+      return { parsing_failed: true, raw_response: errorHandlingResponse };
+    }
+  }
+  
+  /**
+   * Let the LLM pick the recovery as a native tool call: calling the failed
+   * tool again is a retry, another registered tool an alternative
+   * @param {Object} step - Failed step
+   * @param {string} errorPrompt - Description of the failure
+   * @returns {Promise<Object|null>} Strategy `{ action, details }`, or null when tool calling isn't available
+   */
+  async requestToolStrategy(step, errorPrompt) {
+    if (typeof this.llmProvider.generateWithTools !== 'function') {
+      return null;
+    }
+    
+    try {
+      const { toolCalls } = await this.llmProvider.generateWithTools(
+        `${errorPrompt}\nCall the tool to use next, or skip_step / abort_plan.`,
+        [...this.toolManager.getToolDefinitions(), ...RECOVERY_TOOLS],
+        { temperature: 0.2, max_tokens: 500, toolChoice: 'required' }
+      );
+      const call = toolCalls.find(toolCall => toolCall.arguments);
       
-      // Implement the error handling strategy
-      switch (strategy.action) {
-        case 'retry':
-          return await this.retryStep(step, strategy.details);
-        case 'alternative':
-          return await this.useAlternativeTool(step, strategy.details);
-        case 'skip':
-          return { skipped: true, reason: strategy.details.reason };
-        case 'abort':
-          return { aborted: true, reason: strategy.details.reason };
+      if (!call) {
+        return null;
+      }
+      
+      switch (call.name) {
+        case 'skip_step':
+          return { action: 'skip', details: call.arguments };
+        case 'abort_plan':
+          return { action: 'abort', details: call.arguments };
+        case step.tool:
+          return { action: 'retry', details: call.arguments };
         default:
-          return { unknown_action: true };
+          return { action: 'alternative', details: { tool: call.name, parameters: call.arguments } };
       }
-    } catch (parseError) {
-      return { parsing_failed: true, raw_response: errorHandlingResponse };
+    } catch (error) {
+      if (error.code === 'ERR_LLM_QUOTA_EXCEEDED') {
+        throw error;
+      }
+      console.warn('Tool calling failed, asking for the error strategy as JSON text:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Carry out an error handling strategy
+   * @param {Object} step - Failed step
+   * @param {Object} strategy - `{ action: 'retry'|'alternative'|'skip'|'abort', details }`
+   */
+  async applyErrorStrategy(step, strategy) {
+    switch (strategy.action) {
+      case 'retry':
+        return await this.retryStep(step, strategy.details);
+      case 'alternative':
+        return await this.useAlternativeTool(step, strategy.details);
+      case 'skip':
+        return { skipped: true, reason: strategy.details.reason };
+      case 'abort':
+        return { aborted: true, reason: strategy.details.reason };
+      default:
+        return { unknown_action: true };
     }
   }
   
@@ -197,7 +331,8 @@ Provide a JSON response in this format:
         ...step.parameters,
         ...modifiedParams
       },
-      id: `${step.id}_retry`
+      id: `${step.id}_retry`,
+      recovery: true
     };
     
     return await this.executeStep(retryStep);
@@ -211,7 +346,8 @@ Provide a JSON response in this format:
       ...step,
       tool: alternative.tool,
       parameters: alternative.parameters,
-      id: `${step.id}_alt`
+      id: `${step.id}_alt`,
+      recovery: true
     };
     
     return await this.executeStep(alternativeStep);
@@ -1,20 +1,58 @@
+const crypto = require('crypto');
 const Conversation = require('../models/conversation');
 const SearchHistory = require('../models/search-history');
 const Configuration = require('../models/configuration');
+const defaultLLMProvider = require('../services/llm-provider');
+const { createSemanticMemoryStore, cosineSimilarity } = require('../services/semantic-memory-store');
+
+// Guest memories expire with the session; users' memories are kept unless a retention is set
+const SESSION_TTL_MS = (parseInt(process.env.MEMORY_SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.MEMORY_RETENTION_DAYS, 10) || null;
+
+// Age at which a memory's recency weight has dropped halfway to the floor
+const HALF_LIFE_HOURS = parseFloat(process.env.MEMORY_HALF_LIFE_HOURS) || 168;
+const RECENCY_FLOOR = 0.5;
+
+// Memories of the current session outrank equally similar ones from earlier sessions
+const SESSION_BOOST = 1.1;
+const TYPE_WEIGHTS = { preference: 1.2, entity: 1.1 };
+
+// Characters of a question or answer kept in a memory
+const MAX_MEMORY_PART_CHARS = 500;
+
+// How often expired memories are cleaned up while storing
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Long-term memory texts whose embeddings are kept between retrievals
+const EMBEDDING_CACHE_SIZE = 1000;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length)}...` : text);
 
 /**
  * Memory System for storing and retrieving conversation context
+ *
+ * Memories are embedded and kept in a semantic memory store, scoped to the
+ * user or, for guests, to the session. Retrieval ranks them by similarity to
+ * the query, weighted by recency, together with the user's stored
+ * conversation, searches and preferences.
  */
 class MemorySystem {
-  constructor() {
-    this.shortTermMemory = new Map();
-    this.shortTermTTL = 30 * 60 * 1000; // 30 minutes
-    this.maxShortTermSize = 100;
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.store - Semantic memory store (default in process, see createSemanticMemoryStore)
+   * @param {Object} options.llmProvider - Provider for embeddings
+   */
+  constructor({ store = null, llmProvider = defaultLLMProvider } = {}) {
+    this.semanticStore = store || createSemanticMemoryStore(null);
+    this.llmProvider = llmProvider;
+    this.lastCleanup = 0;
+    // Embeddings of long-term memory texts by content hash, oldest first
+    this.embeddingCache = new Map();
   }
-  
+
   /**
    * Store a memory in the system
-   * @param {Object} memory - Memory object to store 
+   * @param {Object} memory - Memory object to store, with `userId` and/or `sessionId` for its scope
    * @returns {Promise<Object>} Stored memory
    */
   async store(memory) {
@@ -23,35 +61,36 @@ class MemorySystem {
       if (!memory.timestamp) {
         memory.timestamp = new Date();
       }
-      
-      // Store in short-term memory
-      const memoryId = `mem_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
-      this.shortTermMemory.set(memoryId, {
-        ...memory,
-        id: memoryId,
-        expires: Date.now() + this.shortTermTTL
-      });
-      
-      // Clean up old memories if needed
-      this.cleanupShortTermMemory();
-      
+
+      let memoryId = null;
+      const text = this.describeMemory(memory);
+
+      if (text && (memory.userId || memory.sessionId)) {
+        memoryId = await this.storeSemanticMemory(memory, text);
+      }
+
       // If the memory contains a userId and conversationId, store in database
       if (memory.userId && memory.sessionId) {
         await this.storeLongTermMemory(memory);
       }
-      
+
       return { ...memory, id: memoryId };
     } catch (error) {
       console.error('Error storing memory:', error);
       throw error;
     }
   }
-  
+
   /**
    * Retrieve memories relevant to a query
    * @param {string} query - The query to find relevant memories for
    * @param {Object} options - Additional retrieval options
-   * @returns {Promise<Array>} Relevant memories
+   * @param {string} options.userId - User whose memories to search
+   * @param {string} options.sessionId - Session whose memories to search
+   * @param {number} options.limit - Maximum number of memories (default 10)
+   * @param {boolean} options.includeShortTerm - Include the semantic memories (default true)
+   * @param {boolean} options.includeLongTerm - Include the user's stored conversation, searches and preferences (default true)
+   * @returns {Promise<Array>} Relevant memories, best first, with a `relevanceScore`
    */
   async retrieve(query, options = {}) {
     try {
@@ -63,33 +102,194 @@ class MemorySystem {
         includeLongTerm: true,
         ...options
       };
-      
-      let relevantMemories = [];
-      
-      // Get short-term memories
-      if (retrievalOptions.includeShortTerm) {
-        const shortTermMemories = this.retrieveFromShortTerm(query);
-        relevantMemories = relevantMemories.concat(shortTermMemories);
+      const { userId, sessionId, limit } = retrievalOptions;
+
+      // Without a scope there are no memories to share
+      if (!query || (!userId && !sessionId)) {
+        return [];
       }
-      
-      // Get long-term memories if user context is available
-      if (retrievalOptions.includeLongTerm && retrievalOptions.userId) {
-        const longTermMemories = await this.retrieveFromLongTerm(
-          query, 
-          retrievalOptions.userId,
-          retrievalOptions.sessionId
-        );
-        relevantMemories = relevantMemories.concat(longTermMemories);
+
+      const longTermMemories = retrievalOptions.includeLongTerm && userId
+        ? await this.retrieveFromLongTerm(userId, sessionId)
+        : [];
+
+      const { queryEmbedding, embeddingModel, embeddings: longTermEmbeddings } =
+        await this.embedForRetrieval(query, longTermMemories.map(memory => memory.text));
+
+      let relevantMemories = longTermMemories.map((memory, index) => ({
+        ...memory,
+        similarity: cosineSimilarity(queryEmbedding, longTermEmbeddings[index])
+      }));
+
+      if (retrievalOptions.includeShortTerm) {
+        const semanticMemories = await this.semanticStore.search({
+          embedding: queryEmbedding,
+          embeddingModel,
+          userId: userId ? String(userId) : null,
+          sessionId,
+          limit: limit * 2
+        });
+
+        relevantMemories = relevantMemories.concat(semanticMemories.map(memory => ({
+          id: memory.id,
+          text: memory.content,
+          timestamp: memory.createdAt,
+          type: memory.type,
+          sessionId: memory.sessionId,
+          ...memory.metadata,
+          similarity: memory.similarity,
+          source: 'semantic'
+        })));
       }
-      
+
+      const scored = relevantMemories.map(memory => ({
+        ...memory,
+        relevanceScore: this.calculateRelevance(memory, sessionId)
+      }));
+
       // Sort by relevance and limit
-      return this.rankAndLimitMemories(relevantMemories, query, retrievalOptions.limit);
+      return this.rankAndLimitMemories(scored, query, limit);
     } catch (error) {
       console.error('Error retrieving memories:', error);
       return [];
     }
   }
-  
+
+  /**
+   * Embed a query together with the long-term memory texts it is compared with
+   *
+   * The texts rarely change between turns, so their embeddings are cached by
+   * content hash and embedding model; only the query and new texts are sent
+   * to the provider, in one call.
+   * @param {string} query - Query
+   * @param {Array<string>} texts - Long-term memory texts
+   * @returns {Promise<Object>} `{ queryEmbedding, embeddingModel, embeddings }`, one embedding per text
+   */
+  async embedForRetrieval(query, texts) {
+    const keys = texts.map(text => crypto.createHash('sha1').update(text).digest('hex'));
+    const cached = keys.map(key => this.embeddingCache.get(key));
+
+    const missing = texts.filter((text, index) => !cached[index]);
+    const embedded = await this.llmProvider.generateEmbeddings([query, ...missing]);
+    const embeddingModel = `${embedded.provider}/${embedded.model}`;
+    const [queryEmbedding, ...missingEmbeddings] = embedded.embeddings;
+
+    // Embeddings from another model can't be compared with the query's
+    const stale = texts.filter((text, index) => cached[index] && cached[index].embeddingModel !== embeddingModel);
+    const reembedded = stale.length > 0 ? (await this.llmProvider.generateEmbeddings(stale)).embeddings : [];
+
+    const fresh = new Map([
+      ...missing.map((text, index) => [text, missingEmbeddings[index]]),
+      ...stale.map((text, index) => [text, reembedded[index]])
+    ]);
+
+    const embeddings = texts.map((text, index) => {
+      if (!fresh.has(text)) {
+        return cached[index].embedding;
+      }
+
+      this.embeddingCache.delete(keys[index]);
+      this.embeddingCache.set(keys[index], { embedding: fresh.get(text), embeddingModel });
+      return fresh.get(text);
+    });
+
+    while (this.embeddingCache.size > EMBEDDING_CACHE_SIZE) {
+      this.embeddingCache.delete(this.embeddingCache.keys().next().value);
+    }
+
+    return { queryEmbedding, embeddingModel, embeddings };
+  }
+
+  /**
+   * Text a memory is embedded and recalled as
+   * @param {Object} memory - Memory
+   * @returns {string|null} Text, or null when the memory has nothing to recall
+   */
+  describeMemory(memory) {
+    if (memory.text) {
+      return memory.text;
+    }
+
+    if (memory.query && typeof memory.response === 'string') {
+      return `User asked: ${truncate(memory.query, MAX_MEMORY_PART_CHARS)}\nAssistant answered: ${truncate(memory.response, MAX_MEMORY_PART_CHARS)}`;
+    }
+
+    if (memory.role && memory.content) {
+      return `${memory.role}: ${truncate(memory.content, MAX_MEMORY_PART_CHARS * 2)}`;
+    }
+
+    if (memory.entities) {
+      const described = Object.entries(memory.entities)
+        .filter(([, entities]) => entities.length > 0)
+        .map(([entityType, entities]) => `${entityType}: ${entities.join(', ')}`);
+      return described.length > 0 ? `User is interested in ${described.join('; ')}` : null;
+    }
+
+    if (memory.query) {
+      return `User searched for: ${memory.query}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Embed a memory and add it to the semantic store. A failure is logged
+   * rather than thrown, so it doesn't lose the conversation history.
+   * @param {Object} memory - Memory
+   * @param {string} text - Text to embed
+   * @returns {Promise<string|null>} Memory id, or null when it couldn't be stored
+   */
+  async storeSemanticMemory(memory, text) {
+    try {
+      const { embeddings, provider, model } = await this.llmProvider.generateEmbeddings([text]);
+
+      let expiresAt = null;
+      if (!memory.userId) {
+        expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+      } else if (RETENTION_DAYS) {
+        expiresAt = new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      }
+
+      const [memoryId] = await this.semanticStore.add([{
+        userId: memory.userId ? String(memory.userId) : null,
+        sessionId: memory.sessionId || null,
+        type: memory.type || this.memoryType(memory),
+        content: text,
+        metadata: {
+          ...(memory.role && { role: memory.role }),
+          ...(memory.entities && { entities: memory.entities })
+        },
+        embedding: embeddings[0],
+        embeddingModel: `${provider}/${model}`,
+        createdAt: new Date(memory.timestamp),
+        expiresAt
+      }]);
+
+      await this.cleanupExpiredMemories();
+
+      return memoryId;
+    } catch (error) {
+      console.warn('Error storing semantic memory:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Type of a memory from its fields
+   */
+  memoryType(memory) {
+    if (memory.query && memory.response) {
+      return 'interaction';
+    }
+    if (memory.role) {
+      return 'conversation';
+    }
+    if (memory.entities) {
+      return 'entity';
+    }
+    return 'search';
+  }
+
   /**
    * Store memory in the database (long-term)
    * @param {Object} memory - Memory to store
@@ -101,7 +301,7 @@ class MemorySystem {
       if (memory.role && memory.content) {
         await Conversation.findOneAndUpdate(
           { userId: memory.userId, sessionId: memory.sessionId },
-          { 
+          {
             $push: { messages: {
               role: memory.role,
               content: memory.content,
@@ -114,9 +314,10 @@ class MemorySystem {
           { upsert: true, new: true }
         );
       }
-      
-      // If memory is a search result
-      if (memory.query && memory.results) {
+
+      // If memory is a search result; agent interactions also carry a query and
+      // step results, but they aren't searches and don't belong in the search history
+      if (memory.query && memory.results && (memory.type || this.memoryType(memory)) === 'search') {
         const searchHistory = new SearchHistory({
           userId: memory.userId,
           query: memory.query,
@@ -125,9 +326,9 @@ class MemorySystem {
           results: memory.results,
           createdAt: memory.timestamp
         });
-        
+
         await searchHistory.save();
-        
+
         // Link search to conversation if sessionId exists
         if (memory.sessionId) {
           await Conversation.findOneAndUpdate(
@@ -136,7 +337,7 @@ class MemorySystem {
           );
         }
       }
-      
+
       // If memory contains entities
       if (memory.entities) {
         await Conversation.findOneAndUpdate(
@@ -149,53 +350,26 @@ class MemorySystem {
       throw error;
     }
   }
-  
-  /**
-   * Retrieve memories from short-term memory
-   * @param {string} query - The query to find relevant memories for
-   * @returns {Array} Relevant short-term memories
-   */
-  retrieveFromShortTerm(query) {
-    const currentTime = Date.now();
-    const memories = [];
-    
-    // Filter out expired memories
-    for (const [id, memory] of this.shortTermMemory.entries()) {
-      if (memory.expires < currentTime) {
-        this.shortTermMemory.delete(id);
-        continue;
-      }
-      
-      memories.push(memory);
-    }
-    
-    // Calculate relevance score for each memory
-    return memories.map(memory => ({
-      ...memory,
-      relevanceScore: this.calculateRelevance(query, memory)
-    }));
-  }
-  
+
   /**
    * Retrieve memories from long-term memory (database)
-   * @param {string} query - The query to find relevant memories for
    * @param {string} userId - User ID
    * @param {string} sessionId - Current session ID
-   * @returns {Promise<Array>} Relevant long-term memories
+   * @returns {Promise<Array>} The user's recent messages, entities, searches and preferences
    */
-  async retrieveFromLongTerm(query, userId, sessionId) {
+  async retrieveFromLongTerm(userId, sessionId) {
     const memories = [];
-    
+
     try {
       // Get relevant conversation messages
       const conversation = await Conversation.findOne(
         { userId, sessionId }
       ).sort({ updatedAt: -1 });
-      
+
       if (conversation) {
         // Get the most recent messages
         const recentMessages = conversation.messages.slice(-10);
-        
+
         // Add to memories
         recentMessages.forEach(message => {
           memories.push({
@@ -204,10 +378,11 @@ class MemorySystem {
             timestamp: message.timestamp,
             role: message.role,
             type: 'conversation',
+            sessionId,
             source: 'long-term',
           });
         });
-        
+
         // Get entities from this conversation
         if (conversation.entities) {
           Object.entries(conversation.entities).forEach(([entityType, entities]) => {
@@ -219,18 +394,19 @@ class MemorySystem {
                 type: 'entity',
                 entityType,
                 entity,
+                sessionId,
                 source: 'long-term',
               });
             });
           });
         }
       }
-      
+
       // Get relevant searches
       const searches = await SearchHistory.find(
         { userId }
       ).sort({ createdAt: -1 }).limit(5);
-      
+
       searches.forEach(search => {
         memories.push({
           id: `search_${search._id}`,
@@ -242,10 +418,10 @@ class MemorySystem {
           source: 'long-term',
         });
       });
-      
+
       // Get user preferences
       const config = await Configuration.findOne({ userId });
-      
+
       if (config) {
         const preferredPrograms = config.preferredLoyaltyPrograms || [];
         if (preferredPrograms.length > 0) {
@@ -258,7 +434,7 @@ class MemorySystem {
             source: 'long-term',
           });
         }
-        
+
         // Add other preferences as needed
         if (config.defaultSearchParameters) {
           memories.push({
@@ -271,71 +447,31 @@ class MemorySystem {
           });
         }
       }
-      
-      // Calculate relevance scores
-      return memories.map(memory => ({
-        ...memory,
-        relevanceScore: this.calculateRelevance(query, memory)
-      }));
+
+      return memories;
     } catch (error) {
       console.error('Error retrieving from long-term memory:', error);
       return [];
     }
   }
-  
+
   /**
-   * Calculate relevance score between query and a memory
-   * @param {string} query - The search query
-   * @param {Object} memory - Memory to evaluate
-   * @returns {number} Relevance score (0-100)
+   * Calculate the relevance of a memory: its similarity to the query,
+   * weighted down with age (halving towards RECENCY_FLOOR every
+   * MEMORY_HALF_LIFE_HOURS) and up for the current session and for
+   * preferences and entities
+   * @param {Object} memory - Memory with `similarity` and `timestamp`
+   * @param {string} sessionId - Current session ID
+   * @returns {number} Relevance score
    */
-  calculateRelevance(query, memory) {
-    // Simple relevance calculation based on text similarity
-    // In a production system, this would use vector similarity or more advanced metrics
-    let score = 0;
-    const queryTerms = query.toLowerCase().split(' ');
-    
-    // Get memory text content
-    const memoryText = memory.text || 
-                      memory.content || 
-                      memory.query || 
-                      JSON.stringify(memory);
-    
-    // Count matching terms
-    queryTerms.forEach(term => {
-      if (memoryText.toLowerCase().includes(term)) {
-        score += 10;
-      }
-    });
-    
-    // Boosting factors
-    
-    // Recency boost (newer = more relevant)
-    const ageInHours = (Date.now() - new Date(memory.timestamp).getTime()) / (1000 * 60 * 60);
-    const recencyScore = Math.max(0, 20 - (ageInHours / 24) * 20); // 20 points reduced to 0 over 24 hours
-    score += recencyScore;
-    
-    // Type-specific boosts
-    switch (memory.type) {
-      case 'entity':
-        score += 15; // Entities are highly relevant
-        break;
-      case 'conversation':
-        if (memory.role === 'user') {
-          score += 10; // User messages slightly more important
-        }
-        break;
-      case 'search':
-        score += 20; // Searches are very relevant
-        break;
-      case 'preference':
-        score += 25; // Preferences are extremely relevant
-        break;
-    }
-    
-    return score;
+  calculateRelevance(memory, sessionId = null) {
+    const ageInHours = Math.max(0, (Date.now() - new Date(memory.timestamp).getTime()) / (1000 * 60 * 60)) || 0;
+    const recency = RECENCY_FLOOR + (1 - RECENCY_FLOOR) * Math.pow(0.5, ageInHours / HALF_LIFE_HOURS);
+    const sessionBoost = sessionId && memory.sessionId === sessionId ? SESSION_BOOST : 1;
+
+    return Math.max(0, memory.similarity || 0) * recency * sessionBoost * (TYPE_WEIGHTS[memory.type] || 1);
   }
-  
+
   /**
    * Rank and limit memories by relevance score
    * @param {Array} memories - Memories to rank
@@ -346,41 +482,24 @@ class MemorySystem {
   rankAndLimitMemories(memories, query, limit) {
     // Sort by relevance score (descending)
     const sortedMemories = memories.sort((a, b) => b.relevanceScore - a.relevanceScore);
-    
+
     // Return top N results
     return sortedMemories.slice(0, limit);
   }
-  
+
   /**
-   * Clean up old short-term memories
+   * Remove expired memories from the store, at most every CLEANUP_INTERVAL_MS
+   * @returns {Promise<number>} Number of memories removed
    */
-  cleanupShortTermMemory() {
-    const currentTime = Date.now();
-    let deletedCount = 0;
-    
-    // Remove expired memories
-    for (const [id, memory] of this.shortTermMemory.entries()) {
-      if (memory.expires < currentTime) {
-        this.shortTermMemory.delete(id);
-        deletedCount++;
-      }
-    }
-    
-    // If still over capacity, remove oldest memories
-    if (this.shortTermMemory.size > this.maxShortTermSize) {
-      const memoriesByAge = Array.from(this.shortTermMemory.entries())
-        .sort((a, b) => a[1].timestamp - b[1].timestamp);
-      
-      const excessCount = this.shortTermMemory.size - this.maxShortTermSize;
-      for (let i = 0; i < excessCount; i++) {
-        this.shortTermMemory.delete(memoriesByAge[i][0]);
-        deletedCount++;
-      }
+  async cleanupExpiredMemories() {
+    if (Date.now() - this.lastCleanup < CLEANUP_INTERVAL_MS) {
+      return 0;
     }
-    
-    return deletedCount;
+
+    this.lastCleanup = Date.now();
+    return this.semanticStore.deleteExpired();
   }
-  
+
   /**
    * Merge entity objects
    * @param {Object} newEntities - New entities to merge
@@ -388,12 +507,12 @@ class MemorySystem {
    */
   mergeEntities(newEntities, existingEntities = {}) {
     const merged = { ...existingEntities };
-    
+
     Object.entries(newEntities).forEach(([type, entities]) => {
       if (!merged[type]) {
         merged[type] = [];
       }
-      
+
       // Add new entities, avoiding duplicates
       entities.forEach(entity => {
         if (!merged[type].includes(entity)) {
@@ -401,28 +520,31 @@ class MemorySystem {
         }
       });
     });
-    
+
     return merged;
   }
-  
+
   /**
    * Get memory system size
    */
   getSize() {
     return {
-      shortTerm: this.shortTermMemory.size,
-      // Could add database stats here
+      store: this.semanticStore.name
     };
   }
-  
+
   /**
-   * Clear short-term memory
+   * Forget the semantic memories of a user, or of a guest session
+   * @param {Object} scope - `userId` and/or `sessionId`
+   * @returns {Promise<number>} Number of memories removed
    */
-  clearShortTermMemory() {
-    const size = this.shortTermMemory.size;
-    this.shortTermMemory.clear();
-    return size;
+  async forget({ userId = null, sessionId = null } = {}) {
+    if (!userId && !sessionId) {
+      return 0;
+    }
+
+    return this.semanticStore.delete({ userId, sessionId });
   }
 }
 
-module.exports = MemorySystem; 
\ No newline at end of file
+module.exports = MemorySystem;
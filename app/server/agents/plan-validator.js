@@ -0,0 +1,146 @@
+// server/agents/plan-validator.js
+
+const { ExecutionGraph } = require('./execution-graph');
+
+// Parameter values filled in from another step's output at run time
+const STEP_REFERENCE = /^\{\{\s*[\w-]+(?:\.[\w-]+)*\s*\}\}$/;
+
+class PlanValidationError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<Object>} errors - Problems `{ stepId, tool, path, code, message }`
+   * @param {Object} plan - The plan that was rejected
+   */
+  constructor(message, errors = [], plan = null) {
+    super(message);
+    this.name = 'PlanValidationError';
+    this.code = 'ERR_INVALID_PLAN';
+    this.errors = errors;
+    this.plan = plan;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, errors: this.errors };
+  }
+}
+
+// Schema keywords that map onto the plan error codes the planner reports
+const ERROR_CODES = {
+  required: 'missing_parameter',
+  type: 'invalid_type',
+  additionalProperties: 'unknown_parameter'
+};
+
+/**
+ * Read the value a JSON pointer refers to
+ * @param {*} value - Root value
+ * @param {string} pointer - e.g. '/filters/price'
+ * @returns {*} Value, or undefined
+ */
+const getPointer = (value, pointer) => pointer.split('/').slice(1)
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+
+/**
+ * Checks planner output against the tools that are actually registered
+ */
+class PlanValidator {
+  /**
+   * @param {Object} toolManager - ToolManager whose registry plans are checked against
+   */
+  constructor(toolManager) {
+    this.toolManager = toolManager;
+  }
+
+  /**
+   * Check a step's parameters against its tool's parameter schema
+   * @param {Object} step - Plan step with an id
+   * @returns {Array<Object>} Problems found
+   */
+  validateParameters(step) {
+    const parameters = step.parameters === undefined ? {} : step.parameters;
+    const { errors } = this.toolManager.checkParameters(step.tool, parameters);
+
+    return errors
+      // References to other steps are only known once those steps have run
+      .filter(error => {
+        const value = getPointer(parameters, error.pointer);
+        return !(error.keyword !== 'required' && typeof value === 'string' && STEP_REFERENCE.test(value));
+      })
+      .map(error => ({
+        stepId: step.id,
+        tool: step.tool,
+        path: error.path,
+        code: ERROR_CODES[error.keyword] || 'invalid_value',
+        message: error.message
+      }));
+  }
+
+  /**
+   * Validate a plan before it is executed
+   * @param {Object} plan - Plan with `steps`
+   * @returns {Object} `{ valid, errors }`
+   */
+  validate(plan) {
+    const steps = plan && plan.steps;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return {
+        valid: false,
+        errors: [{ stepId: null, tool: null, path: 'steps', code: 'empty_plan', message: 'Plan has no steps' }]
+      };
+    }
+
+    const registered = new Set(this.toolManager.getRegisteredTools());
+    const errors = [];
+
+    steps.forEach((step, index) => {
+      const stepId = step.id || `step_${index + 1}`;
+
+      if (!step.tool || !registered.has(step.tool)) {
+        errors.push({
+          stepId,
+          tool: step.tool || null,
+          path: `steps[${index}].tool`,
+          code: 'unknown_tool',
+          message: step.tool ? `Unknown tool: ${step.tool}` : 'Step has no tool'
+        });
+        return;
+      }
+
+      errors.push(...this.validateParameters({ ...step, id: stepId }));
+    });
+
+    try {
+      new ExecutionGraph(steps);
+    } catch (error) {
+      errors.push({ stepId: (error.details && error.details.stepId) || null, tool: null, path: 'steps', code: 'invalid_graph', message: error.message });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Describe the registered tools for the planner prompt
+   * @returns {string} One line per tool with its parameters and description
+   */
+  describeTools() {
+    return this.toolManager.getRegisteredTools().map(name => {
+      const schema = this.toolManager.getToolSchema(name);
+      const properties = (schema && schema.properties) || {};
+      const required = new Set((schema && schema.required) || []);
+      const parameters = Object.entries(properties)
+        .map(([param, propertySchema]) => `${param}${required.has(param) ? '' : '?'}: ${[].concat(propertySchema.type || 'any').join('|')}`)
+        .join(', ');
+
+      const description = this.toolManager.getToolDescription(name);
+
+      return `- ${name}(${parameters})${description ? `: ${description}` : ''}`;
+    }).join('\n');
+  }
+}
+
+module.exports = {
+  PlanValidator,
+  PlanValidationError
+};
@@ -1,10 +1,55 @@
+const { normalizeStep } = require('./execution-graph');
+const { PlanValidator, PlanValidationError } = require('./plan-validator');
+
+// Times the LLM gets to fix a plan that failed validation
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+// With native tool calling the plan comes back as the arguments of this tool instead of JSON in text
+const SUBMIT_PLAN_TOOL = {
+  name: 'submit_plan',
+  description: 'Submit the execution plan for the user query',
+  parameters: {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'tool'],
+          properties: {
+            id: { type: 'string' },
+            description: { type: 'string' },
+            tool: { type: 'string' },
+            parameters: { type: 'object' },
+            depends_on: { type: 'array', items: { type: 'string' } },
+            expected_output: { type: 'string' },
+            error_handling: { type: 'string' }
+          }
+        }
+      },
+      resources: { type: 'array', items: { type: 'string' } },
+      expectations: { type: 'string' }
+    }
+  }
+};
+
 /**
  * Planner Agent for decomposing user queries into actionable steps
  */
 class PlannerAgent {
-  constructor(llmProvider, memorySystem) {
+  /**
+   * @param {Object} llmProvider - LLM provider
+   * @param {Object} memorySystem - Memory system for relevant memories
+   * @param {Object} options - Options
+   * @param {Object} options.toolManager - Registry plans are validated against; without it plans aren't validated
+   * @param {number} options.maxRepairAttempts - Repair rounds before an invalid plan is rejected
+   */
+  constructor(llmProvider, memorySystem, { toolManager = null, maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS } = {}) {
     this.llmProvider = llmProvider;
     this.memorySystem = memorySystem;
+    this.validator = toolManager ? new PlanValidator(toolManager) : null;
+    this.maxRepairAttempts = maxRepairAttempts;
     this.isInitialized = false;
   }
   
@@ -26,23 +71,27 @@ class PlannerAgent {
    * @param {string} query - User's query
    * @param {Object} context - Additional context (user preferences, history)
    * @returns {Object} A structured plan
+   * @throws {PlanValidationError} When the plan is still invalid after the repair attempts
    */
   async createPlan(query, context = {}) {
     try {
-      // Get relevant memories
-      const memories = await this.memorySystem.retrieve(query);
+      // Get relevant memories of this user, or of this session for guests
+      const memories = await this.memorySystem.retrieve(query, {
+        userId: context.userId,
+        sessionId: context.sessionId
+      });
       
       // Create planning prompt
       const planningPrompt = this.createPlanningPrompt(query, context, memories);
       
       // Generate plan using LLM
-      const planRaw = await this.llmProvider.generateResponse(planningPrompt, {
+      const planRaw = await this.requestPlan(planningPrompt, {
         temperature: 0.2,
         max_tokens: 1500
       });
       
-      // Parse the plan
-      const plan = this.parsePlan(planRaw);
+      // Parse the plan, letting the LLM repair it if it doesn't fit the tool registry
+      const plan = await this.validatePlan(this.parsePlan(planRaw, query), query);
       
       return {
         query,
@@ -58,6 +107,133 @@ class PlannerAgent {
     }
   }
   
+  /**
+   * Ask the LLM for a plan, through the submit_plan tool when the provider supports tool calling,
+   * else as schema-checked JSON
+   * @param {string} prompt - Planning or repair prompt
+   * @param {Object} options - LLM options
+   * @returns {Promise<Object|string>} Plan object from the tool call, or the raw reply to parse
+   */
+  async requestPlan(prompt, options) {
+    if (typeof this.llmProvider.generateWithTools === 'function') {
+      try {
+        const { content, toolCalls } = await this.llmProvider.generateWithTools(prompt, [SUBMIT_PLAN_TOOL], {
+          ...options,
+          toolChoice: { name: SUBMIT_PLAN_TOOL.name }
+        });
+        const call = toolCalls.find(toolCall => toolCall.name === SUBMIT_PLAN_TOOL.name && toolCall.arguments);
+        
+        if (call) {
+          return call.arguments;
+        }
+        if (content) {
+          return content;
+        }
+      } catch (error) {
+        // Over quota, every other way of asking fails the same way
+        if (error.code === 'ERR_LLM_QUOTA_EXCEEDED') {
+          throw error;
+        }
+        console.warn('Tool calling failed, asking for the plan as JSON:', error.message);
+      }
+    }
+    
+    if (typeof this.llmProvider.generateStructured === 'function') {
+      try {
+        return await this.llmProvider.generateStructured(prompt, SUBMIT_PLAN_TOOL.parameters, { ...options, schemaName: 'plan' });
+      } catch (error) {
+        if (error.code === 'ERR_LLM_QUOTA_EXCEEDED') {
+          throw error;
+        }
+        // The fallback plan takes over in parsePlan
+        console.warn('Structured plan generation failed:', error.message);
+        return error.raw || '';
+      }
+    }
+    
+    return this.llmProvider.generateResponse(prompt, options);
+  }
+  
+  /**
+   * Validate a plan, sending the problems back to the LLM until it is valid
+   * @param {Object} plan - Parsed plan
+   * @param {string} query - User's query
+   * @returns {Promise<Object>} Valid plan
+   * @throws {PlanValidationError} When the repair attempts run out
+   */
+  async validatePlan(plan, query) {
+    if (!this.validator) {
+      return plan;
+    }
+    
+    let current = plan;
+    let { valid, errors } = this.validator.validate(current);
+    
+    for (let attempt = 1; !valid && attempt <= this.maxRepairAttempts; attempt++) {
+      console.warn(`Plan failed validation, repair attempt ${attempt}/${this.maxRepairAttempts}:`, errors.map(error => error.message));
+      
+      const repairedRaw = await this.requestPlan(this.createRepairPrompt(query, current, errors), {
+        temperature: 0,
+        max_tokens: 1500
+      });
+      current = this.parsePlan(repairedRaw, query);
+      ({ valid, errors } = this.validator.validate(current));
+    }
+    
+    if (!valid) {
+      throw new PlanValidationError(
+        `Plan is invalid after ${this.maxRepairAttempts} repair attempts: ${errors.map(error => error.message).join('; ')}`,
+        errors,
+        current
+      );
+    }
+    
+    return current;
+  }
+  
+  /**
+   * Create the prompt asking the LLM to fix an invalid plan
+   */
+  createRepairPrompt(query, plan, errors) {
+    return `
+TASK: The execution plan below for a hotel loyalty query is invalid. Return a corrected plan.
+
+## USER QUERY:
+${query}
+
+## PLAN:
+${JSON.stringify({ steps: plan.steps, resources: plan.resources, expectations: plan.expectations }, null, 2)}
+
+## VALIDATION ERRORS:
+${errors.map(error => `- ${error.stepId ? `${error.stepId}: ` : ''}${error.message}`).join('\n')}
+
+## AVAILABLE TOOLS:
+${this.validator.describeTools()}
+${this.describeToolSchemas(errors)}
+## INSTRUCTIONS:
+1. Only use the available tools, with the parameters they accept
+2. Keep the steps that are already valid
+3. Reply with the whole corrected plan in the same JSON format and nothing else
+`;
+  }
+  
+  /**
+   * Full parameter schemas of the tools a plan got wrong, for the repair prompt
+   */
+  describeToolSchemas(errors) {
+    const tools = [...new Set(errors.map(error => error.tool))]
+      .filter(tool => tool && this.validator.toolManager.getToolSchema(tool));
+    
+    if (tools.length === 0) {
+      return '';
+    }
+    
+    return `
+## PARAMETER SCHEMAS:
+${tools.map(tool => `${tool}: ${JSON.stringify(this.validator.toolManager.getToolSchema(tool))}`).join('\n')}
+`;
+  }
+  
   /**
    * Create planning prompt
    */
@@ -79,16 +255,24 @@ ${userHistory.map(h => `- ${h}`).join('\n')}
 
 ## RELEVANT MEMORIES:
 ${memories.map(m => `- ${m.text} (${m.timestamp})`).join('\n')}
-
+${this.validator ? `
+## AVAILABLE TOOLS (parameters marked ? are optional):
+${this.validator.describeTools()}
+` : ''}
 ## INSTRUCTIONS:
 1. Break down the query into a series of executable steps
 2. For each step, specify:
    - Tool to use
    - Required parameters
    - Expected output
+   - Ids of the steps whose output it needs ("depends_on")
 3. Identify relevant hotel loyalty programs to search
 4. Consider user preferences and history
 5. Include error handling steps
+6. Steps that don't need each other's output (e.g. searches across different
+   loyalty programs) must not depend on each other, so they can run in parallel
+7. A parameter can use an earlier step's output as "{{step_id.result}}"; that
+   step must be listed in "depends_on"
 
 ## OUTPUT FORMAT:
 Provide your plan in the following JSON format:
@@ -99,6 +283,7 @@ Provide your plan in the following JSON format:
       "description": "Step description",
       "tool": "tool_name",
       "parameters": {"param1": "value1"},
+      "depends_on": [],
       "expected_output": "Description of expected output",
       "error_handling": "What to do if this step fails"
     }
@@ -111,23 +296,34 @@ Provide your plan in the following JSON format:
   
   /**
    * Parse the plan from LLM output
+   * @param {string|Object} planRaw - LLM output, or the plan already parsed from a tool call
+   * @param {string} query - User's query, for the fallback plan
    */
-  parsePlan(planRaw) {
+  parsePlan(planRaw, query) {
     try {
-      // Find JSON in the response
-      const jsonMatch = planRaw.match(/```json\n([\s\S]*?)\n```/) || 
-                        planRaw.match(/{[\s\S]*}/);
-                        
-      const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : planRaw;
+      let plan;
       
-      // Parse the JSON
-      const plan = JSON.parse(jsonString);
+      if (planRaw && typeof planRaw === 'object') {
+        plan = { ...planRaw };
+      } else {
+        // Find JSON in the response
+        const jsonMatch = planRaw.match(/```json\n([\s\S]*?)\n```/) || 
+                          planRaw.match(/{[\s\S]*}/);
+                          
+        const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : planRaw;
+        
+        // Parse the JSON
+        plan = JSON.parse(jsonString);
+      }
       
       // Validate the plan has required components
       if (!plan.steps || !Array.isArray(plan.steps)) {
         plan.steps = [];
       }
       
+      // Every step gets an id and a `depends_on` list for the execution graph
+      plan.steps = plan.steps.map(normalizeStep);
+      
       if (!plan.resources || !Array.isArray(plan.resources)) {
         plan.resources = [];
       }
@@ -147,6 +343,7 @@ Provide your plan in the following JSON format:
             description: "Directly search for hotels based on user query",
             tool: "search_hotels",
             parameters: { query: query },
+            depends_on: [],
             expected_output: "List of relevant hotels",
             error_handling: "Return apologetic message to user"
           }
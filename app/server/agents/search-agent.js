@@ -1,9 +1,63 @@
 /**
  * Search Agent for handling hotel searches
  */
-const logger = require('../services/logging-service').getLogger('search-agent');
+// Child logger for the structured logError helper used on failures
+const logger = require('../services/logging-service').createChildLogger('search-agent');
 const { metrics } = require('../routes/health');
 const SearchSources = require('../config/search-sources');
+const {
+  sourceHealthService,
+  CircuitOpenError,
+  SourceTimeoutError
+} = require('../services/source-health-service');
+const { HotelEntityResolver } = require('../services/hotel-entity-resolver');
+const { redemptionValuationService, BASELINE_CURRENCY } = require('../services/redemption-valuation-service');
+const { currencyService } = require('../services/currency-service');
+const { queryUnderstandingService } = require('../services/query-understanding-service');
+
+// Search service method and log label for each source type
+const SOURCE_SEARCH_METHODS = {
+  loyalty: { method: 'searchLoyaltyProgram', label: 'Loyalty program' },
+  web: { method: 'searchWebProvider', label: 'Web provider' },
+  aggregator: { method: 'searchAggregator', label: 'Aggregator' },
+  direct: { method: 'searchDirectBooking', label: 'Direct booking' }
+};
+
+// Shape of the parameters the LLM extracts from a search query
+const SEARCH_PARAMETERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    location: { type: ['string', 'null'] },
+    dates: {
+      type: 'object',
+      properties: {
+        checkIn: { type: ['string', 'null'] },
+        checkOut: { type: ['string', 'null'] }
+      }
+    },
+    guests: { type: ['integer', 'null'], minimum: 1 },
+    rooms: { type: ['integer', 'null'], minimum: 1 },
+    filters: {
+      type: 'object',
+      properties: {
+        priceMin: { type: ['number', 'null'] },
+        priceMax: { type: ['number', 'null'] },
+        amenities: { type: 'array', items: { type: 'string' } },
+        stars: { type: ['number', 'null'] },
+        hotelChains: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    loyaltyPrograms: { type: 'array', items: { type: 'string' } },
+    specialRequirements: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * Drop null, undefined and empty string values so they don't overwrite others when spread
+ */
+const withoutEmpty = (object = {}) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
 
 class SearchAgent {
   constructor(llmProvider, searchService) {
@@ -24,7 +78,9 @@ class SearchAgent {
       searchSuccess: 0,
       searchErrors: 0,
       llmErrors: 0,
-      serviceErrors: 0
+      serviceErrors: 0,
+      parsedQueries: 0,
+      llmParseFallbacks: 0
     };
     
     // Safe metrics helper - prevents errors when metrics aren't available
@@ -83,8 +139,13 @@ class SearchAgent {
         throw new Error('Search service is not available');
       }
       
-      // Verify search service has required methods
-      const requiredMethods = ['search', 'getHotelReviews'];
+      // Verify search service has required methods, including the source search for every type
+      const requiredMethods = [
+        'search',
+        'getHotelReviews',
+        'getEnabledSources',
+        ...Object.values(SOURCE_SEARCH_METHODS).map(({ method }) => method)
+      ];
       for (const method of requiredMethods) {
         if (typeof this.searchService[method] !== 'function') {
           throw new Error(`Search service is missing required method: ${method}`);
@@ -103,154 +164,36 @@ class SearchAgent {
    * Search for hotels based on user query
    * @param {string} query - User's search query
    * @param {Object} filters - Optional search filters
-   * @returns {Object} Search results
+   * @param {Object} options - Search options
+   * @param {boolean} options.requireSlots - Don't search when location or dates are missing
+   * @param {boolean} options.summarize - Add an LLM summary of the ranked results
+   * @returns {Object} Search results, or a clarification result when slots are missing
    */
-  async searchHotels(query, filters = {}) {
+  async searchHotels(query, filters = {}, options = {}) {
     const searchId = `search_${Date.now()}`;
     const startTime = Date.now();
     
     try {
-      this.logger.info('Starting hotel search', {
-        searchId,
-        query,
-        filters: JSON.stringify(filters)
-      });
-
-      if (!this.isInitialized) {
-        this.logger.warn('Search agent not initialized, attempting to initialize', { searchId });
-        await this.initialize();
-      }
-
-      // Get enabled search sources
-      const sources = await this.searchService.getEnabledSources();
-      
-      this.logger.debug('Enabled search sources', {
-        searchId,
-        loyaltyCount: sources.loyalty.length,
-        webCount: sources.web.length,
-        aggregatorCount: sources.aggregators.length,
-        directCount: sources.direct.length
-      });
-
-      // Parse search parameters
-      const searchParams = await this.parseSearchQuery(query, filters);
+      const { sources, searchParams } = await this.prepareSearch(searchId, query, filters);
       
-      this.logger.debug('Parsed search parameters', {
-        searchId,
-        params: JSON.stringify(searchParams)
-      });
-
-      // Execute parallel searches across all sources
-      const searchPromises = [
-        // Search loyalty programs
-        ...sources.loyalty.map(source => 
-          this.searchService.searchLoyaltyProgram(source.key, searchParams)
-            .then(result => {
-              this.logger.debug(`Loyalty program search completed: ${source.name}`, {
-                searchId,
-                source: source.name,
-                resultCount: result.hotels?.length || 0
-              });
-              return { type: 'loyalty', source: source.name, hotels: result.hotels || [] };
-            })
-            .catch(error => {
-              this.logger.error(`Error searching loyalty program ${source.name}`, {
-                searchId,
-                source: source.name,
-                error: error.message,
-                stack: error.stack
-              });
-              return { type: 'loyalty', source: source.name, hotels: [] };
-            })
-        ),
-        
-        // Search web providers
-        ...sources.web.map(source =>
-          this.searchService.searchWebProvider(source.key, searchParams)
-            .then(result => {
-              this.logger.debug(`Web provider search completed: ${source.name}`, {
-                searchId,
-                source: source.name,
-                resultCount: result.hotels?.length || 0
-              });
-              return { type: 'web', source: source.name, hotels: result.hotels || [] };
-            })
-            .catch(error => {
-              this.logger.error(`Error searching web provider ${source.name}`, {
-                searchId,
-                source: source.name,
-                error: error.message,
-                stack: error.stack
-              });
-              return { type: 'web', source: source.name, hotels: [] };
-            })
-        ),
-        
-        // Search aggregators
-        ...sources.aggregators.map(source =>
-          this.searchService.searchAggregator(source.key, searchParams)
-            .then(result => {
-              this.logger.debug(`Aggregator search completed: ${source.name}`, {
-                searchId,
-                source: source.name,
-                resultCount: result.hotels?.length || 0
-              });
-              return { type: 'aggregator', source: source.name, hotels: result.hotels || [] };
-            })
-            .catch(error => {
-              this.logger.error(`Error searching aggregator ${source.name}`, {
-                searchId,
-                source: source.name,
-                error: error.message,
-                stack: error.stack
-              });
-              return { type: 'aggregator', source: source.name, hotels: [] };
-            })
-        ),
-        
-        // Search direct booking sites
-        ...sources.direct.map(source =>
-          this.searchService.searchDirectBooking(source.key, searchParams)
-            .then(result => {
-              this.logger.debug(`Direct booking search completed: ${source.name}`, {
-                searchId,
-                source: source.name,
-                resultCount: result.hotels?.length || 0
-              });
-              return { type: 'direct', source: source.name, hotels: result.hotels || [] };
-            })
-            .catch(error => {
-              this.logger.error(`Error searching direct booking ${source.name}`, {
-                searchId,
-                source: source.name,
-                error: error.message,
-                stack: error.stack
-              });
-              return { type: 'direct', source: source.name, hotels: [] };
-            })
-        )
-      ];
+      if (options.requireSlots && searchParams.missing.length > 0) {
+        return this.createClarificationResult(searchId, query, searchParams);
+      }
 
-      // Wait for all searches to complete
-      const searchResults = await Promise.all(searchPromises);
+      // Execute parallel searches across all sources and wait for all of them
+      const searchResults = await Promise.all(
+        this.createSourceSearches(sources, searchParams, searchId)
+      );
 
-      // Combine and deduplicate results
-      const allHotels = [];
-      const seenHotels = new Set();
+      // Combine results, merging records that describe the same hotel
+      const resolver = new HotelEntityResolver();
 
       for (const result of searchResults) {
-        for (const hotel of result.hotels) {
-          const hotelKey = `${hotel.name}|${hotel.location}`.toLowerCase();
-          if (!seenHotels.has(hotelKey)) {
-            seenHotels.add(hotelKey);
-            allHotels.push({
-              ...hotel,
-              source: result.source,
-              type: result.type
-            });
-          }
-        }
+        this.mergeSourceResult(result, resolver);
       }
+      
+      const allHotels = await this.prepareMergedHotels(resolver, searchParams);
+      const summary = options.summarize ? await this.summarizeResults(allHotels, searchParams) : undefined;
 
       const duration = Date.now() - startTime;
       
@@ -258,10 +201,7 @@ class SearchAgent {
         searchId,
         duration,
         totalResults: allHotels.length,
-        sourceBreakdown: searchResults.reduce((acc, result) => {
-          acc[`${result.type}_${result.source}`] = result.hotels.length;
-          return acc;
-        }, {})
+        sourceBreakdown: this.getSourceBreakdown(searchResults)
       });
 
       return {
@@ -269,7 +209,8 @@ class SearchAgent {
         query,
         parameters: searchParams,
         results: allHotels,
-        sources: searchResults.map(r => ({ type: r.type, source: r.source })),
+        summary,
+        sources: searchResults.map(r => ({ type: r.type, source: r.source, status: r.status })),
         timing: {
           duration,
           timestamp: new Date()
@@ -292,6 +233,393 @@ class SearchAgent {
     }
   }
   
+  /**
+   * Search for hotels, yielding results per source as each one settles
+   * 
+   * Yields `{ type: 'partial', data }` once per source with the running
+   * deduplicated and ranked hotel list, then a single `{ type: 'complete', data }`
+   * carrying the same shape as `searchHotels` plus a source breakdown. With
+   * `requireSlots`, a query missing location or dates yields a single
+   * `{ type: 'clarification', data }` instead.
+   * @param {string} query - User's search query
+   * @param {Object} filters - Optional search filters
+   * @param {Object} options - Search options, as for `searchHotels`
+   */
+  async *streamSearchHotels(query, filters = {}, options = {}) {
+    const searchId = `search_${Date.now()}`;
+    const startTime = Date.now();
+    
+    try {
+      const { sources, searchParams } = await this.prepareSearch(searchId, query, filters);
+      
+      if (options.requireSlots && searchParams.missing.length > 0) {
+        yield { type: 'clarification', data: this.createClarificationResult(searchId, query, searchParams) };
+        return;
+      }
+      
+      // Key each pending search by index so the settled one can be removed
+      const pending = new Map(
+        this.createSourceSearches(sources, searchParams, searchId)
+          .map((promise, index) => [index, promise.then(result => ({ index, result }))])
+      );
+      const totalSources = pending.size;
+      
+      const resolver = new HotelEntityResolver();
+      const searchResults = [];
+      
+      while (pending.size > 0) {
+        const { index, result } = await Promise.race(pending.values());
+        pending.delete(index);
+        searchResults.push(result);
+        
+        const newIds = new Set(this.mergeSourceResult(result, resolver).map(hotel => hotel.id));
+        const hotels = await this.prepareMergedHotels(resolver, searchParams);
+        
+        yield {
+          type: 'partial',
+          data: {
+            searchId,
+            query,
+            source: { type: result.type, source: result.source, status: result.status, count: result.hotels.length },
+            newResults: hotels.filter(hotel => newIds.has(hotel.id)),
+            results: hotels,
+            completedSources: searchResults.length,
+            totalSources,
+            elapsed: Date.now() - startTime
+          }
+        };
+      }
+      
+      const allHotels = await this.prepareMergedHotels(resolver, searchParams);
+      const summary = options.summarize ? await this.summarizeResults(allHotels, searchParams) : undefined;
+      const duration = Date.now() - startTime;
+      const sourceBreakdown = this.getSourceBreakdown(searchResults);
+      
+      this.logger.info('Streamed search completed successfully', {
+        searchId,
+        duration,
+        totalResults: allHotels.length,
+        sourceBreakdown
+      });
+      
+      yield {
+        type: 'complete',
+        data: {
+          searchId,
+          query,
+          parameters: searchParams,
+          results: allHotels,
+          summary,
+          sources: searchResults.map(r => ({ type: r.type, source: r.source, status: r.status, count: r.hotels.length })),
+          sourceBreakdown,
+          timing: {
+            duration,
+            timestamp: new Date()
+          }
+        }
+      };
+    } catch (error) {
+      this.logger.error('Streamed search failed', {
+        searchId,
+        duration: Date.now() - startTime,
+        error: error.message,
+        stack: error.stack,
+        query,
+        filters: JSON.stringify(filters)
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Resolve enabled sources and parse the query before fanning out
+   * @param {string} searchId - Search identifier for logging
+   * @param {string} query - User's search query
+   * @param {Object} filters - Optional search filters
+   * @returns {Object} Enabled sources and parsed search parameters
+   */
+  async prepareSearch(searchId, query, filters) {
+    this.logger.info('Starting hotel search', {
+      searchId,
+      query,
+      filters: JSON.stringify(filters)
+    });
+
+    if (!this.isInitialized) {
+      this.logger.warn('Search agent not initialized, attempting to initialize', { searchId });
+      await this.initialize();
+    }
+
+    // Get enabled search sources
+    const sources = await this.searchService.getEnabledSources();
+    
+    this.logger.debug('Enabled search sources', {
+      searchId,
+      loyaltyCount: sources.loyalty.length,
+      webCount: sources.web.length,
+      aggregatorCount: sources.aggregators.length,
+      directCount: sources.direct.length
+    });
+
+    // Parse search parameters
+    const searchParams = await this.parseSearchQuery(query, filters);
+    
+    this.logger.debug('Parsed search parameters', {
+      searchId,
+      params: JSON.stringify(searchParams)
+    });
+    
+    return { sources, searchParams };
+  }
+  
+  /**
+   * Result for a search held back until the user fills in missing slots
+   * @param {string} searchId - Search identifier
+   * @param {string} query - User's search query
+   * @param {Object} searchParams - Parsed search parameters
+   * @returns {Object} Empty search result listing the missing slots
+   */
+  createClarificationResult(searchId, query, searchParams) {
+    this.logger.info('Search needs clarification', {
+      searchId,
+      missing: searchParams.missing
+    });
+    
+    return {
+      searchId,
+      query,
+      parameters: searchParams,
+      needsClarification: true,
+      missing: searchParams.missing,
+      results: [],
+      sources: []
+    };
+  }
+  
+  /**
+   * Start a search against every enabled source
+   * @param {Object} sources - Enabled sources grouped by type
+   * @param {Object} searchParams - Parsed search parameters
+   * @param {string} searchId - Search identifier for logging
+   * @returns {Array<Promise>} One promise per source, each resolving to `{ type, source, hotels }`
+   */
+  createSourceSearches(sources, searchParams, searchId) {
+    return [
+      ...sources.loyalty.map(source => this.searchSource('loyalty', source, searchParams, searchId)),
+      ...sources.web.map(source => this.searchSource('web', source, searchParams, searchId)),
+      ...sources.aggregators.map(source => this.searchSource('aggregator', source, searchParams, searchId)),
+      ...sources.direct.map(source => this.searchSource('direct', source, searchParams, searchId))
+    ];
+  }
+  
+  /**
+   * Search a single source under its timeout budget and circuit breaker.
+   * Errors are logged and resolve to an empty result.
+   * @param {string} type - Source type (loyalty, web, aggregator, direct)
+   * @param {Object} source - Source configuration
+   * @param {Object} searchParams - Parsed search parameters
+   * @param {string} searchId - Search identifier for logging
+   * @returns {Promise<Object>} `{ type, source, hotels, status }`
+   */
+  searchSource(type, source, searchParams, searchId) {
+    const { method, label } = SOURCE_SEARCH_METHODS[type];
+    const sourceId = `${type}:${source.key}`;
+    
+    return sourceHealthService.execute(
+      sourceId,
+      () => this.searchService[method](source.key, searchParams),
+      { timeout: source.timeout }
+    )
+      .then(result => {
+        this.logger.debug(`${label} search completed: ${source.name}`, {
+          searchId,
+          source: source.name,
+          resultCount: result.hotels?.length || 0
+        });
+        return { type, source: source.name, hotels: result.hotels || [], status: 'ok' };
+      })
+      .catch(error => {
+        if (error instanceof CircuitOpenError) {
+          this.logger.warn(`Skipping ${label.toLowerCase()} ${source.name}, circuit open`, {
+            searchId,
+            source: source.name,
+            retryAt: error.retryAt
+          });
+          return { type, source: source.name, hotels: [], status: 'skipped' };
+        }
+        
+        this.logger.error(`Error searching ${label.toLowerCase()} ${source.name}`, {
+          searchId,
+          source: source.name,
+          error: error.message,
+          stack: error.stack
+        });
+        return {
+          type,
+          source: source.name,
+          hotels: [],
+          status: error instanceof SourceTimeoutError ? 'timeout' : 'error'
+        };
+      });
+  }
+  
+  /**
+   * Merge one source's hotels into the resolver, folding records for the
+   * same property into one canonical hotel with an offer per source
+   * @param {Object} result - Source result `{ type, source, hotels }`
+   * @param {HotelEntityResolver} resolver - Resolver holding the combined hotels (mutated)
+   * @returns {Array} Canonical hotels that were newly added
+   */
+  mergeSourceResult(result, resolver) {
+    return resolver.addAll(result)
+      .filter(match => match.isNew)
+      .map(match => match.hotel);
+  }
+  
+  /**
+   * Count results per source
+   * @param {Array} searchResults - Source results `{ type, source, hotels }`
+   * @returns {Object} Map of `${type}_${source}` to hotel count
+   */
+  getSourceBreakdown(searchResults) {
+    return searchResults.reduce((acc, result) => {
+      acc[`${result.type}_${result.source}`] = result.hotels.length;
+      return acc;
+    }, {});
+  }
+  
+  
+  /**
+   * Convert merged hotels to the display currency, rank them and value the
+   * points option of each one
+   * @param {HotelEntityResolver} resolver - Resolver holding the merged hotels
+   * @param {Object} searchParams - Search parameters
+   * @returns {Promise<Array>} Ranked hotels, each with a `redemption` valuation or null
+   */
+  async prepareMergedHotels(resolver, searchParams) {
+    const hotels = await currencyService.normalizeHotels(resolver.getHotels(), searchParams.displayCurrency);
+    const rates = await currencyService.getRates();
+    
+    return this.rankResults(hotels, searchParams)
+      .map(hotel => ({ ...hotel, redemption: this.valueRedemption(hotel, rates) }));
+  }
+  
+  /**
+   * Value a hotel's points option against its cash rate
+   * 
+   * Program baselines are in US cents per point, so the cash rate is taken as
+   * quoted by the source and converted to US dollars before valuing.
+   * @param {Object} hotel - Normalized hotel
+   * @param {Object} rates - Rates from `currencyService.getRates`
+   * @returns {Object|null} Valuation, or null when the hotel can't be valued
+   */
+  valueRedemption(hotel, rates) {
+    const cashPrice = hotel.originalPrice ?? hotel.price;
+    
+    if (typeof cashPrice !== 'number') {
+      return null;
+    }
+    
+    try {
+      return redemptionValuationService.evaluateHotel({
+        ...hotel,
+        price: currencyService.convertWithRates(cashPrice, hotel.originalCurrency || hotel.currency, BASELINE_CURRENCY, rates),
+        currency: BASELINE_CURRENCY
+      });
+    } catch (error) {
+      // No rate for the quoted currency
+      this.logger.debug('Could not value redemption', { hotel: hotel.name, error: error.message });
+      return null;
+    }
+  }
+  
+  /**
+   * Summarize ranked results, leaving the summary out if the LLM fails
+   * @param {Array} hotels - Ranked hotel results
+   * @param {Object} searchParams - Search parameters
+   * @returns {Promise<string|null>} Search summary
+   */
+  async summarizeResults(hotels, searchParams) {
+    try {
+      return await this.generateSearchSummary(hotels, searchParams);
+    } catch (error) {
+      this.logger.warn('Search summary failed', { error: error.message });
+      return null;
+    }
+  }
+  /**
+   * Parse a search query into the parameters passed to each source
+   * 
+   * The query understanding parser handles most queries on its own. The LLM
+   * is only asked when the parser isn't confident, and even then the dates
+   * and place the parser did resolve win over the LLM's.
+   * @param {string} query - User's search query
+   * @param {Object} filters - Filters explicitly provided by the caller
+   * @returns {Object} Structured search parameters
+   */
+  async parseSearchQuery(query, filters = {}) {
+    const parsed = queryUnderstandingService.parse(query, { dateFormat: filters.dateFormat });
+    this.diagnostics.parsedQueries++;
+    
+    if (queryUnderstandingService.isConfident(parsed) || !this.llmProvider) {
+      return this.mergeSearchParameters(parsed, filters);
+    }
+    
+    this.logger.info('Low confidence query parse, falling back to LLM extraction', {
+      query,
+      confidence: parsed.confidence
+    });
+    this.diagnostics.llmParseFallbacks++;
+    
+    const extracted = await this.extractSearchParameters(query);
+    if (extracted.error) {
+      // The LLM failed too; the parser's partial result is the best we have
+      return this.mergeSearchParameters(parsed, filters);
+    }
+    
+    return this.mergeSearchParameters({
+      ...parsed,
+      ...withoutEmpty(extracted),
+      ...(parsed.geo ? { location: parsed.location, geo: parsed.geo } : {}),
+      dates: parsed.dates.checkIn ? parsed.dates : { ...parsed.dates, ...withoutEmpty(extracted.dates) },
+      filters: { ...parsed.filters, ...withoutEmpty(extracted.filters) },
+      confidence: parsed.confidence,
+      parsedBy: 'llm'
+    }, filters);
+  }
+  
+  /**
+   * Apply the caller's explicit filters over parsed parameters
+   * 
+   * Explicit values win, but empty ones don't erase what was parsed and
+   * loyalty programs from both are kept.
+   * @param {Object} params - Parsed search parameters
+   * @param {Object} explicitFilters - Filters explicitly provided by the caller
+   * @returns {Object} Merged search parameters
+   */
+  mergeSearchParameters(params, explicitFilters = {}) {
+    const { filters: explicitNested, loyaltyPrograms = [], ...explicit } = explicitFilters;
+    const merged = {
+      ...params,
+      ...withoutEmpty(explicit),
+      filters: {
+        ...(params.filters || {}),
+        ...(explicitNested || {})
+      },
+      loyaltyPrograms: [...new Set([...(params.loyaltyPrograms || []), ...loyaltyPrograms])]
+    };
+    
+    const dates = merged.dates || {};
+    merged.missing = [
+      ...(merged.location ? [] : ['location']),
+      ...((dates.checkIn || merged.checkIn) && (dates.checkOut || merged.checkOut) ? [] : ['dates'])
+    ];
+    
+    this.diagnostics.lastSearchParams = merged;
+    return merged;
+  }
+  
   /**
    * Extract structured search parameters from natural language query
    * @param {string} query - User's natural language query
@@ -364,10 +692,18 @@ Only include fields where you have extracted specific information from the query
       // Record LLM start time for metrics
       const llmStart = process.hrtime();
       
-      const response = await this.llmProvider.generateResponse(prompt, {
-        temperature: 0.2,
-        max_tokens: 800
-      });
+      // Schema-checked JSON with re-prompts where the provider supports it; a
+      // response that never matches throws and is handled below
+      const response = typeof this.llmProvider.generateStructured === 'function'
+        ? await this.llmProvider.generateStructured(prompt, SEARCH_PARAMETERS_SCHEMA, {
+          temperature: 0.2,
+          max_tokens: 800,
+          schemaName: 'search_parameters'
+        })
+        : await this.llmProvider.generateResponse(prompt, {
+          temperature: 0.2,
+          max_tokens: 800
+        });
       
       // Calculate LLM latency
       const [seconds, nanoseconds] = process.hrtime(llmStart);
@@ -375,26 +711,30 @@ Only include fields where you have extracted specific information from the query
       
       this.logger.debug('LLM response received', { 
         searchId, 
-        responseLength: response?.length || 0,
+        structured: typeof response === 'object',
         llmLatencyMs
       });
       
       try {
-        // Extract JSON from response
-        const jsonMatch = response.match(/```json\n([\s\S]*?)\n```/) || 
-                         response.match(/{[\s\S]*}/);
+        let params = response;
         
-        if (!jsonMatch) {
-          this.logger.warn('No JSON found in LLM response', { searchId, response });
-          throw new Error('No JSON found in LLM response');
+        if (typeof response === 'string') {
+          // Extract JSON from response
+          const jsonMatch = response.match(/```json\n([\s\S]*?)\n```/) || 
+                           response.match(/{[\s\S]*}/);
+          
+          if (!jsonMatch) {
+            this.logger.warn('No JSON found in LLM response', { searchId, response });
+            throw new Error('No JSON found in LLM response');
+          }
+          
+          const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : response;
+          
+          this.logger.debug('Extracted JSON', { searchId, jsonString });
+          
+          params = JSON.parse(jsonString);
         }
         
-        const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : response;
-        
-        this.logger.debug('Extracted JSON', { searchId, jsonString });
-        
-        const params = JSON.parse(jsonString);
-        
         this.logger.info('Parameters extracted successfully', { 
           searchId, 
           location: params.location,
@@ -425,7 +765,7 @@ Only include fields where you have extracted specific information from the query
       } catch (error) {
         this.logger.logError(error, 'Error parsing search parameters', { 
           searchId, 
-          response: response?.substring(0, 100)
+          response: typeof response === 'string' ? response.substring(0, 100) : response
         });
         
         this.diagnostics.llmErrors++;
@@ -440,7 +780,9 @@ Only include fields where you have extracted specific information from the query
     } catch (error) {
       this.logger.logError(error, 'Error extracting search parameters', { 
         searchId,
-        query
+        query,
+        // Schema problems with the last response when structured output failed
+        ...(error.errors ? { validationErrors: error.errors } : {})
       });
       
       this.diagnostics.llmErrors++;
@@ -454,58 +796,13 @@ Only include fields where you have extracted specific information from the query
     }
   }
   
-  /**
-   * Enhance search results with additional information
-   * @param {Object} results - Raw search results
-   * @param {Object} searchParams - Search parameters
-   * @returns {Object} Enhanced results
-   */
-  async enhanceResults(results, searchParams) {
-    try {
-      // Skip enhancement if no results
-      if (!results.hotels || results.hotels.length === 0) {
-        return results;
-      }
-      
-      // Get loyalty program information for relevance
-      let loyaltyInfo = {};
-      if (searchParams.loyaltyPrograms && searchParams.loyaltyPrograms.length > 0) {
-        // Get info about the relevant loyalty programs
-        loyaltyInfo = await this.searchService.getLoyaltyInfo(searchParams.loyaltyPrograms);
-      }
-      
-      // Prioritize and rank results
-      const rankedResults = this.rankResults(results.hotels, searchParams, loyaltyInfo);
-      
-      // Generate search summary
-      const summary = await this.generateSearchSummary(rankedResults, searchParams);
-      
-      return {
-        ...results,
-        hotels: rankedResults,
-        summary,
-        enhanced: true,
-        timestamp: new Date()
-      };
-    } catch (error) {
-      console.error('Error enhancing results:', error);
-      // Return original results if enhancement fails
-      return {
-        ...results,
-        enhanced: false,
-        timestamp: new Date()
-      };
-    }
-  }
-  
   /**
    * Rank search results based on relevance
    * @param {Array} hotels - Hotel results
    * @param {Object} searchParams - Search parameters
-   * @param {Object} loyaltyInfo - Loyalty program information
    * @returns {Array} Ranked hotel results
    */
-  rankResults(hotels, searchParams, loyaltyInfo) {
+  rankResults(hotels, searchParams) {
     // Calculate score for each hotel
     const scoredHotels = hotels.map(hotel => {
       let score = 100; // Base score
@@ -540,7 +837,7 @@ Only include fields where you have extracted specific information from the query
       }
       
       // Adjust score based on star rating
-      if (searchParams.filters && searchParams.filters.stars) {
+      if (searchParams.filters && searchParams.filters.stars && typeof hotel.stars === 'number') {
         if (hotel.stars === searchParams.filters.stars) {
           score += 30;
         } else {
@@ -554,6 +851,20 @@ Only include fields where you have extracted specific information from the query
         score -= 40;
       }
       
+      // Adjust score based on cross-source price comparison
+      const comparison = hotel.priceComparison;
+      if (comparison && comparison.offerCount > 1) {
+        // More sources means a price we can trust and a choice of where to book
+        score += Math.min(comparison.offerCount - 1, 3) * 5;
+        
+        // Reward hotels where the best value is booking with a requested program
+        if (comparison.bestValue && ['loyalty', 'direct'].includes(comparison.bestValue.type) &&
+            hotel.loyaltyProgram && searchParams.loyaltyPrograms &&
+            searchParams.loyaltyPrograms.includes(hotel.loyaltyProgram)) {
+          score += 10;
+        }
+      }
+      
       // Adjust score based on amenities
       if (searchParams.filters && searchParams.filters.amenities) {
         const foundAmenities = searchParams.filters.amenities.filter(
@@ -582,7 +893,30 @@ Only include fields where you have extracted specific information from the query
       return "No hotels found matching your criteria.";
     }
     
-    const top3Hotels = hotels.slice(0, 3);
+    // Keep the prompt small: only what the summary needs, with offers compared across sources
+    const top3Hotels = hotels.slice(0, 3).map(hotel => ({
+      name: hotel.name,
+      location: hotel.location,
+      stars: hotel.stars,
+      loyaltyProgram: hotel.loyaltyProgram,
+      price: hotel.price,
+      currency: hotel.currency,
+      offers: (hotel.offers || []).map(offer => ({
+        source: offer.source,
+        type: offer.type,
+        price: offer.price,
+        currency: offer.currency,
+        refundable: offer.refundable,
+        cheapest: offer.isCheapest,
+        bestValue: offer.isBestValue
+      })),
+      redemption: hotel.redemption && {
+        pointsRequired: hotel.redemption.pointsRequired,
+        centsPerPoint: hotel.redemption.centsPerPoint,
+        baselineCentsPerPoint: hotel.redemption.baselineCentsPerPoint,
+        recommendation: hotel.redemption.recommendation
+      }
+    }));
     
     // Get loyalty program information if applicable
     let loyaltyProgramsInfo = "";
@@ -627,6 +961,8 @@ Create a concise summary that highlights:
 3. Best options for loyalty program members
 4. Any exceptional deals or values
 5. Brief mention of top-rated properties
+6. Where to book: for hotels offered by several sources, the cheapest and the best-value offer and how much comparing saves
+7. Points or cash: where a redemption is shown, whether to use points or pay cash based on cents per point against the program baseline
 
 If loyalty programs were mentioned in the search, include specific benefits that apply to these results.
 
@@ -761,6 +1097,8 @@ Keep your summary concise and balanced.
         searchErrors: this.diagnostics.searchErrors,
         llmErrors: this.diagnostics.llmErrors,
         serviceErrors: this.diagnostics.serviceErrors,
+        parsedQueries: this.diagnostics.parsedQueries,
+        llmParseFallbacks: this.diagnostics.llmParseFallbacks,
         lastError: this.diagnostics.lastError ? {
           message: this.diagnostics.lastError.message,
           timestamp: this.diagnostics.lastError.timestamp,
@@ -49,13 +49,22 @@ const analyticsService = require('./services/analytics-service');
 const ragService = require('./services/rag-service');
 const workerThreadManager = require('./services/worker-thread-manager');
 const searchSourcesService = require('./services/search-sources-service');
+const { redemptionValuationService } = require('./services/redemption-valuation-service');
+const { SavedSearchScheduler } = require('./services/saved-search-scheduler');
+const { createCheckpointStore } = require('./services/agent-checkpoint-store');
+const { createSemanticMemoryStore } = require('./services/semantic-memory-store');
+const { getContext } = require('./services/request-context');
+const { llmUsageService, createUsageStore } = require('./services/llm-usage-service');
 
 // Import agents and MCP
 const { ToolManager } = require('./mcp/tool-manager');
+const { McpServer } = require('./mcp/mcp-server');
+const { createMcpRouter } = require('./mcp/http-transport');
 const PlannerAgent = require('./agents/planner-agent');
 const ExecutorAgent = require('./agents/executor-agent');
 const SearchAgent = require('./agents/search-agent');
 const MemorySystem = require('./agents/memory-system');
+const AgentSystem = require('./agents/agent-system');
 
 // Import middleware
 const { versioningMiddleware } = require('./middleware/versioning');
@@ -69,6 +78,8 @@ const { setupTracing } = require('./config/tracing');
 
 // Import Swagger setup
 const { setupSwagger } = require('./config/swagger');
+const mcpServersConfig = require('./config/mcp-servers');
+const llmPricing = require('./config/llm-pricing');
 
 // Set up Prometheus client registry
 const register = new promClient.Registry();
@@ -195,7 +206,7 @@ app.use(cors({
     ? [process.env.CLIENT_URL, process.env.ADMIN_URL] 
     : '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-API-Version', 'X-Correlation-ID'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-API-Version', 'X-Correlation-ID', 'MCP-Protocol-Version'],
   credentials: true,
   maxAge: 86400
 }));
@@ -284,11 +295,20 @@ io.use((socket, next) => {
 // Metrics middleware
 app.use(metricsMiddleware);
 
-websocketHandler(io);
-
 // Initialize services and agents
 const toolManager = new ToolManager();
-let plannerAgent, executorAgent, searchAgent, memorySystemAgent;
+let plannerAgent, executorAgent, searchAgent, memorySystemAgent, agentSystem;
+
+// Re-runs scheduled saved searches; Redis locks keep cluster workers from doubling up
+const savedSearchScheduler = new SavedSearchScheduler({
+  getSearchAgent: () => searchAgent,
+  redisClient,
+});
+
+websocketHandler(io, {
+  getSearchAgent: () => searchAgent,
+  getAgentSystem: () => agentSystem,
+});
 
 const initializeServices = async () => {
   try {
@@ -304,6 +324,12 @@ const initializeServices = async () => {
     await searchSourcesService.initialize();
     logger.info('Search sources service initialized');
     
+    // Usage counters in Redis hold every worker to the same quotas
+    llmUsageService.setStore(createUsageStore(redisClient));
+    if (llmPricing.error) {
+      logger.warn(`Ignoring LLM pricing overrides: ${llmPricing.error}`);
+    }
+    
     await llmProvider.initialize();
     logger.info('LLM provider initialized');
     
@@ -314,24 +340,50 @@ const initializeServices = async () => {
     await loyaltyManager.initialize();
     logger.info('Loyalty website manager initialized');
     
-    await ragService.initialize();
+    const ragReady = await ragService.initialize();
     logger.info('RAG service initialized');
 
     // Initialize agent system
-    memorySystemAgent = new MemorySystem();
-    plannerAgent = new PlannerAgent(llmProvider, memorySystemAgent);
+    // Memories live in Postgres when pgvector is available, so every cluster worker shares them
+    memorySystemAgent = new MemorySystem({
+      store: createSemanticMemoryStore(ragReady ? connectDB.pool : null),
+      llmProvider,
+    });
+    plannerAgent = new PlannerAgent(llmProvider, memorySystemAgent, { toolManager });
     executorAgent = new ExecutorAgent(llmProvider, toolManager);
     searchAgent = new SearchAgent(llmProvider, webSearchService);
     
     await plannerAgent.initialize();
     await executorAgent.initialize();
     await searchAgent.initialize();
+    app.set('searchAgent', searchAgent);
+    
+    // Chat runs planner → executor → synthesis through the shared agents
+    agentSystem = new AgentSystem(toolManager, webSearchService, loyaltyManager, {
+      llmProvider,
+      memorySystem: memorySystemAgent,
+      agents: { planner: plannerAgent, executor: executorAgent, search: searchAgent },
+      // Checkpoints in Redis let any worker resume a run that failed or lost its socket
+      checkpointStore: createCheckpointStore(redisClient),
+    });
+    await agentSystem.initialize({ registerTools: false });
     logger.info('Agent system initialized');
     
     // Register tools with the tool manager
     registerTools();
     logger.info('Tools registered');
     
+    // Import tools from external MCP servers (maps, calendar, currency, ...) as `<namespace>.<tool>`
+    if (mcpServersConfig.error) {
+      logger.warn(`Ignoring MCP server configuration: ${mcpServersConfig.error}`);
+    }
+    const mcpConnections = await toolManager.connectMcpServers(mcpServersConfig.servers, mcpServersConfig.defaults);
+    if (mcpConnections.length > 0) {
+      logger.info('External MCP servers connected', {
+        servers: mcpConnections.map(({ namespace, tools, error }) => ({ namespace, tools: tools.length, error })),
+      });
+    }
+    
     return true;
   } catch (error) {
     logger.error(`Error initializing services: ${error.message}`, { error });
@@ -351,6 +403,8 @@ const registerTools = () => {
       query: { type: 'string' },
       options: { type: 'object' }
     }
+  }, {
+    description: 'Search the web for hotel and travel information'
   });
   
   toolManager.registerTool('search_hotels', async (params) => {
@@ -362,21 +416,35 @@ const registerTools = () => {
       query: { type: 'string' },
       filters: { type: 'object' }
     }
+  }, {
+    description: 'Search hotels across loyalty programs and booking sources for a natural language query'
   });
   
-  // Memory tools
+  // Memory tools, scoped to the user the agent is working for (or the guest's session)
+  const memoryScope = () => {
+    const { user } = getContext();
+    if (!user) {
+      return { userId: null, sessionId: null };
+    }
+    return user.role === 'guest'
+      ? { userId: null, sessionId: String(user.id).replace(/^guest:/, '') }
+      : { userId: String(user.id), sessionId: null };
+  };
+  
   toolManager.registerTool('store_memory', async (params) => {
-    return await memorySystemAgent.store(params.memory);
+    return await memorySystemAgent.store({ ...params.memory, ...memoryScope() });
   }, {
     type: 'object',
     required: ['memory'],
     properties: {
       memory: { type: 'object' }
     }
+  }, {
+    description: 'Store an item in the agent long-term memory'
   });
   
   toolManager.registerTool('retrieve_memory', async (params) => {
-    return await memorySystemAgent.retrieve(params.query, params.options);
+    return await memorySystemAgent.retrieve(params.query, { ...params.options, ...memoryScope() });
   }, {
     type: 'object',
     required: ['query'],
@@ -384,6 +452,8 @@ const registerTools = () => {
       query: { type: 'string' },
       options: { type: 'object' }
     }
+  }, {
+    description: 'Retrieve memories relevant to a query'
   });
   
   // Planning tools
@@ -396,6 +466,8 @@ const registerTools = () => {
       query: { type: 'string' },
       context: { type: 'object' }
     }
+  }, {
+    description: 'Break a hotel or loyalty question down into an executable plan of tool calls'
   });
   
   toolManager.registerTool('optimize_loyalty', async (params) => {
@@ -406,6 +478,8 @@ const registerTools = () => {
     properties: {
       preferences: { type: 'object' }
     }
+  }, {
+    description: 'Suggest a loyalty program strategy for the given travel preferences'
   });
   
   // Execution tools
@@ -417,6 +491,8 @@ const registerTools = () => {
     properties: {
       plan: { type: 'object' }
     }
+  }, {
+    description: 'Execute a plan created by create_plan'
   });
   
   // Hotel detail tools
@@ -428,6 +504,25 @@ const registerTools = () => {
     properties: {
       hotelId: { type: 'string' }
     }
+  }, {
+    description: 'Get reviews for a hotel'
+  });
+  
+  // Loyalty valuation tools
+  toolManager.registerTool('calculate_redemption_value', async (params) => {
+    return redemptionValuationService.valueRedemption(params);
+  }, {
+    type: 'object',
+    required: ['cashPrice', 'pointsRequired', 'loyaltyProgram'],
+    properties: {
+      cashPrice: { type: 'number' },
+      pointsRequired: { type: 'number' },
+      loyaltyProgram: { type: 'string' },
+      cashCopay: { type: 'number' },
+      currency: { type: 'string' }
+    }
+  }, {
+    description: 'Value a points redemption in cents per point against the cash price, given in any currency'
   });
   
   // RAG tools
@@ -438,8 +533,18 @@ const registerTools = () => {
     required: ['query'],
     properties: {
       query: { type: 'string' },
-      options: { type: 'object' }
+      options: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 20 },
+          mode: { type: 'string', enum: ['hybrid', 'vector', 'keyword'] },
+          filterMetadata: { type: 'object' },
+          rerank: { type: 'boolean' }
+        }
+      }
     }
+  }, {
+    description: 'Search the hotel and loyalty knowledge base by meaning and exact terms. filterMetadata matches metadata fields by value or with operators, e.g. { "type": "program_terms", "programId": { "$in": ["hyatt", "marriott"] } }'
   });
   
   toolManager.registerTool('generate_rag_response', async (params) => {
@@ -451,6 +556,8 @@ const registerTools = () => {
       query: { type: 'string' },
       options: { type: 'object' }
     }
+  }, {
+    description: 'Answer a question from the hotel and loyalty knowledge base'
   });
   
   // Worker thread tools
@@ -463,6 +570,8 @@ const registerTools = () => {
       text: { type: 'string' },
       dimensions: { type: 'number' }
     }
+  }, {
+    description: 'Generate an embedding vector for text'
   });
   
   toolManager.registerTool('process_image', async (params) => {
@@ -475,6 +584,8 @@ const registerTools = () => {
       height: { type: 'number' },
       filters: { type: 'array' }
     }
+  }, {
+    description: 'Resize and filter an image'
   });
   
   toolManager.registerTool('score_search_results', async (params) => {
@@ -487,6 +598,8 @@ const registerTools = () => {
       documents: { type: 'array' },
       options: { type: 'object' }
     }
+  }, {
+    description: 'Score documents for relevance to a query'
   });
   
   toolManager.registerTool('encrypt_data', async (params) => {
@@ -499,6 +612,8 @@ const registerTools = () => {
       key: { type: 'string' },
       algorithm: { type: 'string' }
     }
+  }, {
+    description: 'Encrypt text with a key'
   });
   
   toolManager.registerTool('decrypt_data', async (params) => {
@@ -512,6 +627,8 @@ const registerTools = () => {
       iv: { type: 'string' },
       algorithm: { type: 'string' }
     }
+  }, {
+    description: 'Decrypt text encrypted with encrypt_data'
   });
   
   // Metadata tools
@@ -523,10 +640,13 @@ const registerTools = () => {
       planner: plannerAgent.getStatus(),
       executor: executorAgent.getStatus(),
       search: searchAgent.getStatus(),
+      savedSearches: savedSearchScheduler.getStatus(),
       memory: memorySystemAgent.getSize(),
       rag: await ragService.getStats(),
       tools: toolManager.getMetrics()
     };
+  }, null, {
+    description: 'Report the status of StayCrest services and agents'
   });
   
   // Compose higher-level tools from basic tools
@@ -551,6 +671,8 @@ const registerTools = () => {
       query: { type: 'string' },
       context: { type: 'object' }
     }
+  }, {
+    description: 'Plan and execute a hotel or loyalty question in one call'
   });
 };
 
@@ -563,6 +685,9 @@ app.use(versioningMiddleware);
 // Versioned API routes
 app.use('/api/v1', v1Routes);
 
+// Model Context Protocol endpoint publishing the registered tools to external agents
+app.use('/mcp', apiLimiter, createMcpRouter(new McpServer(toolManager)));
+
 // Legacy API routes (for backward compatibility)
 app.use('/api', legacyIndexRoutes);
 app.use('/api/auth', legacyAuthRoutes);
@@ -584,6 +709,10 @@ server.listen(PORT, () => {
   initializeServices().then((success) => {
     if (success) {
       logger.info('All services initialized successfully');
+      
+      if (process.env.SAVED_SEARCH_SCHEDULER !== 'disabled') {
+        savedSearchScheduler.start();
+      }
     } else {
       logger.error('Failed to initialize all services');
     }
@@ -614,6 +743,10 @@ process.on('uncaughtException', (err) => {
 // Handle SIGTERM
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
+  savedSearchScheduler.stop();
+  toolManager.disconnectMcpServers().then(() => {
+    logger.info('External MCP servers disconnected');
+  });
   server.close(() => {
     logger.info('Process terminated');
     redisClient.quit().then(() => {
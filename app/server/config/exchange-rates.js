@@ -0,0 +1,28 @@
+/**
+ * StayCrest Exchange Rates Fixture
+ * 
+ * Fixed exchange rates used by the currency service when no live rate source
+ * is configured (offline development and tests). Rates are units of each
+ * currency per one unit of the base currency.
+ */
+
+module.exports = {
+  base: 'USD',
+  asOf: '2024-01-02',
+  rates: {
+    USD: 1,
+    EUR: 0.91,
+    GBP: 0.79,
+    CAD: 1.33,
+    AUD: 1.48,
+    JPY: 142.5,
+    CHF: 0.85,
+    CNY: 7.1,
+    HKD: 7.81,
+    SGD: 1.33,
+    AED: 3.67,
+    INR: 83.2,
+    MXN: 17.0,
+    THB: 34.6
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * StayCrest Gazetteer
+ * 
+ * Bundled list of destinations used to geocode locations in search queries
+ * without calling an external geocoding API. Each entry has the canonical
+ * name, alternate names users type, country and coordinates of the centre.
+ */
+
+module.exports = [
+  // United States
+  { name: 'New York', aliases: ['new york city', 'nyc', 'manhattan'], country: 'United States', countryCode: 'US', lat: 40.7128, lng: -74.0060 },
+  { name: 'Los Angeles', aliases: ['la'], country: 'United States', countryCode: 'US', lat: 34.0522, lng: -118.2437 },
+  { name: 'Chicago', aliases: [], country: 'United States', countryCode: 'US', lat: 41.8781, lng: -87.6298 },
+  { name: 'Houston', aliases: [], country: 'United States', countryCode: 'US', lat: 29.7604, lng: -95.3698 },
+  { name: 'Phoenix', aliases: [], country: 'United States', countryCode: 'US', lat: 33.4484, lng: -112.0740 },
+  { name: 'Philadelphia', aliases: ['philly'], country: 'United States', countryCode: 'US', lat: 39.9526, lng: -75.1652 },
+  { name: 'San Antonio', aliases: [], country: 'United States', countryCode: 'US', lat: 29.4241, lng: -98.4936 },
+  { name: 'San Diego', aliases: [], country: 'United States', countryCode: 'US', lat: 32.7157, lng: -117.1611 },
+  { name: 'Dallas', aliases: [], country: 'United States', countryCode: 'US', lat: 32.7767, lng: -96.7970 },
+  { name: 'San Jose', aliases: [], country: 'United States', countryCode: 'US', lat: 37.3382, lng: -121.8863 },
+  { name: 'Austin', aliases: [], country: 'United States', countryCode: 'US', lat: 30.2672, lng: -97.7431 },
+  { name: 'Jacksonville', aliases: [], country: 'United States', countryCode: 'US', lat: 30.3322, lng: -81.6557 },
+  { name: 'San Francisco', aliases: ['sf', 'san fran'], country: 'United States', countryCode: 'US', lat: 37.7749, lng: -122.4194 },
+  { name: 'Columbus', aliases: [], country: 'United States', countryCode: 'US', lat: 39.9612, lng: -82.9988 },
+  { name: 'Indianapolis', aliases: [], country: 'United States', countryCode: 'US', lat: 39.7684, lng: -86.1581 },
+  { name: 'Fort Worth', aliases: [], country: 'United States', countryCode: 'US', lat: 32.7555, lng: -97.3308 },
+  { name: 'Charlotte', aliases: [], country: 'United States', countryCode: 'US', lat: 35.2271, lng: -80.8431 },
+  { name: 'Seattle', aliases: [], country: 'United States', countryCode: 'US', lat: 47.6062, lng: -122.3321 },
+  { name: 'Denver', aliases: [], country: 'United States', countryCode: 'US', lat: 39.7392, lng: -104.9903 },
+  { name: 'Washington', aliases: ['washington dc', 'dc'], country: 'United States', countryCode: 'US', lat: 38.9072, lng: -77.0369 },
+  { name: 'Boston', aliases: [], country: 'United States', countryCode: 'US', lat: 42.3601, lng: -71.0589 },
+  { name: 'El Paso', aliases: [], country: 'United States', countryCode: 'US', lat: 31.7619, lng: -106.4850 },
+  { name: 'Nashville', aliases: [], country: 'United States', countryCode: 'US', lat: 36.1627, lng: -86.7816 },
+  { name: 'Las Vegas', aliases: ['vegas'], country: 'United States', countryCode: 'US', lat: 36.1699, lng: -115.1398 },
+  { name: 'Detroit', aliases: [], country: 'United States', countryCode: 'US', lat: 42.3314, lng: -83.0458 },
+  { name: 'Miami', aliases: [], country: 'United States', countryCode: 'US', lat: 25.7617, lng: -80.1918 },
+  { name: 'Miami Beach', aliases: ['south beach'], country: 'United States', countryCode: 'US', lat: 25.7907, lng: -80.1300 },
+  { name: 'Orlando', aliases: [], country: 'United States', countryCode: 'US', lat: 28.5383, lng: -81.3792 },
+  { name: 'Atlanta', aliases: [], country: 'United States', countryCode: 'US', lat: 33.7490, lng: -84.3880 },
+  { name: 'New Orleans', aliases: ['nola'], country: 'United States', countryCode: 'US', lat: 29.9511, lng: -90.0715 },
+  { name: 'Honolulu', aliases: ['waikiki'], country: 'United States', countryCode: 'US', lat: 21.3069, lng: -157.8583 },
+  { name: 'Maui', aliases: [], country: 'United States', countryCode: 'US', lat: 20.7984, lng: -156.3319 },
+  { name: 'Portland', aliases: [], country: 'United States', countryCode: 'US', lat: 45.5152, lng: -122.6784 },
+  { name: 'Salt Lake City', aliases: ['slc'], country: 'United States', countryCode: 'US', lat: 40.7608, lng: -111.8910 },
+  { name: 'Minneapolis', aliases: [], country: 'United States', countryCode: 'US', lat: 44.9778, lng: -93.2650 },
+  { name: 'Aspen', aliases: [], country: 'United States', countryCode: 'US', lat: 39.1911, lng: -106.8175 },
+
+  // Canada and Latin America
+  { name: 'Toronto', aliases: [], country: 'Canada', countryCode: 'CA', lat: 43.6532, lng: -79.3832 },
+  { name: 'Vancouver', aliases: [], country: 'Canada', countryCode: 'CA', lat: 49.2827, lng: -123.1207 },
+  { name: 'Montreal', aliases: [], country: 'Canada', countryCode: 'CA', lat: 45.5017, lng: -73.5673 },
+  { name: 'Mexico City', aliases: ['cdmx'], country: 'Mexico', countryCode: 'MX', lat: 19.4326, lng: -99.1332 },
+  { name: 'Cancun', aliases: [], country: 'Mexico', countryCode: 'MX', lat: 21.1619, lng: -86.8515 },
+  { name: 'Cabo San Lucas', aliases: ['cabo', 'los cabos'], country: 'Mexico', countryCode: 'MX', lat: 22.8905, lng: -109.9167 },
+  { name: 'Rio de Janeiro', aliases: ['rio'], country: 'Brazil', countryCode: 'BR', lat: -22.9068, lng: -43.1729 },
+  { name: 'Sao Paulo', aliases: [], country: 'Brazil', countryCode: 'BR', lat: -23.5505, lng: -46.6333 },
+  { name: 'Buenos Aires', aliases: [], country: 'Argentina', countryCode: 'AR', lat: -34.6037, lng: -58.3816 },
+
+  // Europe
+  { name: 'London', aliases: [], country: 'United Kingdom', countryCode: 'GB', lat: 51.5074, lng: -0.1278 },
+  { name: 'Edinburgh', aliases: [], country: 'United Kingdom', countryCode: 'GB', lat: 55.9533, lng: -3.1883 },
+  { name: 'Dublin', aliases: [], country: 'Ireland', countryCode: 'IE', lat: 53.3498, lng: -6.2603 },
+  { name: 'Paris', aliases: [], country: 'France', countryCode: 'FR', lat: 48.8566, lng: 2.3522 },
+  { name: 'Nice', aliases: [], country: 'France', countryCode: 'FR', lat: 43.7102, lng: 7.2620 },
+  { name: 'Amsterdam', aliases: [], country: 'Netherlands', countryCode: 'NL', lat: 52.3676, lng: 4.9041 },
+  { name: 'Brussels', aliases: [], country: 'Belgium', countryCode: 'BE', lat: 50.8503, lng: 4.3517 },
+  { name: 'Berlin', aliases: [], country: 'Germany', countryCode: 'DE', lat: 52.5200, lng: 13.4050 },
+  { name: 'Munich', aliases: ['munchen'], country: 'Germany', countryCode: 'DE', lat: 48.1351, lng: 11.5820 },
+  { name: 'Frankfurt', aliases: [], country: 'Germany', countryCode: 'DE', lat: 50.1109, lng: 8.6821 },
+  { name: 'Vienna', aliases: ['wien'], country: 'Austria', countryCode: 'AT', lat: 48.2082, lng: 16.3738 },
+  { name: 'Zurich', aliases: [], country: 'Switzerland', countryCode: 'CH', lat: 47.3769, lng: 8.5417 },
+  { name: 'Geneva', aliases: [], country: 'Switzerland', countryCode: 'CH', lat: 46.2044, lng: 6.1432 },
+  { name: 'Rome', aliases: ['roma'], country: 'Italy', countryCode: 'IT', lat: 41.9028, lng: 12.4964 },
+  { name: 'Milan', aliases: ['milano'], country: 'Italy', countryCode: 'IT', lat: 45.4642, lng: 9.1900 },
+  { name: 'Venice', aliases: ['venezia'], country: 'Italy', countryCode: 'IT', lat: 45.4408, lng: 12.3155 },
+  { name: 'Florence', aliases: ['firenze'], country: 'Italy', countryCode: 'IT', lat: 43.7696, lng: 11.2558 },
+  { name: 'Madrid', aliases: [], country: 'Spain', countryCode: 'ES', lat: 40.4168, lng: -3.7038 },
+  { name: 'Barcelona', aliases: [], country: 'Spain', countryCode: 'ES', lat: 41.3874, lng: 2.1686 },
+  { name: 'Lisbon', aliases: ['lisboa'], country: 'Portugal', countryCode: 'PT', lat: 38.7223, lng: -9.1393 },
+  { name: 'Prague', aliases: ['praha'], country: 'Czech Republic', countryCode: 'CZ', lat: 50.0755, lng: 14.4378 },
+  { name: 'Budapest', aliases: [], country: 'Hungary', countryCode: 'HU', lat: 47.4979, lng: 19.0402 },
+  { name: 'Copenhagen', aliases: [], country: 'Denmark', countryCode: 'DK', lat: 55.6761, lng: 12.5683 },
+  { name: 'Stockholm', aliases: [], country: 'Sweden', countryCode: 'SE', lat: 59.3293, lng: 18.0686 },
+  { name: 'Athens', aliases: [], country: 'Greece', countryCode: 'GR', lat: 37.9838, lng: 23.7275 },
+  { name: 'Istanbul', aliases: [], country: 'Turkey', countryCode: 'TR', lat: 41.0082, lng: 28.9784 },
+
+  // Middle East and Africa
+  { name: 'Dubai', aliases: [], country: 'United Arab Emirates', countryCode: 'AE', lat: 25.2048, lng: 55.2708 },
+  { name: 'Abu Dhabi', aliases: [], country: 'United Arab Emirates', countryCode: 'AE', lat: 24.4539, lng: 54.3773 },
+  { name: 'Doha', aliases: [], country: 'Qatar', countryCode: 'QA', lat: 25.2854, lng: 51.5310 },
+  { name: 'Cairo', aliases: [], country: 'Egypt', countryCode: 'EG', lat: 30.0444, lng: 31.2357 },
+  { name: 'Marrakech', aliases: ['marrakesh'], country: 'Morocco', countryCode: 'MA', lat: 31.6295, lng: -7.9811 },
+  { name: 'Cape Town', aliases: [], country: 'South Africa', countryCode: 'ZA', lat: -33.9249, lng: 18.4241 },
+
+  // Asia Pacific
+  { name: 'Tokyo', aliases: [], country: 'Japan', countryCode: 'JP', lat: 35.6762, lng: 139.6503 },
+  { name: 'Kyoto', aliases: [], country: 'Japan', countryCode: 'JP', lat: 35.0116, lng: 135.7681 },
+  { name: 'Osaka', aliases: [], country: 'Japan', countryCode: 'JP', lat: 34.6937, lng: 135.5023 },
+  { name: 'Seoul', aliases: [], country: 'South Korea', countryCode: 'KR', lat: 37.5665, lng: 126.9780 },
+  { name: 'Beijing', aliases: [], country: 'China', countryCode: 'CN', lat: 39.9042, lng: 116.4074 },
+  { name: 'Shanghai', aliases: [], country: 'China', countryCode: 'CN', lat: 31.2304, lng: 121.4737 },
+  { name: 'Hong Kong', aliases: ['hk'], country: 'Hong Kong', countryCode: 'HK', lat: 22.3193, lng: 114.1694 },
+  { name: 'Taipei', aliases: [], country: 'Taiwan', countryCode: 'TW', lat: 25.0330, lng: 121.5654 },
+  { name: 'Singapore', aliases: [], country: 'Singapore', countryCode: 'SG', lat: 1.3521, lng: 103.8198 },
+  { name: 'Bangkok', aliases: [], country: 'Thailand', countryCode: 'TH', lat: 13.7563, lng: 100.5018 },
+  { name: 'Phuket', aliases: [], country: 'Thailand', countryCode: 'TH', lat: 7.8804, lng: 98.3923 },
+  { name: 'Bali', aliases: [], country: 'Indonesia', countryCode: 'ID', lat: -8.3405, lng: 115.0920 },
+  { name: 'Kuala Lumpur', aliases: ['kl'], country: 'Malaysia', countryCode: 'MY', lat: 3.1390, lng: 101.6869 },
+  { name: 'Mumbai', aliases: ['bombay'], country: 'India', countryCode: 'IN', lat: 19.0760, lng: 72.8777 },
+  { name: 'New Delhi', aliases: ['delhi'], country: 'India', countryCode: 'IN', lat: 28.6139, lng: 77.2090 },
+  { name: 'Maldives', aliases: [], country: 'Maldives', countryCode: 'MV', lat: 4.1755, lng: 73.5093 },
+  { name: 'Sydney', aliases: [], country: 'Australia', countryCode: 'AU', lat: -33.8688, lng: 151.2093 },
+  { name: 'Melbourne', aliases: [], country: 'Australia', countryCode: 'AU', lat: -37.8136, lng: 144.9631 },
+  { name: 'Auckland', aliases: [], country: 'New Zealand', countryCode: 'NZ', lat: -36.8485, lng: 174.7633 }
+];
@@ -0,0 +1,91 @@
+/**
+ * StayCrest LLM Pricing
+ *
+ * Prices in USD per million tokens, by provider and model. A model is priced
+ * by the longest key its name starts with (`gpt-4o-mini-2024-07-18` uses
+ * `gpt-4o-mini`), else by the provider's `default`, which is deliberately on
+ * the expensive side so an unlisted model never counts as free.
+ *
+ * LLM_PRICING overrides or adds prices as JSON in the same shape, e.g.
+ *
+ *   { "openai": { "gpt-4o": { "input": 2.5, "output": 10 } }, "ollama": { "default": { "input": 0.05, "output": 0.05 } } }
+ *
+ * LLM_DAILY_BUDGET_USD and LLM_MONTHLY_BUDGET_USD cap the spend of the whole
+ * deployment on top of the per-role quotas in rbac-service.
+ */
+
+const prices = {
+  openai: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'text-embedding-ada-002': { input: 0.1, output: 0 },
+    default: { input: 30, output: 60 }
+  },
+  claude: {
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-2': { input: 8, output: 24 },
+    default: { input: 15, output: 75 }
+  },
+  gemini: {
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-pro': { input: 0.5, output: 1.5 },
+    'text-embedding': { input: 0, output: 0 },
+    default: { input: 1.25, output: 5 }
+  },
+  // Self-hosted; set a price here to account for the hardware
+  ollama: {
+    default: { input: 0, output: 0 }
+  }
+};
+
+const parsePricing = (value) => {
+  if (!value) {
+    return { overrides: {}, error: null };
+  }
+
+  try {
+    const overrides = JSON.parse(value);
+    return overrides && typeof overrides === 'object' && !Array.isArray(overrides)
+      ? { overrides, error: null }
+      : { overrides: {}, error: 'LLM_PRICING must be a JSON object' };
+  } catch (error) {
+    return { overrides: {}, error: `LLM_PRICING is not valid JSON: ${error.message}` };
+  }
+};
+
+const parseBudget = (value) => {
+  const budget = parseFloat(value);
+  return Number.isFinite(budget) && budget >= 0 ? budget : null;
+};
+
+const { overrides, error } = parsePricing(process.env.LLM_PRICING);
+
+for (const [provider, models] of Object.entries(overrides)) {
+  prices[provider] = { ...(prices[provider] || {}), ...models };
+}
+
+module.exports = {
+  currency: 'USD',
+  prices,
+  budget: {
+    daily: parseBudget(process.env.LLM_DAILY_BUDGET_USD),
+    monthly: parseBudget(process.env.LLM_MONTHLY_BUDGET_USD)
+  },
+  // Logged at startup instead of failing it
+  error
+};
@@ -0,0 +1,51 @@
+/**
+ * StayCrest External MCP Servers
+ *
+ * Tool servers whose tools ToolManager imports at startup. Each server's tools
+ * are registered under its namespace (`maps.geocode`, `currency.convert`) and
+ * calls are proxied over MCP, so new tool servers need no adapter code.
+ *
+ * Servers are read from the MCP_SERVERS environment variable as a JSON array,
+ * for example:
+ *
+ *   [
+ *     { "namespace": "maps", "transport": "stdio", "command": "node", "args": ["./tools/maps-server.js"] },
+ *     { "namespace": "calendar", "transport": "http", "url": "http://localhost:4010/mcp",
+ *       "headers": { "Authorization": "Bearer ..." } },
+ *     { "namespace": "currency", "transport": "http", "url": "http://localhost:4020/mcp", "timeoutMs": 3000 }
+ *   ]
+ *
+ * Entry fields:
+ *   namespace  - Prefix for the imported tool names (letters, digits, `_` and `-`)
+ *   transport  - 'stdio' (spawn `command` with `args`, `env`, `cwd`) or 'http' (POST to `url` with `headers`)
+ *   timeoutMs  - Per-call timeout, defaults to `defaults.timeoutMs`
+ *   tools      - Optional allow-list of tool names to import
+ *   enabled    - Set to false to skip the server
+ */
+
+const parseServers = (value) => {
+  if (!value) {
+    return { servers: [], error: null };
+  }
+
+  try {
+    const servers = JSON.parse(value);
+    return Array.isArray(servers)
+      ? { servers, error: null }
+      : { servers: [], error: 'MCP_SERVERS must be a JSON array' };
+  } catch (error) {
+    return { servers: [], error: `MCP_SERVERS is not valid JSON: ${error.message}` };
+  }
+};
+
+const { servers, error } = parseServers(process.env.MCP_SERVERS);
+
+module.exports = {
+  defaults: {
+    timeoutMs: parseInt(process.env.MCP_CLIENT_TIMEOUT_MS, 10) || 10000,
+    connectTimeoutMs: parseInt(process.env.MCP_CLIENT_CONNECT_TIMEOUT_MS, 10) || 15000
+  },
+  servers,
+  // Logged at startup instead of failing it
+  error
+};
@@ -306,6 +306,7 @@ const SearchSources = {
       name: 'GHA Discovery',
       url: 'https://www.ghadiscovery.com',
       apiEndpoint: null, // Using web scraping
+      timeout: 12000, // Scraping needs a larger budget
       logo: '/assets/images/logos/gha-discovery.png',
       primaryColor: '#1E3E7B',
       secondaryColor: '#E1E7F2',
@@ -529,6 +530,18 @@ const SearchSources = {
     }
   },
   
+  /**
+   * Source Resilience Settings
+   * Per-source call budget and circuit breaker thresholds used during search
+   * fan-out. Any source may override the budget with its own `timeout` (ms).
+   */
+  resilience: {
+    defaultTimeout: 8000,
+    failureThreshold: 3,
+    resetTimeout: 30000,
+    windowSize: 20
+  },
+  
   /**
    * API endpoints for the application
    */
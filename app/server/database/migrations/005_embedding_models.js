@@ -0,0 +1,88 @@
+const { pool } = require('../connection');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/migrations.log' })
+  ],
+});
+
+/**
+ * Record the model and dimension of every embedding
+ *
+ * Embeddings can now come from OpenAI, Gemini, Ollama or the local test
+ * embedding, with different lengths, so the column no longer has a fixed
+ * dimension and searches only compare rows made by the query's model.
+ * Existing rows were all made by OpenAI text-embedding-3-small.
+ */
+const up = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    logger.info('Starting database migration: embedding models');
+
+    await client.query(`
+      ALTER TABLE embeddings ALTER COLUMN embedding TYPE vector;
+      ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);
+      ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS embedding_dimension INTEGER;
+
+      UPDATE embeddings
+      SET embedding_model = 'openai/text-embedding-3-small', embedding_dimension = vector_dims(embedding)
+      WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_embeddings_model ON embeddings(embedding_model, embedding_dimension);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Database migration completed successfully: embedding models');
+
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const down = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    logger.info('Rolling back database migration: embedding models');
+
+    // Only OpenAI-sized vectors fit the original column
+    await client.query(`
+      DELETE FROM embeddings WHERE embedding_dimension <> 1536;
+      DROP INDEX IF EXISTS idx_embeddings_model;
+      ALTER TABLE embeddings DROP COLUMN IF EXISTS embedding_dimension;
+      ALTER TABLE embeddings DROP COLUMN IF EXISTS embedding_model;
+      ALTER TABLE embeddings ALTER COLUMN embedding TYPE vector(1536);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Database rollback completed successfully: embedding models');
+
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Rollback failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,81 @@
+const { pool } = require('../connection');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/migrations.log' })
+  ],
+});
+
+/**
+ * Full-text search over embeddings
+ *
+ * Hybrid retrieval matches exact terms such as brand and tier names with
+ * Postgres full-text search alongside vector similarity. The document title
+ * is indexed with the content since chunks rarely repeat it.
+ */
+const up = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    logger.info('Starting database migration: full-text search');
+
+    await client.query(`
+      ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS content_tsv tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', coalesce(metadata->>'title', '')), 'A') ||
+          setweight(to_tsvector('english', content), 'B')
+        ) STORED;
+
+      CREATE INDEX IF NOT EXISTS idx_embeddings_content_tsv ON embeddings USING GIN (content_tsv);
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Database migration completed successfully: full-text search');
+
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const down = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    logger.info('Rolling back database migration: full-text search');
+
+    await client.query(`
+      DROP INDEX IF EXISTS idx_embeddings_content_tsv;
+      ALTER TABLE embeddings DROP COLUMN IF EXISTS content_tsv;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Database rollback completed successfully: full-text search');
+
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Rollback failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,89 @@
+const { pool } = require('../connection');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/migrations.log' })
+  ],
+});
+
+/**
+ * Semantic long-term memory of the agents
+ *
+ * Memories are embedded and scoped to a user, or to a guest's session with
+ * an expiry, so every cluster worker recalls the same memories across
+ * restarts. Like embeddings, rows record the model that embedded them.
+ */
+const up = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    logger.info('Starting database migration: agent memories');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_memories (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id VARCHAR(255),
+        session_id VARCHAR(255),
+        type VARCHAR(50) NOT NULL,
+        content TEXT NOT NULL,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        embedding vector NOT NULL,
+        embedding_model VARCHAR(255) NOT NULL,
+        embedding_dimension INTEGER NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE,
+        CHECK (user_id IS NOT NULL OR session_id IS NOT NULL)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_agent_memories_user ON agent_memories(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_agent_memories_session ON agent_memories(session_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_agent_memories_expires ON agent_memories(expires_at) WHERE expires_at IS NOT NULL;
+    `);
+
+    await client.query('COMMIT');
+    logger.info('Database migration completed successfully: agent memories');
+
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Migration failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const down = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    logger.info('Rolling back database migration: agent memories');
+
+    await client.query('DROP TABLE IF EXISTS agent_memories;');
+
+    await client.query('COMMIT');
+    logger.info('Database rollback completed successfully: agent memories');
+
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Rollback failed: ${error.message}`);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { up, down };
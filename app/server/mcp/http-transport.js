@@ -0,0 +1,116 @@
+// server/mcp/http-transport.js
+
+const express = require('express');
+const { PROTOCOL_VERSIONS, JSONRPC_ERRORS } = require('./mcp-server');
+
+/**
+ * Streamable HTTP transport for the MCP server
+ *
+ * Clients POST JSON-RPC messages and get the answer as `application/json`;
+ * the server never initiates messages, so there is no SSE stream to GET. The
+ * transport is stateless (no `Mcp-Session-Id`) so any cluster worker can
+ * answer any request. Every request carries the user's JWT as a bearer token.
+ */
+
+/**
+ * Authenticate with the app's passport JWT strategy
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} User, or null when the token is missing or invalid
+ */
+const authenticateWithJwt = (req) => new Promise((resolve, reject) => {
+  const { passport } = require('../services/auth-service');
+
+  passport.authenticate('jwt', { session: false }, (error, user) => {
+    if (error) {
+      return reject(error);
+    }
+    resolve(user || null);
+  })(req);
+});
+
+/**
+ * Create the router that serves MCP over streamable HTTP
+ * @param {Object} mcpServer - McpServer instance
+ * @param {Object} options - Options
+ * @param {Function} options.authenticate - async (req) => user or null
+ * @param {Array<string>} options.allowedOrigins - Browser origins allowed to call the endpoint
+ * @returns {express.Router}
+ */
+const createMcpRouter = (mcpServer, {
+  authenticate = authenticateWithJwt,
+  allowedOrigins = (process.env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+} = {}) => {
+  const router = express.Router();
+
+  const sendError = (res, status, code, message) => res.status(status).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: { code, message }
+  });
+
+  // Browsers send an Origin; only trusted ones may reach the tools (DNS rebinding protection)
+  router.use((req, res, next) => {
+    const origin = req.get('Origin');
+
+    if (origin && !allowedOrigins.includes(origin)) {
+      return sendError(res, 403, JSONRPC_ERRORS.FORBIDDEN, 'Origin not allowed');
+    }
+
+    const requestedVersion = req.get('MCP-Protocol-Version');
+    if (requestedVersion && !PROTOCOL_VERSIONS.includes(requestedVersion)) {
+      return sendError(res, 400, JSONRPC_ERRORS.INVALID_REQUEST, `Unsupported protocol version: ${requestedVersion}`);
+    }
+
+    next();
+  });
+
+  router.use(async (req, res, next) => {
+    try {
+      const user = await authenticate(req);
+
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer realm="staycrest-mcp"');
+        return sendError(res, 401, JSONRPC_ERRORS.UNAUTHORIZED, 'Authentication required');
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/', async (req, res, next) => {
+    try {
+      const message = req.body;
+
+      if (!message || typeof message !== 'object') {
+        return sendError(res, 400, JSONRPC_ERRORS.PARSE_ERROR, 'Expected a JSON-RPC message');
+      }
+
+      const response = await mcpServer.handleMessage(message, { user: req.user });
+
+      // Only notifications and responses were sent
+      if (!response) {
+        return res.status(202).end();
+      }
+
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // No server-initiated stream and no sessions to end
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST').status(405).end();
+  });
+
+  router.delete('/', (req, res) => {
+    res.set('Allow', 'POST').status(405).end();
+  });
+
+  return router;
+};
+
+module.exports = { createMcpRouter };
@@ -0,0 +1,387 @@
+// server/mcp/mcp-client.js
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const axios = require('axios');
+const { PROTOCOL_VERSIONS } = require('./mcp-server');
+const { version } = require('../../package.json');
+const logger = require('../services/logging-service').getLogger('mcp-client');
+
+/**
+ * Model Context Protocol client for external tool servers
+ *
+ * Connects to another MCP server over stdio (a spawned command) or
+ * streamable HTTP, lists its tools and calls them. ToolManager uses it to
+ * import those tools under a namespace.
+ */
+
+class McpClientError extends Error {
+  /**
+   * @param {string} message - Description
+   * @param {string} code - ERR_MCP_TIMEOUT, ERR_MCP_RPC, ERR_MCP_TOOL, ERR_MCP_TRANSPORT
+   * @param {Object} details - Extra context, e.g. the JSON-RPC error
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'McpClientError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Read the JSON-RPC messages from a `text/event-stream` body
+ * @param {string} body - SSE body
+ * @returns {Array<Object>} Messages
+ */
+const parseEventStream = (body) => body.split(/\r?\n\r?\n/)
+  .map(event => event.split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('\n'))
+  .filter(Boolean)
+  .map(data => JSON.parse(data));
+
+/**
+ * Streamable HTTP client transport
+ */
+class HttpClientTransport {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.url - MCP endpoint
+   * @param {Object} options.headers - Extra headers, e.g. Authorization
+   */
+  constructor({ url, headers = {} }) {
+    if (!url) {
+      throw new McpClientError('HTTP MCP transport requires a url', 'ERR_MCP_TRANSPORT');
+    }
+
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.protocolVersion = null;
+  }
+
+  async start() {}
+
+  /**
+   * Send a message and return the response to it, if it was a request
+   * @param {Object} message - JSON-RPC message
+   * @param {Object} options - Options
+   * @param {number} options.timeoutMs - Request timeout
+   * @returns {Promise<Object|null>}
+   */
+  async send(message, { timeoutMs } = {}) {
+    let response;
+
+    try {
+      response = await axios.post(this.url, message, {
+        timeout: timeoutMs,
+        responseType: 'text',
+        transformResponse: data => data,
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+          ...(this.protocolVersion ? { 'MCP-Protocol-Version': this.protocolVersion } : {})
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        throw new McpClientError(`MCP request ${message.method} timed out after ${timeoutMs}ms`, 'ERR_MCP_TIMEOUT');
+      }
+      // JSON-RPC errors can arrive with a 4xx status
+      if (!error.response || !error.response.data) {
+        throw new McpClientError(`MCP request ${message.method} failed: ${error.message}`, 'ERR_MCP_TRANSPORT');
+      }
+      response = error.response;
+    }
+
+    if (response.headers['mcp-session-id']) {
+      this.sessionId = response.headers['mcp-session-id'];
+    }
+
+    if (response.status === 202 || !response.data) {
+      return null;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const messages = contentType.includes('text/event-stream')
+      ? parseEventStream(response.data)
+      : [].concat(JSON.parse(response.data));
+
+    // Errors the server couldn't tie to the request (401, 403) carry a null id
+    return messages.find(item => item.id === message.id && (item.result !== undefined || item.error))
+      || messages.find(item => item.id === null && item.error)
+      || null;
+  }
+
+  async close() {
+    if (!this.sessionId) {
+      return;
+    }
+
+    try {
+      await axios.delete(this.url, { headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId }, timeout: 5000 });
+    } catch (error) {
+      // Servers without sessions answer 405; nothing to clean up either way
+    }
+    this.sessionId = null;
+  }
+}
+
+/**
+ * Stdio client transport: runs the server as a child process
+ */
+class StdioClientTransport {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.command - Executable
+   * @param {Array<string>} options.args - Arguments
+   * @param {Object} options.env - Extra environment variables
+   * @param {string} options.cwd - Working directory
+   */
+  constructor({ command, args = [], env = {}, cwd }) {
+    if (!command) {
+      throw new McpClientError('stdio MCP transport requires a command', 'ERR_MCP_TRANSPORT');
+    }
+
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.child = null;
+    this.pending = new Map();
+  }
+
+  async start() {
+    const child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.child = child;
+
+    readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', line => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        return logger.debug(`Ignoring non-JSON output from ${this.command}`);
+      }
+
+      const waiting = this.pending.get(message.id);
+      if (waiting) {
+        this.pending.delete(message.id);
+        waiting.resolve(message);
+      }
+    });
+
+    child.stderr.on('data', data => logger.debug(`${this.command}: ${data.toString().trim()}`));
+    // Writes to a child that has gone away fail with EPIPE; the exit handler reports it
+    child.stdin.on('error', error => logger.debug(`${this.command} stdin: ${error.message}`));
+
+    // Drop the child and fail everything waiting on it, so calls don't hang until they time out
+    const fail = (reason) => {
+      if (this.child === child) {
+        this.child = null;
+      }
+      for (const waiting of this.pending.values()) {
+        waiting.reject(new McpClientError(reason, 'ERR_MCP_TRANSPORT'));
+      }
+      this.pending.clear();
+    };
+
+    child.on('exit', code => fail(`${this.command} exited with code ${code}`));
+
+    // Resolve once the process is running, or reject if it can't be started (e.g. ENOENT)
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.on('error', error => {
+        const reason = `Could not run ${this.command}: ${error.message}`;
+        fail(reason);
+        reject(new McpClientError(reason, 'ERR_MCP_TRANSPORT'));
+      });
+    });
+  }
+
+  send(message, { timeoutMs } = {}) {
+    if (!this.child) {
+      return Promise.reject(new McpClientError(`${this.command} is not running`, 'ERR_MCP_TRANSPORT'));
+    }
+
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+
+    if (message.id === undefined) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(message.id);
+        reject(new McpClientError(`MCP request ${message.method} timed out after ${timeoutMs}ms`, 'ERR_MCP_TIMEOUT'));
+      }, timeoutMs);
+
+      this.pending.set(message.id, {
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+    });
+  }
+
+  async close() {
+    if (this.child) {
+      this.child.stdin.end();
+      this.child.kill();
+      this.child = null;
+    }
+  }
+}
+
+class McpClient {
+  /**
+   * @param {Object} transport - HttpClientTransport or StdioClientTransport
+   * @param {Object} options - Options
+   * @param {string} options.name - Server name for logs and errors
+   * @param {number} options.timeoutMs - Default request timeout
+   */
+  constructor(transport, { name = 'mcp', timeoutMs = 10000 } = {}) {
+    this.transport = transport;
+    this.name = name;
+    this.timeoutMs = timeoutMs;
+    this.nextId = 1;
+    this.serverInfo = null;
+    this.connected = false;
+  }
+
+  /**
+   * Build a client from a server entry in config/mcp-servers
+   * @param {Object} config - `{ name, transport, url, headers, command, args, env, timeoutMs }`
+   * @returns {McpClient}
+   */
+  static fromConfig(config) {
+    const transport = config.transport === 'stdio'
+      ? new StdioClientTransport(config)
+      : new HttpClientTransport(config);
+
+    return new McpClient(transport, { name: config.name || config.namespace, timeoutMs: config.timeoutMs });
+  }
+
+  /**
+   * Send a request and return its result
+   * @throws {McpClientError} On timeouts, transport failures and JSON-RPC errors
+   */
+  async request(method, params = {}, { timeoutMs = this.timeoutMs } = {}) {
+    const id = this.nextId++;
+    const response = await this.transport.send({ jsonrpc: '2.0', id, method, params }, { timeoutMs });
+
+    if (!response) {
+      throw new McpClientError(`No response from ${this.name} to ${method}`, 'ERR_MCP_TRANSPORT');
+    }
+
+    if (response.error) {
+      throw new McpClientError(`${this.name} ${method} failed: ${response.error.message}`, 'ERR_MCP_RPC', { error: response.error });
+    }
+
+    return response.result;
+  }
+
+  notify(method, params = {}) {
+    return this.transport.send({ jsonrpc: '2.0', method, params }, { timeoutMs: this.timeoutMs });
+  }
+
+  /**
+   * Start the transport and run the initialize handshake
+   * @param {Object} options - Options
+   * @param {number} options.timeoutMs - Handshake timeout, e.g. to allow for a slow process start
+   */
+  async connect({ timeoutMs = this.timeoutMs } = {}) {
+    await this.transport.start();
+
+    let result;
+    try {
+      result = await this.request('initialize', {
+        protocolVersion: PROTOCOL_VERSIONS[0],
+        capabilities: {},
+        clientInfo: { name: 'staycrest', version }
+      }, { timeoutMs });
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+
+    if (!PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+      await this.close();
+      throw new McpClientError(`${this.name} speaks unsupported protocol version ${result.protocolVersion}`, 'ERR_MCP_TRANSPORT');
+    }
+
+    this.transport.protocolVersion = result.protocolVersion;
+    this.serverInfo = result.serverInfo || null;
+    await this.notify('notifications/initialized');
+    this.connected = true;
+
+    logger.info(`Connected to MCP server ${this.name}`, { server: this.serverInfo, protocolVersion: result.protocolVersion });
+    return result;
+  }
+
+  /**
+   * List every tool the server offers, following pagination
+   * @returns {Promise<Array<Object>>} Tools `{ name, description, inputSchema, outputSchema }`
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+
+    do {
+      const page = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(page.tools || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return tools;
+  }
+
+  /**
+   * Call a tool and unwrap its result
+   * @param {string} name - Tool name on the server
+   * @param {Object} args - Tool arguments
+   * @param {Object} options - Options
+   * @param {number} options.timeoutMs - Call timeout
+   * @returns {Promise<*>} Structured content, else the text content (parsed when it is JSON)
+   * @throws {McpClientError} With code ERR_MCP_TOOL when the tool reports an error
+   */
+  async callTool(name, args = {}, options = {}) {
+    const result = await this.request('tools/call', { name, arguments: args }, options);
+    const text = (result.content || [])
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n');
+
+    if (result.isError) {
+      throw new McpClientError(text || `${this.name} tool ${name} failed`, 'ERR_MCP_TOOL', { structuredContent: result.structuredContent });
+    }
+
+    if (result.structuredContent !== undefined) {
+      return result.structuredContent;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  async close() {
+    this.connected = false;
+    await this.transport.close();
+  }
+}
+
+module.exports = {
+  McpClient,
+  McpClientError,
+  HttpClientTransport,
+  StdioClientTransport
+};
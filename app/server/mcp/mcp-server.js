@@ -0,0 +1,233 @@
+// server/mcp/mcp-server.js
+
+const { hasPermission } = require('../services/rbac-service');
+const { version } = require('../../package.json');
+const logger = require('../services/logging-service').getLogger('mcp-server');
+
+/**
+ * Model Context Protocol server for the ToolManager registry
+ *
+ * Speaks MCP's JSON-RPC 2.0 messages (`initialize`, `ping`, `tools/list`,
+ * `tools/call`) independently of the transport; the streamable HTTP and
+ * stdio transports hand each incoming message to `handleMessage`.
+ */
+
+// Newest first; an unsupported requested version is answered with the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Server-defined range
+  UNAUTHORIZED: -32001,
+  FORBIDDEN: -32003
+};
+
+const DEFAULT_TOOL_PERMISSION = 'system_configuration';
+
+// RBAC permission each tool needs; tools not listed need `system_configuration`
+const TOOL_PERMISSIONS = {
+  search_hotels: 'view_hotel_listings',
+  search_web: 'view_hotel_listings',
+  get_hotel_reviews: 'view_hotel_listings',
+  calculate_redemption_value: 'view_hotel_listings',
+  semantic_search: 'view_hotel_listings',
+  generate_rag_response: 'view_hotel_listings',
+  create_plan: 'view_hotel_listings',
+  // Plans can run any registered tool, so running one needs the permission that covers them all
+  execute_plan: DEFAULT_TOOL_PERMISSION,
+  process_query: DEFAULT_TOOL_PERMISSION,
+  optimize_loyalty: 'view_hotel_listings',
+  store_memory: 'manage_settings',
+  retrieve_memory: 'manage_settings',
+  get_service_status: 'access_analytics'
+};
+
+class McpServer {
+  /**
+   * @param {Object} toolManager - ToolManager whose tools are published
+   * @param {Object} options - Options
+   * @param {Object} options.toolPermissions - Permission per tool name, merged over TOOL_PERMISSIONS
+   * @param {string} options.defaultPermission - Permission for tools without an entry
+   */
+  constructor(toolManager, { toolPermissions = {}, defaultPermission = DEFAULT_TOOL_PERMISSION } = {}) {
+    this.toolManager = toolManager;
+    this.toolPermissions = { ...TOOL_PERMISSIONS, ...toolPermissions };
+    this.defaultPermission = defaultPermission;
+    this.serverInfo = { name: 'staycrest', title: 'StayCrest', version };
+    this.logger = logger;
+  }
+
+  /**
+   * Whether a user may see and call a tool
+   * @param {Object} user - Authenticated user with a `role`
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  canUseTool(user, name) {
+    return hasPermission(user, this.toolPermissions[name] || this.defaultPermission);
+  }
+
+  /**
+   * Handle one JSON-RPC message or a batch of them
+   * @param {Object|Array} message - Parsed JSON-RPC message(s)
+   * @param {Object} context - Request context
+   * @param {Object} context.user - Authenticated user
+   * @returns {Promise<Object|Array|null>} Response(s), or null when nothing needs answering
+   */
+  async handleMessage(message, context = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return this.errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Empty batch');
+      }
+      const responses = (await Promise.all(message.map(item => this.handleSingle(item, context)))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+
+    return this.handleSingle(message, context);
+  }
+
+  /**
+   * Handle a single JSON-RPC message
+   */
+  async handleSingle(message, context) {
+    if (!message || message.jsonrpc !== '2.0') {
+      return this.errorResponse(message && message.id, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+
+    // Responses from the client and notifications need no answer
+    if (typeof message.method !== 'string') {
+      return null;
+    }
+
+    const isNotification = message.id === undefined || message.id === null;
+
+    if (isNotification) {
+      this.logger.debug(`MCP notification: ${message.method}`);
+      return null;
+    }
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, context);
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (error.rpcCode) {
+        return this.errorResponse(message.id, error.rpcCode, error.message, error.data);
+      }
+
+      this.logger.error(`MCP request ${message.method} failed: ${error.message}`);
+      return this.errorResponse(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+    }
+  }
+
+  /**
+   * Route a request to its method
+   */
+  async dispatch(method, params, context) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params);
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return this.listTools(context);
+      case 'tools/call':
+        return this.callTool(params, context);
+      default:
+        throw rpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Negotiate the protocol version and announce capabilities
+   */
+  initialize(params) {
+    const protocolVersion = PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : PROTOCOL_VERSIONS[0];
+
+    this.logger.info('MCP client initialized', {
+      client: params.clientInfo && params.clientInfo.name,
+      protocolVersion
+    });
+
+    return {
+      protocolVersion,
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: this.serverInfo,
+      instructions: 'StayCrest tools for searching hotels across loyalty programs, valuing point redemptions and answering hotel questions from the knowledge base.'
+    };
+  }
+
+  /**
+   * Describe the tools the user may call
+   */
+  listTools({ user } = {}) {
+    const tools = this.toolManager.getRegisteredTools()
+      .filter(name => this.canUseTool(user, name))
+      .map(name => {
+        const outputSchema = this.toolManager.getToolOutputSchema(name);
+        return {
+          name,
+          description: this.toolManager.getToolDescription(name) || undefined,
+          inputSchema: this.toolManager.getToolSchema(name) || { type: 'object' },
+          ...(outputSchema ? { outputSchema } : {})
+        };
+      });
+
+    return { tools };
+  }
+
+  /**
+   * Call a tool; failures of the tool itself are reported in the result so the model can react
+   */
+  async callTool({ name, arguments: args = {} } = {}, { user } = {}) {
+    if (typeof name !== 'string' || !this.toolManager.hasTool(name)) {
+      throw rpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    if (!this.canUseTool(user, name)) {
+      throw rpcError(JSONRPC_ERRORS.FORBIDDEN, `Not permitted to call tool: ${name}`);
+    }
+
+    try {
+      const result = await this.toolManager.executeTool(name, args);
+      const structured = result !== null && typeof result === 'object' && !Array.isArray(result);
+
+      return {
+        content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result) }],
+        ...(structured ? { structuredContent: result } : {}),
+        isError: false
+      };
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: error.message }],
+        ...(error.errors ? { structuredContent: { code: error.code, errors: error.errors } } : {}),
+        isError: true
+      };
+    }
+  }
+
+  errorResponse(id, code, message, data) {
+    return {
+      jsonrpc: '2.0',
+      id: id === undefined ? null : id,
+      error: { code, message, ...(data !== undefined ? { data } : {}) }
+    };
+  }
+}
+
+/**
+ * Error that is answered with a JSON-RPC error object
+ */
+const rpcError = (code, message, data) => Object.assign(new Error(message), { rpcCode: code, data });
+
+module.exports = {
+  McpServer,
+  PROTOCOL_VERSIONS,
+  JSONRPC_ERRORS,
+  TOOL_PERMISSIONS
+};
@@ -0,0 +1,84 @@
+// server/mcp/stdio-transport.js
+
+const readline = require('readline');
+const { JSONRPC_ERRORS } = require('./mcp-server');
+
+/**
+ * Stdio transport for MCP
+ *
+ * Reads newline-delimited JSON-RPC messages from `input` and writes each
+ * answer as one line to `output`. Nothing else may be written to `output`,
+ * so diagnostics go to stderr.
+ */
+class StdioServerTransport {
+  /**
+   * @param {Function} handler - async (message) => response or null, e.g. `McpServer#handleMessage`
+   * @param {Object} options - Options
+   * @param {stream.Readable} options.input - Defaults to process.stdin
+   * @param {stream.Writable} options.output - Defaults to process.stdout
+   */
+  constructor(handler, { input = process.stdin, output = process.stdout } = {}) {
+    this.handler = handler;
+    this.input = input;
+    this.output = output;
+    this.lines = null;
+    this.pending = new Set();
+  }
+
+  /**
+   * Start reading messages
+   * @returns {Promise<void>} Resolves once input has ended and every answer is written
+   */
+  start() {
+    this.lines = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+
+    return new Promise((resolve) => {
+      this.lines.on('line', line => {
+        if (!line.trim()) {
+          return;
+        }
+
+        const handling = this.handleLine(line).finally(() => this.pending.delete(handling));
+        this.pending.add(handling);
+      });
+
+      this.lines.on('close', () => {
+        Promise.all(this.pending).then(() => resolve());
+      });
+    });
+  }
+
+  async handleLine(line) {
+    let message;
+
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return this.send({ jsonrpc: '2.0', id: null, error: { code: JSONRPC_ERRORS.PARSE_ERROR, message: 'Parse error' } });
+    }
+
+    try {
+      const response = await this.handler(message);
+      if (response) {
+        this.send(response);
+      }
+    } catch (error) {
+      process.stderr.write(`MCP stdio handler failed: ${error.message}\n`);
+      if (message && message.id !== undefined && message.id !== null) {
+        this.send({ jsonrpc: '2.0', id: message.id, error: { code: JSONRPC_ERRORS.INTERNAL_ERROR, message: error.message } });
+      }
+    }
+  }
+
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+
+  close() {
+    if (this.lines) {
+      this.lines.close();
+    }
+  }
+}
+
+module.exports = { StdioServerTransport };
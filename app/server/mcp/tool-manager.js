@@ -1,6 +1,83 @@
 // server/mcp/tool-manager.js
 
-const logger = require('../services/logging-service').getLogger('tool-manager');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { McpClient } = require('./mcp-client');
+// Child logger for the structured logEvent/logError helpers used below
+const logger = require('../services/logging-service').createChildLogger('tool-manager');
+
+/**
+ * Tool parameters or a tool result that don't match the tool's schema
+ */
+class ToolValidationError extends Error {
+  /**
+   * @param {string} tool - Tool name
+   * @param {string} target - 'input' or 'output'
+   * @param {Array<Object>} errors - Problems `{ path, pointer, keyword, message, params }`
+   */
+  constructor(tool, target, errors) {
+    const what = target === 'output' ? 'Invalid result from' : 'Invalid parameters for';
+    super(`${what} tool ${tool}: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'ToolValidationError';
+    this.code = target === 'output' ? 'ERR_TOOL_OUTPUT_INVALID' : 'ERR_TOOL_INPUT_INVALID';
+    this.tool = tool;
+    this.target = target;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, tool: this.tool, errors: this.errors };
+  }
+}
+
+/**
+ * Turn Ajv errors into readable `{ path, pointer, keyword, message, params }` entries
+ *
+ * `path` is for people and the LLM (`parameters.filters.price`), `pointer` is
+ * the JSON pointer of the offending value within the validated object.
+ * @param {Array<Object>} ajvErrors - `validate.errors` from Ajv
+ * @param {string} root - Name for the root value, e.g. 'parameters'
+ * @returns {Array<Object>}
+ */
+const formatSchemaErrors = (ajvErrors, root) => (ajvErrors || []).map(error => {
+  const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  let property = null;
+  let message = error.message;
+
+  if (error.keyword === 'required') {
+    property = error.params.missingProperty;
+    message = 'is required';
+  } else if (error.keyword === 'additionalProperties') {
+    property = error.params.additionalProperty;
+    message = 'is not allowed';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+
+  const path = [root, ...segments, ...(property ? [property] : [])]
+    .map((segment, index) => (/^\d+$/.test(segment) ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`))
+    .join('');
+
+  return { path, pointer: error.instancePath, keyword: error.keyword, message: `${path} ${message}`, params: error.params };
+});
+
+// Namespaces prefix imported MCP tool names, e.g. `maps.geocode`
+const MCP_NAMESPACE = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Drop a schema's `$schema` so servers declaring draft-07 still compile; the
+ * keywords tool schemas use mean the same in draft 2020-12
+ * @param {Object} schema - JSON schema from a tool listing
+ * @returns {Object|null} Schema without `$schema`
+ */
+const withoutDialect = (schema) => {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  
+  const { $schema, ...rest } = schema;
+  return rest;
+};
 
 /**
  * MCP Tool Manager for registering and executing tools
@@ -9,6 +86,14 @@ class ToolManager {
   constructor() {
     this.tools = new Map();
     this.schemas = new Map();
+    this.outputSchemas = new Map();
+    this.descriptions = new Map();
+    this.validators = new Map();
+    // Connected external MCP servers by namespace: { client, tools }
+    this.mcpServers = new Map();
+    // Draft 2020-12; `useDefaults` fills in defaults from the schema as parameters are checked
+    this.ajv = new Ajv2020({ allErrors: true, useDefaults: true, strict: false });
+    addFormats(this.ajv);
     this.metrics = {
       executions: 0,
       errors: 0,
@@ -26,10 +111,13 @@ class ToolManager {
    * Register a new tool
    * @param {string} name - Tool name
    * @param {Function} implementation - Tool implementation function
-   * @param {Object} schema - JSON schema for tool parameters
+   * @param {Object} schema - JSON schema (draft 2020-12) for tool parameters
+   * @param {Object} options - Registration options
+   * @param {Object} options.outputSchema - JSON schema the tool's result must match
+   * @param {string} options.description - What the tool does, for planners and MCP clients
    * @returns {boolean} Registration success
    */
-  registerTool(name, implementation, schema = null) {
+  registerTool(name, implementation, schema = null, { outputSchema = null, description = null } = {}) {
     try {
       if (this.tools.has(name)) {
         this.logger.warn(`Tool ${name} is already registered. Overwriting.`, {
@@ -43,13 +131,29 @@ class ToolManager {
         throw new Error('Tool implementation must be a function');
       }
       
+      // Compile the schemas first so a broken schema doesn't leave a half-registered tool
+      const validators = {
+        input: schema ? this.ajv.compile(schema) : null,
+        output: outputSchema ? this.ajv.compile(outputSchema) : null
+      };
+      
       // Register the tool
       this.tools.set(name, implementation);
+      this.validators.set(name, validators);
       
-      // Register schema if provided
+      // Register schemas if provided
+      this.schemas.delete(name);
+      this.outputSchemas.delete(name);
+      this.descriptions.delete(name);
+      if (description) {
+        this.descriptions.set(name, description);
+      }
       if (schema) {
         this.schemas.set(name, schema);
       }
+      if (outputSchema) {
+        this.outputSchemas.set(name, outputSchema);
+      }
       
       // Initialize metrics for this tool
       this.metrics.toolUsage[name] = 0;
@@ -59,7 +163,8 @@ class ToolManager {
       this.logger.info(`Tool registered: ${name}`, { 
         tool: name, 
         action: 'register',
-        hasSchema: !!schema
+        hasSchema: !!schema,
+        hasOutputSchema: !!outputSchema
       });
       
       return true;
@@ -69,6 +174,26 @@ class ToolManager {
     }
   }
   
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} Whether the tool was registered
+   */
+  unregisterTool(name) {
+    const existed = this.tools.delete(name);
+    
+    this.validators.delete(name);
+    this.schemas.delete(name);
+    this.outputSchemas.delete(name);
+    this.descriptions.delete(name);
+    
+    if (existed) {
+      this.logger.info(`Tool unregistered: ${name}`, { tool: name, action: 'unregister' });
+    }
+    
+    return existed;
+  }
+  
   /**
    * Check if a tool exists
    * @param {string} name - Tool name
@@ -105,10 +230,10 @@ class ToolManager {
       // Get tool implementation
       const tool = this.tools.get(name);
       
-      // Validate parameters against schema if available
+      // Validate parameters against schema if available, filling in defaults
       if (this.schemas.has(name)) {
         try {
-          this.validateParameters(name, parameters);
+          parameters = this.validateParameters(name, parameters);
         } catch (error) {
           this.logger.logError(error, `Parameter validation failed for tool: ${name}`, { 
             traceId, 
@@ -122,6 +247,10 @@ class ToolManager {
       this.logger.debug(`Running tool implementation: ${name}`, { traceId });
       const result = await tool(parameters);
       
+      if (this.outputSchemas.has(name)) {
+        this.validateOutput(name, result);
+      }
+      
       // Update metrics
       this.updateMetrics(name, startTime, true, traceId);
       
@@ -148,46 +277,53 @@ class ToolManager {
     }
   }
   
+  /**
+   * Check parameters against a tool's schema without throwing
+   * @param {string} name - Tool name
+   * @param {Object} parameters - Parameters to check
+   * @returns {Object} `{ valid, errors, parameters }`, parameters being a copy with defaults filled in
+   */
+  checkParameters(name, parameters = {}) {
+    const { input } = this.validators.get(name) || {};
+    
+    // Defaults are filled into a copy so the caller's object isn't changed
+    const value = parameters && typeof parameters === 'object' ? structuredClone(parameters) : parameters;
+    
+    if (!input || input(value)) {
+      return { valid: true, errors: [], parameters: value };
+    }
+    
+    return { valid: false, errors: formatSchemaErrors(input.errors, 'parameters'), parameters: value };
+  }
+  
   /**
    * Validate parameters against schema
    * @param {string} name - Tool name
    * @param {Object} parameters - Parameters to validate
-   * @throws {Error} If validation fails
+   * @returns {Object} Parameters with schema defaults filled in
+   * @throws {ToolValidationError} If validation fails
    */
   validateParameters(name, parameters) {
-    const schema = this.schemas.get(name);
+    const result = this.checkParameters(name, parameters);
     
-    // Basic schema validation (in production, use a proper JSON Schema validator)
-    
-    // Check required fields
-    if (schema.required && Array.isArray(schema.required)) {
-      for (const requiredField of schema.required) {
-        if (parameters[requiredField] === undefined) {
-          throw new Error(`Missing required parameter: ${requiredField}`);
-        }
-      }
+    if (!result.valid) {
+      throw new ToolValidationError(name, 'input', result.errors);
     }
     
-    // Check property types
-    if (schema.properties) {
-      for (const [propName, propSchema] of Object.entries(schema.properties)) {
-        if (parameters[propName] !== undefined) {
-          // Type checking
-          const paramType = typeof parameters[propName];
-          let expectedType = propSchema.type;
-          
-          // Convert JSON Schema types to JavaScript types
-          if (expectedType === 'integer' || expectedType === 'number') {
-            expectedType = 'number';
-          }
-          
-          if (expectedType === 'array' && !Array.isArray(parameters[propName])) {
-            throw new Error(`Parameter ${propName} should be an array`);
-          } else if (expectedType !== 'array' && paramType !== expectedType) {
-            throw new Error(`Parameter ${propName} should be of type ${expectedType}, got ${paramType}`);
-          }
-        }
-      }
+    return result.parameters;
+  }
+  
+  /**
+   * Validate a tool result against its output schema
+   * @param {string} name - Tool name
+   * @param {*} result - Tool result
+   * @throws {ToolValidationError} If the result doesn't match
+   */
+  validateOutput(name, result) {
+    const { output } = this.validators.get(name) || {};
+    
+    if (output && !output(result)) {
+      throw new ToolValidationError(name, 'output', formatSchemaErrors(output.errors, 'result'));
     }
   }
   
@@ -277,6 +413,39 @@ class ToolManager {
     return this.schemas.get(name) || null;
   }
   
+  /**
+   * Get a tool's description
+   * @param {string} name - Tool name
+   * @returns {string|null} Description
+   */
+  getToolDescription(name) {
+    return this.descriptions.get(name) || null;
+  }
+  
+  /**
+   * Get the schema a tool's result is validated against
+   * @param {string} name - Tool name
+   * @returns {Object|null} Output schema
+   */
+  getToolOutputSchema(name) {
+    return this.outputSchemas.get(name) || null;
+  }
+  
+  /**
+   * Describe tools for native LLM tool calling
+   * @param {Array<string>} names - Tools to describe, defaults to every registered tool
+   * @returns {Array<Object>} Definitions `{ name, description, parameters }` for `LLMProvider#generateWithTools`
+   */
+  getToolDefinitions(names = this.getRegisteredTools()) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map(name => ({
+        name,
+        description: this.getToolDescription(name) || '',
+        parameters: this.getToolSchema(name) || { type: 'object', properties: {} }
+      }));
+  }
+  
   /**
    * Get tool execution metrics
    * @returns {Object} Metrics
@@ -310,7 +479,8 @@ class ToolManager {
       totalExecutionTime: this.metrics.totalExecutionTime[name] || 0,
       lastExecution: this.metrics.lastExecution[name] || null,
       lastError: this.metrics.lastError[name] || null,
-      hasSchema: this.schemas.has(name)
+      hasSchema: this.schemas.has(name),
+      hasOutputSchema: this.outputSchemas.has(name)
     };
   }
   
@@ -343,9 +513,10 @@ class ToolManager {
    * @param {string} name - New tool name
    * @param {Array<Object>} toolSequence - Sequence of tool calls
    * @param {Object} schema - Schema for the composed tool
+   * @param {Object} options - Registration options, as for `registerTool`
    * @returns {boolean} Registration success
    */
-  composeTool(name, toolSequence, schema = null) {
+  composeTool(name, toolSequence, schema = null, options = {}) {
     try {
       if (!Array.isArray(toolSequence) || toolSequence.length === 0) {
         throw new Error('Tool sequence must be a non-empty array');
@@ -399,13 +570,111 @@ class ToolManager {
       };
       
       // Register the composed tool
-      return this.registerTool(name, composedTool, schema);
+      return this.registerTool(name, composedTool, schema, options);
     } catch (error) {
       this.logger.error(`Error composing tool ${name}: ${error.message}`);
       return false;
     }
   }
+  
+  /**
+   * Connect to external MCP servers and import their tools
+   * @param {Array<Object>} servers - Server entries, see config/mcp-servers
+   * @param {Object} defaults - `{ timeoutMs, connectTimeoutMs }` for entries that don't set them
+   * @returns {Promise<Array<Object>>} Per server `{ namespace, tools, error }`; one failing server doesn't stop the others
+   */
+  async connectMcpServers(servers = [], defaults = {}) {
+    const enabled = servers.filter(server => server && server.enabled !== false);
+    
+    const results = await Promise.allSettled(enabled.map(async (server) => {
+      if (!server.namespace || !MCP_NAMESPACE.test(server.namespace)) {
+        throw new Error(`Invalid MCP server namespace: ${server.namespace}`);
+      }
+      if (this.mcpServers.has(server.namespace)) {
+        throw new Error(`MCP server namespace already connected: ${server.namespace}`);
+      }
+      
+      const timeoutMs = server.timeoutMs || defaults.timeoutMs;
+      const client = McpClient.fromConfig({ ...server, timeoutMs });
+      await client.connect({ timeoutMs: server.connectTimeoutMs || defaults.connectTimeoutMs || timeoutMs });
+      
+      try {
+        return await this.importMcpTools(client, { namespace: server.namespace, timeoutMs, tools: server.tools });
+      } catch (error) {
+        await client.close();
+        throw error;
+      }
+    }));
+    
+    return results.map((result, index) => {
+      const { namespace } = enabled[index];
+      
+      if (result.status === 'fulfilled') {
+        return { namespace, tools: result.value, error: null };
+      }
+      
+      this.logger.logError(result.reason, `Could not connect to MCP server ${namespace}`, { namespace });
+      return { namespace, tools: [], error: result.reason.message };
+    });
+  }
+  
+  /**
+   * Register a connected MCP client's tools as `<namespace>.<tool>` proxies
+   * @param {Object} client - Connected McpClient
+   * @param {Object} options - Import options
+   * @param {string} options.namespace - Prefix for the tool names
+   * @param {number} options.timeoutMs - Timeout for each proxied call
+   * @param {Array<string>} options.tools - Only import these tools
+   * @returns {Promise<Array<string>>} Names of the registered tools
+   */
+  async importMcpTools(client, { namespace, timeoutMs, tools: allowList } = {}) {
+    const tools = (await client.listTools())
+      .filter(tool => !allowList || allowList.includes(tool.name));
+    const imported = [];
+    
+    for (const tool of tools) {
+      const name = `${namespace}.${tool.name}`;
+      
+      if (this.tools.has(name)) {
+        this.logger.warn(`Skipping MCP tool ${name}: a tool with that name is already registered`, { tool: name, namespace });
+        continue;
+      }
+      
+      const proxy = (parameters) => client.callTool(tool.name, parameters, { timeoutMs });
+      const registered = this.registerTool(name, proxy, withoutDialect(tool.inputSchema), {
+        outputSchema: withoutDialect(tool.outputSchema),
+        description: tool.description || tool.title || null
+      });
+      
+      if (registered) {
+        imported.push(name);
+      }
+    }
+    
+    this.mcpServers.set(namespace, { client, tools: imported });
+    this.logger.info(`Imported ${imported.length} tools from MCP server ${namespace}`, { namespace, tools: imported });
+    
+    return imported;
+  }
+  
+  /**
+   * Close every MCP server connection and remove the imported tools
+   */
+  async disconnectMcpServers() {
+    const servers = Array.from(this.mcpServers.entries());
+    this.mcpServers.clear();
+    
+    await Promise.all(servers.map(async ([namespace, { client, tools }]) => {
+      tools.forEach(name => this.unregisterTool(name));
+      
+      try {
+        await client.close();
+      } catch (error) {
+        this.logger.warn(`Error closing MCP server ${namespace}: ${error.message}`, { namespace });
+      }
+    }));
+  }
 }
 
 // Export the ToolManager class
-module.exports = { ToolManager };
\ No newline at end of file
+module.exports = { ToolManager, ToolValidationError };
\ No newline at end of file
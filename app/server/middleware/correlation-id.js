@@ -8,6 +8,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
+const { runWithContext } = require('../services/request-context');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -55,7 +56,13 @@ const correlationIdMiddleware = (req, res, next) => {
   
   logger.debug('Correlation ID set', { correlationId, path: req.path });
   
-  next();
+  // Expose the correlation ID and the user, once authentication has set it, to the rest of the request
+  runWithContext({
+    correlationId,
+    get user() {
+      return req.user;
+    }
+  }, next);
 };
 
 module.exports = { correlationIdMiddleware }; 
\ No newline at end of file
@@ -49,10 +49,23 @@ const searchHistorySchema = new mongoose.Schema({
       chain: String,
       loyaltyProgram: String,
       price: Number,
+      currency: String,
       pointsRequired: Number,
       link: String,
     }],
   },
+  // Prices seen for each hotel on every scheduled run, oldest first
+  priceHistory: [{
+    hotelId: String,
+    name: String,
+    price: Number,
+    currency: String,
+    pointsRequired: Number,
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   isSaved: {
     type: Boolean,
     default: false,
@@ -82,6 +95,9 @@ const searchHistorySchema = new mongoose.Schema({
     nextRun: {
       type: Date,
     },
+    lastError: {
+      type: String,
+    },
   },
   createdAt: {
     type: Date,
@@ -115,9 +131,17 @@ searchHistorySchema.methods.convertToScheduledSearch = async function(scheduleOp
   return this.save();
 };
 
+// Record a completed scheduled run and move the next one forward
+searchHistorySchema.methods.markScheduledRun = async function(runAt = new Date(), error = null) {
+  this.schedule.lastRun = runAt;
+  this.schedule.nextRun = calculateNextRun(this.schedule.frequency, runAt);
+  this.schedule.lastError = error ? error.message : undefined;
+  return this.save();
+};
+
 // Helper function to calculate the next run date based on frequency
-function calculateNextRun(frequency) {
-  const now = new Date();
+function calculateNextRun(frequency, from = new Date()) {
+  const now = new Date(from);
   
   switch (frequency) {
     case 'daily':
@@ -132,12 +156,14 @@ function calculateNextRun(frequency) {
 }
 
 // Static method to find searches that need to be executed
-searchHistorySchema.statics.findScheduledToRun = function() {
+searchHistorySchema.statics.findScheduledToRun = function(limit = 0) {
   const now = new Date();
   return this.find({
     'schedule.enabled': true,
     'schedule.nextRun': { $lte: now },
-  });
+  })
+    .sort({ 'schedule.nextRun': 1 })
+    .limit(limit);
 };
 
 // Create model
@@ -2,6 +2,7 @@ const express = require('express');
 const User = require('../models/user');
 const { protect, authorize } = require('../services/auth-service');
 const rbac = require('../services/rbac-service');
+const { ragIngestionService } = require('../services/rag-ingestion-service');
 const router = express.Router();
 
 // Apply auth middleware to all admin routes
@@ -344,4 +345,75 @@ router.get('/roles', authorize('admin', 'superadmin'), (req, res) => {
   });
 });
 
+// Ingest a document for RAG, replacing the chunks of an earlier version of the same source
+router.post('/rag/documents', authorize('admin', 'superadmin'), async (req, res, next) => {
+  try {
+    if (!rbac.hasPermission(req.user, 'manage_settings')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to manage the knowledge base'
+      });
+    }
+    
+    const { content, source, format, fileName, version, type, title, url, metadata } = req.body;
+    const result = await ragIngestionService.ingestDocument({ content, source, format, fileName, version, type, title, url, metadata });
+    
+    res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List ingested RAG sources
+router.get('/rag/sources', authorize('admin', 'superadmin'), async (req, res, next) => {
+  try {
+    if (!rbac.hasPermission(req.user, 'manage_settings')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to manage the knowledge base'
+      });
+    }
+    
+    const sources = await ragIngestionService.listSources();
+    
+    res.status(200).json({
+      status: 'success',
+      data: { sources }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove an ingested RAG source
+router.delete('/rag/sources/:source', authorize('admin', 'superadmin'), async (req, res, next) => {
+  try {
+    if (!rbac.hasPermission(req.user, 'manage_settings')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to manage the knowledge base'
+      });
+    }
+    
+    const removed = await ragIngestionService.removeSource(req.params.source);
+    
+    if (removed === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Source not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { source: req.params.source, removed }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
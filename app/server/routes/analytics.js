@@ -4,6 +4,7 @@ const { protect, authorize } = require('../services/auth-service');
 const User = require('../models/user');
 const SearchHistory = require('../models/search-history');
 const Conversation = require('../models/conversation');
+const { llmUsageService } = require('../services/llm-usage-service');
 
 // All routes in this file should be protected and restricted to admins
 router.use(protect);
@@ -314,4 +315,64 @@ router.get('/dashboard', async (req, res, next) => {
   }
 });
 
+// @desc    Get LLM cost dashboard: daily totals, spend by model and user, recent calls
+// @route   GET /api/analytics/llm-costs
+// @access  Private/Admin
+router.get('/llm-costs', async (req, res, next) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 90);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    
+    const dashboard = await llmUsageService.getDashboard({ days, limit });
+    
+    res.status(200).json({
+      status: 'success',
+      data: dashboard,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Get a user's LLM spend against their role's quota
+// @route   GET /api/analytics/llm-costs/users/:userId
+// @access  Private/Admin
+router.get('/llm-costs/users/:userId', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('role');
+    
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
+    
+    const usage = await llmUsageService.getUserUsage(String(user._id), user.role);
+    
+    res.status(200).json({
+      status: 'success',
+      data: usage,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// @desc    Get the LLM tokens and cost of one request or agent run
+// @route   GET /api/analytics/llm-costs/requests/:correlationId
+// @access  Private/Admin
+router.get('/llm-costs/requests/:correlationId', async (req, res, next) => {
+  try {
+    const usage = await llmUsageService.getRequestUsage(req.params.correlationId);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { correlationId: req.params.correlationId, ...usage },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -220,7 +220,8 @@ router.get('/search-sources', (req, res) => {
     const searchSourcesStatus = searchSourcesService.getStatus();
     
     res.status(200).json({
-      status: 'ok',
+      // Open circuits mean some sources are being skipped, but search still works
+      status: searchSourcesStatus.openCircuitsCount > 0 ? 'degraded' : 'ok',
       service: 'staycrest-api',
       version,
       timestamp: new Date().toISOString(),
@@ -230,7 +231,10 @@ router.get('/search-sources', (req, res) => {
         webSearchProvidersCount: searchSourcesStatus.webSearchProvidersCount,
         aggregatorsCount: searchSourcesStatus.aggregatorsCount,
         directBookingPlatformsCount: searchSourcesStatus.directBookingPlatformsCount,
-        enabledProvidersCount: searchSourcesStatus.enabledProvidersCount
+        enabledProvidersCount: searchSourcesStatus.enabledProvidersCount,
+        openCircuitsCount: searchSourcesStatus.openCircuitsCount,
+        averageHealthScore: searchSourcesStatus.averageHealthScore,
+        sources: searchSourcesStatus.sourceHealth
       }
     });
   } catch (error) {
@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../services/auth-service');
 const searchSourcesService = require('../services/search-sources-service');
-const searchAgent = require('../agents/search-agent');
+const { searchClarificationService } = require('../services/search-clarification-service');
 const logger = require('../services/logging-service').getLogger('api-routes');
 
 // @desc    Main API health check
@@ -27,7 +27,7 @@ router.get('/search', async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { q: query, location, ...filters } = req.query;
+    const { q: query, location, summarize, ...filters } = req.query;
 
     logger.info('Received search request', {
       requestId,
@@ -63,8 +63,38 @@ router.get('/search', async (req, res) => {
       combinedQuery: searchQuery
     });
 
-    // Execute search
-    const searchResults = await searchAgent.searchHotels(searchQuery, filters);
+    const searchAgent = req.app.get('searchAgent');
+
+    if (!searchAgent) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Search service is not ready yet, please try again shortly'
+      });
+    }
+
+    // Execute search, holding back when location or dates are missing; an LLM
+    // summary costs a call against the quota, so only on ?summarize=true
+    const searchResults = await searchAgent.searchHotels(searchQuery, filters, {
+      requireSlots: true,
+      summarize: summarize === 'true'
+    });
+
+    if (searchResults.needsClarification) {
+      logger.info('Search request needs clarification', {
+        requestId,
+        missing: searchResults.missing,
+        query: searchQuery
+      });
+
+      // Stateless clients answer by repeating the request with location, checkIn and checkOut
+      return res.status(200).json({
+        status: 'clarification_needed',
+        data: searchClarificationService.buildClarification({
+          query: searchQuery,
+          missing: searchResults.missing
+        })
+      });
+    }
 
     const duration = Date.now() - startTime;
 
@@ -0,0 +1,97 @@
+/**
+ * Agent Checkpoint Store
+ *
+ * Keeps the state of in-flight agent runs (the plan and every completed
+ * step's output) so a run that failed or lost its client can resume from the
+ * last completed step. The Redis store shares checkpoints between cluster
+ * workers; the memory store is for single-process and test use.
+ */
+
+const logger = require('./logging-service').getLogger('agent-checkpoints');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.AGENT_CHECKPOINT_TTL_SECONDS, 10) || 60 * 60;
+
+const KEY_PREFIX = 'agent:checkpoint:';
+
+/**
+ * Holds checkpoints in process memory
+ */
+class MemoryCheckpointStore {
+  constructor({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    this.name = 'memory';
+    this.ttlMs = ttlSeconds * 1000;
+    this.checkpoints = new Map();
+  }
+
+  async load(runId) {
+    const entry = this.checkpoints.get(runId);
+
+    if (!entry || entry.expires < Date.now()) {
+      this.checkpoints.delete(runId);
+      return null;
+    }
+
+    // Hand out copies so callers can't mutate the stored checkpoint
+    return JSON.parse(entry.value);
+  }
+
+  async save(checkpoint) {
+    this.checkpoints.set(checkpoint.runId, {
+      value: JSON.stringify(checkpoint),
+      expires: Date.now() + this.ttlMs
+    });
+  }
+
+  async delete(runId) {
+    this.checkpoints.delete(runId);
+  }
+}
+
+/**
+ * Holds checkpoints in Redis with an expiry
+ */
+class RedisCheckpointStore {
+  constructor(redisClient, { ttlSeconds = DEFAULT_TTL_SECONDS, prefix = KEY_PREFIX } = {}) {
+    if (!redisClient) {
+      throw new Error('RedisCheckpointStore requires a redis client');
+    }
+
+    this.name = 'redis';
+    this.client = redisClient;
+    this.ttlSeconds = ttlSeconds;
+    this.prefix = prefix;
+  }
+
+  async load(runId) {
+    const value = await this.client.get(`${this.prefix}${runId}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async save(checkpoint) {
+    await this.client.set(`${this.prefix}${checkpoint.runId}`, JSON.stringify(checkpoint), { EX: this.ttlSeconds });
+  }
+
+  async delete(runId) {
+    await this.client.del(`${this.prefix}${runId}`);
+  }
+}
+
+/**
+ * Pick the checkpoint store for the app
+ * @param {Object} redisClient - Redis client, if one is configured
+ * @returns {Object} Checkpoint store
+ */
+const createCheckpointStore = (redisClient) => {
+  if (redisClient) {
+    return new RedisCheckpointStore(redisClient);
+  }
+
+  logger.warn('No Redis client for agent checkpoints, runs can only resume in this process');
+  return new MemoryCheckpointStore();
+};
+
+module.exports = {
+  MemoryCheckpointStore,
+  RedisCheckpointStore,
+  createCheckpointStore
+};
@@ -0,0 +1,241 @@
+/**
+ * Currency Service
+ * 
+ * Converts hotel prices between currencies so offers from different sources
+ * can be compared and shown in the user's preferred currency. Exchange rates
+ * come from a pluggable rate provider: the fixture provider serves the bundled
+ * rates offline, the HTTP provider fetches `{ base, rates }` from a URL.
+ */
+
+const axios = require('axios');
+const fixtureRates = require('../config/exchange-rates');
+const { compareOffers } = require('./price-comparison-service');
+const logger = require('./logging-service').getLogger('currency');
+
+const DEFAULT_CURRENCY = 'USD';
+
+class UnsupportedCurrencyError extends Error {
+  constructor(currency) {
+    super(`No exchange rate for currency: ${currency}`);
+    this.name = 'UnsupportedCurrencyError';
+    this.code = 'ERR_UNSUPPORTED_CURRENCY';
+    this.currency = currency;
+  }
+}
+
+/**
+ * Serves fixed rates, for offline and test use
+ */
+class FixtureRateProvider {
+  constructor(fixture = fixtureRates) {
+    this.name = 'fixture';
+    this.fixture = fixture;
+  }
+  
+  async getRates() {
+    return {
+      base: this.fixture.base,
+      rates: { ...this.fixture.rates },
+      asOf: this.fixture.asOf
+    };
+  }
+}
+
+/**
+ * Fetches rates from an HTTP endpoint returning `{ base, rates }`
+ */
+class HttpRateProvider {
+  constructor({ url, timeout = 5000 } = {}) {
+    if (!url) {
+      throw new Error('HttpRateProvider requires a url');
+    }
+    
+    this.name = 'http';
+    this.url = url;
+    this.timeout = timeout;
+  }
+  
+  async getRates() {
+    const response = await axios.get(this.url, { timeout: this.timeout });
+    const { base, rates, date } = response.data || {};
+    
+    if (!base || !rates || typeof rates !== 'object') {
+      throw new Error('Rate source returned an unexpected payload');
+    }
+    
+    return { base, rates: { ...rates, [base]: 1 }, asOf: date || new Date().toISOString() };
+  }
+}
+
+/**
+ * Pick the rate provider from the environment
+ */
+const createDefaultProvider = () => {
+  if (process.env.CURRENCY_RATES_URL) {
+    return new HttpRateProvider({ url: process.env.CURRENCY_RATES_URL });
+  }
+  
+  return new FixtureRateProvider();
+};
+
+class CurrencyService {
+  constructor(options = {}) {
+    this.provider = options.provider || createDefaultProvider();
+    this.fallbackProvider = new FixtureRateProvider();
+    this.cacheTtl = options.cacheTtl || parseInt(process.env.CURRENCY_RATES_TTL_MS, 10) || 60 * 60 * 1000;
+    this.cachedRates = null;
+    this.cachedAt = 0;
+    this.logger = logger;
+  }
+  
+  /**
+   * Swap the rate source, e.g. for a paid FX API
+   * @param {Object} provider - Object with `name` and async `getRates()`
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.cachedRates = null;
+    this.cachedAt = 0;
+  }
+  
+  /**
+   * Get current rates, cached for `cacheTtl`
+   * 
+   * Falls back to the fixture rates if the provider fails, so search keeps
+   * working when the rate source is down.
+   * @returns {Object} `{ base, rates, asOf, provider }`
+   */
+  async getRates() {
+    if (this.cachedRates && Date.now() - this.cachedAt < this.cacheTtl) {
+      return this.cachedRates;
+    }
+    
+    try {
+      const rates = await this.provider.getRates();
+      this.cachedRates = { ...rates, provider: this.provider.name };
+    } catch (error) {
+      this.logger.warn('Exchange rate provider failed, using fixture rates', {
+        provider: this.provider.name,
+        error: error.message
+      });
+      
+      // Don't cache the fallback so the next request retries the provider
+      return { ...(await this.fallbackProvider.getRates()), provider: this.fallbackProvider.name };
+    }
+    
+    this.cachedAt = Date.now();
+    return this.cachedRates;
+  }
+  
+  /**
+   * Convert an amount using a set of rates
+   * @param {number} amount - Amount in `from` currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @param {Object} rates - Rates from `getRates`
+   * @returns {number} Amount in `to` currency, rounded to cents
+   */
+  convertWithRates(amount, from, to, rates) {
+    const source = (from || DEFAULT_CURRENCY).toUpperCase();
+    const target = (to || DEFAULT_CURRENCY).toUpperCase();
+    
+    if (source === target) {
+      return amount;
+    }
+    
+    const fromRate = rates.rates[source];
+    const toRate = rates.rates[target];
+    
+    if (!fromRate) throw new UnsupportedCurrencyError(source);
+    if (!toRate) throw new UnsupportedCurrencyError(target);
+    
+    return Math.round(amount / fromRate * toRate * 100) / 100;
+  }
+  
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in `from` currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {Promise<number>} Converted amount
+   */
+  async convert(amount, from, to) {
+    return this.convertWithRates(amount, from, to, await this.getRates());
+  }
+  
+  /**
+   * Convert every offer of every hotel into the display currency
+   * 
+   * Offers and hotels keep `price`/`currency` in the display currency and
+   * carry `originalPrice`/`originalCurrency` as quoted by the source. Offers
+   * are compared again afterwards since cross-currency offers can now be
+   * ranked. Safe to call on already normalized hotels.
+   * @param {Array} hotels - Canonical hotels from search
+   * @param {string} displayCurrency - Currency to show prices in
+   * @returns {Promise<Array>} Normalized hotels
+   */
+  async normalizeHotels(hotels, displayCurrency = DEFAULT_CURRENCY) {
+    if (!hotels || hotels.length === 0) {
+      return hotels || [];
+    }
+    
+    const rates = await this.getRates();
+    const target = (displayCurrency || DEFAULT_CURRENCY).toUpperCase();
+    
+    const normalizePrice = (item) => {
+      const originalPrice = item.originalPrice ?? item.price;
+      const originalCurrency = item.originalCurrency || item.currency || DEFAULT_CURRENCY;
+      
+      if (typeof originalPrice !== 'number') {
+        return { ...item, originalPrice, originalCurrency };
+      }
+      
+      try {
+        return {
+          ...item,
+          price: this.convertWithRates(originalPrice, originalCurrency, target, rates),
+          currency: target,
+          originalPrice,
+          originalCurrency
+        };
+      } catch (error) {
+        // Leave prices we can't convert untouched; they stay out of comparisons
+        this.logger.debug(error.message);
+        return { ...item, price: originalPrice, currency: originalCurrency, originalPrice, originalCurrency };
+      }
+    };
+    
+    return hotels.map(hotel => {
+      const normalized = normalizePrice(hotel);
+      
+      if (!Array.isArray(hotel.offers) || hotel.offers.length === 0) {
+        return normalized;
+      }
+      
+      const { offers, comparison } = compareOffers(hotel.offers.map(normalizePrice), target);
+      const cheapest = offers.find(offer => offer.isCheapest);
+      
+      return {
+        ...normalized,
+        price: comparison.lowestPrice !== null ? comparison.lowestPrice : normalized.price,
+        currency: comparison.lowestPrice !== null ? target : normalized.currency,
+        originalPrice: cheapest ? cheapest.originalPrice : normalized.originalPrice,
+        originalCurrency: cheapest ? cheapest.originalCurrency : normalized.originalCurrency,
+        offers,
+        priceComparison: comparison
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const currencyService = new CurrencyService();
+
+module.exports = {
+  currencyService,
+  CurrencyService,
+  FixtureRateProvider,
+  HttpRateProvider,
+  UnsupportedCurrencyError,
+  DEFAULT_CURRENCY
+};
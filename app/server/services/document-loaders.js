@@ -0,0 +1,238 @@
+/**
+ * Document Loaders
+ *
+ * Turn the documents we ingest for RAG (loyalty program T&Cs, hotel fact
+ * sheets) into plain text for chunking: Markdown, HTML, text extracted from
+ * PDFs and JSON program terms. Each loader returns `{ text, title, metadata }`.
+ */
+
+const path = require('path');
+const cheerio = require('cheerio');
+
+const FORMATS = ['markdown', 'html', 'pdf-text', 'json'];
+
+const EXTENSIONS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'pdf-text',
+  '.json': 'json'
+};
+
+/**
+ * Tidy whitespace: single spaces within lines, at most one blank line between paragraphs
+ */
+const normalizeText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t ]+/g, ' ')
+  .split('\n')
+  .map(line => line.trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Read `key: value` lines of a front matter block
+ */
+const parseFrontMatter = (block) => block.split('\n').reduce((metadata, line) => {
+  const match = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+  if (match) {
+    metadata[match[1]] = match[2].replace(/^["']|["']$/g, '');
+  }
+  return metadata;
+}, {});
+
+/**
+ * Load Markdown, keeping heading and list text and dropping the markup
+ */
+const loadMarkdown = (content) => {
+  let body = content.replace(/\r\n?/g, '\n');
+  let metadata = {};
+
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    metadata = parseFrontMatter(frontMatter[1]);
+    body = body.slice(frontMatter[0].length);
+  }
+
+  const heading = body.match(/^#\s+(.+)$/m);
+
+  const text = body
+    .replace(/^```.*$/gm, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '- ')
+    .replace(/^[ \t]*\|?[ \t:-]+\|[ \t|:-]*$/gm, '')
+    .replace(/(\*\*|__|~~|`)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?=\W|$)/g, '$1$2');
+
+  return {
+    text: normalizeText(text),
+    title: metadata.title || (heading ? heading[1].trim() : null),
+    metadata
+  };
+};
+
+// Elements that start a new line of text
+const HTML_BLOCKS = 'address, article, aside, blockquote, dd, div, dl, dt, figcaption, h1, h2, h3, h4, h5, h6, li, main, ol, p, pre, section, table, tr, ul';
+
+/**
+ * Load HTML, keeping the readable text of the page
+ */
+const loadHtml = (content) => {
+  const $ = cheerio.load(content);
+
+  $('script, style, noscript, template, svg, nav, iframe').remove();
+  const title = $('title').first().text().trim() || $('h1').first().text().trim() || null;
+  const description = $('meta[name="description"]').attr('content');
+
+  $('br').replaceWith('\n');
+  $('td, th').append(' ');
+  $(HTML_BLOCKS).each((index, element) => {
+    $(element).prepend('\n').append('\n');
+  });
+
+  return {
+    text: normalizeText($('body').length ? $('body').text() : $.root().text()),
+    title,
+    metadata: description ? { description } : {}
+  };
+};
+
+// Lines that are only a page number: "12", "- 12 -", "Page 3", "Page 3 of 12"
+const PAGE_NUMBER = /^(?:page\s+)?[-–]?\s*\d+\s*[-–]?(?:\s+of\s+\d+)?$/i;
+
+/**
+ * Load text extracted from a PDF (e.g. by pdftotext): drop page numbers and
+ * running headers and footers, and rejoin words and lines the layout split
+ */
+const loadPdfText = (content) => {
+  const pages = content.replace(/\r\n?/g, '\n').split('\f').map(page => page.split('\n').map(line => line.trim()));
+
+  // A line on most pages of a longer document is a running header or footer
+  const repeated = new Set();
+  if (pages.length >= 3) {
+    const counts = new Map();
+    for (const page of pages) {
+      for (const line of new Set(page.filter(Boolean))) {
+        counts.set(line, (counts.get(line) || 0) + 1);
+      }
+    }
+    for (const [line, count] of counts) {
+      if (count >= Math.ceil(pages.length * 0.6)) {
+        repeated.add(line);
+      }
+    }
+  }
+
+  const lines = pages
+    .flatMap(page => [...page.filter(line => !PAGE_NUMBER.test(line) && !repeated.has(line)), ''])
+    .join('\n')
+    // Words hyphenated across lines
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .split('\n');
+
+  // Lines wrapped mid-sentence continue with a lowercase word
+  const paragraphs = lines.reduce((text, line, index) => {
+    if (index === 0) {
+      return line;
+    }
+    const joins = line && lines[index - 1] && !/[.:;!?]$/.test(lines[index - 1]) && /^[a-z(]/.test(line);
+    return `${text}${joins ? ' ' : '\n'}${line}`;
+  }, '');
+
+  const firstLine = paragraphs.split('\n').find(Boolean);
+
+  return {
+    text: normalizeText(paragraphs),
+    title: firstLine && firstLine.length <= 120 ? firstLine : null,
+    metadata: { pages: pages.filter(page => page.some(Boolean)).length }
+  };
+};
+
+/**
+ * `earnRate` and `earn_rate` as "Earn rate"
+ */
+const humanizeKey = (key) => {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Write a JSON value as indented `Key: value` lines
+ */
+const renderJson = (value, depth = 0) => {
+  const indent = '  '.repeat(depth);
+
+  if (Array.isArray(value)) {
+    return value.map(item => (item !== null && typeof item === 'object'
+      ? `${indent}-\n${renderJson(item, depth + 1)}`
+      : `${indent}- ${item}`)).join('\n');
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== null && item !== undefined && item !== '')
+    .map(([key, item]) => (typeof item === 'object'
+      ? `${indent}${humanizeKey(key)}:\n${renderJson(item, depth + 1)}`
+      : `${indent}${humanizeKey(key)}: ${item}`))
+    .join('\n');
+};
+
+/**
+ * Load JSON program terms, e.g. `{ "programId": "marriott", "name": "Marriott Bonvoy", "earnRates": {...} }`
+ * @throws {SyntaxError} When the content isn't valid JSON
+ */
+const loadJson = (content) => {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const root = Array.isArray(data) ? {} : data;
+  const title = root.title || root.name || root.programName || null;
+  const programId = root.programId || root.program_id || root.id;
+
+  return {
+    // Indentation shows the nesting, so only the ends are trimmed
+    text: renderJson(data).trim(),
+    title,
+    metadata: programId ? { programId: String(programId) } : {}
+  };
+};
+
+const loaders = {
+  markdown: loadMarkdown,
+  html: loadHtml,
+  'pdf-text': loadPdfText,
+  json: loadJson
+};
+
+/**
+ * Guess a document's format from its file name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} Format, or null when the extension isn't known
+ */
+const detectFormat = (fileName) => EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+
+/**
+ * Load a document
+ * @param {string} format - 'markdown', 'html', 'pdf-text' or 'json'
+ * @param {string|Object} content - Raw document
+ * @returns {Object} `{ text, title, metadata }`
+ */
+const loadDocument = (format, content) => {
+  const loader = loaders[format];
+
+  if (!loader) {
+    throw new Error(`Unknown document format: ${format}`);
+  }
+
+  return loader(content);
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  loadDocument,
+  loaders
+};
@@ -0,0 +1,389 @@
+/**
+ * Hotel Entity Resolver
+ *
+ * Matches hotel records coming from different search sources (loyalty
+ * programs, aggregators, direct booking sites) that describe the same
+ * property, and merges them into one canonical hotel carrying an offer per
+ * source. Matching uses normalized names, brand from the loyalty programs'
+ * `partnerBrands`, geo distance and address tokens.
+ */
+
+const crypto = require('crypto');
+const SearchSources = require('../config/search-sources');
+const { compareOffers } = require('./price-comparison-service');
+
+// Minimum match score for two records to be treated as the same hotel
+const MATCH_THRESHOLD = 0.75;
+
+// Records further apart than this are never the same hotel
+const MAX_MATCH_DISTANCE_KM = 2;
+
+// Generic words that carry no identity in a hotel name
+const NAME_STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'at', 'by', 'of', 'on', 'in',
+  'hotel', 'hotels', 'resort', 'resorts', 'spa'
+]);
+
+// Which source's record provides the canonical name and details, best first
+const SOURCE_TYPE_PRIORITY = ['direct', 'loyalty', 'aggregator', 'web'];
+
+/**
+ * Lowercase, strip accents and punctuation, and split into tokens
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+/**
+ * Normalize a hotel name into identity tokens
+ * @param {string} name - Hotel name
+ * @returns {Array<string>} Name tokens without generic words
+ */
+const normalizeHotelName = (name) => tokenize(name).filter(token => !NAME_STOPWORDS.has(token));
+
+// Brand lookup built from every program's partnerBrands, longest first so
+// "Radisson Blu" wins over a shorter brand contained in it
+const BRAND_INDEX = Object.values(SearchSources.loyaltyPrograms)
+  .flatMap(program => (program.partnerBrands || []).map(brand => ({
+    brand,
+    tokens: normalizeHotelName(brand),
+    loyaltyProgram: program.name
+  })))
+  .filter(entry => entry.tokens.length > 0)
+  .sort((a, b) => b.tokens.length - a.tokens.length);
+
+/**
+ * Check whether a token sequence contains another as a contiguous run
+ */
+const containsSequence = (tokens, sequence) => {
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((token, j) => tokens[i + j] === token)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Detect the brand of a hotel from its explicit brand/chain or its name
+ * @param {Object} hotel - Hotel record
+ * @returns {Object|null} `{ brand, loyaltyProgram }` or null
+ */
+const detectBrand = (hotel) => {
+  const candidates = [hotel.brand, hotel.chain, hotel.name].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const tokens = normalizeHotelName(candidate);
+    const match = BRAND_INDEX.find(entry => containsSequence(tokens, entry.tokens));
+    if (match) {
+      return { brand: match.brand, loyaltyProgram: match.loyaltyProgram };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read coordinates from the shapes sources use
+ * @param {Object} hotel - Hotel record
+ * @returns {Object|null} `{ lat, lng }` or null
+ */
+const getCoordinates = (hotel) => {
+  const source = hotel.coordinates || hotel.geo || hotel;
+  const lat = source.lat ?? source.latitude;
+  const lng = source.lng ?? source.lon ?? source.longitude;
+
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    return null;
+  }
+
+  return { lat, lng };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - `{ lat, lng }`
+ * @param {Object} b - `{ lat, lng }`
+ * @returns {number} Distance in kilometres
+ */
+const haversineDistance = (a, b) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const earthRadiusKm = 6371;
+
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Token set similarity: average of Dice coefficient and containment
+ */
+const tokenSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const intersection = [...setA].filter(token => setB.has(token)).length;
+  const dice = (2 * intersection) / (setA.size + setB.size);
+  const containment = intersection / Math.min(setA.size, setB.size);
+
+  return (dice + containment) / 2;
+};
+
+/**
+ * Precompute the features used for matching a record
+ * @param {Object} hotel - Hotel record
+ * @returns {Object} Match features
+ */
+const extractFeatures = (hotel) => {
+  const locationTokens = new Set(tokenize(hotel.location));
+  const nameTokens = normalizeHotelName(hotel.name);
+
+  // City words in a name ("Westin New York at Times Square") say nothing about identity
+  const identityTokens = nameTokens.filter(token => !locationTokens.has(token));
+
+  return {
+    nameTokens: identityTokens.length > 0 ? identityTokens : nameTokens,
+    locationTokens: [...locationTokens],
+    addressTokens: tokenize(hotel.address),
+    brand: detectBrand(hotel),
+    coordinates: getCoordinates(hotel)
+  };
+};
+
+/**
+ * Score how likely two records describe the same hotel
+ * @param {Object} a - Features from `extractFeatures`
+ * @param {Object} b - Features from `extractFeatures`
+ * @returns {number} Score between 0 and 1
+ */
+const scoreHotelMatch = (a, b) => {
+  // Two different brands are never the same property
+  if (a.brand && b.brand && a.brand.brand !== b.brand.brand) {
+    return 0;
+  }
+
+  let distance = null;
+  if (a.coordinates && b.coordinates) {
+    distance = haversineDistance(a.coordinates, b.coordinates);
+    if (distance > MAX_MATCH_DISTANCE_KM) {
+      return 0;
+    }
+  }
+
+  // Weighted average of the evidence that is available on both records
+  let weightedSum = tokenSimilarity(a.nameTokens, b.nameTokens);
+  let totalWeight = 1;
+
+  if (distance !== null) {
+    const geoScore = distance <= 0.1 ? 1 : Math.max(0, 1 - (distance - 0.1) / 0.9);
+    weightedSum += geoScore;
+    totalWeight += 1;
+  }
+
+  if (a.addressTokens.length > 0 && b.addressTokens.length > 0) {
+    weightedSum += tokenSimilarity(a.addressTokens, b.addressTokens) * 0.5;
+    totalWeight += 0.5;
+  } else if (distance === null && a.locationTokens.length > 0 && b.locationTokens.length > 0 &&
+             tokenSimilarity(a.locationTokens, b.locationTokens) === 0) {
+    // No geo or address to go on and the locations share nothing
+    return 0;
+  }
+
+  let score = weightedSum / totalWeight;
+
+  if (a.brand && b.brand) {
+    score += 0.1;
+  }
+
+  return Math.min(1, Math.round(score * 100) / 100);
+};
+
+/**
+ * Read the refundable flag from the shapes sources use
+ * @returns {boolean|null} Refundable flag, or null when the source doesn't say
+ */
+const getRefundable = (hotel) => {
+  if (typeof hotel.refundable === 'boolean') return hotel.refundable;
+  if (typeof hotel.freeCancellation === 'boolean') return hotel.freeCancellation;
+  if (typeof hotel.cancellationPolicy === 'string') {
+    return /free cancell?ation|fully refundable/i.test(hotel.cancellationPolicy) ? true
+      : /non[- ]?refundable/i.test(hotel.cancellationPolicy) ? false : null;
+  }
+  return null;
+};
+
+/**
+ * Stable ID for a canonical hotel
+ *
+ * Name and location alone collide for same-name hotels in one city, so the
+ * key also takes the source's own hotel ID, or the coordinates when the
+ * source has no ID.
+ * @param {Object} hotel - First record of the hotel
+ * @returns {string} Canonical hotel ID
+ */
+const canonicalId = (hotel) => {
+  const sourceHotelId = hotel.id || hotel.hotelId;
+  const coordinates = getCoordinates(hotel);
+  const tiebreaker = sourceHotelId ? `${hotel.source}:${sourceHotelId}`
+    : coordinates ? `${coordinates.lat.toFixed(4)},${coordinates.lng.toFixed(4)}` : '';
+
+  const key = `${normalizeHotelName(hotel.name).join(' ')}|${tokenize(hotel.location).join(' ')}|${tiebreaker}`;
+  return `hotel_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+};
+
+/**
+ * Incrementally resolves hotel records from many sources into canonical hotels
+ */
+class HotelEntityResolver {
+  constructor(options = {}) {
+    this.threshold = options.threshold || MATCH_THRESHOLD;
+    this.entities = [];
+  }
+
+  /**
+   * Add a record from a source, merging it into a matching hotel if there is one
+   * @param {Object} hotel - Hotel record from a source
+   * @param {Object} origin - `{ source, type }` of the record
+   * @returns {Object} `{ hotel, isNew, score }` with the canonical hotel
+   */
+  add(hotel, origin = {}) {
+    const record = { ...hotel, source: origin.source || hotel.source, type: origin.type || hotel.type };
+    const features = extractFeatures(record);
+
+    let bestEntity = null;
+    let bestScore = 0;
+
+    for (const entity of this.entities) {
+      // A source lists each hotel once, so never merge two records from the same source
+      if (entity.records.some(r => r.source === record.source)) {
+        continue;
+      }
+
+      const score = Math.max(...entity.features.map(f => scoreHotelMatch(features, f)));
+      if (score > bestScore) {
+        bestScore = score;
+        bestEntity = entity;
+      }
+    }
+
+    if (bestEntity && bestScore >= this.threshold) {
+      bestEntity.records.push(record);
+      bestEntity.features.push(features);
+      bestEntity.matchScores.push(bestScore);
+      return { hotel: this.toCanonical(bestEntity), isNew: false, score: bestScore };
+    }
+
+    const entity = { id: this.createId(record), records: [record], features: [features], matchScores: [] };
+    this.entities.push(entity);
+    return { hotel: this.toCanonical(entity), isNew: true, score: 1 };
+  }
+
+  /**
+   * Assign an ID to a new hotel, numbering any that still collide with an
+   * earlier hotel (same name and location, no source ID or coordinates)
+   * @param {Object} record - First record of the hotel
+   * @returns {string} ID unique within this resolver
+   */
+  createId(record) {
+    const baseId = canonicalId(record);
+    const taken = new Set(this.entities.map(entity => entity.id));
+
+    let id = baseId;
+    for (let n = 2; taken.has(id); n++) {
+      id = `${baseId}_${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Add every hotel from a source result
+   * @param {Object} result - Source result `{ type, source, hotels }`
+   * @returns {Array} Results of `add` for each hotel
+   */
+  addAll(result) {
+    return (result.hotels || []).map(hotel => this.add(hotel, { source: result.source, type: result.type }));
+  }
+
+  /**
+   * Get all canonical hotels in the order they were first seen
+   * @returns {Array} Canonical hotels
+   */
+  getHotels() {
+    return this.entities.map(entity => this.toCanonical(entity));
+  }
+
+  /**
+   * Build the canonical hotel for an entity
+   *
+   * Details come from the highest-priority source (direct, then loyalty,
+   * aggregator, web); each source record becomes an offer.
+   */
+  toCanonical(entity) {
+    const rank = (record) => {
+      const index = SOURCE_TYPE_PRIORITY.indexOf(record.type);
+      return index === -1 ? SOURCE_TYPE_PRIORITY.length : index;
+    };
+    const [primary] = [...entity.records].sort((a, b) => rank(a) - rank(b));
+    const brand = entity.features.map(f => f.brand).find(Boolean);
+
+    const offers = entity.records.map(record => ({
+      source: record.source,
+      type: record.type,
+      sourceHotelId: record.id || record.hotelId || null,
+      name: record.name,
+      price: record.price,
+      currency: record.currency,
+      pointsRequired: record.pointsRequired,
+      refundable: getRefundable(record),
+      link: record.deepLink || record.link || record.url || null
+    }));
+
+    const { offers: comparedOffers, comparison } = compareOffers(offers, primary.currency);
+    const amenities = [...new Set(entity.records.flatMap(record => record.amenities || []))];
+    const stars = entity.records.map(record => record.stars).filter(Boolean);
+
+    return {
+      ...primary,
+      id: entity.id,
+      brand: primary.brand || (brand && brand.brand) || undefined,
+      loyaltyProgram: primary.loyaltyProgram || (brand && brand.loyaltyProgram) || undefined,
+      address: primary.address || entity.records.map(r => r.address).find(Boolean),
+      coordinates: entity.features.map(f => f.coordinates).find(Boolean) || undefined,
+      image: primary.image || entity.records.map(r => r.image).find(Boolean),
+      stars: stars.length > 0 ? Math.max(...stars) : primary.stars,
+      amenities: amenities.length > 0 ? amenities : primary.amenities,
+      price: comparison.lowestPrice !== null ? comparison.lowestPrice : primary.price,
+      currency: comparison.currency || primary.currency,
+      sources: entity.records.map(record => record.source),
+      offers: comparedOffers,
+      priceComparison: comparison,
+      matchConfidence: entity.matchScores.length > 0 ? Math.min(...entity.matchScores) : 1
+    };
+  }
+}
+
+module.exports = {
+  HotelEntityResolver,
+  normalizeHotelName,
+  detectBrand,
+  haversineDistance,
+  extractFeatures,
+  scoreHotelMatch,
+  MATCH_THRESHOLD
+};
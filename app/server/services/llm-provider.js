@@ -1,7 +1,11 @@
+const crypto = require('crypto');
 const { Configuration, OpenAIApi } = require('openai');
 const axios = require('axios');
 const winston = require('winston');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
 const analyticsService = require('./analytics-service');
+const { llmUsageService } = require('./llm-usage-service');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -16,6 +20,420 @@ const logger = winston.createLogger({
   ],
 });
 
+// Tool names OpenAI and Claude accept; other names are mapped onto this alphabet and back
+const PROVIDER_TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// JSON schema keywords Gemini's OpenAPI-style function parameters understand
+const GEMINI_SCHEMA_KEYWORDS = new Set([
+  'type', 'format', 'title', 'description', 'nullable', 'enum', 'properties', 'required',
+  'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'anyOf'
+]);
+
+/**
+ * Map tool names such as `maps.geocode` to names every provider accepts
+ * @param {Array<Object>} tools - Tool definitions
+ * @returns {Object} `{ toProvider(name), fromProvider(name) }`
+ */
+const createToolNameMap = (tools) => {
+  const toProvider = new Map();
+  const fromProvider = new Map();
+  
+  for (const { name } of tools) {
+    const base = PROVIDER_TOOL_NAME.test(name) ? name : name.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+    let providerName = base;
+    
+    for (let n = 2; fromProvider.has(providerName); n++) {
+      providerName = `${base.slice(0, 64 - `_${n}`.length)}_${n}`;
+    }
+    
+    toProvider.set(name, providerName);
+    fromProvider.set(providerName, name);
+  }
+  
+  return {
+    toProvider: name => toProvider.get(name) || name,
+    fromProvider: name => fromProvider.get(name) || name
+  };
+};
+
+/**
+ * Normalize tool call arguments, which some providers send as a JSON string
+ * @returns {Object} `{ arguments, error }`; arguments are null when they aren't valid JSON
+ */
+const parseToolArguments = (value) => {
+  if (value && typeof value === 'object') {
+    return { arguments: value, error: null };
+  }
+  if (!value) {
+    return { arguments: {}, error: null };
+  }
+  
+  try {
+    return { arguments: JSON.parse(value), error: null };
+  } catch (error) {
+    return { arguments: null, error: `Invalid JSON arguments: ${error.message}` };
+  }
+};
+
+/**
+ * Build a normalized tool call
+ */
+const toToolCall = (id, name, rawArguments) => {
+  const { arguments: args, error } = parseToolArguments(rawArguments);
+  return { id, name, arguments: args, ...(error ? { error } : {}) };
+};
+
+const toolResultText = (content) => (typeof content === 'string' ? content : JSON.stringify(content === undefined ? null : content));
+
+/**
+ * Reduce a JSON schema to the subset Gemini accepts
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini schema
+ */
+const toGeminiSchema = (schema) => {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  
+  const result = {};
+  
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYWORDS.has(keyword)) {
+      continue;
+    }
+    
+    if (keyword === 'type' && Array.isArray(value)) {
+      // ['string', 'null'] becomes a nullable string
+      const types = value.filter(type => type !== 'null');
+      result.type = types[0];
+      if (types.length < value.length) {
+        result.nullable = true;
+      }
+    } else if (keyword === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)]));
+    } else if (keyword === 'items') {
+      result.items = toGeminiSchema(value);
+    } else if (keyword === 'anyOf') {
+      result.anyOf = value.map(toGeminiSchema);
+    } else {
+      result[keyword] = value;
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Normalize a provider's finish reason
+ * @returns {string} 'tool_calls', 'max_tokens' or 'stop'
+ */
+const toStopReason = (toolCalls, finishReason) => {
+  if (toolCalls.length > 0) {
+    return 'tool_calls';
+  }
+  return ['length', 'max_tokens', 'MAX_TOKENS'].includes(finishReason) ? 'max_tokens' : 'stop';
+};
+
+/**
+ * Normalize a prompt or a conversation into chat messages
+ *
+ * Stored conversation entries (e.g. from `MemoryService#getConversationHistory`)
+ * can be passed as they are; only the fields the providers use are kept.
+ * @param {string|Array<Object>} input - Prompt, or messages `{ role, content, toolCalls, toolCallId, name, isError }`
+ * @returns {Array<Object>} Messages
+ */
+const toChatMessages = (input) => {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  
+  return input.map(message => ({
+    role: message.role,
+    content: message.content === undefined || message.content === null ? '' : message.content,
+    ...(message.toolCalls && message.toolCalls.length > 0 ? { toolCalls: message.toolCalls } : {}),
+    ...(message.toolCallId ? { toolCallId: message.toolCallId } : {}),
+    ...(message.name ? { name: message.name } : {}),
+    ...(message.isError ? { isError: true } : {})
+  }));
+};
+
+// Tool names pass through unchanged when no tools are offered
+const NO_TOOL_NAMES = createToolNameMap([]);
+
+/**
+ * Messages for OpenAI chat completions
+ */
+const toOpenAIMessages = (messages, names = NO_TOOL_NAMES) => messages.map(message => {
+  if (message.role === 'assistant') {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      ...(message.toolCalls ? {
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: names.toProvider(call.name), arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      } : {})
+    };
+  }
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: toolResultText(message.content) };
+  }
+  return { role: message.role, content: message.content };
+});
+
+/**
+ * System prompt and messages for Claude's messages API
+ * @returns {Object} `{ system, messages }`
+ */
+const toClaudeMessages = (messages, names = NO_TOOL_NAMES) => {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+  const converted = [];
+  
+  for (const message of messages) {
+    if (message.role === 'assistant') {
+      converted.push({
+        role: 'assistant',
+        content: message.toolCalls
+          ? [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: names.toProvider(call.name), input: call.arguments || {} }))
+          ]
+          : message.content
+      });
+    } else if (message.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: toolResultText(message.content),
+        ...(message.isError ? { is_error: true } : {})
+      };
+      const previous = converted[converted.length - 1];
+      
+      // Results of parallel calls go back together in one user turn
+      if (previous && previous.role === 'user' && Array.isArray(previous.content)) {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'user') {
+      converted.push({ role: 'user', content: message.content });
+    }
+  }
+  
+  return { system, messages: converted };
+};
+
+/**
+ * System instruction and contents for Gemini
+ * @returns {Object} `{ systemInstruction, contents }`
+ */
+const toGeminiContents = (messages, names = NO_TOOL_NAMES) => {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+  // Function responses are matched by name, so remember which call each result answers
+  const callNames = new Map();
+  const contents = [];
+  
+  for (const message of messages) {
+    if (message.role === 'assistant') {
+      (message.toolCalls || []).forEach(call => callNames.set(call.id, call.name));
+      contents.push({
+        role: 'model',
+        parts: [
+          ...(message.content ? [{ text: message.content }] : []),
+          ...(message.toolCalls || []).map(call => ({ functionCall: { name: names.toProvider(call.name), args: call.arguments || {} } }))
+        ]
+      });
+    } else if (message.role === 'tool') {
+      const name = message.name || callNames.get(message.toolCallId);
+      const part = {
+        functionResponse: {
+          name: names.toProvider(name),
+          response: message.isError ? { error: toolResultText(message.content) } : { content: message.content }
+        }
+      };
+      const previous = contents[contents.length - 1];
+      
+      if (previous && previous.role === 'user' && previous.parts.every(item => item.functionResponse)) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+    } else if (message.role === 'user') {
+      contents.push({ role: 'user', parts: [{ text: message.content }] });
+    }
+  }
+  
+  return {
+    systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+    contents
+  };
+};
+
+/**
+ * Messages for Ollama's chat API
+ */
+const toOllamaMessages = (messages, names = NO_TOOL_NAMES) => messages.map(message => {
+  if (message.role === 'assistant') {
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      ...(message.toolCalls ? {
+        tool_calls: message.toolCalls.map(call => ({ function: { name: names.toProvider(call.name), arguments: call.arguments || {} } }))
+      } : {})
+    };
+  }
+  if (message.role === 'tool') {
+    return { role: 'tool', content: toolResultText(message.content), ...(message.name ? { tool_name: names.toProvider(message.name) } : {}) };
+  }
+  return { role: message.role, content: message.content };
+});
+
+/**
+ * Rough token count (about four characters per token) of a prompt or messages
+ * @param {string|Array<Object>} input - Prompt or messages
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (input) => {
+  if (typeof input === 'string') {
+    return Math.ceil(input.length / 4);
+  }
+  
+  // Each message also costs a few tokens of role and formatting
+  return input.reduce((total, message) => total + 4
+    + Math.ceil(toolResultText(message.content).length / 4)
+    + (message.toolCalls ? Math.ceil(JSON.stringify(message.toolCalls).length / 4) : 0), 0);
+};
+
+/**
+ * Group messages so a tool call and its results are kept or dropped together
+ */
+const groupTurns = (messages) => messages.reduce((groups, message) => {
+  const last = groups[groups.length - 1];
+  if (message.role === 'tool' && last) {
+    last.push(message);
+  } else {
+    groups.push([message]);
+  }
+  return groups;
+}, []);
+
+// Context window in tokens per model family; the longest matching prefix wins
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'claude-2': 100000,
+  'claude': 200000,
+  'gemini-pro': 32760,
+  'gemini-1.5': 1048576,
+  'gemini-2': 1048576,
+  'llama2': 4096,
+  'llama3': 8192,
+  'mistral': 32768
+};
+
+// For models not in the table
+const DEFAULT_CONTEXT_WINDOW = 4096;
+
+// Longest summary of dropped turns, in tokens
+const SUMMARY_MAX_TOKENS = 300;
+
+// Embedding model per provider when LLM_EMBEDDING_MODEL isn't set; Claude has no embeddings API
+const DEFAULT_EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  gemini: 'text-embedding-004',
+  ollama: 'nomic-embed-text',
+  local: 'hash-256'
+};
+
+/**
+ * Deterministic embedding that needs no model: words and word pairs hashed
+ * into signed buckets, normalized to unit length. Texts that share words come
+ * out similar, which is enough for tests and offline development.
+ * @param {string} text - Text to embed
+ * @param {number} dimension - Vector length
+ * @returns {Array<number>} Embedding
+ */
+const localEmbedding = (text, dimension) => {
+  const vector = new Array(dimension).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+  
+  for (const feature of features) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    vector[hash.readUInt32LE(0) % dimension] += hash[4] & 1 ? 1 : -1;
+  }
+  
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+// Times generateStructured re-prompts with the validation errors before giving up
+const DEFAULT_STRUCTURED_MAX_RETRIES = 2;
+
+// Tool Claude is forced to call so its arguments carry the structured response
+const STRUCTURED_RESPONSE_TOOL = 'respond';
+
+/**
+ * Structured output that still didn't parse or match its schema after the retries
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<Object>} errors - Problems with the last response `{ path, message }`
+   * @param {string} raw - Last raw response
+   */
+  constructor(message, errors = [], raw = null) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = 'ERR_STRUCTURED_OUTPUT';
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+const ajv = new Ajv2020({ allErrors: true, useDefaults: true, strict: false });
+addFormats(ajv);
+// Compiled once per schema object
+const structuredValidators = new WeakMap();
+
+const getStructuredValidator = (schema) => {
+  if (!structuredValidators.has(schema)) {
+    structuredValidators.set(schema, ajv.compile(schema));
+  }
+  return structuredValidators.get(schema);
+};
+
+/**
+ * Parse a JSON reply, tolerating a Markdown code fence or text around the JSON for providers without a JSON mode
+ * @param {string|Object} raw - Reply text, or an already parsed value
+ * @returns {Object} `{ value, error }`
+ */
+const parseStructuredResponse = (raw) => {
+  if (raw !== null && typeof raw === 'object') {
+    return { value: raw, error: null };
+  }
+  
+  const text = (raw || '').trim();
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  const candidates = [text, fenced && fenced[1], (text.match(/[{[][\s\S]*[}\]]/) || [])[0]].filter(Boolean);
+  let lastError = 'Response is empty';
+  
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), error: null };
+    } catch (error) {
+      lastError = `Response is not valid JSON: ${error.message}`;
+    }
+  }
+  
+  return { value: undefined, error: lastError };
+};
+
 /**
  * LLM Provider service to interact with different LLM services
  */
@@ -32,9 +450,15 @@ class LLMProvider {
       totalTokens: 0,
       averageLatency: 0,
       errors: 0,
+      totalCost: 0,
       callsByModel: {},
       tokensByModel: {},
+      costByModel: {},
+      structured: this.createStructuredMetrics(),
     };
+    this.structuredMaxRetries = parseInt(process.env.LLM_STRUCTURED_MAX_RETRIES, 10) || DEFAULT_STRUCTURED_MAX_RETRIES;
+    this.embeddingProvider = process.env.LLM_EMBEDDING_PROVIDER || this.provider;
+    this.embeddingModel = process.env.LLM_EMBEDDING_MODEL || null;
     this.fallbackEnabled = process.env.LLM_FALLBACK_ENABLED === 'true';
     this.fallbackProviders = (process.env.LLM_FALLBACK_PROVIDERS || '').split(',').filter(Boolean);
   }
@@ -226,9 +650,12 @@ class LLMProvider {
   
   /**
    * Generate response from LLM
-   * @param {string} prompt - The prompt to send to the LLM
+   * @param {string|Array<Object>} prompt - The prompt to send to the LLM, or chat messages (see `generateChat`)
    * @param {Object} options - Additional options for the API call
+   * @param {Object} options.user - User the call is for, `{ id, role }`; defaults to the request context
+   * @param {string} options.correlationId - Request the call is part of; defaults to the request context
    * @returns {Promise<string>} Generated text
+   * @throws {LLMQuotaExceededError} When the user's quota or the overall budget has been reached
    */
   async generateResponse(prompt, options = {}) {
     if (!this.initialized) {
@@ -242,6 +669,8 @@ class LLMProvider {
       ...options
     };
     
+    await this.checkQuota(options);
+    
     const startTime = Date.now();
     let response, error, provider, tokenUsage;
     
@@ -271,6 +700,7 @@ class LLMProvider {
       
       // Update metrics
       this.updateMetrics(provider, callOptions.model, Date.now() - startTime, tokenUsage, false);
+      await this.recordUsage(provider, callOptions.model, tokenUsage, options);
       
       // Track successful call in analytics
       analyticsService.trackEvent('llm_call', {
@@ -308,6 +738,7 @@ class LLMProvider {
           
           // Update metrics for fallback
           this.updateMetrics('ollama', callOptions.model, Date.now() - startTime, tokenUsage, false);
+          await this.recordUsage('ollama', callOptions.model, tokenUsage, options);
           
           return response;
         } catch (ollamaError) {
@@ -357,6 +788,7 @@ class LLMProvider {
         
         // Update metrics for successful fallback
         this.updateMetrics(provider, options.model, 0, tokenUsage, false);
+        await this.recordUsage(provider, options.model, tokenUsage, options);
         
         // Track successful fallback
         analyticsService.trackEvent('llm_fallback_success', {
@@ -388,7 +820,7 @@ class LLMProvider {
     
     const response = await this.clients.openai.createChatCompletion({
       model,
-      messages: [{ role: 'user', content: prompt }],
+      messages: toOpenAIMessages(toChatMessages(prompt)),
       temperature: options.temperature,
       max_tokens: options.max_tokens,
     });
@@ -411,6 +843,7 @@ class LLMProvider {
     }
     
     const model = options.model || 'claude-2';
+    const { system, messages } = toClaudeMessages(toChatMessages(prompt));
     
     const response = await axios.post(
       `${this.clients.claude.baseURL}/v1/messages`,
@@ -418,14 +851,15 @@ class LLMProvider {
         model,
         max_tokens: options.max_tokens,
         temperature: options.temperature,
-        messages: [{ role: 'user', content: prompt }],
+        ...(system ? { system } : {}),
+        messages,
       },
       { headers: this.clients.claude.headers }
     );
     
     // Claude doesn't directly return token usage in standard API
     const tokenUsage = {
-      input: Math.ceil(prompt.length / 4), // Rough estimate
+      input: estimateTokens(prompt), // Rough estimate
       output: Math.ceil(response.data.content[0].text.length / 4), // Rough estimate
       total: 0
     };
@@ -447,7 +881,7 @@ class LLMProvider {
     const response = await axios.post(
       `${this.clients.gemini.baseURL}/v1beta/models/${model}:generateContent?key=${this.clients.gemini.apiKey}`,
       {
-        contents: [{ parts: [{ text: prompt }] }],
+        ...toGeminiContents(toChatMessages(prompt)),
         generationConfig: {
           temperature: options.temperature,
           maxOutputTokens: options.max_tokens,
@@ -457,7 +891,7 @@ class LLMProvider {
     
     // Gemini doesn't directly return token usage in standard API
     const tokenUsage = {
-      input: Math.ceil(prompt.length / 4), // Rough estimate
+      input: estimateTokens(prompt), // Rough estimate
       output: Math.ceil(response.data.candidates[0].content.parts[0].text.length / 4), // Rough estimate
       total: 0
     };
@@ -478,26 +912,28 @@ class LLMProvider {
     
     try {
       const response = await axios.post(
-        `${this.clients.ollama.baseURL}/api/generate`,
+        `${this.clients.ollama.baseURL}/api/chat`,
         {
           model,
-          prompt,
+          messages: toOllamaMessages(toChatMessages(prompt)),
+          stream: false,
           options: {
             temperature: options.temperature,
             num_predict: options.max_tokens,
           },
         }
       );
+      const content = response.data.message?.content || '';
       
       // Ollama doesn't directly return token usage in standard API
       const tokenUsage = {
-        input: Math.ceil(prompt.length / 4), // Rough estimate
-        output: Math.ceil(response.data.response.length / 4), // Rough estimate
+        input: estimateTokens(prompt), // Rough estimate
+        output: Math.ceil(content.length / 4), // Rough estimate
         total: 0
       };
       tokenUsage.total = tokenUsage.input + tokenUsage.output;
       
-      return [response.data.response.trim(), tokenUsage];
+      return [content.trim(), tokenUsage];
     } catch (error) {
       logger.error(`Ollama error: ${error.message}`);
       if (error.response?.data) {
@@ -507,6 +943,864 @@ class LLMProvider {
     }
   }
   
+  /**
+   * Generate a reply to a conversation
+   *
+   * Messages have a `role` of 'system', 'user', 'assistant' or 'tool' (see
+   * `generateWithTools`) and each provider gets them in its own format, system
+   * messages included. Older turns that don't fit the model's context window
+   * are summarized, or dropped when summarizing is off or fails.
+   *
+   * @param {Array<Object>} messages - Conversation, oldest first, e.g. from `MemoryService#getConversationHistory`
+   * @param {Object} options - Options as for `generateResponse`, plus those of `fitToContextWindow`
+   * @returns {Promise<string>} Generated text
+   */
+  async generateChat(messages, options = {}) {
+    const { messages: fitted } = await this.fitToContextWindow(messages, options);
+    return this.generateResponse(fitted, options);
+  }
+  
+  /**
+   * Stream a reply to a conversation, fitted to the context window as in `generateChat`
+   * @param {Array<Object>} messages - Conversation, oldest first
+   * @param {Object} options - Options as for `streamResponse`, plus those of `fitToContextWindow`
+   * @returns {AsyncGenerator<string>} Generated text chunks
+   */
+  async *streamChat(messages, options = {}) {
+    const { messages: fitted } = await this.fitToContextWindow(messages, options);
+    yield* this.streamResponse(fitted, options);
+  }
+  
+  /**
+   * Context window of a model, in tokens
+   * @param {string} model - Model name
+   * @returns {number} LLM_CONTEXT_WINDOW when set, else the window of the longest matching model family
+   */
+  getContextWindow(model = this.model) {
+    const configured = parseInt(process.env.LLM_CONTEXT_WINDOW, 10);
+    if (configured > 0) {
+      return configured;
+    }
+    
+    const family = Object.keys(MODEL_CONTEXT_WINDOWS)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return family ? MODEL_CONTEXT_WINDOWS[family] : DEFAULT_CONTEXT_WINDOW;
+  }
+  
+  /**
+   * Fit a conversation into the model's context window
+   *
+   * System messages and the latest turn are always kept; earlier turns are
+   * kept newest first while they fit next to the reply's `max_tokens`. A tool
+   * call and its results are kept or dropped together.
+   *
+   * @param {Array<Object>} messages - Conversation, oldest first
+   * @param {Object} options - Options
+   * @param {string} options.model - Model whose window applies
+   * @param {number} options.max_tokens - Tokens reserved for the reply
+   * @param {number} options.contextWindow - Window to fit, instead of the model's
+   * @param {boolean} options.summarize - Replace dropped turns with a summary (default true)
+   * @returns {Promise<Object>} `{ messages, dropped, summarized }`
+   */
+  async fitToContextWindow(messages, options = {}) {
+    const conversation = toChatMessages(messages);
+    const contextWindow = options.contextWindow || this.getContextWindow(options.model || this.model);
+    const budget = contextWindow - (options.max_tokens || 1000);
+    
+    const system = conversation.filter(message => message.role === 'system');
+    const turns = groupTurns(conversation.filter(message => message.role !== 'system'));
+    const kept = [];
+    let used = estimateTokens(system);
+    
+    for (let index = turns.length - 1; index >= 0; index--) {
+      const cost = estimateTokens(turns[index]);
+      if (kept.length > 0 && used + cost > budget) {
+        break;
+      }
+      kept.unshift(turns[index]);
+      used += cost;
+    }
+    
+    const dropped = turns.slice(0, turns.length - kept.length).flat();
+    
+    if (dropped.length === 0) {
+      return { messages: conversation, dropped: 0, summarized: false };
+    }
+    
+    // The summary has to fit in what's left of the window
+    const summaryTokens = Math.min(SUMMARY_MAX_TOKENS, budget - used - 20);
+    const summary = options.summarize !== false && summaryTokens >= 50
+      ? await this.summarizeMessages(dropped, { ...options, max_tokens: summaryTokens, contextWindow })
+      : null;
+    
+    logger.info(`Fitted conversation into ${contextWindow} tokens: ${dropped.length} earlier messages ${summary ? 'summarized' : 'dropped'}`);
+    
+    return {
+      messages: [
+        ...system,
+        ...(summary ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }] : []),
+        ...kept.flat()
+      ],
+      dropped: dropped.length,
+      summarized: !!summary
+    };
+  }
+  
+  /**
+   * Summarize conversation turns that no longer fit the context window
+   * @param {Array<Object>} messages - Dropped messages, oldest first
+   * @param {Object} options - Options
+   * @returns {Promise<string|null>} Summary, or null when summarizing failed
+   */
+  async summarizeMessages(messages, options) {
+    const instructions = 'Summarize this earlier part of a conversation with a hotel loyalty assistant. Keep destinations, dates, budgets, loyalty programs, preferences and decisions; leave out small talk.\n\n';
+    // Keep the newest part of the transcript if even that is too long to summarize
+    const maxChars = Math.max(0, (options.contextWindow - options.max_tokens) * 4 - instructions.length - 200);
+    const transcript = messages
+      .map(message => `${message.role}: ${toolResultText(message.content)}`)
+      .join('\n')
+      .slice(-maxChars);
+    
+    try {
+      return await this.generateResponse(`${instructions}${transcript}`, {
+        provider: options.provider,
+        model: options.model || this.model,
+        temperature: 0.2,
+        max_tokens: options.max_tokens,
+        user: options.user,
+        correlationId: options.correlationId
+      });
+    } catch (error) {
+      logger.warn(`Could not summarize earlier conversation, dropping it: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Generate a JSON response that matches a schema
+   *
+   * Uses the provider's JSON mode where there is one (OpenAI JSON schema
+   * responses, Gemini response schemas, Ollama formats; Claude through a
+   * forced tool call), validates the result and re-prompts with the
+   * validation errors until it matches.
+   *
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} schema - JSON schema (draft 2020-12) the response must match
+   * @param {Object} options - Additional options for the API call
+   * @param {number} options.maxRetries - Re-prompts after an invalid response (default LLM_STRUCTURED_MAX_RETRIES or 2)
+   * @param {string} options.schemaName - Name of the response format, for providers that ask for one
+   * @returns {Promise<*>} The parsed response, with schema defaults filled in
+   * @throws {StructuredOutputError} When no response matched the schema
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const validate = getStructuredValidator(schema);
+    const { $schema, ...responseSchema } = schema;
+    const maxRetries = options.maxRetries ?? this.structuredMaxRetries;
+    const provider = (options.provider || this.provider).toLowerCase();
+    const callOptions = {
+      temperature: options.temperature ?? 0.2,
+      max_tokens: options.max_tokens || 1000,
+      model: options.model || this.model,
+      schemaName: options.schemaName || 'response',
+      ...options
+    };
+    const metrics = this.metrics.structured;
+    
+    if (options.provider && !this.clients[provider]) {
+      throw new Error(`Specified provider ${options.provider} is not available`);
+    }
+    
+    metrics.requests++;
+    let currentPrompt = `${prompt}\n\n## RESPONSE SCHEMA:\nRespond with JSON only, matching this schema:\n${JSON.stringify(responseSchema)}`;
+    let raw, errors;
+    
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        metrics.retries++;
+      }
+      
+      // Checked before every attempt, so repairs stop at the quota too
+      await this.checkQuota(options);
+      
+      const startTime = Date.now();
+      let tokenUsage;
+      
+      try {
+        [raw, tokenUsage] = await this.generateJson(provider, currentPrompt, responseSchema, callOptions);
+      } catch (error) {
+        this.updateMetrics(provider, callOptions.model, Date.now() - startTime, null, true);
+        analyticsService.trackError(error, {
+          context: 'LLM structured generation',
+          provider,
+          model: callOptions.model,
+          latency: Date.now() - startTime,
+        });
+        metrics.failed++;
+        throw error;
+      }
+      
+      this.updateMetrics(provider, callOptions.model, Date.now() - startTime, tokenUsage, false);
+      await this.recordUsage(provider, callOptions.model, tokenUsage, options, 'structured');
+      
+      const { value, error } = parseStructuredResponse(raw);
+      
+      if (error) {
+        metrics.parseFailures++;
+        errors = [{ path: '', message: error }];
+      } else if (!validate(value)) {
+        metrics.validationFailures++;
+        errors = validate.errors.map(validationError => ({
+          path: validationError.instancePath,
+          message: `${validationError.instancePath || 'response'} ${validationError.message}`
+        }));
+      } else {
+        metrics.succeeded++;
+        return value;
+      }
+      
+      logger.warn(`Structured response failed validation (attempt ${attempt + 1}/${maxRetries + 1}): ${errors.map(item => item.message).join('; ')}`);
+      currentPrompt = this.createStructuredRepairPrompt(prompt, raw, errors, responseSchema);
+    }
+    
+    metrics.failed++;
+    analyticsService.trackEvent('llm_structured_failure', {
+      provider,
+      model: callOptions.model,
+      attempts: maxRetries + 1,
+      errors: errors.map(item => item.message)
+    });
+    
+    throw new StructuredOutputError(
+      `Structured response did not match the schema after ${maxRetries + 1} attempts: ${errors.map(item => item.message).join('; ')}`,
+      errors,
+      typeof raw === 'string' ? raw : JSON.stringify(raw)
+    );
+  }
+  
+  /**
+   * Prompt asking the LLM to fix a response that didn't parse or match the schema
+   */
+  createStructuredRepairPrompt(prompt, raw, errors, schema) {
+    return `${prompt}
+
+## PREVIOUS RESPONSE:
+${typeof raw === 'string' ? raw : JSON.stringify(raw)}
+
+## PROBLEMS WITH THE PREVIOUS RESPONSE:
+${errors.map(error => `- ${error.message}`).join('\n')}
+
+## RESPONSE SCHEMA:
+Respond again with JSON only, fixing the problems above and matching this schema:
+${JSON.stringify(schema)}`;
+  }
+  
+  /**
+   * Ask one provider for JSON through its JSON mode
+   * @returns {Promise<Array>} `[raw response text or parsed value, tokenUsage]`
+   */
+  async generateJson(provider, prompt, schema, options) {
+    switch (provider) {
+      case 'openai': {
+        if (!this.clients.openai) {
+          throw new Error('OpenAI client not initialized');
+        }
+        
+        const response = await this.clients.openai.createChatCompletion({
+          model: options.model || 'gpt-3.5-turbo',
+          messages: [{ role: 'user', content: prompt }],
+          temperature: options.temperature,
+          max_tokens: options.max_tokens,
+          response_format: { type: 'json_schema', json_schema: { name: options.schemaName, schema } },
+        });
+        
+        return [response.data.choices[0].message.content, {
+          input: response.data.usage?.prompt_tokens || 0,
+          output: response.data.usage?.completion_tokens || 0,
+          total: response.data.usage?.total_tokens || 0
+        }];
+      }
+      case 'claude': {
+        // No JSON mode; a forced tool call returns the response as its input
+        const result = await this.generateToolCallsWithClaude(
+          [{ role: 'user', content: prompt }],
+          [{ name: STRUCTURED_RESPONSE_TOOL, description: 'Respond with the requested data', parameters: schema }],
+          { ...options, toolChoice: { name: STRUCTURED_RESPONSE_TOOL } }
+        );
+        const call = result.toolCalls.find(toolCall => toolCall.arguments);
+        
+        return [call ? call.arguments : result.content, result.usage];
+      }
+      case 'gemini': {
+        if (!this.clients.gemini) {
+          throw new Error('Gemini client not initialized');
+        }
+        
+        const model = options.model || 'gemini-pro';
+        const response = await axios.post(
+          `${this.clients.gemini.baseURL}/v1beta/models/${model}:generateContent?key=${this.clients.gemini.apiKey}`,
+          {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+              temperature: options.temperature,
+              maxOutputTokens: options.max_tokens,
+              responseMimeType: 'application/json',
+              responseSchema: toGeminiSchema(schema),
+            },
+          }
+        );
+        const parts = response.data.candidates[0].content?.parts || [];
+        
+        return [parts.map(part => part.text || '').join(''), {
+          input: response.data.usageMetadata?.promptTokenCount || 0,
+          output: response.data.usageMetadata?.candidatesTokenCount || 0,
+          total: response.data.usageMetadata?.totalTokenCount || 0
+        }];
+      }
+      case 'ollama':
+      default: {
+        if (!this.clients.ollama) {
+          throw new Error('Ollama client not initialized');
+        }
+        
+        const response = await axios.post(
+          `${this.clients.ollama.baseURL}/api/generate`,
+          {
+            model: options.model || 'llama2',
+            prompt,
+            stream: false,
+            // Ollama constrains the output to a JSON schema given as the format
+            format: schema,
+            options: {
+              temperature: options.temperature,
+              num_predict: options.max_tokens,
+            },
+          }
+        );
+        const tokenUsage = {
+          input: response.data.prompt_eval_count || 0,
+          output: response.data.eval_count || 0,
+          total: 0
+        };
+        tokenUsage.total = tokenUsage.input + tokenUsage.output;
+        
+        return [response.data.response, tokenUsage];
+      }
+    }
+  }
+  
+  /**
+   * Generate a reply that may call tools, using each provider's native tool calling
+   *
+   * Messages use one format for every provider:
+   * - `{ role: 'system' | 'user', content }`
+   * - `{ role: 'assistant', content, toolCalls: [{ id, name, arguments }] }`
+   * - `{ role: 'tool', toolCallId, name, content, isError }` with the result of a call
+   *
+   * @param {Array<Object>|string} messages - Conversation, or a single user prompt
+   * @param {Array<Object>} tools - Definitions `{ name, description, parameters }`, e.g. from `ToolManager#getToolDefinitions`
+   * @param {Object} options - Additional options for the API call
+   * @param {string|Object} options.toolChoice - 'auto' (default), 'required', 'none' or `{ name }` to force one tool
+   * @returns {Promise<Object>} `{ content, toolCalls: [{ id, name, arguments, error? }], stopReason, usage, provider, model }`
+   */
+  async generateWithTools(messages, tools = [], options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const conversation = typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages;
+    const callOptions = {
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.max_tokens || 1000,
+      model: options.model || this.model,
+      toolChoice: options.toolChoice || 'auto',
+      ...options
+    };
+    
+    const provider = (options.provider || this.provider).toLowerCase();
+    if (options.provider && !this.clients[provider]) {
+      throw new Error(`Specified provider ${options.provider} is not available`);
+    }
+    
+    await this.checkQuota(options);
+    
+    // Fallbacks get the same conversation; each provider maps it onto its own format
+    const candidates = [provider, ...(this.fallbackEnabled ? this.fallbackProviders.map(name => name.toLowerCase()) : [])]
+      .filter((name, index, all) => all.indexOf(name) === index)
+      .filter((name, index) => index === 0 || this.clients[name]);
+    let lastError;
+    
+    for (const candidate of candidates) {
+      const startTime = Date.now();
+      
+      try {
+        const result = await this.generateToolCalls(candidate, conversation, tools, callOptions);
+        
+        this.updateMetrics(candidate, callOptions.model, Date.now() - startTime, result.usage, false);
+        await this.recordUsage(candidate, callOptions.model, result.usage, options, 'tools');
+        analyticsService.trackEvent('llm_call', {
+          provider: candidate,
+          model: callOptions.model,
+          latency: Date.now() - startTime,
+          inputTokens: result.usage.input,
+          outputTokens: result.usage.output,
+          toolCalls: result.toolCalls.length,
+          success: true
+        });
+        
+        return { ...result, provider: candidate, model: callOptions.model };
+      } catch (error) {
+        this.updateMetrics(candidate, callOptions.model, Date.now() - startTime, null, true);
+        analyticsService.trackError(error, {
+          context: 'LLM tool calling',
+          provider: candidate,
+          model: callOptions.model,
+          latency: Date.now() - startTime,
+        });
+        
+        logger.error(`Error generating tool calls with ${candidate}: ${error.message}`);
+        lastError = error;
+      }
+    }
+    
+    throw lastError;
+  }
+  
+  /**
+   * Run a tool-calling request against one provider
+   */
+  async generateToolCalls(provider, messages, tools, options) {
+    switch (provider) {
+      case 'openai':
+        return this.generateToolCallsWithOpenAI(messages, tools, options);
+      case 'claude':
+        return this.generateToolCallsWithClaude(messages, tools, options);
+      case 'gemini':
+        return this.generateToolCallsWithGemini(messages, tools, options);
+      case 'ollama':
+      default:
+        return this.generateToolCallsWithOllama(messages, tools, options);
+    }
+  }
+  
+  /**
+   * Tool calling with OpenAI chat completions
+   */
+  async generateToolCallsWithOpenAI(messages, tools, options) {
+    if (!this.clients.openai) {
+      throw new Error('OpenAI client not initialized');
+    }
+    
+    const names = createToolNameMap(tools);
+    const { toolChoice } = options;
+    
+    const response = await this.clients.openai.createChatCompletion({
+      model: options.model || 'gpt-3.5-turbo',
+      temperature: options.temperature,
+      max_tokens: options.max_tokens,
+      messages: toOpenAIMessages(toChatMessages(messages), names),
+      ...(tools.length > 0 ? {
+        tools: tools.map(tool => ({
+          type: 'function',
+          function: { name: names.toProvider(tool.name), description: tool.description || '', parameters: tool.parameters }
+        })),
+        tool_choice: typeof toolChoice === 'object'
+          ? { type: 'function', function: { name: names.toProvider(toolChoice.name) } }
+          : toolChoice
+      } : {})
+    });
+    
+    const choice = response.data.choices[0];
+    const toolCalls = (choice.message.tool_calls || [])
+      .map(call => toToolCall(call.id, names.fromProvider(call.function.name), call.function.arguments));
+    
+    return {
+      content: (choice.message.content || '').trim(),
+      toolCalls,
+      stopReason: toStopReason(toolCalls, choice.finish_reason),
+      usage: {
+        input: response.data.usage?.prompt_tokens || 0,
+        output: response.data.usage?.completion_tokens || 0,
+        total: response.data.usage?.total_tokens || 0
+      }
+    };
+  }
+  
+  /**
+   * Tool calling with Claude's messages API
+   */
+  async generateToolCallsWithClaude(messages, tools, options) {
+    if (!this.clients.claude) {
+      throw new Error('Claude client not initialized');
+    }
+    
+    const names = createToolNameMap(tools);
+    const { toolChoice } = options;
+    const { system, messages: converted } = toClaudeMessages(toChatMessages(messages), names);
+    
+    const claudeToolChoice = {
+      auto: { type: 'auto' },
+      required: { type: 'any' },
+      none: { type: 'none' }
+    };
+    
+    const response = await axios.post(
+      `${this.clients.claude.baseURL}/v1/messages`,
+      {
+        model: options.model || 'claude-2',
+        max_tokens: options.max_tokens,
+        temperature: options.temperature,
+        ...(system ? { system } : {}),
+        messages: converted,
+        ...(tools.length > 0 ? {
+          tools: tools.map(tool => ({ name: names.toProvider(tool.name), description: tool.description || '', input_schema: tool.parameters })),
+          tool_choice: typeof toolChoice === 'object'
+            ? { type: 'tool', name: names.toProvider(toolChoice.name) }
+            : claudeToolChoice[toolChoice] || claudeToolChoice.auto
+        } : {})
+      },
+      { headers: this.clients.claude.headers }
+    );
+    
+    const blocks = response.data.content || [];
+    const toolCalls = blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => toToolCall(block.id, names.fromProvider(block.name), block.input));
+    const usage = {
+      input: response.data.usage?.input_tokens || 0,
+      output: response.data.usage?.output_tokens || 0,
+      total: 0
+    };
+    usage.total = usage.input + usage.output;
+    
+    return {
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+      toolCalls,
+      stopReason: toStopReason(toolCalls, response.data.stop_reason),
+      usage
+    };
+  }
+  
+  /**
+   * Tool calling with Gemini function declarations
+   */
+  async generateToolCallsWithGemini(messages, tools, options) {
+    if (!this.clients.gemini) {
+      throw new Error('Gemini client not initialized');
+    }
+    
+    const names = createToolNameMap(tools);
+    const { toolChoice } = options;
+    const { systemInstruction, contents } = toGeminiContents(toChatMessages(messages), names);
+    
+    const modes = { auto: 'AUTO', required: 'ANY', none: 'NONE' };
+    const model = options.model || 'gemini-pro';
+    
+    const response = await axios.post(
+      `${this.clients.gemini.baseURL}/v1beta/models/${model}:generateContent?key=${this.clients.gemini.apiKey}`,
+      {
+        contents,
+        systemInstruction,
+        ...(tools.length > 0 ? {
+          tools: [{
+            functionDeclarations: tools.map(tool => ({
+              name: names.toProvider(tool.name),
+              description: tool.description || '',
+              parameters: toGeminiSchema(tool.parameters)
+            }))
+          }],
+          toolConfig: {
+            functionCallingConfig: typeof toolChoice === 'object'
+              ? { mode: 'ANY', allowedFunctionNames: [names.toProvider(toolChoice.name)] }
+              : { mode: modes[toolChoice] || modes.auto }
+          }
+        } : {}),
+        generationConfig: {
+          temperature: options.temperature,
+          maxOutputTokens: options.max_tokens,
+        },
+      }
+    );
+    
+    const candidate = response.data.candidates[0];
+    const parts = (candidate.content && candidate.content.parts) || [];
+    const toolCalls = parts
+      .filter(part => part.functionCall)
+      .map((part, index) => toToolCall(part.functionCall.id || `call_${index}`, names.fromProvider(part.functionCall.name), part.functionCall.args));
+    
+    return {
+      content: parts.filter(part => part.text).map(part => part.text).join('').trim(),
+      toolCalls,
+      stopReason: toStopReason(toolCalls, candidate.finishReason),
+      usage: {
+        input: response.data.usageMetadata?.promptTokenCount || 0,
+        output: response.data.usageMetadata?.candidatesTokenCount || 0,
+        total: response.data.usageMetadata?.totalTokenCount || 0
+      }
+    };
+  }
+  
+  /**
+   * Tool calling with Ollama's chat API
+   *
+   * Ollama has no tool choice; 'none' leaves the tools out and the other
+   * choices are left to the model.
+   */
+  async generateToolCallsWithOllama(messages, tools, options) {
+    if (!this.clients.ollama) {
+      throw new Error('Ollama client not initialized');
+    }
+    
+    const names = createToolNameMap(tools);
+    const offeredTools = options.toolChoice === 'none' ? [] : tools;
+    
+    const response = await axios.post(
+      `${this.clients.ollama.baseURL}/api/chat`,
+      {
+        model: options.model || 'llama2',
+        stream: false,
+        messages: toOllamaMessages(toChatMessages(messages), names),
+        ...(offeredTools.length > 0 ? {
+          tools: offeredTools.map(tool => ({
+            type: 'function',
+            function: { name: names.toProvider(tool.name), description: tool.description || '', parameters: tool.parameters }
+          }))
+        } : {}),
+        options: {
+          temperature: options.temperature,
+          num_predict: options.max_tokens,
+        },
+      }
+    );
+    
+    const message = response.data.message || {};
+    const toolCalls = (message.tool_calls || [])
+      .map((call, index) => toToolCall(call.id || `call_${index}`, names.fromProvider(call.function.name), call.function.arguments));
+    const usage = {
+      input: response.data.prompt_eval_count || 0,
+      output: response.data.eval_count || 0,
+      total: 0
+    };
+    usage.total = usage.input + usage.output;
+    
+    return {
+      content: (message.content || '').trim(),
+      toolCalls,
+      stopReason: toStopReason(toolCalls, response.data.done_reason),
+      usage
+    };
+  }
+  
+  /**
+   * Resolve the embedding provider and model generateEmbeddings will use
+   * @param {Object} options - `provider` and `model` overrides, as for generateEmbeddings
+   * @returns {Object} `{ provider, model }`
+   */
+  getEmbeddingModel(options = {}) {
+    const provider = (options.provider || this.embeddingProvider).toLowerCase();
+    const model = options.model
+      || (provider === this.embeddingProvider.toLowerCase() && this.embeddingModel)
+      || DEFAULT_EMBEDDING_MODELS[provider];
+
+    return { provider, model };
+  }
+
+  /**
+   * Embed texts for semantic search
+   *
+   * Vectors from different models, or of different lengths, can't be
+   * compared, so the result names the model that made them for callers to
+   * store alongside each vector.
+   *
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} options - Options
+   * @param {string} options.provider - 'openai', 'gemini', 'ollama' or 'local' (default LLM_EMBEDDING_PROVIDER, else LLM_PROVIDER)
+   * @param {string} options.model - Embedding model (default LLM_EMBEDDING_MODEL, else the provider's default)
+   * @returns {Promise<Object>} `{ embeddings, provider, model, dimension, usage }`, one embedding per text
+   */
+  async generateEmbeddings(texts, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    const inputs = [].concat(texts);
+    const { provider, model } = this.getEmbeddingModel(options);
+
+    if (!DEFAULT_EMBEDDING_MODELS[provider]) {
+      throw new Error(`Provider ${provider} has no embeddings API, set LLM_EMBEDDING_PROVIDER to openai, gemini, ollama or local`);
+    }
+    
+    // The embedding provider doesn't have to be the one used for generation
+    if (provider !== 'local' && !this.clients[provider]) {
+      await this.initializeEmbeddingProvider(provider);
+    }
+    
+    await this.checkQuota(options);
+    
+    const startTime = Date.now();
+    let embeddings, tokenUsage;
+    
+    try {
+      switch (provider) {
+        case 'openai':
+          [embeddings, tokenUsage] = await this.embedWithOpenAI(inputs, model);
+          break;
+        case 'gemini':
+          [embeddings, tokenUsage] = await this.embedWithGemini(inputs, model);
+          break;
+        case 'ollama':
+          [embeddings, tokenUsage] = await this.embedWithOllama(inputs, model);
+          break;
+        case 'local':
+        default:
+          [embeddings, tokenUsage] = this.embedLocally(inputs, model);
+      }
+    } catch (error) {
+      this.updateMetrics(provider, model, Date.now() - startTime, null, true);
+      analyticsService.trackError(error, {
+        context: 'LLM embeddings',
+        provider,
+        model,
+        latency: Date.now() - startTime,
+      });
+      logger.error(`Error generating embeddings with ${provider}: ${error.message}`);
+      throw error;
+    }
+    
+    const dimension = embeddings.length > 0 ? embeddings[0].length : 0;
+    if (embeddings.length !== inputs.length || embeddings.some(embedding => embedding.length !== dimension)) {
+      throw new Error(`${provider}/${model} returned ${embeddings.length} embeddings of mixed or unexpected size for ${inputs.length} texts`);
+    }
+    
+    this.updateMetrics(provider, model, Date.now() - startTime, tokenUsage, false);
+    await this.recordUsage(provider, model, tokenUsage, options, 'embed');
+    
+    return { embeddings, provider, model, dimension, usage: tokenUsage };
+  }
+  
+  /**
+   * Set up a provider that is only used for embeddings
+   */
+  async initializeEmbeddingProvider(provider) {
+    switch (provider) {
+      case 'openai':
+        return this.initializeOpenAI();
+      case 'gemini':
+        return this.initializeGemini();
+      case 'ollama':
+        return this.initializeOllama();
+    }
+  }
+  
+  /**
+   * Embed texts with OpenAI
+   */
+  async embedWithOpenAI(texts, model) {
+    const response = await this.clients.openai.createEmbedding({ model, input: texts });
+    const embeddings = [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    
+    const tokenUsage = {
+      input: response.data.usage?.prompt_tokens || 0,
+      output: 0,
+      total: response.data.usage?.total_tokens || 0
+    };
+    
+    return [embeddings, tokenUsage];
+  }
+  
+  /**
+   * Embed texts with Google Gemini, in one batch request
+   */
+  async embedWithGemini(texts, model) {
+    const response = await axios.post(
+      `${this.clients.gemini.baseURL}/v1beta/models/${model}:batchEmbedContents?key=${this.clients.gemini.apiKey}`,
+      {
+        requests: texts.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] },
+        })),
+      }
+    );
+    
+    // Gemini doesn't return token usage for embeddings
+    const input = texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0); // Rough estimate
+    
+    return [response.data.embeddings.map(embedding => embedding.values), { input, output: 0, total: input }];
+  }
+  
+  /**
+   * Embed texts with Ollama, whose /api/embeddings takes one prompt at a time
+   */
+  async embedWithOllama(texts, model) {
+    const embeddings = [];
+    
+    for (const text of texts) {
+      const response = await axios.post(`${this.clients.ollama.baseURL}/api/embeddings`, { model, prompt: text });
+      embeddings.push(response.data.embedding);
+    }
+    
+    const input = texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0); // Rough estimate
+    
+    return [embeddings, { input, output: 0, total: input }];
+  }
+  
+  /**
+   * Embed texts with the deterministic local embedding; `hash-<n>` models have n dimensions
+   */
+  embedLocally(texts, model) {
+    const dimension = parseInt((model.match(/(\d+)$/) || [])[1], 10) || 256;
+    const input = texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+    
+    return [texts.map(text => localEmbedding(text, dimension)), { input, output: 0, total: input }];
+  }
+  
+  /**
+   * Stop a call that would go over its user's quota or the overall budget
+   * @param {Object} options - Call options; `user` (`{ id, role }`) and `correlationId` default to the request context
+   * @throws {LLMQuotaExceededError} With code ERR_LLM_QUOTA_EXCEEDED
+   */
+  async checkQuota(options = {}) {
+    try {
+      await llmUsageService.checkQuota(llmUsageService.resolveAttribution(options));
+    } catch (error) {
+      if (error.code === 'ERR_LLM_QUOTA_EXCEEDED') {
+        throw error;
+      }
+      // An accounting outage (Redis down) shouldn't take the assistant down with it
+      logger.warn(`Could not check LLM quota: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Price a successful call and attribute it to its user and correlation ID
+   * @returns {Promise<Object|null>} The recorded call, or null when it couldn't be recorded
+   */
+  async recordUsage(provider, model, tokenUsage, options = {}, operation = 'generate') {
+    if (!tokenUsage) {
+      return null;
+    }
+    
+    try {
+      return await llmUsageService.recordUsage({
+        provider,
+        model,
+        usage: tokenUsage,
+        operation,
+        ...llmUsageService.resolveAttribution(options)
+      });
+    } catch (error) {
+      logger.warn(`Could not record LLM usage: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Update metrics
    */
@@ -522,13 +1816,17 @@ class LLMProvider {
     if (!this.metrics.callsByModel[modelKey]) {
       this.metrics.callsByModel[modelKey] = 0;
       this.metrics.tokensByModel[modelKey] = 0;
+      this.metrics.costByModel[modelKey] = 0;
     }
     
     this.metrics.callsByModel[modelKey]++;
     
     if (tokenUsage) {
+      const cost = llmUsageService.calculateCost(provider, model, tokenUsage);
       this.metrics.totalTokens += tokenUsage.total;
       this.metrics.tokensByModel[modelKey] += tokenUsage.total;
+      this.metrics.totalCost += cost;
+      this.metrics.costByModel[modelKey] += cost;
     }
     
     // Update average latency
@@ -540,7 +1838,7 @@ class LLMProvider {
   
   /**
    * Stream response from LLM for real-time updates
-   * @param {string} prompt - The prompt to send to the LLM
+   * @param {string|Array<Object>} prompt - The prompt to send to the LLM, or chat messages (see `generateChat`)
    * @param {Object} options - Additional options for the API call
    * @returns {AsyncGenerator<string>} Generated text chunks
    */
@@ -557,6 +1855,8 @@ class LLMProvider {
     };
     
     const provider = options.provider || this.provider;
+    await this.checkQuota(options);
+    
     const startTime = Date.now();
     let tokenCount = 0;
     
@@ -588,12 +1888,13 @@ class LLMProvider {
       
       // Update metrics after streaming completes
       const tokenUsage = {
-        input: Math.ceil(prompt.length / 4),
+        input: estimateTokens(prompt),
         output: tokenCount,
-        total: Math.ceil(prompt.length / 4) + tokenCount
+        total: estimateTokens(prompt) + tokenCount
       };
       
       this.updateMetrics(provider, callOptions.model, Date.now() - startTime, tokenUsage, false);
+      await this.recordUsage(provider, callOptions.model, tokenUsage, options, 'stream');
       
       // Track streaming in analytics
       analyticsService.trackEvent('llm_stream', {
@@ -629,11 +1930,12 @@ class LLMProvider {
           
           // Update metrics for fallback
           const tokenUsage = {
-            input: Math.ceil(prompt.length / 4),
+            input: estimateTokens(prompt),
             output: tokenCount,
-            total: Math.ceil(prompt.length / 4) + tokenCount
+            total: estimateTokens(prompt) + tokenCount
           };
           this.updateMetrics('ollama', callOptions.model, Date.now() - startTime, tokenUsage, false);
+          await this.recordUsage('ollama', callOptions.model, tokenUsage, options, 'stream');
         } catch (ollamaError) {
           logger.error(`Ollama streaming fallback also failed: ${ollamaError.message}`);
           throw error; // Throw original error
@@ -656,7 +1958,7 @@ class LLMProvider {
     
     const response = await this.clients.openai.createChatCompletion({
       model,
-      messages: [{ role: 'user', content: prompt }],
+      messages: toOpenAIMessages(toChatMessages(prompt)),
       temperature: options.temperature,
       max_tokens: options.max_tokens,
       stream: true,
@@ -689,6 +1991,7 @@ class LLMProvider {
     }
     
     const model = options.model || 'claude-2';
+    const { system, messages } = toClaudeMessages(toChatMessages(prompt));
     
     const response = await axios.post(
       `${this.clients.claude.baseURL}/v1/messages`,
@@ -696,7 +1999,8 @@ class LLMProvider {
         model,
         max_tokens: options.max_tokens,
         temperature: options.temperature,
-        messages: [{ role: 'user', content: prompt }],
+        ...(system ? { system } : {}),
+        messages,
         stream: true,
       },
       { 
@@ -736,7 +2040,7 @@ class LLMProvider {
     const response = await axios.post(
       `${this.clients.gemini.baseURL}/v1beta/models/${model}:streamGenerateContent?key=${this.clients.gemini.apiKey}`,
       {
-        contents: [{ parts: [{ text: prompt }] }],
+        ...toGeminiContents(toChatMessages(prompt)),
         generationConfig: {
           temperature: options.temperature,
           maxOutputTokens: options.max_tokens,
@@ -772,10 +2076,10 @@ class LLMProvider {
     const model = options.model || 'llama2';
     
     const response = await axios.post(
-      `${this.clients.ollama.baseURL}/api/generate`,
+      `${this.clients.ollama.baseURL}/api/chat`,
       {
         model,
-        prompt,
+        messages: toOllamaMessages(toChatMessages(prompt)),
         options: {
           temperature: options.temperature,
           num_predict: options.max_tokens,
@@ -790,8 +2094,8 @@ class LLMProvider {
       for (const line of lines) {
         try {
           const parsedLine = JSON.parse(line);
-          if (parsedLine.response) {
-            yield parsedLine.response;
+          if (parsedLine.message?.content) {
+            yield parsedLine.message.content;
           }
         } catch (error) {
           // Skip lines that can't be parsed
@@ -874,12 +2178,33 @@ class LLMProvider {
       successRate: this.metrics.totalCalls > 0 
         ? ((this.metrics.totalCalls - this.metrics.errors) / this.metrics.totalCalls) * 100 
         : 100,
+      structured: {
+        ...this.metrics.structured,
+        // Share of responses that weren't valid JSON
+        parseFailureRate: this.metrics.structured.requests + this.metrics.structured.retries > 0
+          ? (this.metrics.structured.parseFailures / (this.metrics.structured.requests + this.metrics.structured.retries)) * 100
+          : 0,
+      },
       initializedProviders: Object.keys(this.clients),
       defaultProvider: this.provider,
       defaultModel: this.model,
     };
   }
   
+  /**
+   * Counters for generateStructured
+   */
+  createStructuredMetrics() {
+    return {
+      requests: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      parseFailures: 0,
+      validationFailures: 0,
+    };
+  }
+  
   /**
    * Reset metrics
    */
@@ -889,12 +2214,16 @@ class LLMProvider {
       totalTokens: 0,
       averageLatency: 0,
       errors: 0,
+      totalCost: 0,
       callsByModel: {},
       tokensByModel: {},
+      costByModel: {},
+      structured: this.createStructuredMetrics(),
     };
     
     logger.info('LLM metrics reset');
   }
 }
 
-module.exports = new LLMProvider(); 
\ No newline at end of file
+module.exports = new LLMProvider();
+module.exports.StructuredOutputError = StructuredOutputError; 
\ No newline at end of file
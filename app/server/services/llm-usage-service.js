@@ -0,0 +1,461 @@
+/**
+ * LLM Usage Service
+ *
+ * Prices every LLM call from config/llm-pricing, attributes its tokens and
+ * cost to the user and correlation ID it was made for, and enforces the
+ * per-role quotas from rbac-service before calls are made: daily and monthly
+ * spend per user, tokens per request, and the deployment's overall budget.
+ *
+ * Counters are kept per UTC day and month. The Redis store shares them
+ * between cluster workers; the memory store is for single-process and test use.
+ */
+
+const llmPricing = require('../config/llm-pricing');
+const { getLlmQuotaForRole } = require('./rbac-service');
+const { getContext } = require('./request-context');
+const analyticsService = require('./analytics-service');
+const logger = require('./logging-service').getLogger('llm-usage');
+
+const KEY_PREFIX = 'llm:usage:';
+
+const DAY_TTL_SECONDS = 40 * 24 * 60 * 60;
+const MONTH_TTL_SECONDS = 400 * 24 * 60 * 60;
+const REQUEST_TTL_SECONDS = 24 * 60 * 60;
+
+// Recent calls kept for the dashboard
+const RECENT_LIMIT = parseInt(process.env.LLM_USAGE_RECENT_LIMIT, 10) || 1000;
+
+const TOTAL_FIELDS = ['cost', 'inputTokens', 'outputTokens', 'tokens', 'calls'];
+
+/**
+ * Error thrown when a call would go over a quota or budget
+ */
+class LLMQuotaExceededError extends Error {
+  /**
+   * @param {string} message - Description
+   * @param {Object} details - `{ scope, limit, used, resetsAt }`; scope is
+   *   'request', 'daily', 'monthly', 'budget_daily' or 'budget_monthly'
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'LLMQuotaExceededError';
+    this.code = 'ERR_LLM_QUOTA_EXCEEDED';
+    this.statusCode = 429;
+    this.isOperational = true;
+    this.details = details;
+  }
+}
+
+const dayOf = date => date.toISOString().slice(0, 10);
+const monthOf = date => date.toISOString().slice(0, 7);
+const startOfNextDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+const startOfNextMonth = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// Sums of float costs pick up noise like 0.30000000000000004
+const roundCost = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Counters as stored, with every field present
+ */
+const toTotals = (values = {}) => {
+  const totals = {};
+  for (const field of TOTAL_FIELDS) {
+    totals[field] = Number(values[field]) || 0;
+  }
+  totals.cost = roundCost(totals.cost);
+  return totals;
+};
+
+/**
+ * Holds usage counters in process memory
+ */
+class MemoryUsageStore {
+  constructor() {
+    this.name = 'memory';
+    this.hashes = new Map();
+    this.ranks = new Map();
+    this.records = new Map();
+  }
+
+  /**
+   * Get an entry that hasn't expired, creating it if asked to
+   */
+  entry(map, key, ttlSeconds, create) {
+    let entry = map.get(key);
+
+    if (entry && entry.expires < Date.now()) {
+      map.delete(key);
+      entry = null;
+    }
+    if (!entry && ttlSeconds) {
+      entry = { value: create(), expires: 0 };
+      map.set(key, entry);
+    }
+    if (entry && ttlSeconds) {
+      entry.expires = Date.now() + ttlSeconds * 1000;
+    }
+
+    return entry;
+  }
+
+  async increment(key, values, ttlSeconds) {
+    const { value } = this.entry(this.hashes, key, ttlSeconds, () => ({}));
+    for (const [field, amount] of Object.entries(values)) {
+      value[field] = (value[field] || 0) + amount;
+    }
+  }
+
+  async read(key) {
+    const entry = this.entry(this.hashes, key);
+    return entry ? { ...entry.value } : {};
+  }
+
+  async incrementRank(key, member, amount, ttlSeconds) {
+    const { value } = this.entry(this.ranks, key, ttlSeconds, () => new Map());
+    value.set(member, (value.get(member) || 0) + amount);
+  }
+
+  async topRanks(key, limit) {
+    const entry = this.entry(this.ranks, key);
+    return entry
+      ? [...entry.value].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([member, score]) => ({ member, score }))
+      : [];
+  }
+
+  async pushRecord(key, record, maxLength) {
+    const list = this.records.get(key) || [];
+    list.unshift(JSON.stringify(record));
+    this.records.set(key, list.slice(0, maxLength));
+  }
+
+  async readRecords(key, limit) {
+    return (this.records.get(key) || []).slice(0, limit).map(record => JSON.parse(record));
+  }
+}
+
+/**
+ * Holds usage counters in Redis hashes, sorted sets and a capped list
+ */
+class RedisUsageStore {
+  constructor(redisClient, { prefix = KEY_PREFIX } = {}) {
+    if (!redisClient) {
+      throw new Error('RedisUsageStore requires a redis client');
+    }
+
+    this.name = 'redis';
+    this.client = redisClient;
+    this.prefix = prefix;
+  }
+
+  async increment(key, values, ttlSeconds) {
+    const multi = this.client.multi();
+    for (const [field, amount] of Object.entries(values)) {
+      multi.hIncrByFloat(`${this.prefix}${key}`, field, amount);
+    }
+    await multi.expire(`${this.prefix}${key}`, ttlSeconds).exec();
+  }
+
+  async read(key) {
+    return this.client.hGetAll(`${this.prefix}${key}`);
+  }
+
+  async incrementRank(key, member, amount, ttlSeconds) {
+    await this.client.multi()
+      .zIncrBy(`${this.prefix}${key}`, amount, member)
+      .expire(`${this.prefix}${key}`, ttlSeconds)
+      .exec();
+  }
+
+  async topRanks(key, limit) {
+    const entries = await this.client.zRangeWithScores(`${this.prefix}${key}`, 0, limit - 1, { REV: true });
+    return entries.map(({ value, score }) => ({ member: value, score }));
+  }
+
+  async pushRecord(key, record, maxLength) {
+    await this.client.multi()
+      .lPush(`${this.prefix}${key}`, JSON.stringify(record))
+      .lTrim(`${this.prefix}${key}`, 0, maxLength - 1)
+      .exec();
+  }
+
+  async readRecords(key, limit) {
+    const records = await this.client.lRange(`${this.prefix}${key}`, 0, limit - 1);
+    return records.map(record => JSON.parse(record));
+  }
+}
+
+/**
+ * Pick the usage store for the app
+ * @param {Object} redisClient - Redis client, if one is configured
+ * @returns {Object} Usage store
+ */
+const createUsageStore = (redisClient) => {
+  if (redisClient) {
+    return new RedisUsageStore(redisClient);
+  }
+
+  logger.warn('No Redis client for LLM usage, quotas only count calls made by this process');
+  return new MemoryUsageStore();
+};
+
+class LLMUsageService {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.store - Usage store, defaults to memory
+   * @param {Object} options.pricing - `{ currency, prices, budget }`, defaults to config/llm-pricing
+   * @param {Function} options.getQuota - role => quota, defaults to rbac-service's
+   */
+  constructor({ store = new MemoryUsageStore(), pricing = llmPricing, getQuota = getLlmQuotaForRole } = {}) {
+    this.store = store;
+    this.pricing = pricing;
+    this.getQuota = getQuota;
+  }
+
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Find the price of a model, matching the longest model prefix
+   * @returns {Object|null} `{ input, output }` in USD per million tokens, null for unknown providers
+   */
+  getPrice(provider, model = '') {
+    const models = this.pricing.prices[String(provider).toLowerCase()];
+
+    if (!models) {
+      return null;
+    }
+
+    const match = Object.keys(models)
+      .filter(prefix => prefix !== 'default' && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return models[match] || models.default || null;
+  }
+
+  /**
+   * Price a call
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {Object} usage - `{ input, output }` tokens
+   * @returns {number} Cost in USD
+   */
+  calculateCost(provider, model, usage) {
+    const price = this.getPrice(provider, model);
+
+    if (!price || !usage) {
+      return 0;
+    }
+
+    return roundCost(((usage.input || 0) * price.input + (usage.output || 0) * price.output) / 1e6);
+  }
+
+  /**
+   * Work out who a call is for, from the call's options or else the request context
+   * @param {Object} options - LLM call options with `user` (`{ id, role }`) and `correlationId`
+   * @returns {Object} `{ userId, role, correlationId }`, null where unknown
+   */
+  resolveAttribution(options = {}) {
+    const context = getContext();
+    const user = options.user || context.user;
+
+    return {
+      userId: user && (user.id || user._id) ? String(user.id || user._id) : null,
+      role: user ? user.role || 'user' : null,
+      correlationId: options.correlationId || context.correlationId || null
+    };
+  }
+
+  /**
+   * Make sure a call is within its user's quotas and the overall budget
+   * @param {Object} attribution - `{ userId, role, correlationId }`
+   * @throws {LLMQuotaExceededError} When a limit has been reached
+   */
+  async checkQuota({ userId, role, correlationId } = {}) {
+    const now = new Date();
+    const quota = userId ? this.getQuota(role) : null;
+    const { budget } = this.pricing;
+
+    const [request, daily, monthly, totalDaily, totalMonthly] = await Promise.all([
+      quota && correlationId && quota.requestTokens != null ? this.store.read(`request:${correlationId}`) : null,
+      quota && quota.dailyCost != null ? this.store.read(`user:${userId}:day:${dayOf(now)}`) : null,
+      quota && quota.monthlyCost != null ? this.store.read(`user:${userId}:month:${monthOf(now)}`) : null,
+      budget.daily != null ? this.store.read(`total:day:${dayOf(now)}`) : null,
+      budget.monthly != null ? this.store.read(`total:month:${monthOf(now)}`) : null
+    ]);
+
+    const checks = [
+      request && { scope: 'request', limit: quota.requestTokens, used: toTotals(request).tokens, resetsAt: null },
+      daily && { scope: 'daily', limit: quota.dailyCost, used: toTotals(daily).cost, resetsAt: startOfNextDay(now) },
+      monthly && { scope: 'monthly', limit: quota.monthlyCost, used: toTotals(monthly).cost, resetsAt: startOfNextMonth(now) },
+      totalDaily && { scope: 'budget_daily', limit: budget.daily, used: toTotals(totalDaily).cost, resetsAt: startOfNextDay(now) },
+      totalMonthly && { scope: 'budget_monthly', limit: budget.monthly, used: toTotals(totalMonthly).cost, resetsAt: startOfNextMonth(now) }
+    ].filter(Boolean);
+
+    const exceeded = checks.find(check => check.used >= check.limit);
+
+    if (!exceeded) {
+      return;
+    }
+
+    analyticsService.trackEvent('llm_quota_exceeded', { ...exceeded, role, correlationId }, userId);
+    logger.warn(`LLM ${exceeded.scope} limit reached`, { userId, role, correlationId, limit: exceeded.limit, used: exceeded.used });
+
+    const messages = {
+      request: `This request has used its ${exceeded.limit} LLM tokens`,
+      daily: `Daily LLM quota of $${exceeded.limit} reached`,
+      monthly: `Monthly LLM quota of $${exceeded.limit} reached`,
+      budget_daily: 'The daily LLM budget has been spent',
+      budget_monthly: 'The monthly LLM budget has been spent'
+    };
+
+    throw new LLMQuotaExceededError(messages[exceeded.scope], {
+      ...exceeded,
+      resetsAt: exceeded.resetsAt && exceeded.resetsAt.toISOString()
+    });
+  }
+
+  /**
+   * Price a call and add it to the counters
+   * @param {Object} call - Call
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model name
+   * @param {Object} call.usage - `{ input, output, total }` tokens
+   * @param {string} call.operation - What the call was, e.g. 'generate', 'stream', 'tools'
+   * @param {string} call.userId - User the call was for
+   * @param {string} call.role - The user's role
+   * @param {string} call.correlationId - Request the call was part of
+   * @returns {Promise<Object>} The recorded call, with its cost
+   */
+  async recordUsage({ provider, model, usage = {}, operation = 'generate', userId = null, role = null, correlationId = null }) {
+    const now = new Date();
+    const day = dayOf(now);
+    const month = monthOf(now);
+    const modelName = `${provider}/${model}`;
+    const values = {
+      cost: this.calculateCost(provider, model, usage),
+      inputTokens: usage.input || 0,
+      outputTokens: usage.output || 0,
+      tokens: usage.total || (usage.input || 0) + (usage.output || 0),
+      calls: 1
+    };
+    const record = {
+      timestamp: now.toISOString(),
+      correlationId,
+      userId,
+      role,
+      provider,
+      model,
+      operation,
+      ...values
+    };
+
+    await Promise.all([
+      this.store.increment(`total:day:${day}`, values, DAY_TTL_SECONDS),
+      this.store.increment(`total:month:${month}`, values, MONTH_TTL_SECONDS),
+      this.store.increment(`model:${modelName}:month:${month}`, values, MONTH_TTL_SECONDS),
+      this.store.incrementRank(`models:month:${month}`, modelName, values.cost, MONTH_TTL_SECONDS),
+      ...(userId ? [
+        this.store.increment(`user:${userId}:day:${day}`, values, DAY_TTL_SECONDS),
+        this.store.increment(`user:${userId}:month:${month}`, values, MONTH_TTL_SECONDS),
+        this.store.incrementRank(`users:month:${month}`, userId, values.cost, MONTH_TTL_SECONDS)
+      ] : []),
+      ...(correlationId ? [this.store.increment(`request:${correlationId}`, values, REQUEST_TTL_SECONDS)] : []),
+      this.store.pushRecord('recent', record, RECENT_LIMIT)
+    ]);
+
+    return record;
+  }
+
+  /**
+   * Get a user's spend against their quota
+   * @param {string} userId - User ID
+   * @param {string} role - The user's role
+   * @returns {Promise<Object>} `{ userId, role, quota, daily, monthly }`; periods have totals plus `limit`, `remaining` and `resetsAt`
+   */
+  async getUserUsage(userId, role) {
+    const now = new Date();
+    const quota = this.getQuota(role);
+    const [daily, monthly] = await Promise.all([
+      this.store.read(`user:${userId}:day:${dayOf(now)}`),
+      this.store.read(`user:${userId}:month:${monthOf(now)}`)
+    ]);
+
+    const period = (values, limit, resetsAt) => {
+      const totals = toTotals(values);
+      return {
+        ...totals,
+        limit,
+        remaining: limit == null ? null : roundCost(Math.max(0, limit - totals.cost)),
+        resetsAt: resetsAt.toISOString()
+      };
+    };
+
+    return {
+      userId,
+      role,
+      quota,
+      daily: period(daily, quota.dailyCost, startOfNextDay(now)),
+      monthly: period(monthly, quota.monthlyCost, startOfNextMonth(now))
+    };
+  }
+
+  /**
+   * Get the tokens and cost of one request
+   * @param {string} correlationId - Correlation ID of the request or agent run
+   * @returns {Promise<Object>} Totals
+   */
+  async getRequestUsage(correlationId) {
+    return toTotals(await this.store.read(`request:${correlationId}`));
+  }
+
+  /**
+   * Build the cost dashboard
+   * @param {Object} options - Options
+   * @param {number} options.days - Days of daily totals, newest last
+   * @param {number} options.limit - Entries in the model, user and recent call lists
+   * @returns {Promise<Object>} `{ currency, budget, today, month, daily, models, users, recent }`
+   */
+  async getDashboard({ days = 30, limit = 10 } = {}) {
+    const now = new Date();
+    const month = monthOf(now);
+    const dates = Array.from({ length: days }, (_, index) => new Date(now.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000));
+
+    const [daily, monthTotals, topModels, topUsers, recent] = await Promise.all([
+      Promise.all(dates.map(async date => ({ date: dayOf(date), ...toTotals(await this.store.read(`total:day:${dayOf(date)}`)) }))),
+      this.store.read(`total:month:${month}`),
+      this.store.topRanks(`models:month:${month}`, limit),
+      this.store.topRanks(`users:month:${month}`, limit),
+      this.store.readRecords('recent', limit)
+    ]);
+
+    const [models, users] = await Promise.all([
+      Promise.all(topModels.map(async ({ member }) => ({ model: member, ...toTotals(await this.store.read(`model:${member}:month:${month}`)) }))),
+      Promise.all(topUsers.map(async ({ member }) => ({ userId: member, ...toTotals(await this.store.read(`user:${member}:month:${month}`)) })))
+    ]);
+
+    return {
+      currency: this.pricing.currency,
+      budget: this.pricing.budget,
+      today: daily[daily.length - 1] || { date: dayOf(now), ...toTotals() },
+      month: { month, ...toTotals(monthTotals) },
+      daily,
+      models,
+      users,
+      recent
+    };
+  }
+}
+
+const llmUsageService = new LLMUsageService();
+
+module.exports = {
+  llmUsageService,
+  LLMUsageService,
+  MemoryUsageStore,
+  RedisUsageStore,
+  createUsageStore,
+  errors: {
+    LLMQuotaExceededError
+  }
+};
@@ -120,6 +120,62 @@ class MemoryService {
     }
   }
   
+  /**
+   * Get the structured context of a conversation
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID
+   * @returns {Promise<Object>} - Conversation context, empty if there is no conversation
+   */
+  async getConversationContext(userId, sessionId) {
+    try {
+      const conversation = await Conversation.findOne({ userId, sessionId });
+      
+      return (conversation && conversation.context) || {};
+    } catch (error) {
+      logger.error(`Error getting conversation context: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Merge updates into the structured context of a conversation
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID
+   * @param {Object} updates - Context keys to set; undefined values remove the key
+   * @returns {Promise<Object>} - Updated conversation context
+   */
+  async updateConversationContext(userId, sessionId, updates) {
+    try {
+      let conversation = await Conversation.findOne({ userId, sessionId });
+      
+      if (!conversation) {
+        conversation = await Conversation.create({
+          userId,
+          sessionId,
+          messages: [],
+        });
+      }
+      
+      const context = { ...(conversation.context || {}) };
+      for (const [key, value] of Object.entries(updates)) {
+        if (value === undefined) {
+          delete context[key];
+        } else {
+          context[key] = value;
+        }
+      }
+      
+      conversation.context = context;
+      conversation.markModified('context');
+      await conversation.save();
+      
+      return context;
+    } catch (error) {
+      logger.error(`Error updating conversation context: ${error.message}`);
+      throw error;
+    }
+  }
+  
   /**
    * Get all relevant user context for personalization
    * @param {String} userId - User ID 
@@ -0,0 +1,214 @@
+/**
+ * Notification Service
+ *
+ * Sends alerts to users by email and push, honouring the notification
+ * preferences in their configuration. Delivery goes through a pluggable
+ * provider per channel: the log provider only records what would have been
+ * sent (the default when no gateway is configured), the HTTP provider posts
+ * the notification as JSON to an email or push gateway.
+ */
+
+const axios = require('axios');
+const Configuration = require('../models/configuration');
+const User = require('../models/user');
+const logger = require('./logging-service').getLogger('notifications');
+
+const CHANNELS = ['email', 'push'];
+
+// Keys of `notificationPreferences.<channel>.types`
+const NOTIFICATION_TYPES = {
+  PRICE_ALERT: 'priceAlerts',
+  SEARCH_RESULTS: 'searchResults',
+  ACCOUNT_UPDATE: 'accountUpdates'
+};
+
+// Channel defaults from the configuration schema, for users without one
+const CHANNEL_DEFAULTS = {
+  email: true,
+  push: false
+};
+
+/**
+ * Logs notifications instead of delivering them
+ */
+class LogNotificationProvider {
+  constructor(channel) {
+    this.name = 'log';
+    this.channel = channel;
+  }
+
+  async send(notification) {
+    logger.info('Notification not delivered, no gateway configured', {
+      channel: this.channel,
+      userId: notification.userId,
+      type: notification.type,
+      subject: notification.subject
+    });
+    return { delivered: false };
+  }
+}
+
+/**
+ * Posts notifications to an HTTP email or push gateway
+ */
+class HttpNotificationProvider {
+  constructor({ url, apiKey, timeout = 5000 } = {}) {
+    if (!url) {
+      throw new Error('HttpNotificationProvider requires a url');
+    }
+
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async send(notification) {
+    await axios.post(this.url, notification, {
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+    return { delivered: true };
+  }
+}
+
+/**
+ * Pick each channel's provider from the environment
+ */
+const createDefaultProviders = () => ({
+  email: process.env.EMAIL_NOTIFICATION_URL
+    ? new HttpNotificationProvider({ url: process.env.EMAIL_NOTIFICATION_URL, apiKey: process.env.EMAIL_NOTIFICATION_API_KEY })
+    : new LogNotificationProvider('email'),
+  push: process.env.PUSH_NOTIFICATION_URL
+    ? new HttpNotificationProvider({ url: process.env.PUSH_NOTIFICATION_URL, apiKey: process.env.PUSH_NOTIFICATION_API_KEY })
+    : new LogNotificationProvider('push')
+});
+
+class NotificationService {
+  constructor(options = {}) {
+    this.providers = { ...createDefaultProviders(), ...(options.providers || {}) };
+    this.logger = logger;
+  }
+
+  /**
+   * Swap the delivery provider for a channel
+   * @param {string} channel - 'email' or 'push'
+   * @param {Object} provider - Object with `name` and async `send(notification)`
+   */
+  setProvider(channel, provider) {
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`Unknown notification channel: ${channel}`);
+    }
+    this.providers[channel] = provider;
+  }
+
+  /**
+   * Load a user's notification preferences
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Preferences, empty when they can't be loaded
+   */
+  async getPreferences(userId) {
+    try {
+      const configuration = await Configuration.getForUser(userId);
+      return (configuration && configuration.notificationPreferences) || {};
+    } catch (error) {
+      this.logger.warn('Could not load notification preferences', { userId, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Whether the user's preferences allow a notification type on a channel
+   * @param {Object} preferences - `notificationPreferences` from the configuration
+   * @param {string} channel - 'email' or 'push'
+   * @param {string} type - One of NOTIFICATION_TYPES
+   * @returns {boolean}
+   */
+  isAllowed(preferences, channel, type) {
+    const channelPreferences = preferences[channel];
+
+    if (!channelPreferences) {
+      return CHANNEL_DEFAULTS[channel];
+    }
+
+    if (channelPreferences.enabled === false || channelPreferences.frequency === 'never') {
+      return false;
+    }
+
+    return !channelPreferences.types || channelPreferences.types[type] !== false;
+  }
+
+  /**
+   * Send a notification on the requested channels the user hasn't opted out of
+   * @param {Object} notification - Notification to send
+   * @param {string} notification.userId - Recipient user ID
+   * @param {string} notification.type - One of NOTIFICATION_TYPES
+   * @param {string} notification.subject - Title or email subject
+   * @param {string} notification.body - Plain text message
+   * @param {Object} notification.data - Structured payload for the client
+   * @param {Object} channels - Requested channels, e.g. `{ email: true, push: false }`
+   * @returns {Promise<Array>} Per-channel outcome `{ channel, status, provider, reason }`
+   */
+  async send(notification, channels = { email: true }) {
+    const preferences = await this.getPreferences(notification.userId);
+    const outcomes = [];
+
+    for (const channel of CHANNELS) {
+      if (!channels[channel]) {
+        continue;
+      }
+
+      if (!this.isAllowed(preferences, channel, notification.type)) {
+        outcomes.push({ channel, status: 'skipped', reason: 'disabled in preferences' });
+        continue;
+      }
+
+      const provider = this.providers[channel];
+
+      try {
+        const recipient = channel === 'email'
+          ? await this.getEmailAddress(notification.userId)
+          : notification.userId;
+
+        if (!recipient) {
+          outcomes.push({ channel, status: 'skipped', reason: 'no recipient' });
+          continue;
+        }
+
+        const { delivered } = await provider.send({ ...notification, channel, to: recipient });
+        outcomes.push({ channel, status: delivered ? 'sent' : 'logged', provider: provider.name });
+      } catch (error) {
+        this.logger.error('Notification delivery failed', {
+          channel,
+          provider: provider.name,
+          userId: notification.userId,
+          error: error.message
+        });
+        outcomes.push({ channel, status: 'failed', provider: provider.name, reason: error.message });
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Look up the address to email a user at
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Email address
+   */
+  async getEmailAddress(userId) {
+    const user = await User.findById(userId);
+    return user ? user.email : null;
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = {
+  notificationService,
+  NotificationService,
+  LogNotificationProvider,
+  HttpNotificationProvider,
+  NOTIFICATION_TYPES
+};
@@ -0,0 +1,99 @@
+/**
+ * Price Comparison Service
+ *
+ * Compares the offers a canonical hotel carries from different sources
+ * (loyalty program, aggregators, direct booking) and flags the cheapest and
+ * the best-value offer.
+ */
+
+// Share of the price an offer's extras are worth when judging value
+const VALUE_ADJUSTMENTS = {
+  // Free cancellation
+  refundable: 0.05,
+  // Booking through the program or hotel site earns points and elite benefits
+  memberBooking: 0.08
+};
+
+// Source types that book with the hotel chain itself
+const MEMBER_BOOKING_TYPES = new Set(['loyalty', 'direct']);
+
+/**
+ * Price of an offer after crediting its refundability and member benefits
+ * @param {Object} offer - Offer with a numeric price
+ * @returns {number} Value-adjusted price, lower is better
+ */
+const getEffectivePrice = (offer) => {
+  let discount = 0;
+
+  if (offer.refundable === true) {
+    discount += VALUE_ADJUSTMENTS.refundable;
+  }
+
+  if (MEMBER_BOOKING_TYPES.has(offer.type)) {
+    discount += VALUE_ADJUSTMENTS.memberBooking;
+  }
+
+  return Math.round(offer.price * (1 - discount) * 100) / 100;
+};
+
+/**
+ * Compare a hotel's offers
+ *
+ * Only offers in the comparison currency (the hotel's currency, else the
+ * first priced offer's) can be flagged; offers without a price or in another
+ * currency are kept but left unflagged.
+ * @param {Array} offers - Offers from the entity resolver
+ * @param {string} currency - Preferred comparison currency
+ * @returns {Object} `{ offers, comparison }` with offers sorted by price
+ */
+const compareOffers = (offers = [], currency) => {
+  const priced = offers.filter(offer => typeof offer.price === 'number');
+  const comparisonCurrency = currency || (priced[0] && priced[0].currency) || null;
+  const comparable = priced.filter(offer => !offer.currency || !comparisonCurrency || offer.currency === comparisonCurrency);
+
+  const byPrice = (a, b) => a.price - b.price;
+  const cheapest = [...comparable].sort(byPrice)[0] || null;
+  const bestValue = [...comparable]
+    .sort((a, b) => getEffectivePrice(a) - getEffectivePrice(b) || byPrice(a, b))[0] || null;
+
+  const annotated = offers
+    .map(offer => {
+      // Drop flags from an earlier comparison, e.g. before currency conversion
+      const { effectivePrice, isCheapest, isBestValue, ...rest } = offer;
+      return {
+        ...rest,
+        ...(comparable.includes(offer) ? { effectivePrice: getEffectivePrice(offer) } : {}),
+        isCheapest: offer === cheapest,
+        isBestValue: offer === bestValue
+      };
+    })
+    .sort((a, b) => {
+      // Priced offers first, cheapest first; unpriced offers keep their order at the end
+      if (typeof a.price !== 'number') return typeof b.price !== 'number' ? 0 : 1;
+      if (typeof b.price !== 'number') return -1;
+      return byPrice(a, b);
+    });
+
+  const prices = comparable.map(offer => offer.price);
+  const lowestPrice = prices.length > 0 ? Math.min(...prices) : null;
+  const highestPrice = prices.length > 0 ? Math.max(...prices) : null;
+
+  return {
+    offers: annotated,
+    comparison: {
+      currency: comparisonCurrency,
+      offerCount: offers.length,
+      lowestPrice,
+      highestPrice,
+      savings: lowestPrice !== null ? Math.round((highestPrice - lowestPrice) * 100) / 100 : 0,
+      cheapest: cheapest && { source: cheapest.source, type: cheapest.type, price: cheapest.price, link: cheapest.link },
+      bestValue: bestValue && { source: bestValue.source, type: bestValue.type, price: bestValue.price, link: bestValue.link }
+    }
+  };
+};
+
+module.exports = {
+  compareOffers,
+  getEffectivePrice,
+  VALUE_ADJUSTMENTS
+};
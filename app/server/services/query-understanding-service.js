@@ -0,0 +1,756 @@
+/**
+ * Query Understanding Service
+ *
+ * Turns a natural language hotel query into structured search parameters
+ * without calling the LLM: relative and absolute dates are resolved to ISO
+ * check-in/check-out dates, locations are geocoded against the bundled
+ * gazetteer, and budget, star rating, amenity and loyalty program intents are
+ * extracted. Each parse carries a confidence score so callers can fall back
+ * to LLM extraction only when the parser wasn't sure.
+ */
+
+const SearchSources = require('../config/search-sources');
+const gazetteer = require('../config/gazetteer');
+const { detectBrand, normalizeHotelName } = require('./hotel-entity-resolver');
+
+// Below this confidence callers should ask the LLM instead
+const CONFIDENCE_THRESHOLD = 0.7;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2
+};
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_WORDS = { dollars: 'USD', usd: 'USD', euros: 'EUR', euro: 'EUR', eur: 'EUR', pounds: 'GBP', gbp: 'GBP' };
+const AMOUNT = '([$€£])?\\s*(\\d[\\d,]*)(?:\\s*(dollars|usd|euros?|eur|pounds|gbp)\\b)?';
+
+// Numbers after "under", "up to" etc. that are counts, not prices
+const NOT_A_PRICE = '(?!\\s*(?:guests?|people|persons?|adults?|kids?|children|nights?|days?|weeks?|rooms?|stars?|-star|km|miles?|mins?|minutes?|blocks?|%))';
+
+// Words that look like dates; if any appear but nothing resolves, the parse is unsure
+const DATE_HINT = new RegExp(`\\b(?:${MONTH_PATTERN}\\s+\\d|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}|(?:in|of|early|late|mid|end of)\\s+${MONTH_PATTERN}|${WEEKDAYS.join('|')}|today|tonight|tomorrow|weekend|(?:this|next|coming)\\s+(?:week|month)|\\d{1,2}/\\d{1,2}|\\d{4}-\\d{2}-\\d{2})\\b`);
+
+// Ordinals that name a street, floor or birthday rather than a day
+const NOT_A_DAY = '(?!\\s+(?:avenue|ave|street|st|floor|arrondissement|district|ward|anniversary|birthday))';
+
+// Cues before a date that make it the check-out date
+const CHECK_OUT_CUE = /(?:check(?:ing)?[\s-]?out|leav(?:e|ing)|depart(?:ing|ure)?|until|till|returning)\s*(?:on\s+)?(?:the\s+)?$/;
+
+// Gazetteer terms that are also ordinary words; only trusted after "in", "to", etc.
+const AMBIGUOUS_PLACE_TERMS = new Set(['nice', 'la', 'dc', 'hk', 'kl', 'sf', 'rio', 'cabo', 'male']);
+const PLACE_PREPOSITION = /\b(?:in|at|near|around|to|visiting)\s+$/;
+
+const AMENITY_PATTERNS = [
+  ['pool', /\b(?:swimming\s+)?pools?\b/],
+  ['gym', /\b(?:gym|fitness(?:\s+(?:center|centre|room))?)\b/],
+  ['spa', /\bspa\b/],
+  ['wifi', /\b(?:free\s+)?wi-?fi\b|\binternet\b/],
+  ['breakfast', /\bbreakfast\b/],
+  ['parking', /\bparking\b/],
+  ['pet friendly', /\bpet[\s-]?friendly\b|\b(?:with|bring(?:ing)?)\s+(?:my|our|a)\s+(?:dog|cat|pet)s?\b|\bpets?\s+allowed\b/],
+  ['airport shuttle', /\b(?:airport\s+)?shuttle\b/],
+  ['restaurant', /\brestaurants?\b/],
+  ['bar', /\b(?:bar|lounge)\b/],
+  ['beachfront', /\bbeach(?:front|side)?\b|\bon the beach\b/],
+  ['ocean view', /\b(?:ocean|sea)[\s-]?views?\b/],
+  ['kitchen', /\bkitchen(?:ette)?\b/],
+  ['ev charging', /\b(?:ev|electric\s+(?:car|vehicle))\s+charg(?:ing|er)s?\b/],
+  ['accessible', /\b(?:wheelchair|accessible|accessibility)\b/],
+  ['business center', /\bbusiness\s+(?:center|centre)\b/],
+  ['kids club', /\bkids?'?\s+club\b/],
+  ['hot tub', /\b(?:hot\s+tub|jacuzzi)\b/],
+  ['rooftop', /\brooftop\b/]
+];
+
+// Short names users call each program by, keyed like the search sources config
+const PROGRAM_ALIASES = {
+  marriottBonvoy: ['marriott', 'bonvoy'],
+  hiltonHonors: ['hilton'],
+  ihgOneRewards: ['ihg'],
+  worldOfHyatt: ['hyatt'],
+  accorLiveLimitless: ['accor'],
+  choicePrivileges: ['choice privileges', 'choice hotels'],
+  wyndhamRewards: ['wyndham'],
+  bestWesternRewards: ['best western'],
+  radissonRewards: ['radisson'],
+  ghaDiscovery: ['gha']
+};
+
+const BUDGET_TIERS = [
+  ['budget', /\b(?:budget|cheap|cheapest|affordable|inexpensive|low[\s-]cost)\b/, { priceMax: 150 }],
+  ['luxury', /\b(?:luxury|luxurious|upscale|high[\s-]end|five[\s-]star experience|splurge)\b/, { priceMin: 300 }],
+  ['moderate', /\b(?:mid[\s-]?range|moderate(?:ly priced)?|reasonably priced)\b/, {}]
+];
+
+/**
+ * Lowercase and strip accents and dots ("D.C." -> "dc") for matching
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\.(?!\d)/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseCount = (value) => {
+  if (value === undefined || value === null) return null;
+  const number = NUMBER_WORDS[value] ?? parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read an `AMOUNT` match starting at a capture group offset
+ * @returns {Object|null} `{ amount, currency, explicit }`; explicit when a currency was given
+ */
+const parseAmount = (match, offset) => {
+  const [symbol, raw, word] = match.slice(offset, offset + 3);
+  if (!raw) return null;
+
+  const currency = symbol ? CURRENCY_SYMBOLS[symbol] : (word && CURRENCY_WORDS[word]) || null;
+
+  return {
+    amount: parseInt(raw.replace(/,/g, ''), 10),
+    currency,
+    explicit: !!currency
+  };
+};
+
+/* ---------------------------------------------------------------------------
+ * Calendar helpers. All dates are UTC midnights so arithmetic never crosses a
+ * DST boundary; "today" is the UTC date of the reference time.
+ * ------------------------------------------------------------------------- */
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((to - from) / MS_PER_DAY);
+
+/**
+ * Build a date, returning null for impossible ones like 31 February
+ */
+const makeDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+};
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3));
+
+/**
+ * Resolve a month/day without a year to its next occurrence from today
+ */
+const upcomingMonthDay = (today, month, day, year) => {
+  if (year) {
+    return makeDate(year, month, day);
+  }
+
+  const thisYear = makeDate(today.getUTCFullYear(), month, day);
+  if (thisYear && thisYear >= today) {
+    return thisYear;
+  }
+
+  return makeDate(today.getUTCFullYear() + 1, month, day);
+};
+
+/**
+ * Resolve a bare day of month ("the 12th") to its next occurrence from today
+ */
+const upcomingDayOfMonth = (today, day) => {
+  for (let offset = 0; offset < 3; offset++) {
+    // Let Date roll the month over the year end, then check the day exists
+    const first = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + offset, 1));
+    const date = makeDate(first.getUTCFullYear(), first.getUTCMonth(), day);
+
+    if (date && date >= today) {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Monday of the week containing a date
+ */
+const startOfWeek = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+
+/**
+ * Resolve "friday", "this friday" or "next friday"
+ *
+ * Bare and "this" mean the next occurrence, today included. "next" means the
+ * occurrence in next week (Monday to Sunday), which is what people saying
+ * "next Friday" on a Monday usually mean.
+ */
+const resolveWeekday = (today, weekday, qualifier) => {
+  if (qualifier === 'next') {
+    const nextWeekMonday = addDays(startOfWeek(today), 7);
+    return addDays(nextWeekMonday, (weekday + 6) % 7);
+  }
+
+  return addDays(today, (weekday - today.getUTCDay() + 7) % 7);
+};
+
+/**
+ * Resolve "this weekend" or "next weekend" to a Friday-to-Sunday stay
+ *
+ * "This weekend" on a Saturday starts today; on a Sunday it is the coming
+ * weekend. "Next weekend" is the weekend of next week.
+ */
+const resolveWeekend = (today, qualifier) => {
+  const friday = addDays(startOfWeek(today), 4);
+
+  if (qualifier === 'next') {
+    return { start: addDays(friday, 7), end: addDays(friday, 9) };
+  }
+
+  const day = today.getUTCDay();
+  if (day === 6) {
+    return { start: today, end: addDays(today, 1) };
+  }
+  if (day === 0) {
+    return { start: addDays(friday, 7), end: addDays(friday, 9) };
+  }
+
+  return { start: friday, end: addDays(friday, 2) };
+};
+
+/**
+ * Find every date expression in a query
+ * @param {string} text - Normalized query text
+ * @param {Date} today - Reference day
+ * @param {Object} options - `{ dateFormat }`, 'DD/MM/YYYY' for day-first numeric dates
+ * @returns {Array} Mentions `{ index, length, start, end?, role, explicitYear }` in text order
+ */
+const findDateMentions = (text, today, options = {}) => {
+  const mentions = [];
+  const consumed = [];
+
+  const isFree = (index, length) => consumed.every(([from, to]) => index + length <= from || index >= to);
+
+  const collect = (pattern, toMention) => {
+    const regex = new RegExp(pattern, 'g');
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      if (!isFree(match.index, match[0].length)) continue;
+
+      const mention = toMention(match);
+      if (!mention || !mention.start) continue;
+
+      consumed.push([match.index, match.index + match[0].length]);
+      mentions.push({
+        index: match.index,
+        length: match[0].length,
+        role: CHECK_OUT_CUE.test(text.slice(Math.max(0, match.index - 20), match.index)) ? 'checkOut' : null,
+        ...mention
+      });
+    }
+  };
+
+  // "may 10-15", "may 10 to 15 2025"
+  collect(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})${ORDINAL}\\s*(?:-|–|to|through|thru|until|till)\\s*(\\d{1,2})${ORDINAL}\\b(?!\\s*(?:${MONTH_PATTERN}|nights?|days?))(?:,?\\s*(\\d{4}))?`, (m) => {
+    const year = m[4] && parseInt(m[4], 10);
+    const start = upcomingMonthDay(today, monthIndex(m[1]), parseInt(m[2], 10), year);
+    const end = start && makeDate(start.getUTCFullYear(), start.getUTCMonth(), parseInt(m[3], 10));
+    return end && end > start ? { start, end, explicitYear: !!year } : null;
+  });
+
+  // "10-15 may", "10th to 15th of may"
+  collect(`\\b(\\d{1,2})${ORDINAL}\\s*(?:-|–|to)\\s*(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s*(\\d{4}))?`, (m) => {
+    const year = m[4] && parseInt(m[4], 10);
+    const start = upcomingMonthDay(today, monthIndex(m[3]), parseInt(m[1], 10), year);
+    const end = start && makeDate(start.getUTCFullYear(), start.getUTCMonth(), parseInt(m[2], 10));
+    return end && end > start ? { start, end, explicitYear: !!year } : null;
+  });
+
+  // ISO "2025-05-10"
+  collect('\\b(\\d{4})-(\\d{2})-(\\d{2})\\b', (m) => ({
+    start: makeDate(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10)),
+    explicitYear: true
+  }));
+
+  // Numeric "5/10" or "5/10/2025", month first unless the user prefers day first
+  collect('\\b(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?\\b', (m) => {
+    const dayFirst = /^DD/i.test(options.dateFormat || '');
+    const month = parseInt(dayFirst ? m[2] : m[1], 10) - 1;
+    const day = parseInt(dayFirst ? m[1] : m[2], 10);
+    let year = m[3] && parseInt(m[3], 10);
+    if (year && year < 100) year += 2000;
+    return { start: upcomingMonthDay(today, month, day, year), explicitYear: !!year };
+  });
+
+  // "may 10", "may 10th, 2025"
+  collect(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})${ORDINAL}\\b(?:,?\\s*(\\d{4}))?`, (m) => {
+    const year = m[3] && parseInt(m[3], 10);
+    return { start: upcomingMonthDay(today, monthIndex(m[1]), parseInt(m[2], 10), year), explicitYear: !!year };
+  });
+
+  // "10 may", "10th of may 2025"
+  collect(`\\b(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s*(\\d{4}))?`, (m) => {
+    const year = m[3] && parseInt(m[3], 10);
+    return { start: upcomingMonthDay(today, monthIndex(m[2]), parseInt(m[1], 10), year), explicitYear: !!year };
+  });
+
+  // "the 12th", "from the 3rd"
+  collect(`\\b(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)\\b${NOT_A_DAY}`, (m) => ({
+    start: upcomingDayOfMonth(today, parseInt(m[1], 10))
+  }));
+
+  collect('\\bday after tomorrow\\b', () => ({ start: addDays(today, 2) }));
+  collect('\\btomorrow\\b', () => ({ start: addDays(today, 1) }));
+  collect('\\btonight\\b', () => ({ start: today, end: addDays(today, 1), impliedEnd: true }));
+  collect('\\btoday\\b', () => ({ start: today }));
+
+  collect('\\b(?:(this|next|coming)\\s+)?weekend\\b', (m) => {
+    const weekend = resolveWeekend(today, m[1] === 'next' ? 'next' : 'this');
+    return { ...weekend, impliedEnd: true };
+  });
+
+  collect(`\\b(?:(this|next|coming)\\s+)?(${WEEKDAYS.join('|')})\\b`, (m) => ({
+    start: resolveWeekday(today, WEEKDAYS.indexOf(m[2]), m[1] === 'next' ? 'next' : 'this'),
+    weekday: WEEKDAYS.indexOf(m[2]),
+    qualified: !!m[1]
+  }));
+
+  collect(`\\bin\\s+${COUNT}\\s+(days?|weeks?)\\b`, (m) => {
+    const count = parseCount(m[1]);
+    return count ? { start: addDays(today, m[2].startsWith('week') ? count * 7 : count) } : null;
+  });
+
+  return mentions.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Find a stay length ("3 nights", "for a week")
+ * @param {string} text - Normalized query text
+ * @returns {number|null} Nights
+ */
+const findNights = (text) => {
+  const regex = new RegExp(`\\b${COUNT}\\s+(?:of\\s+)?nights?\\b`, 'g');
+  let nights;
+
+  while ((nights = regex.exec(text)) !== null) {
+    // "$200 a night" is a price, not a stay length
+    if (/^an?$/.test(nights[1]) && /\d\s*(?:dollars|usd|euros?|eur|pounds|gbp)?\s*$/.test(text.slice(0, nights.index))) {
+      continue;
+    }
+    return parseCount(nights[1]);
+  }
+
+  const weeks = text.match(new RegExp(`\\bfor\\s+${COUNT}\\s+weeks?\\b`));
+  if (weeks) return parseCount(weeks[1]) * 7;
+
+  if (/\bovernight\b/.test(text)) return 1;
+
+  return null;
+};
+
+/**
+ * Date a check-out mention stands for, given the check-in
+ *
+ * A weekday check-out is the first one after check-in ("next friday to
+ * sunday" ends on the Sunday after that Friday), unless a qualifier already
+ * puts it later.
+ * @param {Object} mention - Check-out mention
+ * @param {Date} checkIn - Check-in date
+ * @returns {Date} Check-out date
+ */
+const resolveCheckOut = (mention, checkIn) => {
+  if (mention.weekday === undefined || !checkIn || (mention.qualified && mention.start > checkIn)) {
+    return mention.start;
+  }
+
+  return addDays(checkIn, (mention.weekday - checkIn.getUTCDay() + 7) % 7 || 7);
+};
+
+/**
+ * Resolve check-in and check-out dates from a query
+ * @param {string} query - Raw or normalized query
+ * @param {Object} options - `{ now, dateFormat }`
+ * @returns {Object} `{ checkIn, checkOut, nights, mentioned, resolved, valid }`
+ */
+const resolveDates = (query, options = {}) => {
+  const text = normalizeText(query);
+  const today = startOfDay(options.now ? new Date(options.now) : new Date());
+  const mentions = findDateMentions(text, today, options);
+  const nights = findNights(text);
+
+  let checkIn = null;
+  let checkOut = null;
+
+  const range = mentions.find(m => m.end && !m.impliedEnd) || mentions.find(m => m.end);
+  if (range) {
+    checkIn = range.start;
+    // An explicit stay length wins over the end implied by "tonight" or "weekend"
+    checkOut = range.impliedEnd && nights ? addDays(range.start, nights) : range.end;
+
+    // A later mention can still set check-out ("this weekend until monday")
+    const later = mentions.find(m => m !== range && m.index > range.index && m.role === 'checkOut');
+    if (later) checkOut = resolveCheckOut(later, checkIn);
+  } else {
+    const checkInMention = mentions.find(m => m.role !== 'checkOut');
+    const checkOutMention = mentions.find(m => m.role === 'checkOut') ||
+      mentions.find(m => checkInMention && m.index > checkInMention.index);
+
+    checkIn = checkInMention ? checkInMention.start : null;
+    checkOut = checkOutMention ? resolveCheckOut(checkOutMention, checkIn) : null;
+
+    if (checkIn && checkOut && checkOut <= checkIn && checkOutMention && !checkOutMention.explicitYear) {
+      // "dec 28 to jan 3": the check-out month wrapped into the next year
+      const wrapped = makeDate(checkOut.getUTCFullYear() + 1, checkOut.getUTCMonth(), checkOut.getUTCDate());
+      if (wrapped && daysBetween(checkIn, wrapped) <= 60) checkOut = wrapped;
+    }
+
+    if (checkIn && !checkOut && nights) checkOut = addDays(checkIn, nights);
+    if (!checkIn && checkOut && nights) checkIn = addDays(checkOut, -nights);
+  }
+
+  // A check-out on or before check-in is dropped rather than guessed at
+  const valid = !(checkIn && checkOut && checkOut <= checkIn);
+
+  return {
+    checkIn: checkIn ? toISODate(checkIn) : null,
+    checkOut: checkOut && valid ? toISODate(checkOut) : null,
+    nights: checkIn && checkOut && valid ? daysBetween(checkIn, checkOut) : nights,
+    mentioned: mentions.length > 0 || DATE_HINT.test(text),
+    resolved: !!checkIn,
+    valid
+  };
+};
+
+/* ---------------------------------------------------------------------------
+ * Location
+ * ------------------------------------------------------------------------- */
+
+// Every gazetteer term, longest first so "miami beach" wins over "miami"
+const PLACE_TERMS = gazetteer
+  .flatMap(place => [place.name, ...(place.aliases || [])].map(term => ({ term: normalizeText(term), place })))
+  .sort((a, b) => b.term.length - a.term.length);
+
+// Words that end a free-text location phrase
+const LOCATION_STOP = new RegExp(
+  `\\s+(?:in|at|from|for|on|this|next|with|under|below|over|between|and|near|until|till|during|check|checking|starting|arriving|leaving|tonight|tomorrow|today|${WEEKDAYS.join('|')})\\b|\\s+\\d|\\s*[,;!?]|\\s*$`
+);
+
+/**
+ * Look up a place name in the gazetteer
+ * @param {string} name - Place name
+ * @returns {Object|null} Gazetteer entry
+ */
+const lookupPlace = (name) => {
+  const normalized = normalizeText(name);
+  const match = PLACE_TERMS.find(entry => entry.term === normalized);
+  return match ? match.place : null;
+};
+
+/**
+ * Geocode the location in a query
+ * @param {string} query - Raw or normalized query
+ * @returns {Object|null} `{ name, geo, resolved, matched }`; geo is null when the place isn't in the gazetteer
+ */
+const geocodeLocation = (query) => {
+  const text = normalizeText(query);
+
+  for (const { term, place } of PLACE_TERMS) {
+    const regex = new RegExp(`\\b${escapeRegExp(term)}\\b`, 'g');
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      if (AMBIGUOUS_PLACE_TERMS.has(term) && !PLACE_PREPOSITION.test(text.slice(0, match.index))) {
+        continue;
+      }
+
+      return {
+        name: place.name,
+        resolved: true,
+        matched: term,
+        geo: {
+          name: place.name,
+          country: place.country,
+          countryCode: place.countryCode,
+          lat: place.lat,
+          lng: place.lng
+        }
+      };
+    }
+  }
+
+  // Not a known place; keep what follows "in"/"near" so the caller can still search it
+  const phrase = text.match(new RegExp(`\\b(?:in|at|near|around)\\s+([a-z][a-z\\s'-]*?)(?=${LOCATION_STOP.source})`));
+  if (phrase) {
+    const words = phrase[1].trim();
+    const notAPlace = new RegExp(`^(?:(?:a|an)\\s.*|(?:the\\s+)?(?:${MONTH_PATTERN}|${WEEKDAYS.join('|')}|morning|evening|afternoon|summer|winter|spring|fall|autumn|advance|total|person|mind)$)`);
+
+    if (words && !notAPlace.test(words)) {
+      return {
+        name: words.replace(/\b\w/g, c => c.toUpperCase()),
+        resolved: false,
+        matched: words,
+        geo: null
+      };
+    }
+  }
+
+  return null;
+};
+
+/* ---------------------------------------------------------------------------
+ * Intents
+ * ------------------------------------------------------------------------- */
+
+const findGuests = (text) => {
+  const adults = text.match(new RegExp(`\\b${COUNT}\\s+(?:guests?|people|persons?|adults?|travell?ers|of us)\\b`));
+  const family = text.match(/\bfamily of (\d+|two|three|four|five|six)\b/);
+  const children = text.match(new RegExp(`\\b${COUNT}\\s+(?:kids?|children|child)\\b`));
+
+  let guests = adults ? parseCount(adults[1]) : family ? parseCount(family[1]) : null;
+
+  if (guests === null) {
+    if (/\bfor\s+(?:two|2)\b(?!\s*(?:nights?|weeks?|days?|rooms?|stars?))|\b(?:couple|romantic|honeymoon)\b/.test(text)) {
+      guests = 2;
+    } else if (/\b(?:solo|just me|by myself|for myself|for one person)\b/.test(text)) {
+      guests = 1;
+    }
+  }
+
+  const childCount = children ? parseCount(children[1]) : null;
+  if (childCount && !family) {
+    guests = (guests || 0) + childCount;
+  }
+
+  return { guests, children: childCount };
+};
+
+const findRooms = (text) => {
+  const rooms = text.match(new RegExp(`\\b${COUNT}\\s+(?:hotel\\s+)?rooms?\\b`));
+  return rooms ? parseCount(rooms[1]) : null;
+};
+
+const findStars = (text) => {
+  const stars = text.match(/\b([1-5]|one|two|three|four|five)[\s-]*(?:stars?|\*)|\b([1-5])\*/);
+  if (!stars) return null;
+  return parseCount(stars[1] || stars[2]);
+};
+
+/**
+ * Extract price limits from a query
+ * @returns {Object} `{ priceMin, priceMax, priceCurrency, budgetTier }`
+ */
+const findBudget = (text) => {
+  const result = { priceMin: null, priceMax: null, priceCurrency: null, budgetTier: null };
+
+  // Bare numbers only count as prices after a price word and when plausibly a nightly rate
+  const isPrice = (amount, requireCurrency) => amount && (amount.explicit || (!requireCurrency && amount.amount >= 20));
+
+  const setPrice = (field, amount) => {
+    result[field] = amount.amount;
+    result.priceCurrency = result.priceCurrency || amount.currency;
+  };
+
+  // "$100-200", "100 to 200 euros", "between $100 and $200"
+  const range = text.match(new RegExp(`${AMOUNT}\\s*(?:-|–|to|and)\\s*${AMOUNT}${NOT_A_PRICE}`));
+  if (range) {
+    const low = parseAmount(range, 1);
+    const high = parseAmount(range, 4);
+    if (low && high && (low.explicit || high.explicit) && high.amount > low.amount) {
+      setPrice('priceMin', { ...low, currency: low.currency || high.currency });
+      setPrice('priceMax', { ...high, currency: high.currency || low.currency });
+    }
+  }
+
+  const limits = [
+    ['priceMax', `\\b(?:under|below|less than|max(?:imum)?|up to|no more than|cheaper than|at most|within)\\s*(?:of\\s+)?${AMOUNT}${NOT_A_PRICE}`, false],
+    ['priceMax', `${AMOUNT}\\s*(?:or less|max|tops)\\b`, true],
+    ['priceMin', `\\b(?:over|above|more than|min(?:imum)?|at least)\\s*${AMOUNT}${NOT_A_PRICE}`, false],
+    ['priceMin', `\\bfrom\\s*${AMOUNT}${NOT_A_PRICE}`, true]
+  ];
+
+  for (const [field, pattern, requireCurrency] of limits) {
+    if (result[field] !== null) continue;
+
+    const match = text.match(new RegExp(pattern));
+    const amount = match && parseAmount(match, 1);
+    if (isPrice(amount, requireCurrency)) setPrice(field, amount);
+  }
+
+  if (result.priceMax === null && result.priceMin === null) {
+    // "$200 a night" on its own is a budget
+    const nightly = text.match(new RegExp(`${AMOUNT}\\s*(?:a|per|/)\\s*night\\b`));
+    const amount = nightly && parseAmount(nightly, 1);
+    if (isPrice(amount, false)) setPrice('priceMax', amount);
+  }
+
+  for (const [tier, pattern, defaults] of BUDGET_TIERS) {
+    if (pattern.test(text)) {
+      result.budgetTier = tier;
+      if (defaults.priceMax && result.priceMax === null) result.priceMax = defaults.priceMax;
+      if (defaults.priceMin && result.priceMin === null) result.priceMin = defaults.priceMin;
+      break;
+    }
+  }
+
+  return result;
+};
+
+const findAmenities = (text) => AMENITY_PATTERNS
+  .filter(([, pattern]) => pattern.test(text))
+  .map(([amenity]) => amenity);
+
+const findLoyaltyPrograms = (text) => {
+  const programs = [];
+
+  for (const [key, program] of Object.entries(SearchSources.loyaltyPrograms)) {
+    const terms = [program.name, ...(PROGRAM_ALIASES[key] || [])].map(normalizeText);
+    if (terms.some(term => new RegExp(`\\b${escapeRegExp(term)}\\b`).test(text))) {
+      programs.push(program.name);
+    }
+  }
+
+  return programs;
+};
+
+const findPaymentPreference = (text) => {
+  if (/\b(?:use|using|with|redeem(?:ing)?|spend(?:ing)?|burn(?:ing)?)\s+(?:my\s+|our\s+)?points\b|\baward (?:stay|night)s?\b/.test(text)) {
+    return 'points';
+  }
+  if (/\b(?:pay(?:ing)?\s+(?:in\s+)?cash|cash rate)\b/.test(text)) {
+    return 'cash';
+  }
+  return null;
+};
+
+/* ---------------------------------------------------------------------------
+ * Service
+ * ------------------------------------------------------------------------- */
+
+class QueryUnderstandingService {
+  constructor(options = {}) {
+    this.confidenceThreshold = options.confidenceThreshold || CONFIDENCE_THRESHOLD;
+  }
+
+  /**
+   * Parse a hotel search query
+   * @param {string} query - Natural language query
+   * @param {Object} options - `{ now, dateFormat }`
+   * @returns {Object} Search parameters in the shape `extractSearchParameters`
+   *   returns, plus `geo`, `intents`, `missing` and `confidence`
+   */
+  parse(query, options = {}) {
+    const text = normalizeText(query);
+
+    const dates = resolveDates(text, options);
+    const location = geocodeLocation(text);
+    const { guests, children } = findGuests(text);
+
+    // "Miami Beach" shouldn't read as asking for a beach
+    const intentText = location ? text.replace(location.matched, ' ') : text;
+    const budget = findBudget(text);
+    // One-letter brands ("W Hotels") would match shorthand like "w/ pool"
+    const detected = detectBrand({ name: query });
+    const brand = detected && normalizeHotelName(detected.brand).join('').length > 1 ? detected : null;
+
+    // Start confident and subtract for what we saw but couldn't pin down
+    let confidence = 1;
+    if (!location) confidence -= 0.25;
+    else if (!location.resolved) confidence -= 0.35;
+    if (dates.mentioned && !dates.resolved) confidence -= 0.4;
+    if (!dates.valid) confidence -= 0.3;
+
+    const missing = [];
+    if (!location) missing.push('location');
+    if (!dates.checkIn || !dates.checkOut) missing.push('dates');
+
+    return {
+      query,
+      location: location ? location.name : null,
+      geo: location ? location.geo : null,
+      dates: {
+        checkIn: dates.checkIn,
+        checkOut: dates.checkOut,
+        nights: dates.nights
+      },
+      guests,
+      children,
+      rooms: findRooms(text),
+      filters: {
+        priceMin: budget.priceMin,
+        priceMax: budget.priceMax,
+        priceCurrency: budget.priceCurrency,
+        amenities: findAmenities(intentText),
+        stars: findStars(text),
+        hotelChains: brand ? [brand.brand] : []
+      },
+      loyaltyPrograms: findLoyaltyPrograms(text),
+      intents: {
+        budgetTier: budget.budgetTier,
+        paymentPreference: findPaymentPreference(text)
+      },
+      missing,
+      confidence: Math.max(0, Math.round(confidence * 100) / 100),
+      parsedBy: 'parser'
+    };
+  }
+
+  /**
+   * Whether a parse is good enough to use without the LLM
+   * @param {Object} parsed - Result of `parse`
+   * @returns {boolean}
+   */
+  isConfident(parsed) {
+    return parsed.confidence >= this.confidenceThreshold;
+  }
+
+  /**
+   * Flatten a parse into the parameter shape the loyalty website scrapers take
+   * @param {Object} parsed - Result of `parse`
+   * @returns {Object} Flat search parameters
+   */
+  toFlatParams(parsed) {
+    const params = {
+      location: parsed.location,
+      coordinates: parsed.geo ? { lat: parsed.geo.lat, lng: parsed.geo.lng } : null,
+      checkIn: parsed.dates.checkIn,
+      checkOut: parsed.dates.checkOut,
+      guests: parsed.guests,
+      rooms: parsed.rooms,
+      stars: parsed.filters.stars,
+      priceMin: parsed.filters.priceMin,
+      priceMax: parsed.filters.priceMax,
+      amenities: parsed.filters.amenities.length > 0 ? parsed.filters.amenities : null,
+      loyaltyPrograms: parsed.loyaltyPrograms.length > 0 ? parsed.loyaltyPrograms : null
+    };
+
+    // Only keep what was found, like the old regex parser did
+    const flat = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null && value !== undefined));
+    flat.query = parsed.query;
+
+    return flat;
+  }
+}
+
+// Create singleton instance
+const queryUnderstandingService = new QueryUnderstandingService();
+
+module.exports = {
+  queryUnderstandingService,
+  QueryUnderstandingService,
+  resolveDates,
+  geocodeLocation,
+  lookupPlace,
+  normalizeText,
+  CONFIDENCE_THRESHOLD
+};
@@ -0,0 +1,265 @@
+/**
+ * RAG Citations
+ *
+ * Numbers the knowledge base chunks an answer is generated from, maps the
+ * `[n]` markers in the answer back to those chunks, and checks after
+ * generation that each sentence is supported by the chunks it cites (or by
+ * any of them when it cites none). Support is lexical: most of a sentence's
+ * words, and every number in it, have to appear in one supporting chunk, so
+ * a changed points amount or night count is caught even when the wording
+ * matches.
+ */
+
+const GROUNDING_THRESHOLD = parseFloat(process.env.RAG_GROUNDING_THRESHOLD) || 0.6;
+
+// Characters of each source shown in prompts
+const PROMPT_SOURCE_CHARS = 1500;
+
+// `[2]` or `[1, 3]`
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'has', 'have', 'had',
+  'was', 'were', 'will', 'with', 'this', 'that', 'these', 'those', 'from', 'they', 'their', 'them',
+  'there', 'then', 'than', 'into', 'onto', 'about', 'also', 'only', 'its', 'our', 'out', 'per',
+  'may', 'must', 'should', 'would', 'could', 'does', 'did', 'each', 'which', 'who', 'what', 'when',
+  'where', 'how', 'more', 'most', 'such', 'some', 'other', 'been', 'being', 'both', 'via', 'yes'
+]);
+
+// Answers that say there is nothing to cite aren't claims
+const NO_ANSWER = /don't have enough information|do not have enough information|couldn't find|could not find/i;
+
+/**
+ * Describe a search result as a citation
+ * @param {Object} row - Search result with `id`, `content` and `metadata`
+ * @param {number} marker - Citation number
+ * @returns {Object} `{ marker, id, source, title, url, content }`
+ */
+const toCitation = (row, marker = null) => {
+  const metadata = row.metadata || {};
+
+  return {
+    marker,
+    id: row.id,
+    source: metadata.source || null,
+    title: metadata.title || metadata.name || null,
+    url: metadata.url || metadata.sourceUrl || null,
+    content: row.content
+  };
+};
+
+/**
+ * List citations for a prompt, e.g. `[1] Hyatt Terms: Members earn...`
+ * @param {Array<Object>} citations - Citations
+ * @returns {string} One source per paragraph
+ */
+const formatSources = citations => citations
+  .map(citation => `[${citation.marker}]${citation.title ? ` ${citation.title}:` : ''} ${citation.content.slice(0, PROMPT_SOURCE_CHARS)}`)
+  .join('\n\n');
+
+/**
+ * Citation numbers in a text, in order of first use
+ * @param {string} text - Text with `[n]` markers
+ * @returns {Array<number>} Markers
+ */
+const extractMarkers = (text) => {
+  const markers = [];
+
+  for (const match of text.matchAll(MARKER)) {
+    for (const marker of match[1].split(',').map(number => parseInt(number, 10))) {
+      if (!markers.includes(marker)) {
+        markers.push(marker);
+      }
+    }
+  }
+
+  return markers;
+};
+
+/**
+ * Rewrite the `[n]` markers in a text
+ * @param {string} text - Text with markers
+ * @param {Map<number, number>} mapping - New number for each old one; unmapped markers are kept
+ * @returns {string} Text with renumbered markers
+ */
+const renumberMarkers = (text, mapping) => text.replace(MARKER, (match, numbers) => `[${numbers
+  .split(',')
+  .map(number => mapping.get(parseInt(number, 10)) ?? parseInt(number, 10))
+  .join(', ')}]`);
+
+/**
+ * Split an answer into sentences, keeping each sentence's trailing markers
+ * and treating list items as sentences
+ * @param {string} text - Answer
+ * @returns {Array<string>} Sentences
+ */
+const splitSentences = text => text
+  .split(/\n+/)
+  .flatMap(line => line.split(/(?<=[.!?](?:\s*\[\d+(?:\s*,\s*\d+)*\])*)\s+(?=[A-Z0-9"'(*])/))
+  .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+\.)\s+/, '').trim())
+  .filter(Boolean);
+
+// Naive stemming, enough for "nights"/"night" and "points"/"point"
+const stem = word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+/**
+ * Content words and numbers of a text
+ */
+const analyze = (text) => {
+  const plain = text.replace(MARKER, ' ').toLowerCase();
+
+  return {
+    words: new Set((plain.match(/[a-z][a-z'-]+/g) || [])
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      .map(stem)),
+    numbers: new Set((plain.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(number => number.replace(/,/g, '')))
+  };
+};
+
+/**
+ * How well a chunk supports a sentence, 0 to 1: the share of the sentence's
+ * words found in the chunk, or 0 when a number in the sentence isn't
+ */
+const supportScore = (sentence, chunk) => {
+  for (const number of sentence.numbers) {
+    if (!chunk.numbers.has(number)) {
+      return 0;
+    }
+  }
+
+  if (sentence.words.size === 0) {
+    return sentence.numbers.size > 0 ? 1 : 0;
+  }
+
+  let found = 0;
+  for (const word of sentence.words) {
+    if (chunk.words.has(word)) {
+      found++;
+    }
+  }
+
+  return found / sentence.words.size;
+};
+
+/**
+ * Check that each sentence of an answer is supported by the sources
+ * @param {string} answer - Answer with `[n]` markers
+ * @param {Array<Object>} citations - Sources the answer could cite
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Minimum support score (default RAG_GROUNDING_THRESHOLD, else 0.6)
+ * @param {boolean} options.citedOnly - Only check sentences with markers, for answers that also draw on other tools
+ * @returns {Object} `{ grounded, supportedRatio, sentences, unsupported }`; each sentence has
+ *   `text`, `markers`, `checked`, `supported`, `score` and, when unsupported, a `reason`:
+ *   'unknown_citation', 'not_in_cited_sources' or 'not_in_sources'
+ */
+const checkGrounding = (answer, citations, options = {}) => {
+  const threshold = options.threshold ?? GROUNDING_THRESHOLD;
+  const chunks = new Map(citations.map(citation => [citation.marker, analyze(citation.content || '')]));
+
+  const sentences = splitSentences(answer).map((text) => {
+    const markers = extractMarkers(text);
+    const analyzed = analyze(text);
+
+    // Questions, headings and "no information" replies make no claim to check
+    if (text.endsWith('?') || NO_ANSWER.test(text) || analyzed.words.size + analyzed.numbers.size < 3
+      || (options.citedOnly && markers.length === 0)) {
+      return { text, markers, checked: false, supported: true, score: null };
+    }
+
+    if (markers.some(marker => !chunks.has(marker))) {
+      return { text, markers, checked: true, supported: false, score: 0, reason: 'unknown_citation' };
+    }
+
+    const candidates = markers.length > 0 ? markers.map(marker => chunks.get(marker)) : [...chunks.values()];
+    const score = Math.max(0, ...candidates.map(chunk => supportScore(analyzed, chunk)));
+    const supported = score >= threshold;
+
+    return {
+      text,
+      markers,
+      checked: true,
+      supported,
+      score: Math.round(score * 100) / 100,
+      ...(!supported && { reason: markers.length > 0 ? 'not_in_cited_sources' : 'not_in_sources' })
+    };
+  });
+
+  const checked = sentences.filter(sentence => sentence.checked);
+  const unsupported = checked.filter(sentence => !sentence.supported);
+
+  return {
+    grounded: unsupported.length === 0,
+    supportedRatio: checked.length > 0 ? Math.round(((checked.length - unsupported.length) / checked.length) * 100) / 100 : 1,
+    sentences,
+    unsupported: unsupported.map(sentence => sentence.text)
+  };
+};
+
+/**
+ * Resolve an answer's citations and check its grounding
+ * @param {string} answer - Answer with `[n]` markers
+ * @param {Array<Object>} sources - Citations the answer was generated from
+ * @param {Object} options - Options for checkGrounding
+ * @returns {Object} `{ answer, citations, grounding }`; citations are the sources the answer cites, in marker order
+ */
+const citeAnswer = (answer, sources, options = {}) => {
+  const byMarker = new Map(sources.map(source => [source.marker, source]));
+
+  return {
+    answer,
+    citations: extractMarkers(answer).map(marker => byMarker.get(marker)).filter(Boolean),
+    grounding: checkGrounding(answer, sources, options)
+  };
+};
+
+/**
+ * Number the knowledge base chunks found by an agent run's steps so its
+ * synthesized answer can cite them. Chunks come from the citations of
+ * generate_rag_response answers, whose markers are rewritten to the new
+ * numbers, and from semantic_search results.
+ * @param {Array<Object>} stepResults - Executor step results
+ * @returns {Object} `{ sources, results }`; results are the step results with renumbered answers
+ */
+const collectSources = (stepResults) => {
+  const sources = [];
+  const markers = new Map();
+
+  const add = (citation) => {
+    if (!markers.has(citation.id)) {
+      markers.set(citation.id, sources.length + 1);
+      sources.push({ ...citation, marker: sources.length + 1 });
+    }
+    return markers.get(citation.id);
+  };
+
+  const results = stepResults.map((stepResult) => {
+    const output = stepResult.success ? stepResult.result : null;
+
+    if (Array.isArray(output)) {
+      output
+        .filter(row => row && row.id && typeof row.content === 'string' && row.metadata)
+        .forEach(row => add(toCitation(row)));
+      return stepResult;
+    }
+
+    if (output && typeof output.answer === 'string' && Array.isArray(output.citations)) {
+      const mapping = new Map(output.citations.map(citation => [citation.marker, add(citation)]));
+      return { ...stepResult, result: { ...output, answer: renumberMarkers(output.answer, mapping) } };
+    }
+
+    return stepResult;
+  });
+
+  return { sources, results };
+};
+
+module.exports = {
+  toCitation,
+  formatSources,
+  extractMarkers,
+  renumberMarkers,
+  splitSentences,
+  checkGrounding,
+  citeAnswer,
+  collectSources
+};
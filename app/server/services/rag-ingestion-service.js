@@ -0,0 +1,297 @@
+/**
+ * RAG Ingestion Service
+ *
+ * Loads documents (loyalty program T&Cs, hotel fact sheets) through the
+ * document loaders, splits them into overlapping chunks of roughly
+ * RAG_CHUNK_TOKENS tokens and stores them with RAGService under their source
+ * name. Re-ingesting a source replaces its chunks: unchanged chunks are found
+ * by content hash and keep their embeddings, stale ones are deleted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ragService = require('./rag-service');
+const { FORMATS, detectFormat, loadDocument } = require('./document-loaders');
+const logger = require('./logging-service').getLogger('rag-ingestion');
+
+const DEFAULT_CHUNK_TOKENS = parseInt(process.env.RAG_CHUNK_TOKENS, 10) || 400;
+const DEFAULT_OVERLAP_TOKENS = parseInt(process.env.RAG_CHUNK_OVERLAP_TOKENS, 10) || 50;
+
+/**
+ * Error thrown when a document can't be ingested
+ */
+class IngestionError extends Error {
+  /**
+   * @param {string} message - Description
+   * @param {string} code - 'ERR_INGEST_INVALID' for a bad request, 'ERR_INGEST_PARSE' when the loader fails
+   */
+  constructor(message, code = 'ERR_INGEST_INVALID') {
+    super(message);
+    this.name = 'IngestionError';
+    this.code = code;
+    this.statusCode = 400;
+    this.isOperational = true;
+  }
+}
+
+// Rough token count, about four characters per token for English text
+const estimateTokens = text => Math.ceil(text.length / 4);
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Hash of a chunk's text, ignoring case and whitespace differences
+ */
+const contentHash = text => sha256(text.toLowerCase().replace(/\s+/g, ' ').trim());
+
+/**
+ * Split text into units no longer than maxTokens: sentences, or word runs for
+ * overlong sentences. Each unit keeps the separator that came before it.
+ */
+const splitUnits = (text, maxTokens) => {
+  const units = [];
+
+  text.split(/\n{2,}/).forEach((paragraph, paragraphIndex) => {
+    paragraph.split('\n').forEach((line, lineIndex) => {
+      const sentences = line.split(/(?<=[.!?])\s+(?=["'(]?[A-Z0-9])/).filter(sentence => sentence.trim());
+
+      sentences.forEach((sentence, sentenceIndex) => {
+        let separator = ' ';
+        if (sentenceIndex === 0) {
+          separator = lineIndex === 0 ? (paragraphIndex === 0 ? '' : '\n\n') : '\n';
+        }
+
+        if (estimateTokens(sentence) <= maxTokens) {
+          units.push({ text: sentence, separator });
+          return;
+        }
+
+        let run = [];
+        for (const word of sentence.split(/\s+/)) {
+          if (run.length > 0 && estimateTokens([...run, word].join(' ')) > maxTokens) {
+            units.push({ text: run.join(' '), separator });
+            separator = ' ';
+            run = [];
+          }
+          run.push(word);
+        }
+        units.push({ text: run.join(' '), separator });
+      });
+    });
+  });
+
+  return units;
+};
+
+const joinUnits = units => units.map((unit, index) => (index === 0 ? unit.text : unit.separator + unit.text)).join('');
+
+/**
+ * Split text into chunks of about chunkTokens tokens, breaking between
+ * sentences where possible. Each chunk after the first starts with the last
+ * sentences of the one before, up to overlapTokens, so facts that straddle a
+ * boundary are retrievable from either side.
+ * @param {string} text - Text to split
+ * @param {Object} options - Options
+ * @param {number} options.chunkTokens - Target chunk size (default RAG_CHUNK_TOKENS, else 400)
+ * @param {number} options.overlapTokens - Overlap between chunks (default RAG_CHUNK_OVERLAP_TOKENS, else 50)
+ * @returns {Array<string>} Chunks
+ */
+const chunkText = (text, options = {}) => {
+  const chunkTokens = options.chunkTokens || DEFAULT_CHUNK_TOKENS;
+  const overlapTokens = Math.min(options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS, Math.floor(chunkTokens / 2));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const unit of splitUnits(text.trim(), chunkTokens)) {
+    const unitTokens = estimateTokens(unit.text);
+
+    if (current.length > 0 && currentTokens + unitTokens > chunkTokens) {
+      chunks.push(joinUnits(current));
+
+      // Carry the tail of this chunk into the next
+      let overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const size = estimateTokens(current[i].text);
+        if (overlapSize + size > overlapTokens) {
+          break;
+        }
+        overlap.unshift(current[i]);
+        overlapSize += size;
+      }
+      while (overlap.length > 0 && overlapSize + unitTokens > chunkTokens) {
+        overlapSize -= estimateTokens(overlap.shift().text);
+      }
+
+      current = overlap;
+      currentTokens = overlapSize;
+    }
+
+    current.push(unit);
+    currentTokens += unitTokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(joinUnits(current));
+  }
+
+  return chunks;
+};
+
+class RAGIngestionService {
+  /**
+   * @param {Object} rag - RAG service the chunks are stored with
+   * @param {Object} options - `chunkTokens` and `overlapTokens`, as for chunkText
+   */
+  constructor(rag = ragService, options = {}) {
+    this.ragService = rag;
+    this.chunkOptions = {
+      chunkTokens: options.chunkTokens || DEFAULT_CHUNK_TOKENS,
+      overlapTokens: options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS
+    };
+  }
+
+  /**
+   * Load and chunk a document without storing it
+   * @param {Object} document - Document
+   * @param {string|Object} document.content - Raw content (an object is accepted for JSON)
+   * @param {string} document.source - Source name; chunks are replaced per source
+   * @param {string} document.format - 'markdown', 'html', 'pdf-text' or 'json' (default from fileName)
+   * @param {string} document.fileName - File name to detect the format from
+   * @param {string} document.version - Version label (default a hash of the content)
+   * @param {string} document.type - Kind of document, e.g. 'program_terms' or 'hotel_fact_sheet' (default 'document')
+   * @param {string} document.title - Title (default from the document)
+   * @param {string} document.url - Where the original can be read, shown with citations
+   * @param {Object} document.metadata - Extra metadata stored with every chunk, e.g. `{ programId }`
+   * @returns {Object} `{ source, version, type, title, format, chunks }`, chunks as `{ content, metadata }`
+   * @throws {IngestionError} When the document is invalid or can't be parsed
+   */
+  prepareDocument(document = {}) {
+    const { content, source, fileName, type = 'document', metadata = {} } = document;
+    const format = document.format || detectFormat(fileName);
+
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new IngestionError('A source name is required');
+    }
+    if (!FORMATS.includes(format)) {
+      throw new IngestionError(`Format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (!content || (typeof content !== 'string' && !(format === 'json' && typeof content === 'object'))) {
+      throw new IngestionError('Document content is required');
+    }
+
+    let loaded;
+    try {
+      loaded = loadDocument(format, content);
+    } catch (error) {
+      throw new IngestionError(`Could not parse ${format} document ${source}: ${error.message}`, 'ERR_INGEST_PARSE');
+    }
+
+    if (!loaded.text) {
+      throw new IngestionError(`Document ${source} has no text`);
+    }
+
+    const version = document.version ? String(document.version) : sha256(loaded.text).slice(0, 12);
+    const title = document.title || loaded.title || source;
+
+    // Repeated boilerplate only needs to be stored once
+    const seen = new Set();
+    const texts = chunkText(loaded.text, this.chunkOptions).filter(text => {
+      const hash = contentHash(text);
+      if (seen.has(hash)) {
+        return false;
+      }
+      seen.add(hash);
+      return true;
+    });
+
+    const chunks = texts.map((text, index) => ({
+      content: text,
+      metadata: {
+        ...loaded.metadata,
+        ...metadata,
+        source,
+        version,
+        type,
+        title,
+        ...(document.url && { url: document.url }),
+        format,
+        chunkIndex: index,
+        chunkCount: texts.length,
+        contentHash: contentHash(text)
+      }
+    }));
+
+    return { source, version, type, title, format, chunks };
+  }
+
+  /**
+   * Ingest a document, replacing any chunks stored for its source
+   * @param {Object} document - Document, as for prepareDocument
+   * @returns {Promise<Object>} `{ source, version, title, chunks, inserted, unchanged, removed }`
+   */
+  async ingestDocument(document) {
+    const prepared = this.prepareDocument(document);
+    const result = await this.ragService.replaceSource(prepared.source, prepared.chunks);
+
+    logger.info(`Ingested ${prepared.source} version ${prepared.version}: ${prepared.chunks.length} chunks`, result);
+
+    return {
+      source: prepared.source,
+      version: prepared.version,
+      title: prepared.title,
+      chunks: prepared.chunks.length,
+      ...result
+    };
+  }
+
+  /**
+   * Ingest a file; the source defaults to the file name
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - Document fields to override, as for prepareDocument
+   * @returns {Promise<Object>} Result, as for ingestDocument
+   */
+  async ingestFile(filePath, options = {}) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    return this.ingestDocument({
+      source: path.basename(filePath),
+      fileName: filePath,
+      ...options,
+      content
+    });
+  }
+
+  /**
+   * Remove every chunk of a source
+   * @param {string} source - Source name
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async removeSource(source) {
+    return this.ragService.deleteSource(source);
+  }
+
+  /**
+   * List ingested sources
+   * @returns {Promise<Array<Object>>} Sources, as from RAGService.listSources
+   */
+  async listSources() {
+    return this.ragService.listSources();
+  }
+}
+
+// Singleton instance
+const ragIngestionService = new RAGIngestionService();
+
+module.exports = {
+  ragIngestionService,
+  RAGIngestionService,
+  chunkText,
+  estimateTokens,
+  errors: {
+    IngestionError
+  }
+};
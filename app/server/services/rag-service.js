@@ -1,5 +1,6 @@
 const { pool } = require('../database/connection');
-const { OpenAI } = require('openai');
+const llmProvider = require('./llm-provider');
+const { toCitation, formatSources, citeAnswer } = require('./rag-citations');
 const winston = require('winston');
 
 // Configure logger
@@ -15,14 +16,151 @@ const logger = winston.createLogger({
   ],
 });
 
-class RAGService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY || '',
+// pgvector reads vectors in the '[0.1,0.2,...]' text format
+const toSqlVector = embedding => JSON.stringify(embedding);
+
+/**
+ * Name an embedding model as stored with each row, e.g. `ollama/nomic-embed-text`
+ */
+const toModelId = ({ provider, model }) => `${provider}/${model}`;
+
+const SEARCH_MODES = ['hybrid', 'vector', 'keyword'];
+const DEFAULT_SEARCH_MODE = process.env.RAG_SEARCH_MODE || 'hybrid';
+const DEFAULT_RERANK = process.env.RAG_RERANK === 'true';
+
+// Reciprocal rank fusion constant; larger values flatten the weight of top ranks
+const RRF_K = parseInt(process.env.RAG_RRF_K, 10) || 60;
+
+// Passage length shown to the LLM reranker
+const RERANK_PASSAGE_CHARS = 1000;
+
+/**
+ * Error thrown for an invalid search request
+ */
+class RAGSearchError extends Error {
+  /**
+   * @param {string} message - Description
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RAGSearchError';
+    this.code = 'ERR_RAG_INVALID_FILTER';
+    this.statusCode = 400;
+    this.isOperational = true;
+  }
+}
+
+// Metadata keys, with dots for nested fields, e.g. `hotel.city`
+const METADATA_KEY = /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*$/;
+
+const COMPARISONS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Turn a metadata filter into SQL conditions, adding their values to params
+ *
+ * A plain value matches by equality and an array matches any of its
+ * values; an object applies operators: $eq, $ne, $in, $nin, $gt, $gte,
+ * $lt, $lte (numerically for number values), $exists and $contains (the
+ * field is an array holding the value or values).
+ * @param {Object} filter - Filter by metadata key, e.g. `{ type: 'program_terms', nights: { $gte: 10 } }`
+ * @param {Array} params - Query parameters so far; the filter's values are appended
+ * @returns {Array<string>} Conditions to AND together
+ * @throws {RAGSearchError} On an invalid key or an unknown operator
+ */
+const buildMetadataFilter = (filter, params) => {
+  const conditions = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (!METADATA_KEY.test(key)) {
+      throw new RAGSearchError(`Invalid metadata key: ${key}`);
+    }
+    
+    const path = `'{${key.split('.').join(',')}}'`;
+    const json = `metadata #> ${path}`;
+    const text = `metadata #>> ${path}`;
+    
+    let operators = { $eq: condition };
+    if (Array.isArray(condition)) {
+      operators = { $in: condition };
+    } else if (condition !== null && typeof condition === 'object') {
+      operators = condition;
+    }
+    
+    for (const [operator, value] of Object.entries(operators)) {
+      switch (operator) {
+        case '$eq':
+          conditions.push(value === null ? `${json} IS NULL` : `${text} = ${param(String(value))}`);
+          break;
+        case '$ne':
+          conditions.push(`${text} IS DISTINCT FROM ${param(String(value))}`);
+          break;
+        case '$in':
+        case '$nin': {
+          if (!Array.isArray(value)) {
+            throw new RAGSearchError(`${operator} on ${key} needs an array`);
+          }
+          const matches = `${text} = ANY(${param(value.map(String))}::text[])`;
+          conditions.push(operator === '$in' ? matches : `(${text} IS NULL OR NOT ${matches})`);
+          break;
+        }
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+          conditions.push(typeof value === 'number'
+            ? `(CASE WHEN jsonb_typeof(${json}) = 'number' THEN (${text})::numeric END) ${COMPARISONS[operator]} ${param(value)}`
+            : `${text} ${COMPARISONS[operator]} ${param(String(value))}`);
+          break;
+        case '$exists':
+          conditions.push(`${json} IS ${value ? 'NOT ' : ''}NULL`);
+          break;
+        case '$contains':
+          conditions.push(`${json} @> ${param(JSON.stringify([].concat(value)))}::jsonb`);
+          break;
+        default:
+          throw new RAGSearchError(`Unsupported metadata filter operator ${operator} on ${key}`);
+      }
+    }
+  }
+  
+  return conditions;
+};
+
+/**
+ * Merge ranked result lists: each document scores the sum of
+ * 1 / (k + rank) over the lists it appears in
+ * @param {Array<Array<Object>>} lists - Result lists, best first, with `id`
+ * @param {number} k - Fusion constant
+ * @returns {Array<Object>} Merged documents by descending `score`, with
+ *   `similarity` and `text_rank` from the lists that had them, else null
+ */
+const reciprocalRankFusion = (lists, k = RRF_K) => {
+  const fused = new Map();
+  
+  for (const list of lists) {
+    list.forEach((row, index) => {
+      const entry = fused.get(row.id) || { similarity: null, text_rank: null, score: 0 };
+      fused.set(row.id, { ...entry, ...row, score: entry.score + 1 / (k + index + 1) });
     });
+  }
+  
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+class RAGService {
+  /**
+   * @param {Object} provider - LLM provider for embeddings and answers
+   * @param {Object} options - Options
+   * @param {Function} options.reranker - `(query, results) => Promise<number[]>` relevance scores (default: LLM scoring)
+   */
+  constructor(provider = llmProvider, options = {}) {
+    this.llmProvider = provider;
+    this.reranker = options.reranker || ((query, results) => this.llmRerank(query, results));
     this.initialized = false;
-    this.embeddingModel = 'text-embedding-3-small';
-    this.embeddingDimension = 1536; // OpenAI text-embedding-3-small dimension
   }
 
   /**
@@ -56,23 +194,34 @@ class RAGService {
   }
 
   /**
-   * Generate an embedding for a text using OpenAI
-   * @param {string} text - Text to generate embedding for
-   * @returns {Promise<number[]>} Embedding vector
+   * Generate embeddings through the LLM provider's embedding model
+   * @param {Array<string>} texts - Texts to generate embeddings for
+   * @returns {Promise<Object>} `{ embeddings, model, dimension }`; model is the id stored with each row
    */
-  async generateEmbedding(text) {
+  async generateEmbeddings(texts) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text
-      });
+      const result = await this.llmProvider.generateEmbeddings(texts);
       
-      return response.data[0].embedding;
+      return {
+        embeddings: result.embeddings,
+        model: toModelId(result),
+        dimension: result.dimension
+      };
     } catch (error) {
       logger.error(`Error generating embedding: ${error.message}`);
       throw error;
     }
   }
+  
+  /**
+   * Generate an embedding for a text
+   * @param {string} text - Text to generate embedding for
+   * @returns {Promise<number[]>} Embedding vector
+   */
+  async generateEmbedding(text) {
+    const { embeddings } = await this.generateEmbeddings([text]);
+    return embeddings[0];
+  }
 
   /**
    * Store a document in the database with its embedding
@@ -87,19 +236,21 @@ class RAGService {
       await client.query('BEGIN');
       
       // Generate embedding
-      const embedding = await this.generateEmbedding(content);
+      const { embeddings, model, dimension } = await this.generateEmbeddings([content]);
       
       // Insert document
       const query = `
-        INSERT INTO embeddings (content, metadata, embedding)
-        VALUES ($1, $2, $3)
-        RETURNING id, content, metadata, created_at
+        INSERT INTO embeddings (content, metadata, embedding, embedding_model, embedding_dimension)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, content, metadata, embedding_model, embedding_dimension, created_at
       `;
       
       const { rows } = await client.query(query, [
         content,
         metadata,
-        embedding
+        toSqlVector(embeddings[0]),
+        model,
+        dimension
       ]);
       
       await client.query('COMMIT');
@@ -133,8 +284,7 @@ class RAGService {
         const chunk = documents.slice(i, i + 10);
         
         // Generate embeddings for chunk
-        const embeddingPromises = chunk.map(doc => this.generateEmbedding(doc.content));
-        const embeddings = await Promise.all(embeddingPromises);
+        const { embeddings, model, dimension } = await this.generateEmbeddings(chunk.map(doc => doc.content));
         
         // Insert documents
         for (let j = 0; j < chunk.length; j++) {
@@ -142,12 +292,12 @@ class RAGService {
           const embedding = embeddings[j];
           
           const query = `
-            INSERT INTO embeddings (content, metadata, embedding)
-            VALUES ($1, $2, $3)
+            INSERT INTO embeddings (content, metadata, embedding, embedding_model, embedding_dimension)
+            VALUES ($1, $2, $3, $4, $5)
             RETURNING id
           `;
           
-          await client.query(query, [content, metadata, embedding]);
+          await client.query(query, [content, metadata, toSqlVector(embedding), model, dimension]);
           storedCount++;
         }
         
@@ -171,69 +321,217 @@ class RAGService {
   }
 
   /**
-   * Search for similar documents using vector similarity
+   * Search the knowledge base
+   *
+   * Hybrid mode (the default) runs a vector search and a full-text search
+   * and merges them with reciprocal rank fusion, so exact terms like brand
+   * and tier names are found even when their embeddings are not close to
+   * the query's. With `rerank`, the fused candidates are then reordered by
+   * the reranker.
    * @param {string} query - Search query
    * @param {Object} options - Search options
    * @param {number} options.limit - Maximum number of results (default: 5)
-   * @param {number} options.similarityThreshold - Minimum similarity score (default: 0.7)
-   * @param {Object} options.filterMetadata - Filter by metadata fields
-   * @returns {Promise<Array<Object>>} Matching documents
+   * @param {string} options.mode - 'hybrid', 'vector' or 'keyword' (default RAG_SEARCH_MODE, else 'hybrid')
+   * @param {number} options.candidates - Results taken from each retriever before fusion (default: 4 x limit, at least 20)
+   * @param {number} options.similarityThreshold - Minimum vector similarity (default: 0.7 in vector mode, none otherwise)
+   * @param {Object} options.filterMetadata - Metadata filter, e.g. `{ type: 'program_terms', tier: { $in: ['Gold', 'Platinum'] } }`
+   * @param {boolean} options.rerank - Rerank the fused results (default RAG_RERANK)
+   * @param {number} options.rerankCandidates - Fused results passed to the reranker (default: 3 x limit)
+   * @returns {Promise<Array<Object>>} Matching documents, best first, with `score`, `similarity` and `text_rank`
+   * @throws {RAGSearchError} When the mode or a metadata filter is invalid
    */
   async semanticSearch(query, options = {}) {
     const {
       limit = 5,
-      similarityThreshold = 0.7,
-      filterMetadata = {}
+      mode = DEFAULT_SEARCH_MODE,
+      filterMetadata = {},
+      rerank = DEFAULT_RERANK
     } = options;
+    const candidates = options.candidates || Math.max(limit * 4, 20);
     
     try {
-      // Generate embedding for query
-      const queryEmbedding = await this.generateEmbedding(query);
-      
-      // Build the WHERE clause for metadata filtering
-      let filterClause = '';
-      const filterParams = [queryEmbedding, similarityThreshold, limit];
-      let paramIndex = 4;
+      if (!SEARCH_MODES.includes(mode)) {
+        throw new RAGSearchError(`Search mode must be one of ${SEARCH_MODES.join(', ')}`);
+      }
       
-      if (Object.keys(filterMetadata).length > 0) {
-        const filterConditions = [];
-        
-        for (const [key, value] of Object.entries(filterMetadata)) {
-          filterConditions.push(`metadata->>'${key}' = $${paramIndex++}`);
-          filterParams.push(value);
-        }
-        
-        filterClause = `AND ${filterConditions.join(' AND ')}`;
+      const searches = [];
+      if (mode !== 'keyword') {
+        searches.push(this.vectorSearch(query, {
+          limit: candidates,
+          similarityThreshold: options.similarityThreshold ?? (mode === 'vector' ? 0.7 : 0),
+          filterMetadata
+        }));
+      }
+      if (mode !== 'vector') {
+        searches.push(this.keywordSearch(query, { limit: candidates, filterMetadata }));
       }
       
-      // Perform vector search
-      const searchQuery = `
-        SELECT 
-          id,
-          content,
-          metadata,
-          created_at,
-          1 - (embedding <=> $1) AS similarity
-        FROM 
-          embeddings
-        WHERE 
-          1 - (embedding <=> $1) > $2
-          ${filterClause}
-        ORDER BY 
-          similarity DESC
-        LIMIT $3
-      `;
+      let results = reciprocalRankFusion(await Promise.all(searches), options.rrfK || RRF_K);
+      
+      if (rerank) {
+        results = await this.rerank(query, results.slice(0, options.rerankCandidates || limit * 3));
+      }
       
-      const { rows } = await pool.query(searchQuery, filterParams);
+      results = results.slice(0, limit);
       
-      logger.info(`Search complete: ${rows.length} results found`);
-      return rows;
+      logger.info(`Search complete: ${results.length} results found`, { mode, rerank: Boolean(rerank) });
+      return results;
     } catch (error) {
       logger.error(`Error in semantic search: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Find documents by vector similarity to the query
+   *
+   * Only documents embedded by the same model as the query are compared;
+   * others are skipped until they are re-embedded.
+   * @param {string} query - Search query
+   * @param {Object} options - `limit`, `similarityThreshold` and `filterMetadata`
+   * @returns {Promise<Array<Object>>} Documents by descending similarity
+   */
+  async vectorSearch(query, options = {}) {
+    const { limit = 5, similarityThreshold = 0, filterMetadata = {} } = options;
+    
+    // Generate embedding for query
+    const { embeddings, model, dimension } = await this.generateEmbeddings([query]);
+    
+    const params = [toSqlVector(embeddings[0]), similarityThreshold, limit, model, dimension];
+    const filters = buildMetadataFilter(filterMetadata, params);
+    
+    // The materialized CTE keeps vectors of other dimensions from ever
+    // reaching the distance operator
+    const { rows } = await pool.query(`
+      WITH candidates AS MATERIALIZED (
+        SELECT id, content, metadata, embedding, embedding_model, created_at
+        FROM embeddings
+        WHERE embedding_model = $4 AND embedding_dimension = $5
+        ${filters.map(condition => `AND ${condition}`).join('\n        ')}
+      )
+      SELECT 
+        id,
+        content,
+        metadata,
+        embedding_model,
+        created_at,
+        1 - (embedding <=> $1) AS similarity
+      FROM 
+        candidates
+      WHERE 
+        1 - (embedding <=> $1) > $2
+      ORDER BY 
+        similarity DESC
+      LIMIT $3
+    `, params);
+    
+    return rows;
+  }
+
+  /**
+   * Find documents by full-text search; any of the query's words can match,
+   * and documents matching more of them, or in their title, rank higher
+   * @param {string} query - Search query
+   * @param {Object} options - `limit` and `filterMetadata`
+   * @returns {Promise<Array<Object>>} Documents by descending text rank
+   */
+  async keywordSearch(query, options = {}) {
+    const { limit = 5, filterMetadata = {} } = options;
+    
+    const params = [query, limit];
+    const filters = buildMetadataFilter(filterMetadata, params);
+    
+    const { rows } = await pool.query(`
+      SELECT
+        id,
+        content,
+        metadata,
+        embedding_model,
+        created_at,
+        ts_rank_cd(content_tsv, terms, 32) AS text_rank
+      FROM
+        embeddings,
+        CAST(replace(plainto_tsquery('english', $1)::text, '&', '|') AS tsquery) AS terms
+      WHERE
+        content_tsv @@ terms
+        ${filters.map(condition => `AND ${condition}`).join('\n        ')}
+      ORDER BY
+        text_rank DESC
+      LIMIT $2
+    `, params);
+    
+    return rows;
+  }
+
+  /**
+   * Reorder search results by the reranker's relevance scores. A failed
+   * rerank keeps the original order, except when the LLM quota is spent.
+   * @param {string} query - Search query
+   * @param {Array<Object>} results - Results to reorder
+   * @returns {Promise<Array<Object>>} Results by descending `rerank_score`
+   */
+  async rerank(query, results) {
+    if (results.length < 2) {
+      return results;
+    }
+    
+    try {
+      const scores = await this.reranker(query, results);
+      
+      return results
+        .map((result, index) => ({ ...result, rerank_score: scores[index] ?? 0 }))
+        .sort((a, b) => b.rerank_score - a.rerank_score || b.score - a.score);
+    } catch (error) {
+      if (error.code === 'ERR_LLM_QUOTA_EXCEEDED') {
+        throw error;
+      }
+      logger.warn(`Reranking failed, keeping fused order: ${error.message}`);
+      return results;
+    }
+  }
+
+  /**
+   * Score passages for a query with the LLM, 0 (irrelevant) to 10
+   * @param {string} query - Search query
+   * @param {Array<Object>} results - Results to score
+   * @returns {Promise<Array<number>>} One score per result
+   */
+  async llmRerank(query, results) {
+    const passages = results
+      .map((result, index) => `[${index}] ${result.content.slice(0, RERANK_PASSAGE_CHARS)}`)
+      .join('\n\n');
+    
+    const { scores } = await this.llmProvider.generateStructured(
+      `Rate how well each passage answers the question, from 0 (irrelevant) to 10 (answers it directly). Exact matches of hotel brands, loyalty programs and tier names matter.
+
+Question: ${query}
+
+Passages:
+${passages}`,
+      {
+        type: 'object',
+        required: ['scores'],
+        properties: {
+          scores: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['index', 'score'],
+              properties: {
+                index: { type: 'integer', minimum: 0 },
+                score: { type: 'number', minimum: 0, maximum: 10 }
+              }
+            }
+          }
+        }
+      },
+      { temperature: 0, schemaName: 'passage_relevance' }
+    );
+    
+    const byIndex = new Map(scores.map(({ index, score }) => [index, score]));
+    return results.map((result, index) => byIndex.get(index) ?? 0);
+  }
+
   /**
    * Update document content and regenerate its embedding
    * @param {string} id - Document ID
@@ -256,7 +554,8 @@ class RAGService {
       }
       
       // Generate new embedding
-      const embedding = await this.generateEmbedding(content);
+      const { embeddings, model, dimension } = await this.generateEmbeddings([content]);
+      const embedding = toSqlVector(embeddings[0]);
       
       // Update document
       let updateQuery, updateParams;
@@ -264,19 +563,19 @@ class RAGService {
       if (metadata !== null) {
         updateQuery = `
           UPDATE embeddings
-          SET content = $1, metadata = $2, embedding = $3
-          WHERE id = $4
-          RETURNING id, content, metadata, created_at
+          SET content = $1, metadata = $2, embedding = $3, embedding_model = $4, embedding_dimension = $5
+          WHERE id = $6
+          RETURNING id, content, metadata, embedding_model, embedding_dimension, created_at
         `;
-        updateParams = [content, metadata, embedding, id];
+        updateParams = [content, metadata, embedding, model, dimension, id];
       } else {
         updateQuery = `
           UPDATE embeddings
-          SET content = $1, embedding = $2
-          WHERE id = $3
-          RETURNING id, content, metadata, created_at
+          SET content = $1, embedding = $2, embedding_model = $3, embedding_dimension = $4
+          WHERE id = $5
+          RETURNING id, content, metadata, embedding_model, embedding_dimension, created_at
         `;
-        updateParams = [content, embedding, id];
+        updateParams = [content, embedding, model, dimension, id];
       }
       
       const { rows } = await client.query(updateQuery, updateParams);
@@ -317,6 +616,137 @@ class RAGService {
     }
   }
 
+  /**
+   * Replace the chunks of an ingested source with a new set
+   *
+   * Chunks whose contentHash is already stored under the current embedding
+   * model keep their embedding and only get the new metadata; the rest are
+   * embedded and inserted, and stored chunks the new set no longer has are
+   * deleted, all in one transaction.
+   * @param {string} source - Source the chunks belong to (metadata.source)
+   * @param {Array<{content: string, metadata: Object}>} chunks - Chunks, each with metadata.contentHash
+   * @returns {Promise<Object>} `{ inserted, unchanged, removed }` chunk counts
+   */
+  async replaceSource(source, chunks) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows: existing } = await client.query(`
+        SELECT id, metadata->>'contentHash' AS content_hash, embedding_model
+        FROM embeddings
+        WHERE metadata @> $1
+        FOR UPDATE
+      `, [{ source }]);
+
+      // Rows made by another model have to be re-embedded to be searchable
+      const currentModel = toModelId(this.llmProvider.getEmbeddingModel());
+      const reusable = new Map();
+      for (const row of existing) {
+        if (row.embedding_model === currentModel && row.content_hash && !reusable.has(row.content_hash)) {
+          reusable.set(row.content_hash, row.id);
+        }
+      }
+
+      const kept = new Set();
+      const toEmbed = [];
+
+      for (const chunk of chunks) {
+        const id = reusable.get(chunk.metadata.contentHash);
+
+        if (id && !kept.has(id)) {
+          await client.query('UPDATE embeddings SET metadata = $1 WHERE id = $2', [chunk.metadata, id]);
+          kept.add(id);
+        } else {
+          toEmbed.push(chunk);
+        }
+      }
+
+      for (let i = 0; i < toEmbed.length; i += 10) {
+        const batch = toEmbed.slice(i, i + 10);
+        const { embeddings, model, dimension } = await this.generateEmbeddings(batch.map(chunk => chunk.content));
+
+        for (let j = 0; j < batch.length; j++) {
+          await client.query(`
+            INSERT INTO embeddings (content, metadata, embedding, embedding_model, embedding_dimension)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [batch[j].content, batch[j].metadata, toSqlVector(embeddings[j]), model, dimension]);
+        }
+      }
+
+      const stale = existing.map(row => row.id).filter(id => !kept.has(id));
+      if (stale.length > 0) {
+        await client.query('DELETE FROM embeddings WHERE id = ANY($1)', [stale]);
+      }
+
+      await client.query('COMMIT');
+
+      const result = { inserted: toEmbed.length, unchanged: kept.size, removed: stale.length };
+      logger.info(`Source ${source} replaced: ${result.inserted} inserted, ${result.unchanged} unchanged, ${result.removed} removed`);
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error replacing source ${source}: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete every chunk of an ingested source
+   * @param {string} source - Source name (metadata.source)
+   * @returns {Promise<number>} Number of chunks deleted
+   */
+  async deleteSource(source) {
+    try {
+      const { rows } = await pool.query('DELETE FROM embeddings WHERE metadata @> $1 RETURNING id', [{ source }]);
+
+      logger.info(`Source ${source} deleted: ${rows.length} chunks`);
+      return rows.length;
+    } catch (error) {
+      logger.error(`Error deleting source ${source}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List ingested sources with their current version and chunk count
+   * @returns {Promise<Array<Object>>} `{ source, version, type, title, chunks, embeddingModels, updatedAt }` per source
+   */
+  async listSources() {
+    try {
+      const { rows } = await pool.query(`
+        SELECT
+          metadata->>'source' AS source,
+          MAX(metadata->>'version') AS version,
+          MAX(metadata->>'type') AS type,
+          MAX(metadata->>'title') AS title,
+          COUNT(*) AS chunks,
+          array_agg(DISTINCT embedding_model) AS embedding_models,
+          MAX(created_at) AS updated_at
+        FROM embeddings
+        WHERE metadata ? 'source'
+        GROUP BY metadata->>'source'
+        ORDER BY source
+      `);
+
+      return rows.map(row => ({
+        source: row.source,
+        version: row.version,
+        type: row.type,
+        title: row.title,
+        chunks: parseInt(row.chunks),
+        embeddingModels: row.embedding_models,
+        updatedAt: row.updated_at
+      }));
+    } catch (error) {
+      logger.error(`Error listing sources: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get statistics about the embedding database
    * @returns {Promise<Object>} Statistics
@@ -341,13 +771,27 @@ class RAGService {
       
       const { rows } = await pool.query(query);
       
+      // Documents per embedding model; only those of the current model are searched
+      const { rows: modelRows } = await pool.query(`
+        SELECT embedding_model, embedding_dimension, COUNT(*) AS documents
+        FROM embeddings
+        GROUP BY embedding_model, embedding_dimension
+        ORDER BY documents DESC
+      `);
+      const embeddingModels = modelRows.map(row => ({
+        model: row.embedding_model,
+        dimension: row.embedding_dimension,
+        documents: parseInt(row.documents)
+      }));
+      
       // If no documents, return empty stats
       if (rows.length === 0) {
         return {
           totalDocuments: 0,
           oldestDocument: null,
           newestDocument: null,
-          metadataCounts: {}
+          metadataCounts: {},
+          embeddingModels
         };
       }
       
@@ -355,7 +799,8 @@ class RAGService {
         totalDocuments: parseInt(rows[0].total_documents),
         oldestDocument: rows[0].oldest_document,
         newestDocument: rows[0].newest_document,
-        metadataCounts: rows[0].metadata_counts || {}
+        metadataCounts: rows[0].metadata_counts || {},
+        embeddingModels
       };
     } catch (error) {
       logger.error(`Error getting stats: ${error.message}`);
@@ -365,47 +810,56 @@ class RAGService {
 
   /**
    * Generate a response to a query using RAG
+   *
+   * The retrieved chunks are numbered and the answer cites them with `[n]`
+   * markers; afterwards every sentence is checked against the chunks it
+   * cites and unsupported ones are listed in `grounding.unsupported`.
    * @param {string} query - User query
    * @param {Object} options - Options for search and generation
-   * @returns {Promise<Object>} Generated response with context
+   * @returns {Promise<Object>} `{ answer, citations, grounding, context, model }`; citations are
+   *   `{ marker, id, source, title, url, content }` for each chunk the answer cites
    */
   async generateResponse(query, options = {}) {
     try {
       // Perform semantic search to retrieve context
       const results = await this.semanticSearch(query, options);
-      
-      // Extract content from results to use as context
-      const contexts = results.map(r => r.content);
+      const sources = results.map((result, index) => toCitation(result, index + 1));
       
       // Generate response using retrieved contexts
       const systemPrompt = `You are a helpful assistant for the StayCrest hotel discovery platform.
-Use the following retrieved information to answer the user's question.
-If the information doesn't contain the answer, say "I don't have enough information about that." and suggest what they might ask instead.
-
-Retrieved information:
-${contexts.join('\n\n')}`;
-      
-      const response = await this.openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: query
-          }
-        ],
+Use the following numbered sources to answer the user's question.
+After each sentence, cite the sources that support it with their numbers in square brackets, e.g. [1] or [1][3]. Only state what the sources say.
+If the sources don't contain the answer, say "I don't have enough information about that." and suggest what they might ask instead.
+
+Sources:
+${formatSources(sources)}`;
+      
+      const answer = await this.llmProvider.generateChat([
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: query
+        }
+      ], {
         temperature: options.temperature || 0.7,
         max_tokens: options.maxTokens || 1000
       });
       
+      const { citations, grounding } = citeAnswer(answer, sources);
+      
+      if (!grounding.grounded) {
+        logger.warn(`RAG answer has ${grounding.unsupported.length} unsupported sentences`, { query });
+      }
+      
       return {
-        answer: response.choices[0].message.content,
+        answer,
+        citations,
+        grounding,
         context: results,
-        model: response.model,
-        usage: response.usage
+        model: this.llmProvider.model
       };
     } catch (error) {
       logger.error(`Error generating RAG response: ${error.message}`);
@@ -417,4 +871,10 @@ ${contexts.join('\n\n')}`;
 // Singleton instance
 const ragService = new RAGService();
 
-module.exports = ragService; 
\ No newline at end of file
+module.exports = ragService;
+module.exports.RAGService = RAGService;
+module.exports.buildMetadataFilter = buildMetadataFilter;
+module.exports.reciprocalRankFusion = reciprocalRankFusion;
+module.exports.errors = {
+  RAGSearchError
+};
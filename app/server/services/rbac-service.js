@@ -47,6 +47,27 @@ const rolePermissions = {
   ]
 };
 
+// LLM spend limits for each role: USD per UTC day and month (null for no limit)
+// and tokens per request, which stops a runaway agent loop within one request.
+// Guests are visitors chatting without an account.
+const roleLlmQuotas = {
+  guest: { dailyCost: 0.05, monthlyCost: 0.5, requestTokens: 20000 },
+  user: { dailyCost: 0.5, monthlyCost: 10, requestTokens: 50000 },
+  moderator: { dailyCost: 1, monthlyCost: 20, requestTokens: 50000 },
+  admin: { dailyCost: 5, monthlyCost: 100, requestTokens: 100000 },
+  superadmin: { dailyCost: null, monthlyCost: null, requestTokens: 200000 }
+};
+
+// LLM_ROLE_QUOTAS overrides them as JSON, e.g. {"user": {"dailyCost": 1}}
+try {
+  const overrides = JSON.parse(process.env.LLM_ROLE_QUOTAS || '{}');
+  for (const [role, quota] of Object.entries(overrides)) {
+    roleLlmQuotas[role] = { ...(roleLlmQuotas[role] || roleLlmQuotas.guest), ...quota };
+  }
+} catch (error) {
+  console.warn(`Ignoring LLM_ROLE_QUOTAS, it is not valid JSON: ${error.message}`);
+}
+
 /**
  * Check if a user has a specific permission
  * @param {Object} user - User object
@@ -157,6 +178,15 @@ function getPermissionsForRole(role) {
   return rolePermissions[role] || [];
 }
 
+/**
+ * Get the LLM spend limits for a role
+ * @param {string} role - Role name; unknown roles get the guest limits
+ * @returns {Object} `{ dailyCost, monthlyCost, requestTokens }`
+ */
+function getLlmQuotaForRole(role) {
+  return roleLlmQuotas[role] || roleLlmQuotas.guest;
+}
+
 /**
  * Get all roles and their permissions
  * @returns {Object} Roles and permissions
@@ -167,7 +197,8 @@ function getAllRoles() {
   for (const [role, permissions] of Object.entries(rolePermissions)) {
     roles[role] = {
       permissions,
-      description: getRoleDescription(role)
+      description: getRoleDescription(role),
+      llmQuota: getLlmQuotaForRole(role)
     };
   }
   
@@ -228,6 +259,7 @@ module.exports = {
   requirePermission,
   canManageUser,
   getPermissionsForRole,
+  getLlmQuotaForRole,
   getAllRoles,
   getRoleDescription,
   canAssignRole
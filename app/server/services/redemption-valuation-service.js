@@ -0,0 +1,169 @@
+/**
+ * Redemption Valuation Service
+ *
+ * Values a points redemption against the cash rate for the same stay. The
+ * cents-per-point achieved is compared with the program's `pointsValue`
+ * baseline from the search sources configuration to recommend paying cash or
+ * using points.
+ */
+
+const SearchSources = require('../config/search-sources');
+const { currencyService: defaultCurrencyService } = require('./currency-service');
+
+const RECOMMENDATIONS = {
+  USE_POINTS: 'use_points',
+  PAY_CASH: 'pay_cash'
+};
+
+// Program baselines are in US cents per point
+const BASELINE_CURRENCY = 'USD';
+
+class RedemptionValuationService {
+  constructor(sources = SearchSources, currencyService = defaultCurrencyService) {
+    this.sources = sources;
+    this.currencyService = currencyService;
+  }
+
+  /**
+   * Find a loyalty program by config key, id or display name
+   * @param {string} program - Program key, id or name
+   * @returns {Object|null} Program configuration
+   */
+  getProgram(program) {
+    if (!program) return null;
+
+    const programs = this.sources.loyaltyPrograms;
+    if (programs[program]) return programs[program];
+
+    const needle = String(program).toLowerCase();
+    return Object.values(programs).find(p =>
+      p.id === needle || (p.name && p.name.toLowerCase() === needle)
+    ) || null;
+  }
+
+  /**
+   * Calculate the value achieved by redeeming points instead of paying cash
+   * @param {Object} params - Redemption details
+   * @param {number} params.cashPrice - Cash rate for the stay
+   * @param {number} params.pointsRequired - Points price for the same stay
+   * @param {string} params.loyaltyProgram - Program key, id or name
+   * @param {number} params.cashCopay - Cash still due on the award (taxes, resort fees)
+   * @param {string} params.currency - Currency of the cash amounts
+   * @returns {Object} Valuation with cents per point and recommendation
+   */
+  calculateRedemptionValue({ cashPrice, pointsRequired, loyaltyProgram, cashCopay = 0, currency = BASELINE_CURRENCY } = {}) {
+    if (typeof cashPrice !== 'number' || cashPrice <= 0) {
+      throw new Error('cashPrice must be a positive number');
+    }
+
+    if (typeof pointsRequired !== 'number' || pointsRequired <= 0) {
+      throw new Error('pointsRequired must be a positive number');
+    }
+
+    if (currency !== BASELINE_CURRENCY) {
+      throw new Error(`Redemption value can only be calculated for ${BASELINE_CURRENCY} prices, got ${currency}`);
+    }
+
+    const program = this.getProgram(loyaltyProgram);
+    if (!program) {
+      throw new Error(`Unknown loyalty program: ${loyaltyProgram}`);
+    }
+
+    if (typeof program.pointsValue !== 'number') {
+      throw new Error(`${program.name} does not have a points currency to value`);
+    }
+
+    // Cash saved by the award, in cents, for each point spent
+    const centsPerPoint = Math.max(0, (cashPrice - cashCopay) * 100 / pointsRequired);
+    const baselineCentsPerPoint = program.pointsValue;
+    const valueRatio = centsPerPoint / baselineCentsPerPoint;
+    const usePoints = centsPerPoint >= baselineCentsPerPoint;
+
+    return {
+      loyaltyProgram: program.name,
+      cashPrice,
+      cashCopay,
+      pointsRequired,
+      currency,
+      centsPerPoint: Math.round(centsPerPoint * 100) / 100,
+      baselineCentsPerPoint,
+      valueRatio: Math.round(valueRatio * 100) / 100,
+      // What the points would be worth at the program baseline
+      pointsCashValue: Math.round(pointsRequired * baselineCentsPerPoint) / 100,
+      recommendation: usePoints ? RECOMMENDATIONS.USE_POINTS : RECOMMENDATIONS.PAY_CASH,
+      reason: usePoints
+        ? `Redeeming gets ${centsPerPoint.toFixed(2)}¢ per point, above the ${baselineCentsPerPoint}¢ ${program.name} baseline`
+        : `Redeeming gets only ${centsPerPoint.toFixed(2)}¢ per point, below the ${baselineCentsPerPoint}¢ ${program.name} baseline`
+    };
+  }
+
+  /**
+   * Calculate the value of a redemption priced in any currency
+   *
+   * Cash amounts are converted to US dollars before valuing, since program
+   * baselines are in US cents. The amounts as given are kept in
+   * `originalCashPrice`, `originalCashCopay` and `originalCurrency`.
+   * @param {Object} params - Redemption details, as for `calculateRedemptionValue`
+   * @returns {Promise<Object>} Valuation with cents per point and recommendation
+   */
+  async valueRedemption({ cashPrice, cashCopay = 0, currency = BASELINE_CURRENCY, ...params } = {}) {
+    const source = String(currency).toUpperCase();
+
+    if (source === BASELINE_CURRENCY) {
+      return this.calculateRedemptionValue({ ...params, cashPrice, cashCopay });
+    }
+
+    const toBaseline = amount => (typeof amount === 'number' && amount > 0
+      ? this.currencyService.convert(amount, source, BASELINE_CURRENCY)
+      : amount);
+
+    const valuation = this.calculateRedemptionValue({
+      ...params,
+      cashPrice: await toBaseline(cashPrice),
+      cashCopay: await toBaseline(cashCopay)
+    });
+
+    return { ...valuation, originalCashPrice: cashPrice, originalCashCopay: cashCopay, originalCurrency: source };
+  }
+
+  /**
+   * Value the points option of a search result, if it has one
+   *
+   * Uses the hotel's lowest cash price across sources and the points price
+   * from its loyalty program offer.
+   * @param {Object} hotel - Canonical hotel from search
+   * @returns {Object|null} Valuation, or null when the hotel can't be valued
+   */
+  evaluateHotel(hotel) {
+    const pointsOffer = (hotel.offers || []).find(offer => typeof offer.pointsRequired === 'number');
+    const pointsRequired = typeof hotel.pointsRequired === 'number'
+      ? hotel.pointsRequired
+      : pointsOffer && pointsOffer.pointsRequired;
+
+    if (!pointsRequired || typeof hotel.price !== 'number' || !hotel.loyaltyProgram) {
+      return null;
+    }
+
+    try {
+      return this.calculateRedemptionValue({
+        cashPrice: hotel.price,
+        pointsRequired,
+        loyaltyProgram: hotel.loyaltyProgram,
+        currency: hotel.currency || BASELINE_CURRENCY
+      });
+    } catch (error) {
+      // Unknown program, no points currency or a price we can't compare
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const redemptionValuationService = new RedemptionValuationService();
+
+module.exports = {
+  redemptionValuationService,
+  RedemptionValuationService,
+  RECOMMENDATIONS,
+  BASELINE_CURRENCY
+};
@@ -0,0 +1,31 @@
+/**
+ * Request Context
+ *
+ * Carries the correlation ID and user of the request or agent run being
+ * handled through every async call it makes, so code deep in agents and
+ * tools (LLM usage accounting in particular) can tell who it is working for
+ * without each layer passing it on.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a context
+ * @param {Object} context - `{ correlationId, user: { id, role } }`
+ * @param {Function} fn - Function to run; everything it awaits sees the context
+ * @returns {*} What `fn` returns
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the current request
+ * @returns {Object} The context, or an empty object outside of one
+ */
+const getContext = () => storage.getStore() || {};
+
+module.exports = {
+  runWithContext,
+  getContext
+};
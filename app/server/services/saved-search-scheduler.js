@@ -0,0 +1,413 @@
+/**
+ * Saved Search Scheduler
+ *
+ * Re-runs scheduled saved searches when they fall due, compares the fresh
+ * results with the previous run, records price history and notifies the
+ * owner when prices drop or new hotels appear.
+ *
+ * Every app process runs a scheduler. Each due search is claimed through a
+ * Redis lock before it runs, so cluster workers never run the same search
+ * twice; without Redis the scheduler only guards against itself.
+ */
+
+const crypto = require('crypto');
+const SearchHistory = require('../models/search-history');
+const { notificationService: defaultNotificationService, NOTIFICATION_TYPES } = require('./notification-service');
+const logger = require('./logging-service').getLogger('saved-search-scheduler');
+
+const LOCK_PREFIX = 'lock:saved-search:';
+
+// Delete the lock only if this process still owns it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+const DEFAULT_OPTIONS = {
+  intervalMs: parseInt(process.env.SAVED_SEARCH_INTERVAL_MS, 10) || 60 * 1000,
+  // Longer than any single search may take
+  lockTtlMs: 5 * 60 * 1000,
+  batchSize: 20,
+  // Smaller drops are rounding noise between sources
+  minPriceDropPercent: 1,
+  maxPriceHistory: 500,
+  maxStoredResults: 20
+};
+
+/**
+ * Key a stored or fresh hotel for comparison between runs
+ * @param {Object} hotel - Hotel with `hotelId` or `name`
+ * @returns {string} Comparison key
+ */
+const hotelKey = (hotel) => hotel.hotelId || String(hotel.name || '').toLowerCase();
+
+/**
+ * Compare a run's hotels with the previous run's
+ * @param {Array|null} previousHotels - Hotels stored by the previous run, null before the first
+ * @param {Array} currentHotels - Hotels from this run
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.knownHotelIds - Hotels seen in any earlier run
+ * @param {number} options.minPriceDropPercent - Ignore smaller drops
+ * @returns {Object} `{ priceDrops, newHotels, hasChanges }`
+ */
+const diffSearchResults = (previousHotels, currentHotels, { knownHotelIds = [], minPriceDropPercent = DEFAULT_OPTIONS.minPriceDropPercent } = {}) => {
+  // The first run only sets the baseline
+  if (!previousHotels) {
+    return { priceDrops: [], newHotels: [], hasChanges: false };
+  }
+
+  const previousByKey = new Map(previousHotels.map(hotel => [hotelKey(hotel), hotel]));
+  const known = new Set([...knownHotelIds, ...previousByKey.keys()]);
+  const priceDrops = [];
+  const newHotels = [];
+
+  for (const hotel of currentHotels) {
+    const key = hotelKey(hotel);
+    const previous = previousByKey.get(key);
+
+    if (!previous) {
+      if (!known.has(key)) {
+        newHotels.push(hotel);
+      }
+      continue;
+    }
+
+    const comparable = typeof previous.price === 'number' && typeof hotel.price === 'number' && previous.price > 0
+      && (!previous.currency || !hotel.currency || previous.currency === hotel.currency);
+    if (!comparable) {
+      continue;
+    }
+
+    const dropPercent = (previous.price - hotel.price) / previous.price * 100;
+    if (dropPercent >= minPriceDropPercent) {
+      priceDrops.push({
+        hotelId: hotel.hotelId,
+        name: hotel.name,
+        previousPrice: previous.price,
+        price: hotel.price,
+        currency: hotel.currency,
+        dropPercent: Math.round(dropPercent * 10) / 10,
+        link: hotel.link
+      });
+    }
+  }
+
+  return { priceDrops, newHotels, hasChanges: priceDrops.length > 0 || newHotels.length > 0 };
+};
+
+/**
+ * Compose the alert for a saved search's changes
+ * @param {Object} search - SearchHistory document
+ * @param {Object} changes - Result of `diffSearchResults`
+ * @returns {Object} `{ type, subject, body, data }`
+ */
+const buildSearchAlert = (search, changes) => {
+  const formatPrice = (price, currency) => (currency ? `${price} ${currency}` : `${price}`);
+  const lines = [
+    ...changes.priceDrops.map(drop =>
+      `${drop.name}: ${drop.previousPrice} → ${formatPrice(drop.price, drop.currency)} (-${drop.dropPercent}%)`),
+    ...changes.newHotels.map(hotel =>
+      `New: ${hotel.name}${typeof hotel.price === 'number' ? ` from ${formatPrice(hotel.price, hotel.currency)}` : ''}`)
+  ];
+
+  return {
+    type: changes.priceDrops.length > 0 ? NOTIFICATION_TYPES.PRICE_ALERT : NOTIFICATION_TYPES.SEARCH_RESULTS,
+    subject: changes.priceDrops.length > 0
+      ? `Prices dropped for "${search.query}"`
+      : `New hotels for "${search.query}"`,
+    body: lines.join('\n'),
+    data: {
+      searchId: String(search._id),
+      query: search.query,
+      priceDrops: changes.priceDrops,
+      newHotels: changes.newHotels
+    }
+  };
+};
+
+/**
+ * Reduce a search agent hotel to what a search history record stores
+ * @param {Object} hotel - Hotel from SearchAgent
+ * @returns {Object} Stored hotel
+ */
+const toStoredHotel = (hotel) => ({
+  hotelId: hotel.id || hotel.hotelId,
+  name: hotel.name,
+  chain: hotel.chain || hotel.brand || hotel.source || '',
+  loyaltyProgram: hotel.loyaltyProgram,
+  price: hotel.price,
+  currency: hotel.currency,
+  pointsRequired: hotel.pointsRequired,
+  link: hotel.link || hotel.url || null
+});
+
+class SavedSearchScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.getSearchAgent - Returns the initialized SearchAgent (or null while starting up)
+   * @param {Object} options.redisClient - Connected node-redis client used for locks
+   * @param {Object} options.notificationService - Service used to send alerts
+   * @param {Object} options.model - SearchHistory model
+   */
+  constructor({ getSearchAgent, redisClient = null, notificationService = defaultNotificationService, model = SearchHistory, ...options } = {}) {
+    this.getSearchAgent = getSearchAgent;
+    this.redisClient = redisClient;
+    this.notificationService = notificationService;
+    this.SearchHistory = model;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.running = false;
+    this.localLocks = new Set();
+    this.stats = { runs: 0, completed: 0, failed: 0, notified: 0, lastTick: null };
+    this.logger = logger;
+  }
+
+  /**
+   * Start checking for due searches every `intervalMs`
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runDueSearches().catch(error => {
+        this.logger.error('Scheduled search tick failed', { error: error.message });
+      });
+    }, this.options.intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    this.logger.info('Saved search scheduler started', { intervalMs: this.options.intervalMs });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Saved search scheduler stopped');
+    }
+  }
+
+  /**
+   * Run every due search this process can claim
+   * @returns {Promise<Object>} Counts of due, completed, skipped and failed searches
+   */
+  async runDueSearches() {
+    const summary = { due: 0, completed: 0, skipped: 0, failed: 0 };
+
+    // A slow tick shouldn't overlap with the next one
+    if (this.running) {
+      return summary;
+    }
+
+    if (!this.getSearchAgent()) {
+      this.logger.debug('Search agent not ready, skipping scheduled searches');
+      return summary;
+    }
+
+    this.running = true;
+    this.stats.lastTick = new Date();
+
+    try {
+      const dueSearches = await this.SearchHistory.findScheduledToRun(this.options.batchSize);
+      summary.due = dueSearches.length;
+
+      for (const search of dueSearches) {
+        const lockKey = `${LOCK_PREFIX}${search._id}`;
+        const token = await this.acquireLock(lockKey);
+
+        if (!token) {
+          summary.skipped++;
+          continue;
+        }
+
+        try {
+          const outcome = await this.runScheduledSearch(search._id);
+          summary[outcome.status === 'completed' ? 'completed' : 'skipped']++;
+        } catch (error) {
+          summary.failed++;
+        } finally {
+          await this.releaseLock(lockKey, token);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.due > 0) {
+      this.logger.info('Scheduled searches processed', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Claim a lock shared by all workers
+   * @param {string} key - Lock key
+   * @returns {Promise<string|null>} Lock token, or null if another worker holds it
+   */
+  async acquireLock(key) {
+    const token = crypto.randomUUID();
+
+    if (!this.redisClient) {
+      if (this.localLocks.has(key)) {
+        return null;
+      }
+      this.localLocks.add(key);
+      return token;
+    }
+
+    try {
+      const result = await this.redisClient.set(key, token, { NX: true, PX: this.options.lockTtlMs });
+      return result === 'OK' ? token : null;
+    } catch (error) {
+      // Without the lock another worker might run the same search
+      this.logger.warn('Could not acquire scheduled search lock', { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Release a lock claimed with `acquireLock`
+   * @param {string} key - Lock key
+   * @param {string} token - Token returned when the lock was claimed
+   */
+  async releaseLock(key, token) {
+    if (!this.redisClient) {
+      this.localLocks.delete(key);
+      return;
+    }
+
+    try {
+      await this.redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+    } catch (error) {
+      // The lock expires on its own after lockTtlMs
+      this.logger.warn('Could not release scheduled search lock', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Search filters for a saved search's stored parameters
+   * @param {Object} search - SearchHistory document
+   * @returns {Object} Filters for SearchAgent
+   */
+  buildSearchFilters(search) {
+    const parameters = search.parameters || {};
+    const toDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+    const filters = {
+      location: parameters.location,
+      dates: parameters.checkIn ? { checkIn: toDate(parameters.checkIn), checkOut: toDate(parameters.checkOut) } : undefined,
+      guests: parameters.guests,
+      rooms: parameters.rooms,
+      filters: parameters.filters ? { ...parameters.filters } : undefined,
+      loyaltyPrograms: [...(search.loyaltyPrograms || [])]
+    };
+
+    return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  /**
+   * Re-run one saved search, record what changed and notify its owner
+   *
+   * Reloads the search after the lock is held so a run another worker just
+   * finished isn't repeated.
+   * @param {string} searchId - SearchHistory ID
+   * @returns {Promise<Object>} `{ status, changes, notifications }`
+   */
+  async runScheduledSearch(searchId) {
+    const runAt = new Date();
+    const search = await this.SearchHistory.findById(searchId);
+
+    if (!search || !search.schedule || !search.schedule.enabled || new Date(search.schedule.nextRun) > runAt) {
+      return { status: 'skipped' };
+    }
+
+    // Nothing left to watch once the stay has started
+    const checkIn = search.parameters && search.parameters.checkIn;
+    if (checkIn && new Date(checkIn) < runAt) {
+      search.schedule.enabled = false;
+      await search.save();
+      this.logger.info('Disabled schedule for a search whose stay has started', { searchId: String(searchId) });
+      return { status: 'expired' };
+    }
+
+    this.stats.runs++;
+
+    try {
+      const result = await this.getSearchAgent().searchHotels(search.query, this.buildSearchFilters(search));
+      const hotels = (result.results || []).slice(0, this.options.maxStoredResults).map(toStoredHotel);
+
+      const hasBaseline = search.results && typeof search.results.count === 'number';
+      const changes = diffSearchResults(hasBaseline ? search.results.hotels : null, hotels, {
+        knownHotelIds: (search.priceHistory || []).map(entry => entry.hotelId),
+        minPriceDropPercent: this.options.minPriceDropPercent
+      });
+
+      search.priceHistory = [
+        ...(search.priceHistory || []),
+        ...hotels
+          .filter(hotel => typeof hotel.price === 'number')
+          .map(({ hotelId, name, price, currency, pointsRequired }) => ({ hotelId, name, price, currency, pointsRequired, recordedAt: runAt }))
+      ].slice(-this.options.maxPriceHistory);
+      search.results = { count: (result.results || []).length, hotels };
+
+      await search.markScheduledRun(runAt);
+      this.stats.completed++;
+
+      let notifications = [];
+      if (changes.hasChanges) {
+        const alert = buildSearchAlert(search, changes);
+        notifications = await this.notificationService.send(
+          { ...alert, userId: search.userId },
+          search.schedule.notifications || { email: true }
+        );
+        this.stats.notified++;
+      }
+
+      this.logger.info('Scheduled search completed', {
+        searchId: String(searchId),
+        resultCount: hotels.length,
+        priceDrops: changes.priceDrops.length,
+        newHotels: changes.newHotels.length
+      });
+
+      return { status: 'completed', changes, notifications };
+    } catch (error) {
+      this.stats.failed++;
+      this.logger.error('Scheduled search failed', { searchId: String(searchId), error: error.message });
+
+      // Try again at the next interval rather than on every tick
+      await search.markScheduledRun(runAt, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Running state and counters
+   */
+  getStatus() {
+    return {
+      started: Boolean(this.timer),
+      distributedLock: Boolean(this.redisClient),
+      intervalMs: this.options.intervalMs,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  SavedSearchScheduler,
+  diffSearchResults,
+  buildSearchAlert,
+  LOCK_PREFIX
+};
@@ -0,0 +1,227 @@
+/**
+ * Search Clarification Service
+ *
+ * Decides what to ask when a hotel query is missing a slot the search can't
+ * run without (where and when), suggests answers, and folds the user's reply
+ * back into the slots so the pending search can resume.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { queryUnderstandingService, resolveDates } = require('./query-understanding-service');
+
+// Slots a search needs before it fans out to sources
+const REQUIRED_SLOTS = ['location', 'dates'];
+
+// Offered when the user has no recent destinations of their own
+const POPULAR_LOCATIONS = ['New York', 'London', 'Paris', 'Las Vegas'];
+
+// Relative date phrases offered as quick answers, resolved at ask time
+const DATE_SUGGESTIONS = [
+  { phrase: 'tonight', label: 'Tonight' },
+  { phrase: 'this weekend', label: 'This weekend' },
+  { phrase: 'next weekend', label: 'Next weekend' }
+];
+
+const MAX_LOCATION_SUGGESTIONS = 4;
+
+// Longest free-text answer taken as a place name the gazetteer doesn't know
+const MAX_UNKNOWN_LOCATION_WORDS = 4;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const QUESTIONS = {
+  location: 'Where would you like to stay?',
+  dates: 'When are you checking in and out?',
+  checkOut: 'When are you checking out?'
+};
+
+/**
+ * Format an ISO date for a suggestion label, e.g. "Oct 23"
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {string} Short date
+ */
+const formatDate = (isoDate) => new Date(`${isoDate}T00:00:00Z`)
+  .toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Add nights to an ISO date
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} nights - Nights to add
+ * @returns {string} YYYY-MM-DD
+ */
+const addNights = (isoDate, nights) => new Date(new Date(`${isoDate}T00:00:00Z`).getTime() + nights * MS_PER_DAY)
+  .toISOString().slice(0, 10);
+
+/**
+ * Slots required for a search that are still unfilled
+ * @param {Object} searchParams - Parsed search parameters, with `missing` from the agent
+ * @param {Object} slots - Slot values answered so far
+ * @returns {Array<string>} Missing slot names
+ */
+const getMissingSlots = (searchParams = {}, slots = {}) => {
+  const missing = searchParams.missing || [];
+  return REQUIRED_SLOTS.filter(slot => {
+    if (!missing.includes(slot)) return false;
+    if (slot === 'location') return !slots.location;
+    return !(slots.checkIn && slots.checkOut);
+  });
+};
+
+class SearchClarificationService {
+  constructor({ popularLocations = POPULAR_LOCATIONS } = {}) {
+    this.popularLocations = popularLocations;
+  }
+
+  /**
+   * Suggest destinations, the user's recent ones first
+   * @param {Array<string>} recentLocations - Locations from earlier searches
+   * @returns {Array<Object>} Suggestions `{ label, value: { location } }`
+   */
+  suggestLocations(recentLocations = []) {
+    const names = [...new Set([...recentLocations, ...this.popularLocations].filter(Boolean))];
+    return names.slice(0, MAX_LOCATION_SUGGESTIONS).map(name => ({
+      label: name,
+      value: { location: name }
+    }));
+  }
+
+  /**
+   * Suggest stay dates, or check-out dates once check-in is known
+   * @param {Object} slots - Slot values answered so far
+   * @param {Object} options - Options
+   * @param {Date} options.now - Reference date for relative phrases
+   * @returns {Array<Object>} Suggestions `{ label, value: { checkIn, checkOut } }`
+   */
+  suggestDates(slots = {}, { now } = {}) {
+    if (slots.checkIn) {
+      return [1, 2, 3].map(nights => {
+        const checkOut = addNights(slots.checkIn, nights);
+        return {
+          label: `${nights} night${nights > 1 ? 's' : ''} (until ${formatDate(checkOut)})`,
+          value: { checkIn: slots.checkIn, checkOut }
+        };
+      });
+    }
+
+    return DATE_SUGGESTIONS
+      .map(({ phrase, label }) => ({ label, dates: resolveDates(phrase, { now }) }))
+      .filter(({ dates }) => dates.checkIn && dates.checkOut)
+      .map(({ label, dates }) => ({
+        label: `${label} (${formatDate(dates.checkIn)} – ${formatDate(dates.checkOut)})`,
+        value: { checkIn: dates.checkIn, checkOut: dates.checkOut }
+      }));
+  }
+
+  /**
+   * Build the clarification to send for a search that is missing slots
+   * @param {Object} pending - Pending search state
+   * @param {string} pending.query - Original query
+   * @param {Array<string>} pending.missing - Missing slot names
+   * @param {Object} pending.slots - Slot values answered so far
+   * @param {Object} options - Options
+   * @param {Array<string>} options.recentLocations - Locations from earlier searches
+   * @param {Date} options.now - Reference date for date suggestions
+   * @returns {Object} Clarification payload
+   */
+  buildClarification({ clarificationId, query, missing, slots = {} }, { recentLocations, now } = {}) {
+    const fields = missing.map(slot => {
+      if (slot === 'location') {
+        return { slot, question: QUESTIONS.location, suggestions: this.suggestLocations(recentLocations) };
+      }
+      return {
+        slot,
+        question: slots.checkIn ? QUESTIONS.checkOut : QUESTIONS.dates,
+        suggestions: this.suggestDates(slots, { now })
+      };
+    });
+
+    return {
+      clarificationId: clarificationId || uuidv4(),
+      query,
+      missing,
+      slots,
+      fields,
+      message: fields.map(field => field.question).join(' ')
+    };
+  }
+
+  /**
+   * Fill missing slots from the user's answer
+   *
+   * The answer is either free text ("in Lisbon next weekend") or the value of
+   * a suggestion (`{ location }`, `{ checkIn, checkOut }`). Short free text
+   * naming a place the gazetteer doesn't know is taken as the location as-is
+   * when the location is the only thing being asked for; a question or a
+   * longer sentence is not an answer.
+   * @param {Object} pending - Pending search state with `missing` and `slots`
+   * @param {string|Object} answer - User's answer
+   * @param {Object} options - Options
+   * @param {Date} options.now - Reference date for relative dates
+   * @param {string} options.dateFormat - 'MDY' or 'DMY' for numeric dates
+   * @returns {Object} `{ slots, missing, answered }` after applying the answer,
+   * `answered` telling whether it filled any slot
+   */
+  applyAnswer({ missing = [], slots = {} }, answer, { now, dateFormat } = {}) {
+    const filled = { ...slots };
+
+    if (answer && typeof answer === 'object') {
+      if (answer.location) filled.location = answer.location;
+      if (answer.checkIn) filled.checkIn = answer.checkIn;
+      if (answer.checkOut) filled.checkOut = answer.checkOut;
+    } else if (typeof answer === 'string' && answer.trim()) {
+      const text = answer.trim();
+      const parsed = queryUnderstandingService.parse(text, { now, dateFormat });
+
+      if (missing.includes('location')) {
+        if (parsed.location) {
+          filled.location = parsed.location;
+        } else if (!missing.includes('dates') && !text.includes('?') &&
+                   text.split(/\s+/).length <= MAX_UNKNOWN_LOCATION_WORDS &&
+                   !resolveDates(text, { now, dateFormat }).mentioned) {
+          filled.location = text;
+        }
+      }
+
+      if (missing.includes('dates')) {
+        const { checkIn, checkOut } = parsed.dates;
+        if (checkIn && checkOut) {
+          filled.checkIn = checkIn;
+          filled.checkOut = checkOut;
+        } else if (checkIn && !filled.checkIn) {
+          filled.checkIn = checkIn;
+        } else if (checkIn && filled.checkIn && checkIn > filled.checkIn) {
+          // A lone date after check-in answers "when are you checking out?"
+          filled.checkOut = checkIn;
+        }
+      }
+    }
+
+    return {
+      slots: filled,
+      missing: getMissingSlots({ missing }, filled),
+      answered: Object.keys(filled).some(slot => filled[slot] !== slots[slot])
+    };
+  }
+
+  /**
+   * Turn answered slots into explicit search filters
+   * @param {Object} slots - Slot values
+   * @returns {Object} Filters for SearchAgent
+   */
+  toFilters(slots = {}) {
+    return {
+      ...(slots.location ? { location: slots.location } : {}),
+      ...(slots.checkIn && slots.checkOut ? { dates: { checkIn: slots.checkIn, checkOut: slots.checkOut } } : {})
+    };
+  }
+}
+
+// Create singleton instance
+const searchClarificationService = new SearchClarificationService();
+
+module.exports = {
+  searchClarificationService,
+  SearchClarificationService,
+  getMissingSlots,
+  REQUIRED_SLOTS
+};
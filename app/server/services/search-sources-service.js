@@ -7,6 +7,7 @@
 
 const SearchSources = require('../config/search-sources');
 const logger = require('./logging-service').getLogger('search-sources');
+const { sourceHealthService, CIRCUIT_STATES } = require('./source-health-service');
 
 class SearchSourcesService {
   constructor() {
@@ -240,13 +241,21 @@ class SearchSourcesService {
    * @returns {Object} Service status
    */
   getStatus() {
+    const sourceHealth = sourceHealthService.getHealthReport();
+    const healthEntries = Object.values(sourceHealth);
+    
     return {
       initialized: this.initialized,
       enabledProvidersCount: this.enabledProviders.size,
       loyaltyProgramsCount: this.getEnabledLoyaltyPrograms().length,
       webSearchProvidersCount: this.getEnabledWebSearchProviders().length,
       aggregatorsCount: this.getEnabledAggregators().length,
-      directBookingPlatformsCount: this.getEnabledDirectBookingPlatforms().length
+      directBookingPlatformsCount: this.getEnabledDirectBookingPlatforms().length,
+      openCircuitsCount: healthEntries.filter(h => h.state === CIRCUIT_STATES.OPEN).length,
+      averageHealthScore: healthEntries.length > 0
+        ? Math.round(healthEntries.reduce((sum, h) => sum + h.healthScore, 0) / healthEntries.length * 100) / 100
+        : null,
+      sourceHealth
     };
   }
 }
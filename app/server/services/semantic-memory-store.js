@@ -0,0 +1,206 @@
+/**
+ * Semantic Memory Store
+ *
+ * Keeps the agents' embedded memories and finds the ones closest to a query
+ * embedding. Memories belong to a user, or to a session when there is no
+ * user (guests), and are only searched within that scope. The Postgres
+ * store (pgvector) shares memories between cluster workers and restarts;
+ * the memory store is for single-process and test use.
+ */
+
+const logger = require('./logging-service').getLogger('semantic-memory');
+
+// Memories kept by the memory store before the oldest are dropped
+const MEMORY_STORE_MAX_SIZE = 1000;
+
+// pgvector reads vectors in the '[0.1,0.2,...]' text format
+const toSqlVector = embedding => JSON.stringify(embedding);
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Whether a memory is in the scope of a search: the user's memories, and
+ * those of the session that have no user
+ */
+const inScope = (memory, { userId, sessionId }) => (userId && memory.userId === userId)
+  || (sessionId && memory.sessionId === sessionId && !memory.userId);
+
+/**
+ * Holds memories in process memory
+ */
+class MemorySemanticStore {
+  constructor({ maxSize = MEMORY_STORE_MAX_SIZE } = {}) {
+    this.name = 'memory';
+    this.maxSize = maxSize;
+    this.memories = [];
+    this.nextId = 1;
+  }
+
+  async add(memories) {
+    const added = memories.map(memory => ({
+      ...memory,
+      id: `mem_${this.nextId++}`,
+      createdAt: memory.createdAt || new Date()
+    }));
+
+    this.memories.push(...added);
+    if (this.memories.length > this.maxSize) {
+      this.memories.splice(0, this.memories.length - this.maxSize);
+    }
+
+    return added.map(memory => memory.id);
+  }
+
+  async search({ embedding, embeddingModel, userId, sessionId, limit = 10 }) {
+    if (!userId && !sessionId) {
+      return [];
+    }
+
+    const now = Date.now();
+
+    return this.memories
+      .filter(memory => memory.embeddingModel === embeddingModel
+        && memory.embedding.length === embedding.length
+        && (!memory.expiresAt || new Date(memory.expiresAt).getTime() > now)
+        && inScope(memory, { userId, sessionId }))
+      .map(({ embedding: memoryEmbedding, ...memory }) => ({
+        ...memory,
+        similarity: cosineSimilarity(embedding, memoryEmbedding)
+      }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  async delete({ userId, sessionId }) {
+    const before = this.memories.length;
+    this.memories = this.memories.filter(memory => !inScope(memory, { userId, sessionId }));
+    return before - this.memories.length;
+  }
+
+  async deleteExpired() {
+    const now = Date.now();
+    const before = this.memories.length;
+    this.memories = this.memories.filter(memory => !memory.expiresAt || new Date(memory.expiresAt).getTime() > now);
+    return before - this.memories.length;
+  }
+}
+
+/**
+ * Holds memories in the agent_memories table
+ */
+class PgSemanticMemoryStore {
+  constructor(pool) {
+    if (!pool) {
+      throw new Error('PgSemanticMemoryStore requires a database pool');
+    }
+
+    this.name = 'postgres';
+    this.pool = pool;
+  }
+
+  async add(memories) {
+    const ids = [];
+
+    for (const memory of memories) {
+      const { rows } = await this.pool.query(`
+        INSERT INTO agent_memories
+          (user_id, session_id, type, content, metadata, embedding, embedding_model, embedding_dimension, created_at, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+        memory.userId || null,
+        memory.sessionId || null,
+        memory.type,
+        memory.content,
+        memory.metadata || {},
+        toSqlVector(memory.embedding),
+        memory.embeddingModel,
+        memory.embedding.length,
+        memory.createdAt || new Date(),
+        memory.expiresAt || null
+      ]);
+      ids.push(rows[0].id);
+    }
+
+    return ids;
+  }
+
+  async search({ embedding, embeddingModel, userId, sessionId, limit = 10 }) {
+    if (!userId && !sessionId) {
+      return [];
+    }
+
+    // The materialized CTE keeps vectors of other dimensions from ever
+    // reaching the distance operator
+    const { rows } = await this.pool.query(`
+      WITH candidates AS MATERIALIZED (
+        SELECT id, user_id, session_id, type, content, metadata, embedding, created_at
+        FROM agent_memories
+        WHERE embedding_model = $2 AND embedding_dimension = $3
+          AND (expires_at IS NULL OR expires_at > NOW())
+          AND ((user_id = $4) OR (session_id = $5 AND user_id IS NULL))
+      )
+      SELECT id, user_id, session_id, type, content, metadata, created_at, 1 - (embedding <=> $1) AS similarity
+      FROM candidates
+      ORDER BY embedding <=> $1
+      LIMIT $6
+    `, [toSqlVector(embedding), embeddingModel, embedding.length, userId || null, sessionId || null, limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      sessionId: row.session_id,
+      type: row.type,
+      content: row.content,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      similarity: Number(row.similarity)
+    }));
+  }
+
+  async delete({ userId, sessionId }) {
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM agent_memories WHERE (user_id = $1) OR (session_id = $2 AND user_id IS NULL)',
+      [userId || null, sessionId || null]
+    );
+    return rowCount;
+  }
+
+  async deleteExpired() {
+    const { rowCount } = await this.pool.query('DELETE FROM agent_memories WHERE expires_at <= NOW()');
+    return rowCount;
+  }
+}
+
+/**
+ * Pick the semantic memory store for the app
+ * @param {Object} pool - Postgres pool, when the database is available
+ * @returns {Object} Semantic memory store
+ */
+const createSemanticMemoryStore = (pool) => {
+  if (pool) {
+    return new PgSemanticMemoryStore(pool);
+  }
+
+  logger.warn('No database for agent memories, memories are kept in this process only');
+  return new MemorySemanticStore();
+};
+
+module.exports = {
+  MemorySemanticStore,
+  PgSemanticMemoryStore,
+  createSemanticMemoryStore,
+  cosineSimilarity
+};
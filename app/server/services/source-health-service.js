@@ -0,0 +1,331 @@
+/**
+ * Source Health Service
+ *
+ * Guards calls to external hotel search sources with a per-source timeout and
+ * circuit breaker, and keeps a rolling health score for each source so that
+ * dead aggregators are skipped instead of being retried on every query.
+ */
+
+const SearchSources = require('../config/search-sources');
+const logger = require('./logging-service').getLogger('source-health');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Error thrown when a source does not respond within its budget
+ */
+class SourceTimeoutError extends Error {
+  constructor(sourceId, timeout) {
+    super(`Source ${sourceId} timed out after ${timeout}ms`);
+    this.name = 'SourceTimeoutError';
+    this.code = 'ERR_SOURCE_TIMEOUT';
+    this.sourceId = sourceId;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error thrown when a source is skipped because its circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(sourceId, retryAt) {
+    super(`Circuit open for source ${sourceId}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ERR_CIRCUIT_OPEN';
+    this.sourceId = sourceId;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker for a single source
+ *
+ * Opens after `failureThreshold` consecutive failures, then after
+ * `resetTimeout` lets a single probe through (half-open). A successful probe
+ * closes the circuit; a failed one opens it again.
+ */
+class CircuitBreaker {
+  constructor(sourceId, options = {}) {
+    this.sourceId = sourceId;
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeout = options.resetTimeout;
+    this.windowSize = options.windowSize;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+
+    // Rolling window of recent outcomes: { success, latency }
+    this.outcomes = [];
+  }
+
+  /**
+   * Check whether a call may go through, moving to half-open when the reset timeout has elapsed
+   * @returns {boolean} True if the call is allowed
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        return false;
+      }
+
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      logger.info(`Circuit half-open for source ${this.sourceId}, sending probe`);
+    }
+
+    // Half-open: only one probe at a time
+    if (this.probeInFlight) {
+      return false;
+    }
+
+    this.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   * @param {number} latency - Call duration in ms
+   */
+  recordSuccess(latency) {
+    this.recordOutcome(true, latency);
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date();
+    this.probeInFlight = false;
+
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info(`Circuit closed for source ${this.sourceId}`);
+      this.state = CIRCUIT_STATES.CLOSED;
+      this.openedAt = null;
+    }
+  }
+
+  /**
+   * Record a failed call (error or timeout)
+   * @param {Error} error - Failure cause
+   * @param {number} latency - Call duration in ms
+   */
+  recordFailure(error, latency) {
+    this.recordOutcome(false, latency);
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date();
+    this.probeInFlight = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN ||
+        this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        logger.warn(`Circuit opened for source ${this.sourceId}`, {
+          consecutiveFailures: this.consecutiveFailures,
+          error: error.message
+        });
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Add an outcome to the rolling window
+   */
+  recordOutcome(success, latency) {
+    this.outcomes.push({ success, latency });
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Time at which an open circuit will allow a probe
+   * @returns {Date|null} Retry time, or null when not open
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_STATES.OPEN
+      ? new Date(this.openedAt + this.resetTimeout)
+      : null;
+  }
+
+  /**
+   * Health score between 0 (dead) and 1 (healthy)
+   *
+   * Weighted from the success rate and average latency over the rolling
+   * window; an open circuit scores 0 and a half-open one is capped at 0.5.
+   * @param {number} timeout - Latency budget used to scale the latency component
+   * @returns {number} Health score
+   */
+  getHealthScore(timeout) {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+
+    if (this.outcomes.length === 0) {
+      return 1;
+    }
+
+    const successRate = this.outcomes.filter(o => o.success).length / this.outcomes.length;
+    const averageLatency = this.outcomes.reduce((sum, o) => sum + o.latency, 0) / this.outcomes.length;
+    const latencyScore = 1 - Math.min(averageLatency / timeout, 1);
+
+    let score = successRate * 0.7 + latencyScore * 0.3;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      score = Math.min(score, 0.5);
+    }
+
+    return Math.round(score * 100) / 100;
+  }
+}
+
+class SourceHealthService {
+  constructor() {
+    const resilience = SearchSources.resilience || {};
+
+    this.options = {
+      defaultTimeout: parseInt(process.env.SEARCH_SOURCE_TIMEOUT_MS) || resilience.defaultTimeout || 8000,
+      failureThreshold: resilience.failureThreshold || 3,
+      resetTimeout: resilience.resetTimeout || 30000,
+      windowSize: resilience.windowSize || 20
+    };
+
+    this.breakers = new Map();
+    this.timeouts = new Map();
+    this.logger = logger;
+  }
+
+  /**
+   * Get or create the circuit breaker for a source
+   * @param {string} sourceId - Source identifier, e.g. `aggregator:kayak`
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  getBreaker(sourceId) {
+    if (!this.breakers.has(sourceId)) {
+      this.breakers.set(sourceId, new CircuitBreaker(sourceId, this.options));
+    }
+    return this.breakers.get(sourceId);
+  }
+
+  /**
+   * Run a source call under its timeout and circuit breaker
+   * @param {string} sourceId - Source identifier
+   * @param {Function} fn - Function returning a promise for the source call
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Timeout budget in ms (defaults to the configured budget)
+   * @returns {Promise<*>} Result of the source call
+   * @throws {CircuitOpenError} When the circuit is open
+   * @throws {SourceTimeoutError} When the call exceeds its budget
+   */
+  async execute(sourceId, fn, { timeout } = {}) {
+    const breaker = this.getBreaker(sourceId);
+    const budget = timeout || this.options.defaultTimeout;
+    this.timeouts.set(sourceId, budget);
+
+    if (!breaker.allowRequest()) {
+      throw new CircuitOpenError(sourceId, breaker.getRetryAt());
+    }
+
+    const startTime = Date.now();
+    let timer;
+
+    try {
+      const result = await Promise.race([
+        Promise.resolve().then(fn),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new SourceTimeoutError(sourceId, budget)), budget);
+        })
+      ]);
+
+      breaker.recordSuccess(Date.now() - startTime);
+      return result;
+    } catch (error) {
+      breaker.recordFailure(error, Date.now() - startTime);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get the health score for a source
+   * @param {string} sourceId - Source identifier
+   * @returns {number} Health score between 0 and 1 (1 for unseen sources)
+   */
+  getHealthScore(sourceId) {
+    const breaker = this.breakers.get(sourceId);
+    return breaker ? breaker.getHealthScore(this.getTimeout(sourceId)) : 1;
+  }
+
+  /**
+   * Get the timeout budget last used for a source
+   * @param {string} sourceId - Source identifier
+   * @returns {number} Timeout in ms
+   */
+  getTimeout(sourceId) {
+    return this.timeouts.get(sourceId) || this.options.defaultTimeout;
+  }
+
+  /**
+   * Health report for every source that has been called
+   * @returns {Object} Map of source ID to health details
+   */
+  getHealthReport() {
+    const report = {};
+
+    for (const [sourceId, breaker] of this.breakers) {
+      const successes = breaker.outcomes.filter(o => o.success).length;
+
+      report[sourceId] = {
+        state: breaker.state,
+        healthScore: breaker.getHealthScore(this.getTimeout(sourceId)),
+        timeout: this.getTimeout(sourceId),
+        consecutiveFailures: breaker.consecutiveFailures,
+        recentCalls: breaker.outcomes.length,
+        recentSuccessRate: breaker.outcomes.length > 0
+          ? Math.round((successes / breaker.outcomes.length) * 100) / 100
+          : null,
+        lastError: breaker.lastError,
+        lastSuccessAt: breaker.lastSuccessAt,
+        lastFailureAt: breaker.lastFailureAt,
+        retryAt: breaker.getRetryAt()
+      };
+    }
+
+    return report;
+  }
+
+  /**
+   * Reset the breaker for one source, or all sources
+   * @param {string} [sourceId] - Source identifier
+   */
+  reset(sourceId) {
+    if (sourceId) {
+      this.breakers.delete(sourceId);
+      this.timeouts.delete(sourceId);
+    } else {
+      this.breakers.clear();
+      this.timeouts.clear();
+    }
+  }
+}
+
+// Create singleton instance
+const sourceHealthService = new SourceHealthService();
+
+module.exports = {
+  sourceHealthService,
+  SourceHealthService,
+  CircuitBreaker,
+  CircuitOpenError,
+  SourceTimeoutError,
+  CIRCUIT_STATES
+};
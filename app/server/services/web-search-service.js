@@ -1,5 +1,8 @@
 const axios = require('axios');
 const LoyaltyWebsiteManager = require('./loyalty-website-manager');
+const { HotelEntityResolver } = require('./hotel-entity-resolver');
+const { queryUnderstandingService } = require('./query-understanding-service');
+const searchSourcesService = require('./search-sources-service');
 const logger = require('./logging-service').getLogger('web-search');
 
 /**
@@ -426,26 +429,16 @@ class WebSearchService {
       // Wait for all searches to complete
       const results = await Promise.all(searchPromises);
 
-      // Combine results
-      const allHotels = [];
-      const seenHotels = new Set();
+      // Combine results, merging records that describe the same hotel
+      const resolver = new HotelEntityResolver();
 
       for (const result of results) {
         if (result.data && Array.isArray(result.data)) {
-          for (const hotel of result.data) {
-            // Generate unique key for hotel
-            const hotelKey = `${hotel.name}|${hotel.location}`.toLowerCase();
-            
-            if (!seenHotels.has(hotelKey)) {
-              seenHotels.add(hotelKey);
-              allHotels.push({
-                ...hotel,
-                source: result.source
-              });
-            }
-          }
+          resolver.addAll({ type: 'loyalty', source: result.source, hotels: result.data });
         }
       }
+      
+      const allHotels = resolver.getHotels();
 
       const duration = Date.now() - startTime;
       
@@ -488,137 +481,78 @@ class WebSearchService {
     }
   }
   
+  /**
+   * Sources the search agent fans out to, grouped by type. Loyalty programs
+   * are searched through the loyalty manager; web providers, aggregators and
+   * direct booking sites have no client returning hotel records yet, so none
+   * are listed.
+   * @returns {Promise<Object>} `{ loyalty, web, aggregators, direct }`, each a list of `{ key, name, timeout }`
+   */
+  async getEnabledSources() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const programs = Object.values(searchSourcesService.sources.loyaltyPrograms);
+
+    const loyalty = this.loyaltyManager.getEnabledSources()
+      .map(source => ({ source, program: programs.find(program => program.id === source.id) }))
+      .filter(({ program }) => !program || program.enabled !== false)
+      .map(({ source, program }) => ({
+        key: source.id,
+        name: source.name,
+        ...(program && program.timeout && { timeout: program.timeout })
+      }));
+
+    return { loyalty, web: [], aggregators: [], direct: [] };
+  }
+
+  /**
+   * Search one loyalty program for hotels
+   * @param {string} key - Loyalty manager source id
+   * @param {Object} searchParams - Search parameters parsed by the search agent
+   * @returns {Promise<Object>} `{ hotels }`
+   */
+  async searchLoyaltyProgram(key, searchParams) {
+    const result = await this.loyaltyManager.extractHotels(key, this.toSourceParams(searchParams));
+    const hotels = Array.isArray(result.data) ? result.data : result.data?.hotels;
+
+    return { hotels: Array.isArray(hotels) ? hotels : [] };
+  }
+
+  async searchWebProvider(key) {
+    throw new Error(`No hotel search client for web provider ${key}`);
+  }
+
+  async searchAggregator(key) {
+    throw new Error(`No hotel search client for aggregator ${key}`);
+  }
+
+  async searchDirectBooking(key) {
+    throw new Error(`No hotel search client for direct booking site ${key}`);
+  }
+
+  /**
+   * Flatten the search agent's parameters into the query parameters sources take
+   * @param {Object} searchParams - Search parameters parsed by the search agent
+   * @returns {Object} Flat parameters
+   */
+  toSourceParams(searchParams) {
+    return queryUnderstandingService.toFlatParams({
+      ...searchParams,
+      dates: searchParams.dates || {},
+      filters: { amenities: [], ...searchParams.filters },
+      loyaltyPrograms: searchParams.loyaltyPrograms || []
+    });
+  }
+
   /**
    * Parse natural language hotel query into parameters
    * @param {string} query - Natural language query
    * @returns {Object} Structured search parameters
    */
   parseHotelQuery(query) {
-    // In a real implementation, would use NLP or LLM to extract entities
-    // For now, use improved basic parsing
-    const params = {};
-    
-    // Convert query to lowercase for case-insensitive matching
-    const normalizedQuery = query.toLowerCase();
-    
-    // Extract location - improved regex pattern for more location formats
-    // Match patterns like: "in New York", "at Miami Beach", "near Central Park"
-    // Also handles multi-word locations with spaces
-    const locationPatterns = [
-      /\b(?:in|at|near|around|by)\s+([a-zA-Z\s.',-]+?)(?:\s+from|\s+to|\s+between|\s+with|\s+for|\s+\d|\s*$)/i,
-      /\blocation\s*(?::|is|in|at|near)\s+([a-zA-Z\s.',-]+?)(?:\s+from|\s+to|\s+between|\s+with|\s+for|\s+\d|\s*$)/i,
-    ];
-    
-    for (const pattern of locationPatterns) {
-      const match = normalizedQuery.match(pattern);
-      if (match && match[1]) {
-        params.location = match[1].trim();
-        break;
-      }
-    }
-    
-    // If no location found using the patterns above, try extracting known city names
-    if (!params.location) {
-      const commonCities = [
-        'new york', 'los angeles', 'chicago', 'houston', 'phoenix', 'philadelphia', 
-        'san antonio', 'san diego', 'dallas', 'san jose', 'austin', 'jacksonville', 
-        'san francisco', 'columbus', 'indianapolis', 'fort worth', 'charlotte', 
-        'seattle', 'denver', 'washington', 'boston', 'el paso', 'nashville', 
-        'las vegas', 'detroit', 'miami', 'london', 'paris', 'tokyo', 'sydney'
-      ];
-      
-      for (const city of commonCities) {
-        if (normalizedQuery.includes(city)) {
-          params.location = city;
-          break;
-        }
-      }
-    }
-    
-    // Extract dates - improved pattern matching
-    // Match formats like: "from May 10 to May 15", "between June 2 and June 10"
-    const datePatterns = [
-      /(?:from|between|starting)\s+(\w+\s+\d{1,2}(?:st|nd|rd|th)?)\s+(?:to|and|until|through|ending|end date|-)?\s+(\w+\s+\d{1,2}(?:st|nd|rd|th)?)/i,
-      /(?:arriving|arrival|checkin|check-in|check in)\s+(?:on|date|at)?\s+(\w+\s+\d{1,2}(?:st|nd|rd|th)?)/i,
-      /(?:departing|departure|checkout|check-out|check out)\s+(?:on|date|at)?\s+(\w+\s+\d{1,2}(?:st|nd|rd|th)?)/i
-    ];
-    
-    // Try to match full date range first
-    const dateRangeMatch = normalizedQuery.match(datePatterns[0]);
-    if (dateRangeMatch) {
-      params.checkIn = dateRangeMatch[1];
-      params.checkOut = dateRangeMatch[2];
-    } else {
-      // Try to match individual check-in or check-out dates
-      const checkInMatch = normalizedQuery.match(datePatterns[1]);
-      const checkOutMatch = normalizedQuery.match(datePatterns[2]);
-      
-      if (checkInMatch) {
-        params.checkIn = checkInMatch[1];
-      }
-      
-      if (checkOutMatch) {
-        params.checkOut = checkOutMatch[1];
-      }
-    }
-    
-    // Extract guest count and room count
-    const guestMatch = normalizedQuery.match(/(\d+)\s+(?:guest|guests|people|person|adult|adults)/i);
-    if (guestMatch) {
-      params.guests = parseInt(guestMatch[1], 10);
-    }
-    
-    const roomMatch = normalizedQuery.match(/(\d+)\s+(?:room|rooms)/i);
-    if (roomMatch) {
-      params.rooms = parseInt(roomMatch[1], 10);
-    }
-    
-    // Extract hotel star rating
-    const starMatch = normalizedQuery.match(/(\d+)[\s-]*star/i);
-    if (starMatch) {
-      params.stars = parseInt(starMatch[1], 10);
-    }
-    
-    // Extract price range
-    const pricePatterns = [
-      /(?:under|less than|below|max|maximum)\s+\$?(\d+)/i,
-      /(?:above|over|more than|min|minimum)\s+\$?(\d+)/i,
-      /(?:between)\s+\$?(\d+)\s+and\s+\$?(\d+)/i,
-      /(?:budget|cheap|affordable)/i,
-      /(?:luxury|upscale|high-end|expensive)/i
-    ];
-    
-    const underMatch = normalizedQuery.match(pricePatterns[0]);
-    const overMatch = normalizedQuery.match(pricePatterns[1]);
-    const betweenMatch = normalizedQuery.match(pricePatterns[2]);
-    const budgetMatch = normalizedQuery.match(pricePatterns[3]);
-    const luxuryMatch = normalizedQuery.match(pricePatterns[4]);
-    
-    if (betweenMatch) {
-      params.priceMin = parseInt(betweenMatch[1], 10);
-      params.priceMax = parseInt(betweenMatch[2], 10);
-    } else {
-      if (overMatch) {
-        params.priceMin = parseInt(overMatch[1], 10);
-      }
-      
-      if (underMatch) {
-        params.priceMax = parseInt(underMatch[1], 10);
-      }
-      
-      if (budgetMatch) {
-        params.priceMax = 150; // Default budget price
-      }
-      
-      if (luxuryMatch) {
-        params.priceMin = 300; // Default luxury minimum
-      }
-    }
-    
-    // Add the original query to help with context
-    params.query = query;
-    
-    return params;
+    return queryUnderstandingService.toFlatParams(queryUnderstandingService.parse(query));
   }
   
   /**
@@ -0,0 +1,199 @@
+const AgentSystem = require('../agents/agent-system');
+const ExecutorAgent = require('../agents/executor-agent');
+const { MemoryCheckpointStore } = require('../services/agent-checkpoint-store');
+
+const createSystem = () => {
+  const plan = {
+    query: 'best Marriott in Paris',
+    steps: [
+      { id: 'step_1', description: 'Search Paris hotels', tool: 'search_hotels', parameters: { query: 'Paris' } },
+      { id: 'step_2', description: 'Value points', tool: 'calculate_redemption_value', parameters: {} }
+    ],
+    expectations: 'A recommendation'
+  };
+  const llmProvider = {
+    initialized: true,
+    generateResponse: jest.fn(),
+    streamResponse: jest.fn(async function* streamResponse() {
+      yield 'Stay at ';
+      yield 'the Westin.';
+    })
+  };
+  const agents = {
+    planner: { isInitialized: true, createPlan: jest.fn().mockResolvedValue(plan), getStatus: jest.fn() },
+    executor: new ExecutorAgent(llmProvider, null)
+  };
+  agents.executor.isInitialized = true;
+  agents.executor.executeStep = jest.fn(async step => ({ step_id: step.id, tool: step.tool, success: true, result: { results: [1, 2] } }));
+  const memorySystem = { store: jest.fn().mockResolvedValue({}), getSize: jest.fn() };
+  const toolManager = { getRegisteredTools: jest.fn(() => []) };
+  const checkpointStore = new MemoryCheckpointStore();
+
+  const system = new AgentSystem(toolManager, null, null, { llmProvider, memorySystem, agents, checkpointStore });
+  return { system, llmProvider, agents, memorySystem, checkpointStore };
+};
+
+describe('AgentSystem', () => {
+  describe('streamQuery', () => {
+    it('should stream the plan, each step and the answer token by token', async () => {
+      const { system, llmProvider, memorySystem } = createSystem();
+
+      const events = [];
+      for await (const event of system.streamQuery('best Marriott in Paris', { sessionId: 's1' })) {
+        events.push(event);
+      }
+
+      expect(events.map(event => event.type)).toEqual([
+        'plan',
+        // Neither step depends on the other, so both start before either finishes
+        'step_start', 'step_start',
+        'step_result', 'step_result',
+        'token', 'token',
+        'final_response'
+      ]);
+      expect(events[1].data).toEqual({ step_id: 'step_1', description: 'Search Paris hotels', tool: 'search_hotels' });
+      expect(events[events.length - 1].data).toBe('Stay at the Westin.');
+
+      // The synthesis sees the results of the executed steps
+      const prompt = llmProvider.streamResponse.mock.calls[0][0];
+      expect(prompt).toContain('"step_id": "step_2"');
+      expect(memorySystem.store).toHaveBeenCalledWith(expect.objectContaining({ response: 'Stay at the Westin.', sessionId: 's1' }));
+    });
+
+    it('should answer as the next turn of the conversation when there is history', async () => {
+      const { system, llmProvider } = createSystem();
+      llmProvider.streamChat = jest.fn(async function* streamChat() {
+        yield 'The Westin again.';
+      });
+      const conversation = [
+        { role: 'user', content: 'I collect Marriott points' },
+        { role: 'assistant', content: 'Noted, I will focus on Marriott hotels.' }
+      ];
+
+      const events = [];
+      for await (const event of system.streamQuery('best Marriott in Paris', { sessionId: 's1', conversation })) {
+        events.push(event);
+      }
+
+      const messages = llmProvider.streamChat.mock.calls[0][0];
+      expect(messages.slice(0, 2)).toEqual(conversation);
+      expect(messages[2]).toMatchObject({ role: 'user', content: expect.stringContaining('best Marriott in Paris') });
+      expect(llmProvider.streamResponse).not.toHaveBeenCalled();
+      expect(events[events.length - 1].data).toBe('The Westin again.');
+    });
+
+    it('should send the knowledge base chunks the answer cites', async () => {
+      const { system, llmProvider, agents, checkpointStore } = createSystem();
+      const chunk = { id: 'chunk-1', content: 'Titanium Elite status requires 75 qualifying nights per year.', metadata: { source: 'bonvoy-terms', title: 'Marriott Bonvoy Terms' } };
+      agents.executor.executeStep = jest.fn(async step => ({ step_id: step.id, tool: step.tool, success: true, result: step.id === 'step_1' ? [chunk] : { results: [] } }));
+      llmProvider.streamResponse = jest.fn(async function* streamResponse() {
+        yield 'Titanium Elite status requires 75 qualifying nights [1]. The Westin is lovely.';
+      });
+
+      const events = [];
+      for await (const event of system.streamQuery('How do I get Titanium Elite?', {}, { runId: 'run-c' })) {
+        events.push(event);
+      }
+
+      expect(llmProvider.streamResponse.mock.calls[0][0]).toContain('[1] Marriott Bonvoy Terms: Titanium Elite status');
+      const citations = events.find(event => event.type === 'citations').data;
+      expect(citations.citations).toEqual([expect.objectContaining({ marker: 1, id: 'chunk-1', source: 'bonvoy-terms' })]);
+      // Uncited sentences come from other tools and aren't checked
+      expect(citations.grounding).toMatchObject({ grounded: true, supportedRatio: 1 });
+      expect(events[events.length - 1].type).toBe('final_response');
+      await expect(checkpointStore.load('run-c')).resolves.toMatchObject({ status: 'completed', citations });
+    });
+
+    it('should still finish when storing the memory fails', async () => {
+      const { system, memorySystem } = createSystem();
+      memorySystem.store.mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const events = [];
+      for await (const event of system.streamQuery('hi')) {
+        events.push(event);
+      }
+
+      expect(events[events.length - 1]).toEqual({ type: 'final_response', data: 'Stay at the Westin.' });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('resuming', () => {
+    const collect = async (stream) => {
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+      }
+      return events;
+    };
+
+    it('should resume a failed run from its last completed step without re-planning', async () => {
+      const { system, llmProvider, agents } = createSystem();
+      llmProvider.streamResponse.mockImplementationOnce(async function* failingStream() {
+        throw new Error('LLM unavailable');
+      });
+
+      await expect(collect(system.streamQuery('best Marriott in Paris', { userId: 'u1' }, { runId: 'run-1' })))
+        .rejects.toThrow('LLM unavailable');
+
+      const checkpoint = await system.getCheckpoint('run-1');
+      expect(checkpoint).toMatchObject({ runId: 'run-1', query: 'best Marriott in Paris', userId: 'u1', status: 'running' });
+      expect(Object.keys(checkpoint.completed)).toEqual(expect.arrayContaining(['step_1', 'step_2']));
+
+      const events = await collect(system.streamQuery(null, { userId: 'u1' }, { runId: 'run-1' }));
+
+      expect(agents.planner.createPlan).toHaveBeenCalledTimes(1);
+      expect(agents.executor.executeStep).toHaveBeenCalledTimes(2);
+      expect(events[0]).toMatchObject({ type: 'plan', data: { runId: 'run-1' } });
+      expect(events.filter(event => event.type === 'step_result').every(event => event.data.restored)).toBe(true);
+      expect(events[events.length - 1]).toEqual({ type: 'final_response', data: 'Stay at the Westin.' });
+      expect(llmProvider.streamResponse.mock.calls[1][0]).toContain('best Marriott in Paris');
+      expect((await system.getCheckpoint('run-1')).status).toBe('completed');
+    });
+
+    it('should only re-run steps that had not succeeded', async () => {
+      const { system, agents, checkpointStore } = createSystem();
+      const plan = await agents.planner.createPlan();
+      await checkpointStore.save({
+        runId: 'run-2',
+        query: 'best Marriott in Paris',
+        plan,
+        completed: { step_1: { step_id: 'step_1', tool: 'search_hotels', success: true, result: { results: [] } } },
+        status: 'running'
+      });
+
+      await collect(system.streamQuery(null, {}, { runId: 'run-2' }));
+
+      expect(agents.executor.executeStep).toHaveBeenCalledTimes(1);
+      expect(agents.executor.executeStep.mock.calls[0][0].id).toBe('step_2');
+    });
+
+    it('should replay the answer of a run that already completed', async () => {
+      const { system, llmProvider } = createSystem();
+      await collect(system.streamQuery('hi', {}, { runId: 'run-3' }));
+
+      const events = await collect(system.streamQuery('hi', {}, { runId: 'run-3' }));
+
+      expect(events.map(event => event.type)).toEqual(['plan', 'final_response']);
+      expect(events[1].data).toBe('Stay at the Westin.');
+      expect(llmProvider.streamResponse).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('initialize', () => {
+    it('should not re-initialize shared agents or register tools when asked not to', async () => {
+      const { system, agents } = createSystem();
+      agents.planner.initialize = jest.fn();
+      system.registerTools = jest.fn();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await system.initialize({ registerTools: false });
+
+      expect(agents.planner.initialize).not.toHaveBeenCalled();
+      expect(system.registerTools).not.toHaveBeenCalled();
+      expect(system.isInitialized).toBe(true);
+      console.log.mockRestore();
+    });
+  });
+});
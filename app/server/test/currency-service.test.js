@@ -0,0 +1,92 @@
+const {
+  CurrencyService,
+  FixtureRateProvider,
+  UnsupportedCurrencyError
+} = require('../services/currency-service');
+
+const fixture = {
+  base: 'USD',
+  asOf: '2024-01-02',
+  rates: { USD: 1, EUR: 0.8, GBP: 0.5 }
+};
+
+describe('CurrencyService', () => {
+  const createService = (provider = new FixtureRateProvider(fixture)) => new CurrencyService({ provider });
+
+  describe('convert', () => {
+    it('should convert through the base currency', async () => {
+      const service = createService();
+
+      expect(await service.convert(100, 'USD', 'EUR')).toBe(80);
+      expect(await service.convert(100, 'GBP', 'EUR')).toBe(160);
+      expect(await service.convert(100, 'EUR', 'EUR')).toBe(100);
+    });
+
+    it('should reject unknown currencies', async () => {
+      await expect(createService().convert(100, 'USD', 'XYZ')).rejects.toThrow(UnsupportedCurrencyError);
+    });
+  });
+
+  describe('getRates', () => {
+    it('should cache rates from the provider', async () => {
+      const provider = { name: 'stub', getRates: jest.fn().mockResolvedValue(fixture) };
+      const service = createService(provider);
+
+      await service.getRates();
+      await service.getRates();
+
+      expect(provider.getRates).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the fixture rates when the provider fails', async () => {
+      const provider = { name: 'stub', getRates: jest.fn().mockRejectedValue(new Error('rate limit')) };
+      const service = createService(provider);
+
+      const rates = await service.getRates();
+
+      expect(rates.provider).toBe('fixture');
+      expect(rates.rates.EUR).toBeDefined();
+    });
+  });
+
+  describe('normalizeHotels', () => {
+    const hotel = {
+      name: 'The Savoy',
+      price: 400,
+      currency: 'GBP',
+      offers: [
+        { source: 'Booking.com', type: 'aggregator', price: 400, currency: 'GBP' },
+        { source: 'Expedia', type: 'aggregator', price: 700, currency: 'USD' },
+        { source: 'Agoda', type: 'aggregator', price: 900, currency: 'EUR' }
+      ]
+    };
+
+    it('should convert every offer and compare them in the display currency', async () => {
+      const [normalized] = await createService().normalizeHotels([hotel], 'USD');
+
+      expect(normalized.offers.map(o => [o.source, o.price, o.currency, o.originalPrice, o.originalCurrency])).toEqual([
+        ['Expedia', 700, 'USD', 700, 'USD'],
+        ['Booking.com', 800, 'USD', 400, 'GBP'],
+        ['Agoda', 1125, 'USD', 900, 'EUR']
+      ]);
+      expect(normalized.offers[0].isCheapest).toBe(true);
+      expect(normalized).toMatchObject({ price: 700, currency: 'USD', originalPrice: 700, originalCurrency: 'USD' });
+      expect(normalized.priceComparison).toMatchObject({ currency: 'USD', lowestPrice: 700, highestPrice: 1125 });
+    });
+
+    it('should convert from the original amounts when normalized again', async () => {
+      const service = createService();
+      const [inUsd] = await service.normalizeHotels([hotel], 'USD');
+      const [inGbp] = await service.normalizeHotels([inUsd], 'GBP');
+
+      expect(inGbp.offers.find(o => o.source === 'Booking.com')).toMatchObject({ price: 400, currency: 'GBP' });
+      expect(inGbp).toMatchObject({ price: 350, currency: 'GBP', originalPrice: 700, originalCurrency: 'USD' });
+    });
+
+    it('should leave prices it cannot convert in their own currency', async () => {
+      const [normalized] = await createService().normalizeHotels([{ name: 'Somewhere', price: 5000, currency: 'XYZ' }], 'USD');
+
+      expect(normalized).toMatchObject({ price: 5000, currency: 'XYZ', originalPrice: 5000, originalCurrency: 'XYZ' });
+    });
+  });
+});
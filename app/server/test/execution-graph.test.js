@@ -0,0 +1,142 @@
+const { ExecutionGraph, PlanGraphError, resolveStepParameters } = require('../agents/execution-graph');
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+};
+
+const succeed = async step => ({ step_id: step.id, tool: step.tool, success: true, result: { value: step.id } });
+
+describe('ExecutionGraph', () => {
+  it('should give steps ids and dependency lists', () => {
+    const graph = new ExecutionGraph([{ tool: 'a' }, { tool: 'b', dependsOn: 'step_1' }]);
+
+    expect(graph.steps.map(step => [step.id, step.depends_on])).toEqual([['step_1', []], ['step_2', ['step_1']]]);
+  });
+
+  it('should reject unknown dependencies, duplicate ids and cycles', () => {
+    expect(() => new ExecutionGraph([{ id: 'a', depends_on: ['missing'] }])).toThrow(PlanGraphError);
+    expect(() => new ExecutionGraph([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate step id: a');
+
+    let error;
+    try {
+      new ExecutionGraph([{ id: 'a', depends_on: ['b'] }, { id: 'b', depends_on: ['a'] }]);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.code).toBe('ERR_INVALID_PLAN_GRAPH');
+    expect(error.details.steps).toEqual(['a', 'b']);
+  });
+
+  it('should run independent steps concurrently and dependents after them', async () => {
+    const graph = new ExecutionGraph([
+      { id: 'marriott', tool: 'search_loyalty' },
+      { id: 'hilton', tool: 'search_loyalty' },
+      { id: 'compare', tool: 'compare', depends_on: ['marriott', 'hilton'] }
+    ]);
+    let running = 0;
+    let maxRunning = 0;
+    const executeStep = async (step) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running -= 1;
+      return succeed(step);
+    };
+
+    const events = await collect(graph.run(executeStep));
+
+    expect(maxRunning).toBe(2);
+    expect(events.map(event => `${event.type}:${event.data.step_id}`)).toEqual([
+      'step_start:marriott',
+      'step_start:hilton',
+      'step_result:marriott',
+      'step_result:hilton',
+      'step_start:compare',
+      'step_result:compare'
+    ]);
+  });
+
+  it('should respect the concurrency limit', async () => {
+    const graph = new ExecutionGraph([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+    let running = 0;
+    let maxRunning = 0;
+    const executeStep = async (step) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running -= 1;
+      return succeed(step);
+    };
+
+    await collect(graph.run(executeStep, { concurrency: 1 }));
+
+    expect(maxRunning).toBe(1);
+  });
+
+  it('should skip dependents of a failed step unless it was optional', async () => {
+    const graph = new ExecutionGraph([
+      { id: 'search' },
+      { id: 'reviews', optional: true },
+      { id: 'rank', depends_on: ['search'] },
+      { id: 'summarize', depends_on: ['reviews'] }
+    ]);
+    const executeStep = async (step) => {
+      if (step.id === 'search') {
+        throw new Error('source down');
+      }
+      if (step.id === 'reviews') {
+        return { step_id: step.id, success: false, error: 'no reviews' };
+      }
+      return succeed(step);
+    };
+
+    const events = await collect(graph.run(executeStep));
+    const results = Object.fromEntries(events
+      .filter(event => event.type === 'step_result')
+      .map(event => [event.data.step_id, event.data]));
+
+    expect(results.search).toMatchObject({ success: false, error: 'source down' });
+    expect(results.rank).toMatchObject({ success: false, skipped: true, error: 'Skipped because step search failed' });
+    expect(results.summarize.success).toBe(true);
+  });
+
+  it('should not re-run completed steps and pass their output to dependents', async () => {
+    const graph = new ExecutionGraph([
+      { id: 'search' },
+      { id: 'rank', depends_on: ['search'], parameters: { hotels: '{{search.result.value}}' } }
+    ]);
+    const executeStep = jest.fn(succeed);
+
+    const events = await collect(graph.run(executeStep, {
+      completed: { search: { step_id: 'search', success: true, result: { value: ['h1'] } } }
+    }));
+
+    expect(events[0]).toEqual({ type: 'step_result', data: expect.objectContaining({ step_id: 'search', restored: true }) });
+    expect(executeStep).toHaveBeenCalledTimes(1);
+    expect(executeStep.mock.calls[0][0].parameters).toEqual({ hotels: ['h1'] });
+  });
+});
+
+describe('resolveStepParameters', () => {
+  it('should resolve references and leave other values alone', () => {
+    const results = { step_1: { result: { hotels: [1, 2] } } };
+
+    expect(resolveStepParameters({
+      all: '{{step_1}}',
+      hotels: '{{ step_1.result.hotels }}',
+      list: ['{{step_1.result.hotels}}', 'plain'],
+      unknown: '{{step_9.result}}',
+      text: 'see {{step_1}}'
+    }, results)).toEqual({
+      all: { hotels: [1, 2] },
+      hotels: [1, 2],
+      list: [[1, 2], 'plain'],
+      unknown: '{{step_9.result}}',
+      text: 'see {{step_1}}'
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const ExecutorAgent = require('../agents/executor-agent');
+const { ToolManager } = require('../mcp/tool-manager');
+
+describe('ExecutorAgent', () => {
+  const createExecutor = (llmResponse) => {
+    const toolManager = new ToolManager();
+    const search = jest.fn(async params => ({ hotels: [params.query] }));
+    toolManager.registerTool('search_hotels', search, {
+      type: 'object',
+      required: ['query'],
+      properties: { query: { type: 'string' } }
+    });
+    const llmProvider = { generateResponse: jest.fn().mockResolvedValue(llmResponse) };
+
+    return { executor: new ExecutorAgent(llmProvider, toolManager), llmProvider, search };
+  };
+
+  it('should send rejected parameters back to the LLM and use the corrected retry', async () => {
+    const { executor, llmProvider, search } = createExecutor('{"action": "retry", "details": {"query": "Paris"}}');
+
+    const result = await executor.executeStep({ id: 'step_1', tool: 'search_hotels', parameters: { query: 75001 } });
+
+    const prompt = llmProvider.generateResponse.mock.calls[0][0];
+    expect(prompt).toContain('parameters.query must be string');
+    expect(prompt).toContain('PARAMETER SCHEMA FOR search_hotels');
+    expect(search).toHaveBeenCalledWith({ query: 'Paris' });
+    expect(result).toMatchObject({ success: true, recovered: true, result: { hotels: ['Paris'] } });
+    expect(result.validation_errors[0]).toMatchObject({ path: 'parameters.query', keyword: 'type' });
+  });
+
+  it('should only attempt recovery once', async () => {
+    const { executor, llmProvider } = createExecutor('{"action": "retry", "details": {"query": 12}}');
+
+    const result = await executor.executeStep({ id: 'step_1', tool: 'search_hotels', parameters: { query: 75001 } });
+
+    expect(llmProvider.generateResponse).toHaveBeenCalledTimes(1);
+    expect(result.success).toBe(false);
+    expect(result.error_handling).toMatchObject({ step_id: 'step_1_retry', success: false });
+  });
+
+  it('should recover through a native tool call when the provider supports tool calling', async () => {
+    const { executor, llmProvider, search } = createExecutor(null);
+    llmProvider.generateWithTools = jest.fn().mockResolvedValue({
+      content: '',
+      toolCalls: [{ id: 'call_1', name: 'search_hotels', arguments: { query: 'Paris' } }]
+    });
+
+    const result = await executor.executeStep({ id: 'step_1', tool: 'search_hotels', parameters: { query: 75001 } });
+
+    const [, tools, options] = llmProvider.generateWithTools.mock.calls[0];
+    expect(tools.map(tool => tool.name)).toEqual(['search_hotels', 'skip_step', 'abort_plan']);
+    expect(options.toolChoice).toBe('required');
+    expect(llmProvider.generateResponse).not.toHaveBeenCalled();
+    expect(search).toHaveBeenCalledWith({ query: 'Paris' });
+    expect(result).toMatchObject({ success: true, recovered: true, error_handling: { step_id: 'step_1_retry' } });
+  });
+
+  it('should skip a step the LLM chooses to skip', async () => {
+    const { executor, llmProvider } = createExecutor(null);
+    llmProvider.generateWithTools = jest.fn().mockResolvedValue({
+      content: '',
+      toolCalls: [{ id: 'call_1', name: 'skip_step', arguments: { reason: 'No postcode search' } }]
+    });
+
+    const result = await executor.executeStep({ id: 'step_1', tool: 'search_hotels', parameters: { query: 75001 } });
+
+    expect(result).toMatchObject({ success: false, error_handling: { skipped: true, reason: 'No postcode search' } });
+  });
+});
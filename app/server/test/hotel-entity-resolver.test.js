@@ -0,0 +1,137 @@
+const {
+  HotelEntityResolver,
+  normalizeHotelName,
+  detectBrand,
+  haversineDistance
+} = require('../services/hotel-entity-resolver');
+
+describe('HotelEntityResolver', () => {
+  describe('helpers', () => {
+    it('should strip punctuation, accents and generic words from names', () => {
+      expect(normalizeHotelName('The Ritz-Carlton Hotel & Spa, Montréal'))
+        .toEqual(['ritz', 'carlton', 'montreal']);
+    });
+
+    it('should detect brands from loyalty program partner brands', () => {
+      expect(detectBrand({ name: 'Westin New York at Times Square' }))
+        .toEqual({ brand: 'Westin', loyaltyProgram: 'Marriott Bonvoy' });
+      expect(detectBrand({ name: 'Pod 51' })).toBeNull();
+    });
+
+    it('should compute great-circle distance in kilometres', () => {
+      const distance = haversineDistance(
+        { lat: 40.7580, lng: -73.9855 },
+        { lat: 40.7484, lng: -73.9857 }
+      );
+      expect(distance).toBeGreaterThan(1);
+      expect(distance).toBeLessThan(1.2);
+    });
+  });
+
+  describe('add', () => {
+    it('should merge the same property listed under different names', () => {
+      const resolver = new HotelEntityResolver();
+
+      resolver.add(
+        { name: 'The Westin Times Square', location: 'New York', price: 320, currency: 'USD' },
+        { source: 'Marriott Bonvoy', type: 'loyalty' }
+      );
+      const match = resolver.add(
+        { name: 'Westin New York at Times Square', location: 'New York', price: 299, currency: 'USD', link: 'https://expedia.example/westin' },
+        { source: 'Expedia', type: 'aggregator' }
+      );
+
+      expect(match.isNew).toBe(false);
+      expect(resolver.getHotels()).toHaveLength(1);
+
+      const [hotel] = resolver.getHotels();
+      expect(hotel.name).toBe('The Westin Times Square');
+      expect(hotel.brand).toBe('Westin');
+      expect(hotel.loyaltyProgram).toBe('Marriott Bonvoy');
+      expect(hotel.price).toBe(299);
+      expect(hotel.sources).toEqual(['Marriott Bonvoy', 'Expedia']);
+      expect(hotel.offers.map(o => o.source)).toEqual(['Expedia', 'Marriott Bonvoy']);
+      expect(hotel.offers[0].link).toBe('https://expedia.example/westin');
+    });
+
+    it('should keep different brands apart even when names overlap', () => {
+      const resolver = new HotelEntityResolver();
+
+      resolver.add({ name: 'Westin Times Square', location: 'New York' }, { source: 'Expedia', type: 'aggregator' });
+      resolver.add({ name: 'Sheraton Times Square', location: 'New York' }, { source: 'Kayak', type: 'aggregator' });
+
+      expect(resolver.getHotels()).toHaveLength(2);
+    });
+
+    it('should keep hotels apart when they are far from each other', () => {
+      const resolver = new HotelEntityResolver();
+
+      resolver.add(
+        { name: 'Grand Hyatt', location: 'New York', coordinates: { lat: 40.7522, lng: -73.9767 } },
+        { source: 'World of Hyatt', type: 'loyalty' }
+      );
+      resolver.add(
+        { name: 'Grand Hyatt', location: 'New York', coordinates: { lat: 40.6413, lng: -73.7781 } },
+        { source: 'Kayak', type: 'aggregator' }
+      );
+
+      expect(resolver.getHotels()).toHaveLength(2);
+    });
+
+    it('should use geo and address evidence to match differently named records', () => {
+      const resolver = new HotelEntityResolver();
+
+      resolver.add(
+        { name: 'Park Hyatt Tokyo', location: 'Tokyo', address: '3-7-1-2 Nishi Shinjuku', coordinates: { lat: 35.6856, lng: 139.6907 } },
+        { source: 'World of Hyatt', type: 'loyalty' }
+      );
+      resolver.add(
+        { name: 'Park Hyatt Shinjuku', location: 'Tokyo', address: '3-7-1-2 Nishi-Shinjuku, Shinjuku-ku', latitude: 35.6857, longitude: 139.6908 },
+        { source: 'Booking.com', type: 'aggregator' }
+      );
+
+      expect(resolver.getHotels()).toHaveLength(1);
+      expect(resolver.getHotels()[0].matchConfidence).toBeGreaterThanOrEqual(0.75);
+    });
+
+    it('should prefer direct booking details for the canonical record', () => {
+      const resolver = new HotelEntityResolver();
+
+      resolver.add({ name: 'Conrad New York', location: 'New York', stars: 4 }, { source: 'Kayak', type: 'aggregator' });
+      resolver.add({ name: 'Conrad New York Downtown', location: 'New York', stars: 5 }, { source: 'Hilton.com', type: 'direct' });
+
+      const [hotel] = resolver.getHotels();
+      expect(hotel.name).toBe('Conrad New York Downtown');
+      expect(hotel.source).toBe('Hilton.com');
+      expect(hotel.stars).toBe(5);
+    });
+
+    it('should give same-name hotels in the same city their own IDs', () => {
+      const resolver = new HotelEntityResolver();
+      const kayak = { source: 'Kayak', type: 'aggregator' };
+
+      resolver.add({ id: 'k-101', name: 'Hampton Inn', location: 'Chicago', price: 180 }, kayak);
+      resolver.add({ id: 'k-202', name: 'Hampton Inn', location: 'Chicago', price: 150 }, kayak);
+      resolver.add({ name: 'Hampton Inn', location: 'Chicago', coordinates: { lat: 41.8919, lng: -87.6278 } }, kayak);
+      resolver.add({ name: 'Hampton Inn', location: 'Chicago' }, kayak);
+      resolver.add({ name: 'Hampton Inn', location: 'Chicago' }, kayak);
+
+      const hotels = resolver.getHotels();
+      expect(hotels).toHaveLength(5);
+      expect(new Set(hotels.map(hotel => hotel.id)).size).toBe(5);
+      expect(hotels[0].offers.map(offer => offer.price)).toEqual([180]);
+      expect(hotels[4].id).toBe(`${hotels[3].id}_2`);
+    });
+
+    it('should keep the same ID for a hotel across searches', () => {
+      const search = () => {
+        const resolver = new HotelEntityResolver();
+        resolver.add({ id: 'k-101', name: 'Hampton Inn', location: 'Chicago' }, { source: 'Kayak', type: 'aggregator' });
+        resolver.add({ id: 'k-202', name: 'Hampton Inn', location: 'Chicago' }, { source: 'Kayak', type: 'aggregator' });
+        return resolver.getHotels().map(hotel => hotel.id);
+      };
+
+      expect(search()).toEqual(search());
+    });
+  });
+});
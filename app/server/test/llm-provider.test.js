@@ -0,0 +1,479 @@
+jest.mock('axios');
+jest.mock('../services/analytics-service', () => ({
+  trackEvent: jest.fn(),
+  trackError: jest.fn()
+}));
+
+const axios = require('axios');
+const llmProvider = require('../services/llm-provider');
+
+const tools = [{
+  name: 'maps.geocode',
+  description: 'Geocode an address',
+  parameters: {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    required: ['address'],
+    properties: { address: { type: 'string' }, region: { type: ['string', 'null'], default: null } },
+    additionalProperties: false
+  }
+}];
+
+// One round trip: the model called geocode, the result went back
+const conversation = [
+  { role: 'system', content: 'You plan hotel searches.' },
+  { role: 'user', content: 'Hotels near the Louvre' },
+  { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'maps.geocode', arguments: { address: 'Louvre' } }] },
+  { role: 'tool', toolCallId: 'call_1', content: { lat: 48.86, lng: 2.34 } }
+];
+
+describe('LLMProvider generateWithTools', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockReset();
+    llmProvider.initialized = true;
+    llmProvider.fallbackEnabled = false;
+    llmProvider.clients = {
+      claude: { baseURL: 'https://claude.test', headers: {} },
+      gemini: { baseURL: 'https://gemini.test', apiKey: 'key' },
+      ollama: { baseURL: 'http://ollama.test' }
+    };
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should map tools and messages onto OpenAI function calling', async () => {
+    const createChatCompletion = jest.fn().mockResolvedValue({
+      data: {
+        choices: [{
+          finish_reason: 'tool_calls',
+          message: { content: null, tool_calls: [{ id: 'call_2', type: 'function', function: { name: 'maps_geocode', arguments: '{"address":"Orsay"}' } }] }
+        }],
+        usage: { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60 }
+      }
+    });
+    llmProvider.clients.openai = { createChatCompletion };
+
+    const result = await llmProvider.generateWithTools(conversation, tools, { provider: 'openai', toolChoice: 'required' });
+
+    const request = createChatCompletion.mock.calls[0][0];
+    expect(request.tools[0]).toEqual({ type: 'function', function: { name: 'maps_geocode', description: 'Geocode an address', parameters: tools[0].parameters } });
+    expect(request.tool_choice).toBe('required');
+    expect(request.messages[2].tool_calls[0]).toEqual({ id: 'call_1', type: 'function', function: { name: 'maps_geocode', arguments: '{"address":"Louvre"}' } });
+    expect(request.messages[3]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"lat":48.86,"lng":2.34}' });
+    expect(result).toEqual({
+      content: '',
+      toolCalls: [{ id: 'call_2', name: 'maps.geocode', arguments: { address: 'Orsay' } }],
+      stopReason: 'tool_calls',
+      usage: { input: 50, output: 10, total: 60 },
+      provider: 'openai',
+      model: llmProvider.model
+    });
+  });
+
+  it('should map tools and messages onto Claude tool use', async () => {
+    axios.post.mockResolvedValue({
+      data: {
+        content: [{ type: 'text', text: 'Searching near it.' }, { type: 'tool_use', id: 'toolu_1', name: 'maps_geocode', input: { address: 'Orsay' } }],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 40, output_tokens: 12 }
+      }
+    });
+
+    const result = await llmProvider.generateWithTools(conversation, tools, { provider: 'claude', toolChoice: { name: 'maps.geocode' } });
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('https://claude.test/v1/messages');
+    expect(body.system).toBe('You plan hotel searches.');
+    expect(body.tools[0]).toEqual({ name: 'maps_geocode', description: 'Geocode an address', input_schema: tools[0].parameters });
+    expect(body.tool_choice).toEqual({ type: 'tool', name: 'maps_geocode' });
+    expect(body.messages).toEqual([
+      { role: 'user', content: 'Hotels near the Louvre' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'maps_geocode', input: { address: 'Louvre' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"lat":48.86,"lng":2.34}' }] }
+    ]);
+    expect(result).toMatchObject({
+      content: 'Searching near it.',
+      toolCalls: [{ id: 'toolu_1', name: 'maps.geocode', arguments: { address: 'Orsay' } }],
+      stopReason: 'tool_calls',
+      usage: { input: 40, output: 12, total: 52 }
+    });
+  });
+
+  it('should map tools and messages onto Gemini function declarations', async () => {
+    axios.post.mockResolvedValue({
+      data: {
+        candidates: [{ finishReason: 'STOP', content: { parts: [{ functionCall: { name: 'maps_geocode', args: { address: 'Orsay' } } }] } }],
+        usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 5, totalTokenCount: 35 }
+      }
+    });
+
+    const result = await llmProvider.generateWithTools(conversation, tools, { provider: 'gemini', toolChoice: 'auto' });
+
+    const body = axios.post.mock.calls[0][1];
+    expect(body.systemInstruction).toEqual({ parts: [{ text: 'You plan hotel searches.' }] });
+    expect(body.tools[0].functionDeclarations[0].parameters).toEqual({
+      type: 'object',
+      required: ['address'],
+      properties: { address: { type: 'string' }, region: { type: 'string', nullable: true } }
+    });
+    expect(body.toolConfig).toEqual({ functionCallingConfig: { mode: 'AUTO' } });
+    expect(body.contents.slice(1)).toEqual([
+      { role: 'model', parts: [{ functionCall: { name: 'maps_geocode', args: { address: 'Louvre' } } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'maps_geocode', response: { content: { lat: 48.86, lng: 2.34 } } } }] }
+    ]);
+    expect(result.toolCalls).toEqual([{ id: 'call_0', name: 'maps.geocode', arguments: { address: 'Orsay' } }]);
+    expect(result.stopReason).toBe('tool_calls');
+  });
+
+  it('should map tools and messages onto Ollama chat tools', async () => {
+    axios.post.mockResolvedValue({
+      data: {
+        message: { role: 'assistant', content: 'The Louvre is in the 1st arrondissement.' },
+        done_reason: 'stop',
+        prompt_eval_count: 20,
+        eval_count: 9
+      }
+    });
+
+    const result = await llmProvider.generateWithTools(conversation, tools, { provider: 'ollama' });
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('http://ollama.test/api/chat');
+    expect(body.stream).toBe(false);
+    expect(body.tools[0].function.name).toBe('maps_geocode');
+    expect(body.messages[2].tool_calls).toEqual([{ function: { name: 'maps_geocode', arguments: { address: 'Louvre' } } }]);
+    expect(result).toMatchObject({
+      content: 'The Louvre is in the 1st arrondissement.',
+      toolCalls: [],
+      stopReason: 'stop',
+      usage: { input: 20, output: 9, total: 29 }
+    });
+  });
+
+  it('should flag tool call arguments that are not valid JSON', async () => {
+    llmProvider.clients.openai = {
+      createChatCompletion: jest.fn().mockResolvedValue({
+        data: { choices: [{ finish_reason: 'tool_calls', message: { tool_calls: [{ id: 'c', function: { name: 'maps_geocode', arguments: '{"address":' } }] } }] }
+      })
+    };
+
+    const { toolCalls } = await llmProvider.generateWithTools('Where is the Louvre?', tools, { provider: 'openai' });
+
+    expect(toolCalls[0]).toMatchObject({ name: 'maps.geocode', arguments: null, error: expect.stringContaining('Invalid JSON arguments') });
+  });
+
+  it('should try the fallback providers when the provider fails', async () => {
+    llmProvider.fallbackEnabled = true;
+    llmProvider.fallbackProviders = ['ollama'];
+    axios.post
+      .mockRejectedValueOnce(new Error('Claude overloaded'))
+      .mockResolvedValueOnce({ data: { message: { content: 'ok' }, done_reason: 'stop' } });
+
+    const result = await llmProvider.generateWithTools('Hi', tools, { provider: 'claude' });
+
+    expect(result).toMatchObject({ provider: 'ollama', content: 'ok' });
+  });
+});
+
+describe('LLMProvider generateStructured', () => {
+  const schema = {
+    type: 'object',
+    required: ['location', 'guests'],
+    properties: {
+      location: { type: 'string' },
+      guests: { type: 'integer', minimum: 1 },
+      rooms: { type: 'integer', default: 1 }
+    }
+  };
+
+  const openAIReplies = (...contents) => {
+    const createChatCompletion = jest.fn();
+    contents.forEach(content => createChatCompletion.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } }));
+    llmProvider.clients = { openai: { createChatCompletion } };
+    return createChatCompletion;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockReset();
+    llmProvider.initialized = true;
+    llmProvider.provider = 'openai';
+    llmProvider.resetMetrics();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should request the provider JSON mode and fill in schema defaults', async () => {
+    const createChatCompletion = openAIReplies('{"location":"Lisbon","guests":2}');
+
+    const result = await llmProvider.generateStructured('Extract the search', schema, { schemaName: 'search' });
+
+    expect(result).toEqual({ location: 'Lisbon', guests: 2, rooms: 1 });
+    expect(createChatCompletion.mock.calls[0][0].response_format).toEqual({ type: 'json_schema', json_schema: { name: 'search', schema } });
+    expect(llmProvider.getMetrics().structured).toMatchObject({ requests: 1, succeeded: 1, retries: 0 });
+  });
+
+  it('should re-prompt with the validation errors until the response matches', async () => {
+    const createChatCompletion = openAIReplies('not json', '{"location":"Lisbon","guests":0}', '{"location":"Lisbon","guests":2}');
+
+    const result = await llmProvider.generateStructured('Extract the search', schema);
+
+    expect(result.guests).toBe(2);
+    expect(createChatCompletion).toHaveBeenCalledTimes(3);
+    const lastPrompt = createChatCompletion.mock.calls[2][0].messages[0].content;
+    expect(lastPrompt).toContain('PREVIOUS RESPONSE:\n{"location":"Lisbon","guests":0}');
+    expect(lastPrompt).toContain('/guests must be >= 1');
+    expect(llmProvider.getMetrics().structured).toMatchObject({
+      requests: 1,
+      succeeded: 1,
+      retries: 2,
+      parseFailures: 1,
+      validationFailures: 1,
+      parseFailureRate: (1 / 3) * 100
+    });
+  });
+
+  it('should throw a StructuredOutputError once the retries run out', async () => {
+    openAIReplies('{"location":"Lisbon"}', '{"location":"Lisbon"}');
+
+    const error = await llmProvider.generateStructured('Extract the search', schema, { maxRetries: 1 }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(llmProvider.StructuredOutputError);
+    expect(error.code).toBe('ERR_STRUCTURED_OUTPUT');
+    expect(error.errors).toEqual([{ path: '', message: "response must have required property 'guests'" }]);
+    expect(error.raw).toBe('{"location":"Lisbon"}');
+    expect(llmProvider.getMetrics().structured).toMatchObject({ requests: 1, failed: 1, validationFailures: 2 });
+  });
+
+  it('should force a tool call for Claude and use its input', async () => {
+    llmProvider.clients = { claude: { baseURL: 'https://claude.test', headers: {} } };
+    axios.post.mockResolvedValue({
+      data: { content: [{ type: 'tool_use', id: 'toolu_1', name: 'respond', input: { location: 'Lisbon', guests: 3 } }], stop_reason: 'tool_use' }
+    });
+
+    const result = await llmProvider.generateStructured('Extract the search', schema, { provider: 'claude' });
+
+    expect(result).toEqual({ location: 'Lisbon', guests: 3, rooms: 1 });
+    expect(axios.post.mock.calls[0][1].tool_choice).toEqual({ type: 'tool', name: 'respond' });
+  });
+
+  it('should ask Gemini and Ollama for JSON responses', async () => {
+    llmProvider.clients = { gemini: { baseURL: 'https://gemini.test', apiKey: 'key' }, ollama: { baseURL: 'http://ollama.test' } };
+    axios.post
+      .mockResolvedValueOnce({ data: { candidates: [{ content: { parts: [{ text: '{"location":"Porto","guests":1}' }] } }] } })
+      .mockResolvedValueOnce({ data: { response: '```json\n{"location":"Faro","guests":2}\n```' } });
+
+    await expect(llmProvider.generateStructured('Extract', schema, { provider: 'gemini' })).resolves.toMatchObject({ location: 'Porto' });
+    await expect(llmProvider.generateStructured('Extract', schema, { provider: 'ollama' })).resolves.toMatchObject({ location: 'Faro' });
+
+    expect(axios.post.mock.calls[0][1].generationConfig).toMatchObject({ responseMimeType: 'application/json', responseSchema: { type: 'object', required: ['location', 'guests'] } });
+    expect(axios.post.mock.calls[1][1]).toMatchObject({ stream: false, format: schema });
+  });
+});
+
+describe('LLMProvider chat messages', () => {
+  // About 100 tokens per turn with the four-characters-per-token estimate
+  const turn = (role, label) => ({ role, content: `${label} ${'x'.repeat(390)}` });
+  const history = [
+    { role: 'system', content: 'You are a hotel loyalty assistant.' },
+    turn('user', 'first'),
+    turn('assistant', 'second'),
+    turn('user', 'third'),
+    turn('assistant', 'fourth'),
+    { role: 'user', content: 'And in Rome?' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.post.mockReset();
+    llmProvider.initialized = true;
+    llmProvider.provider = 'claude';
+    llmProvider.fallbackEnabled = false;
+    llmProvider.clients = { claude: { baseURL: 'https://claude.test', headers: {} } };
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should send system prompts and earlier turns in the provider format', async () => {
+    axios.post.mockResolvedValue({ data: { content: [{ type: 'text', text: 'Try the St. Regis.' }] } });
+    const stored = [{ role: 'user', content: 'Hi', timestamp: new Date(), metadata: { source: 'voice' } }];
+
+    const reply = await llmProvider.generateResponse([{ role: 'system', content: 'Be brief.' }, ...stored, { role: 'assistant', content: 'Hello!' }, { role: 'user', content: 'Rome?' }]);
+
+    expect(reply).toBe('Try the St. Regis.');
+    expect(axios.post.mock.calls[0][1]).toMatchObject({
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }, { role: 'user', content: 'Rome?' }]
+    });
+  });
+
+  it('should use the chat endpoints of Gemini and Ollama', async () => {
+    llmProvider.clients = { gemini: { baseURL: 'https://gemini.test', apiKey: 'key' }, ollama: { baseURL: 'http://ollama.test' } };
+    axios.post
+      .mockResolvedValueOnce({ data: { candidates: [{ content: { parts: [{ text: 'Gemini answer' }] } }] } })
+      .mockResolvedValueOnce({ data: { message: { role: 'assistant', content: 'Ollama answer' } } });
+    const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }];
+
+    await expect(llmProvider.generateResponse(messages, { provider: 'gemini' })).resolves.toBe('Gemini answer');
+    await expect(llmProvider.generateResponse(messages, { provider: 'ollama' })).resolves.toBe('Ollama answer');
+
+    expect(axios.post.mock.calls[0][1]).toMatchObject({
+      systemInstruction: { parts: [{ text: 'Be brief.' }] },
+      contents: [{ role: 'user', parts: [{ text: 'Hi' }] }, { role: 'model', parts: [{ text: 'Hello!' }] }]
+    });
+    expect(axios.post.mock.calls[1][0]).toBe('http://ollama.test/api/chat');
+    expect(axios.post.mock.calls[1][1].messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' }
+    ]);
+  });
+
+  it('should look up context windows by model family', () => {
+    expect(llmProvider.getContextWindow('gpt-4o-mini')).toBe(128000);
+    expect(llmProvider.getContextWindow('gpt-4-0613')).toBe(8192);
+    expect(llmProvider.getContextWindow('claude-3-5-sonnet')).toBe(200000);
+    expect(llmProvider.getContextWindow('some-local-model')).toBe(4096);
+  });
+
+  it('should keep the newest turns that fit and drop the rest when not summarizing', async () => {
+    const { messages, dropped, summarized } = await llmProvider.fitToContextWindow(history, { contextWindow: 500, max_tokens: 300, summarize: false });
+
+    expect(dropped).toBe(3);
+    expect(summarized).toBe(false);
+    expect(messages.map(message => message.content.split(' ')[0])).toEqual(['You', 'fourth', 'And']);
+  });
+
+  it('should replace dropped turns with a summary', async () => {
+    axios.post.mockResolvedValue({ data: { content: [{ type: 'text', text: 'The user collects Marriott points.' }] } });
+
+    const { messages, summarized } = await llmProvider.fitToContextWindow(history, { contextWindow: 500, max_tokens: 300 });
+
+    expect(summarized).toBe(true);
+    expect(messages[1]).toEqual({ role: 'system', content: 'Summary of the earlier conversation:\nThe user collects Marriott points.' });
+    const summaryRequest = axios.post.mock.calls[0][1];
+    expect(summaryRequest.messages[0].content).toContain('user: first');
+    expect(summaryRequest.max_tokens).toBeLessThanOrEqual(300);
+  });
+
+  it('should keep a tool call together with its results', async () => {
+    const conversation = [
+      turn('user', 'first'),
+      { role: 'assistant', content: '', toolCalls: [{ id: 'c1', name: 'search_hotels', arguments: { query: 'Rome' } }] },
+      { role: 'tool', toolCallId: 'c1', content: 'y'.repeat(800) },
+      { role: 'user', content: 'Cheaper ones?' }
+    ];
+
+    const { messages } = await llmProvider.fitToContextWindow(conversation, { contextWindow: 500, max_tokens: 200, summarize: false });
+
+    expect(messages.map(message => message.role)).toEqual(['assistant', 'tool', 'user']);
+  });
+
+  it('should fit the conversation before generating a chat reply', async () => {
+    axios.post.mockResolvedValue({ data: { content: [{ type: 'text', text: 'Rome has three.' }] } });
+
+    const reply = await llmProvider.generateChat(history, { contextWindow: 500, max_tokens: 300, summarize: false });
+
+    expect(reply).toBe('Rome has three.');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][1].messages).toHaveLength(2);
+  });
+});
+
+describe('LLMProvider usage accounting', () => {
+  const { llmUsageService, MemoryUsageStore } = require('../services/llm-usage-service');
+  const { runWithContext } = require('../services/request-context');
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    llmUsageService.setStore(new MemoryUsageStore());
+    llmProvider.resetMetrics();
+    llmProvider.initialized = true;
+    llmProvider.provider = 'claude';
+    llmProvider.fallbackEnabled = false;
+    llmProvider.clients = { claude: { baseURL: 'https://claude.test', headers: {} } };
+  });
+
+  it('should price calls and attribute them to the user and correlation ID of the request', async () => {
+    axios.post.mockResolvedValue({ data: { content: [{ type: 'text', text: 'x'.repeat(4000) }] } });
+
+    await runWithContext({ correlationId: 'req-1', user: { id: 'u1', role: 'user' } }, () =>
+      llmProvider.generateResponse('y'.repeat(4000), { model: 'claude-3-5-sonnet-latest' }));
+
+    // 1000 tokens each way at $3 and $15 per million
+    await expect(llmUsageService.getRequestUsage('req-1')).resolves.toMatchObject({ cost: 0.018, inputTokens: 1000, outputTokens: 1000, calls: 1 });
+    await expect(llmUsageService.getUserUsage('u1', 'user')).resolves.toMatchObject({ daily: { cost: 0.018 } });
+    expect(llmProvider.getMetrics().costByModel).toEqual({ 'claude_claude-3-5-sonnet-latest': 0.018 });
+  });
+
+  it('should refuse calls over quota without calling the provider', async () => {
+    const guest = { id: 'guest:s1', role: 'guest' };
+    await llmUsageService.recordUsage({ provider: 'claude', model: 'claude-3-5-sonnet', usage: { input: 20000, output: 0 }, userId: guest.id, role: 'guest' });
+
+    await expect(llmProvider.generateResponse('Hi', { user: guest })).rejects.toMatchObject({ code: 'ERR_LLM_QUOTA_EXCEEDED', details: { scope: 'daily' } });
+    await expect(llmProvider.generateWithTools('Hi', tools, { user: guest })).rejects.toMatchObject({ code: 'ERR_LLM_QUOTA_EXCEEDED' });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
+
+describe('LLMProvider embeddings', () => {
+  const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    llmProvider.initialized = true;
+    llmProvider.provider = 'ollama';
+    llmProvider.embeddingProvider = 'ollama';
+    llmProvider.embeddingModel = null;
+    llmProvider.clients = {
+      gemini: { baseURL: 'https://gemini.test', apiKey: 'key' },
+      ollama: { baseURL: 'http://ollama.test' }
+    };
+  });
+
+  it('should embed one text at a time through Ollama /api/embeddings', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { embedding: [0.1, 0.2, 0.3] } })
+      .mockResolvedValueOnce({ data: { embedding: [0.3, 0.2, 0.1] } });
+
+    const result = await llmProvider.generateEmbeddings(['Paris hotels', 'Rome hotels']);
+
+    expect(result).toMatchObject({ provider: 'ollama', model: 'nomic-embed-text', dimension: 3, embeddings: [[0.1, 0.2, 0.3], [0.3, 0.2, 0.1]] });
+    expect(axios.post).toHaveBeenCalledWith('http://ollama.test/api/embeddings', { model: 'nomic-embed-text', prompt: 'Paris hotels' });
+  });
+
+  it('should batch Gemini embeddings', async () => {
+    axios.post.mockResolvedValueOnce({ data: { embeddings: [{ values: [1, 0] }, { values: [0, 1] }] } });
+
+    const result = await llmProvider.generateEmbeddings(['a', 'b'], { provider: 'gemini' });
+
+    expect(result).toMatchObject({ provider: 'gemini', model: 'text-embedding-004', dimension: 2 });
+    expect(axios.post.mock.calls[0][0]).toBe('https://gemini.test/v1beta/models/text-embedding-004:batchEmbedContents?key=key');
+    expect(axios.post.mock.calls[0][1].requests[1]).toEqual({ model: 'models/text-embedding-004', content: { parts: [{ text: 'b' }] } });
+  });
+
+  it('should make deterministic local embeddings where shared words mean similar vectors', async () => {
+    const { embeddings, dimension, model } = await llmProvider.generateEmbeddings(
+      ['Marriott Bonvoy points in Paris', 'Marriott Bonvoy points in Paris', 'Marriott points for Paris hotels', 'Cheap ferry to Sardinia'],
+      { provider: 'local' }
+    );
+
+    expect(model).toBe('hash-256');
+    expect(dimension).toBe(256);
+    expect(embeddings[0]).toEqual(embeddings[1]);
+    expect(cosine(embeddings[0], embeddings[0])).toBeCloseTo(1);
+    expect(cosine(embeddings[0], embeddings[2])).toBeGreaterThan(cosine(embeddings[0], embeddings[3]));
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('should refuse providers without an embeddings API', async () => {
+    await expect(llmProvider.generateEmbeddings('hi', { provider: 'claude' })).rejects.toThrow('LLM_EMBEDDING_PROVIDER');
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../services/analytics-service', () => ({
+  trackEvent: jest.fn(),
+  trackError: jest.fn()
+}));
+
+const { LLMUsageService, MemoryUsageStore, RedisUsageStore, errors } = require('../services/llm-usage-service');
+const { runWithContext } = require('../services/request-context');
+
+const pricing = {
+  currency: 'USD',
+  prices: {
+    openai: {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      default: { input: 30, output: 60 }
+    },
+    ollama: { default: { input: 0, output: 0 } }
+  },
+  budget: { daily: null, monthly: null }
+};
+
+const quotas = {
+  user: { dailyCost: 0.01, monthlyCost: 1, requestTokens: 5000 },
+  superadmin: { dailyCost: null, monthlyCost: null, requestTokens: null }
+};
+
+const createService = (options = {}) => new LLMUsageService({
+  store: new MemoryUsageStore(),
+  pricing,
+  getQuota: role => quotas[role] || quotas.user,
+  ...options
+});
+
+describe('LLMUsageService', () => {
+  it('should price models by their longest matching prefix', () => {
+    const service = createService();
+
+    expect(service.calculateCost('openai', 'gpt-4o-mini-2024-07-18', { input: 1000000, output: 1000000 })).toBe(0.75);
+    expect(service.calculateCost('openai', 'gpt-4o', { input: 2000, output: 1000 })).toBe(0.015);
+    expect(service.calculateCost('openai', 'o9-preview', { input: 1000, output: 0 })).toBe(0.03);
+    expect(service.calculateCost('ollama', 'llama2', { input: 5000, output: 5000 })).toBe(0);
+    expect(service.calculateCost('unknown', 'model', { input: 5000, output: 5000 })).toBe(0);
+  });
+
+  it('should attribute calls to the user and correlation ID of the request context', async () => {
+    const service = createService();
+
+    const attribution = await runWithContext({ correlationId: 'req-1', user: { _id: 'u1', role: 'user' } }, async () => service.resolveAttribution());
+
+    expect(attribution).toEqual({ userId: 'u1', role: 'user', correlationId: 'req-1' });
+    expect(service.resolveAttribution({ user: { id: 'u2', role: 'admin' }, correlationId: 'req-2' })).toEqual({ userId: 'u2', role: 'admin', correlationId: 'req-2' });
+    expect(service.resolveAttribution()).toEqual({ userId: null, role: null, correlationId: null });
+  });
+
+  it('should total usage per user, request, model and day', async () => {
+    const service = createService();
+    const call = { provider: 'openai', model: 'gpt-4o', userId: 'u1', role: 'user', correlationId: 'req-1' };
+
+    const record = await service.recordUsage({ ...call, usage: { input: 2000, output: 1000, total: 3000 } });
+    await service.recordUsage({ ...call, usage: { input: 1000, output: 500, total: 1500 }, operation: 'stream' });
+    await service.recordUsage({ provider: 'ollama', model: 'llama2', usage: { input: 100, output: 100, total: 200 } });
+
+    expect(record).toMatchObject({ correlationId: 'req-1', userId: 'u1', cost: 0.015, tokens: 3000, operation: 'generate' });
+    await expect(service.getRequestUsage('req-1')).resolves.toEqual({ cost: 0.0225, inputTokens: 3000, outputTokens: 1500, tokens: 4500, calls: 2 });
+
+    const usage = await service.getUserUsage('u1', 'user');
+    expect(usage.daily).toMatchObject({ cost: 0.0225, calls: 2, limit: 0.01, remaining: 0 });
+    expect(usage.monthly).toMatchObject({ cost: 0.0225, limit: 1, remaining: 0.9775 });
+
+    const dashboard = await service.getDashboard({ days: 7, limit: 5 });
+    expect(dashboard.daily).toHaveLength(7);
+    expect(dashboard.today).toMatchObject({ cost: 0.0225, tokens: 4700, calls: 3 });
+    expect(dashboard.month).toMatchObject({ cost: 0.0225, calls: 3 });
+    expect(dashboard.models.map(model => [model.model, model.calls])).toEqual([['openai/gpt-4o', 2], ['ollama/llama2', 1]]);
+    expect(dashboard.users).toEqual([expect.objectContaining({ userId: 'u1', cost: 0.0225 })]);
+    expect(dashboard.recent[0]).toMatchObject({ provider: 'ollama', userId: null });
+  });
+
+  it('should refuse calls once a user has spent their daily quota', async () => {
+    const service = createService();
+    const user = { userId: 'u1', role: 'user' };
+
+    await expect(service.checkQuota(user)).resolves.toBeUndefined();
+    await service.recordUsage({ ...user, provider: 'openai', model: 'gpt-4o', usage: { input: 4000, output: 0 } });
+
+    await expect(service.checkQuota(user)).rejects.toMatchObject({
+      code: 'ERR_LLM_QUOTA_EXCEEDED',
+      statusCode: 429,
+      details: { scope: 'daily', limit: 0.01, used: 0.01, resetsAt: expect.stringMatching(/T00:00:00.000Z$/) }
+    });
+    await expect(service.checkQuota({ userId: 'u2', role: 'user' })).resolves.toBeUndefined();
+    await expect(service.checkQuota({ userId: 'u1', role: 'superadmin' })).resolves.toBeUndefined();
+  });
+
+  it('should stop a request that has used its token budget', async () => {
+    const service = createService();
+    const call = { userId: 'u1', role: 'user', correlationId: 'run-1', provider: 'ollama', model: 'llama2' };
+
+    for (let loop = 0; loop < 5; loop++) {
+      await service.recordUsage({ ...call, usage: { input: 900, output: 100 } });
+    }
+
+    const error = await service.checkQuota(call).catch(quotaError => quotaError);
+    expect(error).toBeInstanceOf(errors.LLMQuotaExceededError);
+    expect(error.details).toMatchObject({ scope: 'request', limit: 5000, used: 5000, resetsAt: null });
+    await expect(service.checkQuota({ ...call, correlationId: 'run-2' })).resolves.toBeUndefined();
+  });
+
+  it('should hold calls without a user to the overall budget', async () => {
+    const service = createService({ pricing: { ...pricing, budget: { daily: 0.01, monthly: null } } });
+
+    await service.recordUsage({ provider: 'openai', model: 'gpt-4o', usage: { input: 0, output: 1000 } });
+
+    await expect(service.checkQuota({})).rejects.toMatchObject({ details: { scope: 'budget_daily' } });
+  });
+
+  it('should keep counters in Redis', async () => {
+    const exec = jest.fn(async () => []);
+    const multi = {};
+    ['hIncrByFloat', 'expire', 'zIncrBy', 'lPush', 'lTrim'].forEach(method => {
+      multi[method] = jest.fn(() => multi);
+    });
+    multi.exec = exec;
+    const client = {
+      multi: () => multi,
+      hGetAll: jest.fn(async () => ({ cost: '0.015', tokens: '3000', calls: '1' })),
+      zRangeWithScores: jest.fn(async () => [{ value: 'u1', score: 0.015 }])
+    };
+    const service = createService({ store: new RedisUsageStore(client) });
+
+    await service.recordUsage({ provider: 'openai', model: 'gpt-4o', usage: { input: 2000, output: 1000 }, userId: 'u1', role: 'user', correlationId: 'req-1' });
+
+    expect(multi.hIncrByFloat).toHaveBeenCalledWith('llm:usage:request:req-1', 'cost', 0.015);
+    expect(multi.zIncrBy).toHaveBeenCalledWith(expect.stringMatching(/^llm:usage:users:month:/), 0.015, 'u1');
+    expect(multi.lTrim).toHaveBeenCalledWith('llm:usage:recent', 0, 999);
+    await expect(service.getRequestUsage('req-1')).resolves.toEqual({ cost: 0.015, inputTokens: 0, outputTokens: 0, tokens: 3000, calls: 1 });
+  });
+});
@@ -0,0 +1,222 @@
+const express = require('express');
+const { ToolManager } = require('../mcp/tool-manager');
+const { McpServer } = require('../mcp/mcp-server');
+const { createMcpRouter } = require('../mcp/http-transport');
+const { McpClient, McpClientError, HttpClientTransport, StdioClientTransport } = require('../mcp/mcp-client');
+
+const admin = { id: 'a1', role: 'superadmin' };
+
+// A maps tool server built on our own MCP server
+const createMapsServer = () => {
+  const toolManager = new ToolManager();
+  toolManager.registerTool('geocode', async ({ address }) => {
+    if (address === 'nowhere') {
+      throw new Error('Address not found');
+    }
+    return { lat: 48.8566, lng: 2.3522 };
+  }, {
+    type: 'object',
+    required: ['address'],
+    properties: { address: { type: 'string' } },
+    additionalProperties: false
+  }, { description: 'Geocode an address' });
+  toolManager.registerTool('distance', async () => 'about 3 km', { type: 'object' }, { description: 'Distance between points' });
+  toolManager.registerTool('slow', () => new Promise(resolve => setTimeout(() => resolve({}), 500)), { type: 'object' });
+
+  return new McpServer(toolManager);
+};
+
+// In-process transport that hands messages straight to a server
+const createLoopbackTransport = (server) => ({
+  start: jest.fn(async () => {}),
+  send: jest.fn(message => server.handleMessage(message, { user: admin })),
+  close: jest.fn(async () => {})
+});
+
+describe('McpClient', () => {
+  it('should initialize, list and call tools', async () => {
+    const transport = createLoopbackTransport(createMapsServer());
+    const client = new McpClient(transport, { name: 'maps' });
+
+    const result = await client.connect();
+    expect(result.protocolVersion).toBe('2025-06-18');
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ method: 'notifications/initialized' }), expect.any(Object));
+
+    const tools = await client.listTools();
+    expect(tools.map(tool => tool.name)).toEqual(['geocode', 'distance', 'slow']);
+
+    await expect(client.callTool('geocode', { address: 'Paris' })).resolves.toEqual({ lat: 48.8566, lng: 2.3522 });
+    await expect(client.callTool('distance', {})).resolves.toBe('about 3 km');
+  });
+
+  it('should follow tools/list pagination', async () => {
+    const pages = {
+      undefined: { tools: [{ name: 'a' }], nextCursor: 'page2' },
+      page2: { tools: [{ name: 'b' }] }
+    };
+    const client = new McpClient({
+      send: async ({ id, params }) => ({ jsonrpc: '2.0', id, result: pages[params.cursor] })
+    });
+
+    const tools = await client.listTools();
+
+    expect(tools.map(tool => tool.name)).toEqual(['a', 'b']);
+  });
+
+  it('should raise typed errors for tool failures and JSON-RPC errors', async () => {
+    const client = new McpClient(createLoopbackTransport(createMapsServer()), { name: 'maps' });
+    await client.connect();
+
+    await expect(client.callTool('geocode', { address: 'nowhere' })).rejects.toMatchObject({
+      name: 'McpClientError',
+      code: 'ERR_MCP_TOOL',
+      message: 'Address not found'
+    });
+    await expect(client.callTool('missing', {})).rejects.toMatchObject({
+      code: 'ERR_MCP_RPC',
+      details: { error: { code: -32602 } }
+    });
+  });
+
+  it('should talk to a streamable HTTP server', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/mcp', createMcpRouter(createMapsServer(), { authenticate: async req => (req.get('Authorization') === 'Bearer token' ? admin : null) }));
+    const httpServer = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    try {
+      const url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+      const client = new McpClient(new HttpClientTransport({ url, headers: { Authorization: 'Bearer token' } }), { name: 'maps' });
+      await client.connect();
+
+      await expect(client.callTool('geocode', { address: 'Paris' })).resolves.toEqual({ lat: 48.8566, lng: 2.3522 });
+      await expect(client.callTool('slow', {}, { timeoutMs: 50 })).rejects.toMatchObject({ code: 'ERR_MCP_TIMEOUT' });
+      await client.close();
+
+      const anonymous = new McpClient(new HttpClientTransport({ url }), { name: 'maps' });
+      await expect(anonymous.connect()).rejects.toMatchObject({ code: 'ERR_MCP_RPC' });
+    } finally {
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  });
+
+  it('should run a stdio server as a child process and time out calls', async () => {
+    // Answers tools/call after `delay` ms
+    const script = `
+      const readline = require('readline');
+      readline.createInterface({ input: process.stdin }).on('line', line => {
+        const { id, method, params } = JSON.parse(line);
+        if (id === undefined) return;
+        const result = method === 'initialize'
+          ? { protocolVersion: '2025-06-18', capabilities: { tools: {} }, serverInfo: { name: 'echo' } }
+          : { content: [{ type: 'text', text: JSON.stringify(params.arguments) }] };
+        setTimeout(() => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\\n'), (params.arguments || {}).delay || 0);
+      });
+    `;
+    const client = new McpClient(new StdioClientTransport({ command: process.execPath, args: ['-e', script] }), { name: 'echo', timeoutMs: 2000 });
+
+    try {
+      await client.connect();
+      expect(client.serverInfo).toEqual({ name: 'echo' });
+
+      await expect(client.callTool('echo', { city: 'Rome' })).resolves.toEqual({ city: 'Rome' });
+      await expect(client.callTool('echo', { delay: 300 }, { timeoutMs: 50 })).rejects.toBeInstanceOf(McpClientError);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('should fail at once when the stdio command does not exist', async () => {
+    const transport = new StdioClientTransport({ command: 'staycrest-no-such-mcp-server' });
+    const client = new McpClient(transport, { name: 'missing', timeoutMs: 10000 });
+    const startedAt = Date.now();
+
+    await expect(client.connect()).rejects.toMatchObject({ code: 'ERR_MCP_TRANSPORT', message: expect.stringContaining('ENOENT') });
+    await expect(client.listTools()).rejects.toMatchObject({ code: 'ERR_MCP_TRANSPORT' });
+    expect(transport.child).toBeNull();
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
+
+describe('ToolManager MCP import', () => {
+  const connect = async (toolManager, options = {}) => {
+    const client = new McpClient(createLoopbackTransport(createMapsServer()), { name: 'maps' });
+    await client.connect();
+    return toolManager.importMcpTools(client, { namespace: 'maps', timeoutMs: 1000, ...options });
+  };
+
+  it('should register remote tools under a namespace and proxy calls', async () => {
+    const toolManager = new ToolManager();
+
+    const imported = await connect(toolManager);
+
+    expect(imported).toEqual(['maps.geocode', 'maps.distance', 'maps.slow']);
+    expect(toolManager.getToolDescription('maps.geocode')).toBe('Geocode an address');
+    await expect(toolManager.executeTool('maps.geocode', { address: 'Paris' })).resolves.toEqual({ lat: 48.8566, lng: 2.3522 });
+  });
+
+  it('should accept schemas declared as draft-07', async () => {
+    const toolManager = new ToolManager();
+    const client = {
+      listTools: async () => [{
+        name: 'convert',
+        inputSchema: { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object', properties: { amount: { type: 'number' } } }
+      }],
+      callTool: jest.fn(async () => ({ amount: 91 }))
+    };
+
+    await toolManager.importMcpTools(client, { namespace: 'currency', timeoutMs: 1000 });
+
+    expect(toolManager.getToolSchema('currency.convert')).not.toHaveProperty('$schema');
+    await expect(toolManager.executeTool('currency.convert', { amount: 100 })).resolves.toEqual({ amount: 91 });
+    expect(client.callTool).toHaveBeenCalledWith('convert', { amount: 100 }, { timeoutMs: 1000 });
+  });
+
+  it('should validate parameters locally before calling the server', async () => {
+    const toolManager = new ToolManager();
+    await connect(toolManager);
+
+    await expect(toolManager.executeTool('maps.geocode', { city: 'Paris' })).rejects.toMatchObject({ code: 'ERR_TOOL_INPUT_INVALID' });
+    expect(toolManager.checkParameters('maps.geocode', { address: 'Paris' }).valid).toBe(true);
+  });
+
+  it('should only import allowed tools and not shadow existing ones', async () => {
+    const toolManager = new ToolManager();
+    const local = jest.fn();
+    toolManager.registerTool('maps.distance', local, { type: 'object' });
+
+    const imported = await connect(toolManager, { tools: ['geocode', 'distance'] });
+
+    expect(imported).toEqual(['maps.geocode']);
+    await toolManager.executeTool('maps.distance', {});
+    expect(local).toHaveBeenCalled();
+  });
+
+  it('should report servers that fail to connect without stopping the others', async () => {
+    const toolManager = new ToolManager();
+
+    const results = await toolManager.connectMcpServers([
+      { namespace: 'bad name', transport: 'http', url: 'http://127.0.0.1:1/mcp' },
+      { namespace: 'calendar', transport: 'stdio', command: process.execPath, args: ['-e', 'process.exit(1)'] },
+      { namespace: 'currency', transport: 'http', url: 'http://127.0.0.1:1/mcp', enabled: false }
+    ], { timeoutMs: 1000 });
+
+    expect(results).toEqual([
+      { namespace: 'bad name', tools: [], error: 'Invalid MCP server namespace: bad name' },
+      { namespace: 'calendar', tools: [], error: expect.stringContaining('exited with code 1') }
+    ]);
+    expect(toolManager.getRegisteredTools()).toEqual([]);
+  });
+
+  it('should remove imported tools on disconnect', async () => {
+    const toolManager = new ToolManager();
+    await connect(toolManager);
+
+    await toolManager.disconnectMcpServers();
+
+    expect(toolManager.getRegisteredTools()).toEqual([]);
+    expect(toolManager.mcpServers.size).toBe(0);
+  });
+});
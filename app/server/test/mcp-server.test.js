@@ -0,0 +1,190 @@
+const express = require('express');
+const request = require('supertest');
+const { PassThrough } = require('stream');
+const { ToolManager } = require('../mcp/tool-manager');
+const { McpServer, JSONRPC_ERRORS } = require('../mcp/mcp-server');
+const { createMcpRouter } = require('../mcp/http-transport');
+const { StdioServerTransport } = require('../mcp/stdio-transport');
+
+const user = { id: 'u1', role: 'user' };
+const admin = { id: 'a1', role: 'superadmin' };
+
+const createServer = () => {
+  const toolManager = new ToolManager();
+  toolManager.registerTool('search_hotels', async ({ query }) => {
+    if (query === 'fail') {
+      throw new Error('All sources timed out');
+    }
+    return { hotels: [{ name: `${query} Marriott` }] };
+  }, {
+    type: 'object',
+    required: ['query'],
+    properties: { query: { type: 'string' } }
+  }, { description: 'Search hotels' });
+  toolManager.registerTool('encrypt_data', async () => 'secret', { type: 'object' });
+
+  return new McpServer(toolManager);
+};
+
+const call = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+
+describe('McpServer', () => {
+  it('should negotiate the protocol version on initialize', async () => {
+    const server = createServer();
+
+    const supported = await server.handleMessage(call(1, 'initialize', { protocolVersion: '2025-03-26', clientInfo: { name: 'ide' } }), { user });
+    const unknown = await server.handleMessage(call(2, 'initialize', { protocolVersion: '1999-01-01' }), { user });
+
+    expect(supported.result).toMatchObject({
+      protocolVersion: '2025-03-26',
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'staycrest' }
+    });
+    expect(unknown.result.protocolVersion).toBe('2025-06-18');
+  });
+
+  it('should only list the tools the user\'s role permits', async () => {
+    const server = createServer();
+
+    const forUser = await server.handleMessage(call(1, 'tools/list'), { user });
+    const forAdmin = await server.handleMessage(call(2, 'tools/list'), { user: admin });
+
+    expect(forUser.result.tools).toEqual([{
+      name: 'search_hotels',
+      description: 'Search hotels',
+      inputSchema: { type: 'object', required: ['query'], properties: { query: { type: 'string' } } }
+    }]);
+    expect(forAdmin.result.tools.map(tool => tool.name)).toEqual(['search_hotels', 'encrypt_data']);
+  });
+
+  it('should not let a viewer reach restricted tools through a plan', async () => {
+    const toolManager = new ToolManager();
+    const getServiceStatus = jest.fn().mockResolvedValue({ llm: 'ok' });
+    toolManager.registerTool('get_service_status', getServiceStatus, null);
+    toolManager.registerTool('execute_plan', async ({ plan }) => Promise.all(
+      plan.steps.map(step => toolManager.executeTool(step.tool, step.parameters))
+    ), { type: 'object', required: ['plan'], properties: { plan: { type: 'object' } } });
+    const server = new McpServer(toolManager);
+    const plan = { steps: [{ id: 'step_1', tool: 'get_service_status', parameters: {} }] };
+
+    const listed = await server.handleMessage(call(1, 'tools/list'), { user });
+    const denied = await server.handleMessage(call(2, 'tools/call', { name: 'execute_plan', arguments: { plan } }), { user });
+    const allowed = await server.handleMessage(call(3, 'tools/call', { name: 'execute_plan', arguments: { plan } }), { user: admin });
+
+    expect(listed.result.tools).toEqual([]);
+    expect(denied.error).toMatchObject({ code: JSONRPC_ERRORS.FORBIDDEN });
+    expect(allowed.result.isError).toBe(false);
+    expect(getServiceStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call tools and report tool failures in the result', async () => {
+    const server = createServer();
+
+    const ok = await server.handleMessage(call(1, 'tools/call', { name: 'search_hotels', arguments: { query: 'Paris' } }), { user });
+    const failed = await server.handleMessage(call(2, 'tools/call', { name: 'search_hotels', arguments: { query: 'fail' } }), { user });
+    const invalid = await server.handleMessage(call(3, 'tools/call', { name: 'search_hotels', arguments: {} }), { user });
+
+    expect(ok.result).toEqual({
+      content: [{ type: 'text', text: '{"hotels":[{"name":"Paris Marriott"}]}' }],
+      structuredContent: { hotels: [{ name: 'Paris Marriott' }] },
+      isError: false
+    });
+    expect(failed.result).toMatchObject({ isError: true, content: [{ type: 'text', text: 'All sources timed out' }] });
+    expect(invalid.result.structuredContent).toMatchObject({ code: 'ERR_TOOL_INPUT_INVALID' });
+  });
+
+  it('should answer protocol errors with JSON-RPC errors', async () => {
+    const server = createServer();
+
+    const forbidden = await server.handleMessage(call(1, 'tools/call', { name: 'encrypt_data', arguments: {} }), { user });
+    const unknownTool = await server.handleMessage(call(2, 'tools/call', { name: 'book_hotel' }), { user });
+    const unknownMethod = await server.handleMessage(call(3, 'resources/list'), { user });
+    const invalid = await server.handleMessage({ id: 4, method: 'ping' }, { user });
+
+    expect(forbidden.error.code).toBe(JSONRPC_ERRORS.FORBIDDEN);
+    expect(unknownTool.error).toEqual({ code: JSONRPC_ERRORS.INVALID_PARAMS, message: 'Unknown tool: book_hotel' });
+    expect(unknownMethod.error.code).toBe(JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    expect(invalid.error.code).toBe(JSONRPC_ERRORS.INVALID_REQUEST);
+  });
+
+  it('should not answer notifications', async () => {
+    const server = createServer();
+
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, { user })).toBeNull();
+  });
+});
+
+describe('MCP streamable HTTP transport', () => {
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/mcp', createMcpRouter(createServer(), {
+      authenticate: async req => (req.get('Authorization') === 'Bearer valid' ? user : null),
+      allowedOrigins: ['https://staycrest.app']
+    }));
+    return app;
+  };
+
+  it('should require a bearer token', async () => {
+    const response = await request(createApp()).post('/mcp').send(call(1, 'ping'));
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toContain('Bearer');
+    expect(response.body.error.code).toBe(JSONRPC_ERRORS.UNAUTHORIZED);
+  });
+
+  it('should answer requests as JSON and accept notifications with 202', async () => {
+    const app = createApp();
+
+    const response = await request(app).post('/mcp')
+      .set('Authorization', 'Bearer valid')
+      .set('MCP-Protocol-Version', '2025-06-18')
+      .send(call(1, 'tools/list'));
+    const notification = await request(app).post('/mcp')
+      .set('Authorization', 'Bearer valid')
+      .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.result.tools.map(tool => tool.name)).toEqual(['search_hotels']);
+    expect(notification.status).toBe(202);
+  });
+
+  it('should reject untrusted origins, unknown protocol versions and GET streams', async () => {
+    const app = createApp();
+
+    const origin = await request(app).post('/mcp').set('Origin', 'https://evil.example').send(call(1, 'ping'));
+    const version = await request(app).post('/mcp')
+      .set('Authorization', 'Bearer valid')
+      .set('MCP-Protocol-Version', '2020-01-01')
+      .send(call(1, 'ping'));
+    const stream = await request(app).get('/mcp').set('Authorization', 'Bearer valid');
+
+    expect(origin.status).toBe(403);
+    expect(version.status).toBe(400);
+    expect(stream.status).toBe(405);
+  });
+});
+
+describe('MCP stdio transport', () => {
+  it('should answer newline-delimited messages on the output stream', async () => {
+    const server = createServer();
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const transport = new StdioServerTransport(message => server.handleMessage(message, { user }), { input, output });
+
+    const done = transport.start();
+    input.write(`${JSON.stringify(call(1, 'ping'))}\n`);
+    input.write('not json\n');
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    input.end(`${JSON.stringify(call(2, 'tools/call', { name: 'search_hotels', arguments: { query: 'Rome' } }))}\n`);
+    await done;
+
+    const lines = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(3);
+    expect(lines).toEqual(expect.arrayContaining([
+      { jsonrpc: '2.0', id: 1, result: {} },
+      { jsonrpc: '2.0', id: null, error: { code: JSONRPC_ERRORS.PARSE_ERROR, message: 'Parse error' } },
+      expect.objectContaining({ id: 2, result: expect.objectContaining({ isError: false }) })
+    ]));
+  });
+});
@@ -0,0 +1,203 @@
+jest.mock('../models/conversation', () => ({
+  findOne: jest.fn(() => ({ sort: jest.fn().mockResolvedValue(null) })),
+  findOneAndUpdate: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../models/search-history', () => {
+  const SearchHistory = jest.fn(function SearchHistory(data) {
+    Object.assign(this, data, { _id: 'search-1' });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  SearchHistory.find = jest.fn(() => ({ sort: () => ({ limit: jest.fn().mockResolvedValue([]) }) }));
+  return SearchHistory;
+});
+jest.mock('../models/configuration', () => ({
+  findOne: jest.fn().mockResolvedValue(null)
+}));
+
+const Configuration = require('../models/configuration');
+const llmProvider = require('../services/llm-provider');
+const MemorySystem = require('../agents/memory-system');
+const { MemorySemanticStore, PgSemanticMemoryStore } = require('../services/semantic-memory-store');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('MemorySystem', () => {
+  let store;
+  let memorySystem;
+
+  beforeEach(() => {
+    llmProvider.initialized = true;
+    llmProvider.embeddingProvider = 'local';
+    llmProvider.embeddingModel = null;
+    Configuration.findOne.mockResolvedValue(null);
+    store = new MemorySemanticStore();
+    memorySystem = new MemorySystem({ store, llmProvider });
+  });
+
+  it('should recall the memories most similar to the query', async () => {
+    await memorySystem.store({ text: 'User prefers Hyatt hotels with a rooftop pool', userId: 'u1', sessionId: 's1' });
+    await memorySystem.store({ text: 'User is flying to Tokyo in March', userId: 'u1', sessionId: 's1' });
+
+    const memories = await memorySystem.retrieve('which hotels with a pool does the user like', { userId: 'u1', sessionId: 's2' });
+
+    expect(memories[0].text).toBe('User prefers Hyatt hotels with a rooftop pool');
+    expect(memories[0].relevanceScore).toBeGreaterThan(memories[1].relevanceScore);
+  });
+
+  it('should keep memories to their user or guest session', async () => {
+    await memorySystem.store({ text: 'Prefers Marriott Bonvoy', userId: 'u1', sessionId: 's1' });
+    await memorySystem.store({ text: 'Prefers Hilton Honors', userId: 'u2', sessionId: 's2' });
+    await memorySystem.store({ text: 'Prefers IHG One Rewards', sessionId: 'guest-session' });
+
+    const texts = async options => (await memorySystem.retrieve('Prefers', options)).map(memory => memory.text);
+
+    expect(await texts({ userId: 'u1', sessionId: 's1' })).toEqual(['Prefers Marriott Bonvoy']);
+    expect(await texts({ sessionId: 'guest-session' })).toEqual(['Prefers IHG One Rewards']);
+    // A user's memories aren't shared with whoever holds their session id
+    expect(await texts({ sessionId: 's1' })).toEqual([]);
+    expect(await texts({})).toEqual([]);
+  });
+
+  it('should expire guest memories and keep user memories', async () => {
+    await memorySystem.store({ text: 'Guest wants Paris', sessionId: 'guest-session' });
+    await memorySystem.store({ text: 'User wants Paris', userId: 'u1', sessionId: 's1' });
+
+    const [guestMemory, userMemory] = store.memories;
+    expect(guestMemory.expiresAt.getTime() - Date.now()).toBeGreaterThan(29 * 60 * 1000);
+    expect(userMemory.expiresAt).toBeNull();
+
+    guestMemory.expiresAt = new Date(Date.now() - 1000);
+    expect(await memorySystem.retrieve('Paris', { sessionId: 'guest-session' })).toEqual([]);
+  });
+
+  it('should weight similar memories by recency and the current session', async () => {
+    await memorySystem.store({ text: 'Likes Park Hyatt Tokyo', userId: 'u1', sessionId: 'old', timestamp: new Date(Date.now() - 30 * 24 * HOUR) });
+    await memorySystem.store({ text: 'Likes Park Hyatt Tokyo', userId: 'u1', sessionId: 'recent' });
+    await memorySystem.store({ text: 'Likes Park Hyatt Tokyo', userId: 'u1', sessionId: 'current' });
+
+    const memories = await memorySystem.retrieve('Park Hyatt Tokyo', { userId: 'u1', sessionId: 'current' });
+
+    expect(memories.map(memory => memory.sessionId)).toEqual(['current', 'recent', 'old']);
+    // Old memories decay towards half their similarity, never to nothing
+    expect(memories[2].relevanceScore).toBeGreaterThan(memories[1].relevanceScore * 0.5);
+  });
+
+  it('should describe agent interactions for recall', async () => {
+    await memorySystem.store({
+      query: 'Best Hyatt in Tokyo for points?',
+      response: 'The Park Hyatt Tokyo is a category 7 hotel.',
+      results: [],
+      userId: 'u1',
+      sessionId: 's1'
+    });
+
+    expect(store.memories[0]).toMatchObject({
+      type: 'interaction',
+      content: 'User asked: Best Hyatt in Tokyo for points?\nAssistant answered: The Park Hyatt Tokyo is a category 7 hotel.',
+      embeddingModel: 'local/hash-256'
+    });
+  });
+
+  it('should not save agent interactions as searches', async () => {
+    const SearchHistory = require('../models/search-history');
+    const Conversation = require('../models/conversation');
+    SearchHistory.mockClear();
+    Conversation.findOneAndUpdate.mockClear();
+
+    await memorySystem.store({
+      query: 'What are the Hyatt elite tiers?',
+      plan: { steps: [] },
+      results: [{ step_id: 'step_1', success: true, result: {} }],
+      response: 'Discoverist, Explorist and Globalist.',
+      userId: 'u1',
+      sessionId: 's1'
+    });
+    await memorySystem.store({ query: 'hotels in Rome', results: { count: 0, hotels: [] }, userId: 'u1', sessionId: 's1' });
+
+    expect(SearchHistory).toHaveBeenCalledTimes(1);
+    expect(SearchHistory).toHaveBeenCalledWith(expect.objectContaining({ query: 'hotels in Rome' }));
+    expect(Conversation.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should rank stored preferences with the semantic memories', async () => {
+    Configuration.findOne.mockResolvedValue({ preferredLoyaltyPrograms: ['World of Hyatt'], updatedAt: new Date() });
+    await memorySystem.store({ text: 'Asked about airport transfers in Rome', userId: 'u1', sessionId: 's1' });
+
+    const memories = await memorySystem.retrieve('preferred loyalty programs', { userId: 'u1', sessionId: 's1' });
+
+    expect(memories[0]).toMatchObject({ type: 'preference', source: 'long-term' });
+  });
+
+  it('should embed long-term memories once and reuse them on later retrievals', async () => {
+    const Conversation = require('../models/conversation');
+    const conversation = {
+      _id: 'c1',
+      updatedAt: new Date(),
+      messages: [
+        { _id: 'm1', role: 'user', content: 'I want a suite at the Park Hyatt Tokyo', timestamp: new Date() },
+        { _id: 'm2', role: 'assistant', content: 'Suites there cost 45,000 points a night', timestamp: new Date() }
+      ]
+    };
+    Conversation.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(conversation) });
+    const generateEmbeddings = jest.spyOn(llmProvider, 'generateEmbeddings');
+
+    try {
+      const first = await memorySystem.retrieve('Park Hyatt Tokyo suite', { userId: 'u1', sessionId: 's1' });
+      conversation.messages.push({ _id: 'm3', role: 'user', content: 'And for Kyoto?', timestamp: new Date() });
+      const second = await memorySystem.retrieve('Park Hyatt Tokyo suite', { userId: 'u1', sessionId: 's1' });
+
+      expect(generateEmbeddings.mock.calls.map(([texts]) => texts)).toEqual([
+        ['Park Hyatt Tokyo suite', 'I want a suite at the Park Hyatt Tokyo', 'Suites there cost 45,000 points a night'],
+        ['Park Hyatt Tokyo suite', 'And for Kyoto?']
+      ]);
+      expect(second.find(memory => memory.id === 'conv_c1_m1').similarity)
+        .toBeCloseTo(first.find(memory => memory.id === 'conv_c1_m1').similarity);
+    } finally {
+      generateEmbeddings.mockRestore();
+      Conversation.findOne.mockImplementation(() => ({ sort: jest.fn().mockResolvedValue(null) }));
+    }
+  });
+
+  it('should keep the conversation history when embedding fails', async () => {
+    const failing = { generateEmbeddings: jest.fn().mockRejectedValue(new Error('embeddings down')) };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    memorySystem = new MemorySystem({ store, llmProvider: failing });
+
+    const stored = await memorySystem.store({ role: 'user', content: 'Hi', userId: 'u1', sessionId: 's1' });
+
+    expect(stored.id).toBeNull();
+    expect(require('../models/conversation').findOneAndUpdate).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should forget a user\'s memories', async () => {
+    await memorySystem.store({ text: 'Prefers Marriott Bonvoy', userId: 'u1', sessionId: 's1' });
+    await memorySystem.store({ text: 'Prefers Hilton Honors', userId: 'u2', sessionId: 's2' });
+
+    expect(await memorySystem.forget({ userId: 'u1' })).toBe(1);
+    expect(store.memories.map(memory => memory.userId)).toEqual(['u2']);
+  });
+});
+
+describe('PgSemanticMemoryStore', () => {
+  it('should search only the scope and model of the query', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'm1', user_id: 'u1', session_id: 's1', type: 'interaction', content: 'Hi', metadata: {}, created_at: new Date(), similarity: '0.9' }] }) };
+    const store = new PgSemanticMemoryStore(pool);
+
+    const [memory] = await store.search({ embedding: [0.6, 0.8], embeddingModel: 'local/hash-256', userId: 'u1', sessionId: 's1', limit: 5 });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('AS MATERIALIZED');
+    expect(sql).toContain('expires_at IS NULL OR expires_at > NOW()');
+    expect(sql).toContain('(user_id = $4) OR (session_id = $5 AND user_id IS NULL)');
+    expect(params).toEqual(['[0.6,0.8]', 'local/hash-256', 2, 'u1', 's1', 5]);
+    expect(memory).toMatchObject({ id: 'm1', userId: 'u1', similarity: 0.9 });
+  });
+
+  it('should not search without a scope', async () => {
+    const pool = { query: jest.fn() };
+
+    expect(await new PgSemanticMemoryStore(pool).search({ embedding: [1], embeddingModel: 'local/hash-256' })).toEqual([]);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
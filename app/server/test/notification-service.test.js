@@ -0,0 +1,61 @@
+jest.mock('../models/configuration', () => ({ getForUser: jest.fn() }));
+jest.mock('../models/user', () => ({ findById: jest.fn() }));
+
+const Configuration = require('../models/configuration');
+const User = require('../models/user');
+const { NotificationService, NOTIFICATION_TYPES } = require('../services/notification-service');
+
+const createService = () => {
+  const email = { name: 'test-email', send: jest.fn().mockResolvedValue({ delivered: true }) };
+  const push = { name: 'test-push', send: jest.fn().mockResolvedValue({ delivered: true }) };
+  return { service: new NotificationService({ providers: { email, push } }), email, push };
+};
+
+const alert = {
+  userId: 'user-1',
+  type: NOTIFICATION_TYPES.PRICE_ALERT,
+  subject: 'Prices dropped for "hotels in Paris"',
+  body: 'Hotel A: 200 → 170 EUR (-15%)'
+};
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    User.findById.mockResolvedValue({ email: 'traveler@example.com' });
+  });
+
+  it('should send on each requested channel the user allows', async () => {
+    Configuration.getForUser.mockResolvedValue({
+      notificationPreferences: { email: { enabled: true, types: { priceAlerts: true } }, push: { enabled: true } }
+    });
+    const { service, email, push } = createService();
+
+    const outcomes = await service.send(alert, { email: true, push: true });
+
+    expect(outcomes.map(o => o.status)).toEqual(['sent', 'sent']);
+    expect(email.send).toHaveBeenCalledWith(expect.objectContaining({ channel: 'email', to: 'traveler@example.com' }));
+    expect(push.send).toHaveBeenCalledWith(expect.objectContaining({ channel: 'push', to: 'user-1' }));
+  });
+
+  it('should respect opted-out channels and alert types', async () => {
+    Configuration.getForUser.mockResolvedValue({
+      notificationPreferences: { email: { enabled: true, types: { priceAlerts: false } }, push: { enabled: false } }
+    });
+    const { service, email, push } = createService();
+
+    const outcomes = await service.send(alert, { email: true, push: true });
+
+    expect(outcomes.map(o => o.status)).toEqual(['skipped', 'skipped']);
+    expect(email.send).not.toHaveBeenCalled();
+    expect(push.send).not.toHaveBeenCalled();
+  });
+
+  it('should report a failed delivery without throwing', async () => {
+    Configuration.getForUser.mockRejectedValue(new Error('db down'));
+    const { service, email } = createService();
+    email.send.mockRejectedValue(new Error('gateway timeout'));
+
+    const outcomes = await service.send(alert, { email: true });
+
+    expect(outcomes).toEqual([{ channel: 'email', status: 'failed', provider: 'test-email', reason: 'gateway timeout' }]);
+  });
+});
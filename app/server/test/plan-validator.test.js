@@ -0,0 +1,159 @@
+const { ToolManager } = require('../mcp/tool-manager');
+const PlannerAgent = require('../agents/planner-agent');
+const { PlanValidator, PlanValidationError } = require('../agents/plan-validator');
+
+const createToolManager = () => {
+  const toolManager = new ToolManager();
+  toolManager.registerTool('search_hotels', async () => [], {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string' },
+      filters: { type: 'object' }
+    }
+  });
+  toolManager.registerTool('calculate_redemption_value', async () => ({}), {
+    type: 'object',
+    required: ['points', 'cashPrice'],
+    additionalProperties: false,
+    properties: {
+      points: { type: 'integer' },
+      cashPrice: { type: 'number' },
+      program: { type: 'string', enum: ['marriott', 'hilton'] }
+    }
+  });
+  return toolManager;
+};
+
+const planJson = steps => `\`\`\`json\n${JSON.stringify({ steps, resources: [], expectations: 'An answer' })}\n\`\`\``;
+
+describe('PlanValidator', () => {
+  const validator = new PlanValidator(createToolManager());
+
+  it('should accept a plan that fits the registry', () => {
+    const result = validator.validate({
+      steps: [
+        { id: 'search', tool: 'search_hotels', parameters: { query: 'Paris' } },
+        { id: 'value', tool: 'calculate_redemption_value', parameters: { points: '{{search.result.points}}', cashPrice: 250 }, depends_on: ['search'] }
+      ]
+    });
+
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should report unknown tools and bad parameters per step', () => {
+    const { valid, errors } = validator.validate({
+      steps: [
+        { id: 'book', tool: 'book_hotel', parameters: {} },
+        { id: 'search', tool: 'search_hotels', parameters: { query: 42 } },
+        { id: 'value', tool: 'calculate_redemption_value', parameters: { points: 1.5, program: 'hyatt', note: 'x' } }
+      ]
+    });
+
+    expect(valid).toBe(false);
+    expect(errors.map(error => [error.stepId, error.code, error.path])).toEqual([
+      ['book', 'unknown_tool', 'steps[0].tool'],
+      ['search', 'invalid_type', 'parameters.query'],
+      ['value', 'missing_parameter', 'parameters.cashPrice'],
+      ['value', 'unknown_parameter', 'parameters.note'],
+      ['value', 'invalid_type', 'parameters.points'],
+      ['value', 'invalid_value', 'parameters.program']
+    ]);
+  });
+
+  it('should reject empty plans and broken dependency graphs', () => {
+    expect(validator.validate({ steps: [] }).errors[0].code).toBe('empty_plan');
+    expect(validator.validate({
+      steps: [{ id: 'search', tool: 'search_hotels', parameters: { query: 'Rome' }, depends_on: ['missing'] }]
+    }).errors[0]).toMatchObject({ stepId: 'search', code: 'invalid_graph' });
+  });
+});
+
+describe('PlannerAgent plan validation', () => {
+  const memorySystem = { retrieve: jest.fn().mockResolvedValue([]) };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('should send validation errors back to the LLM and use the repaired plan', async () => {
+    const llmProvider = {
+      generateResponse: jest.fn()
+        .mockResolvedValueOnce(planJson([{ id: 'step_1', tool: 'find_hotels', parameters: { query: 'Paris' } }]))
+        .mockResolvedValueOnce(planJson([{ id: 'step_1', tool: 'search_hotels', parameters: { query: 'Paris' } }]))
+    };
+    const planner = new PlannerAgent(llmProvider, memorySystem, { toolManager: createToolManager() });
+
+    const plan = await planner.createPlan('hotels in Paris', { userId: 'u1', sessionId: 's1' });
+
+    expect(memorySystem.retrieve).toHaveBeenCalledWith('hotels in Paris', { userId: 'u1', sessionId: 's1' });
+    expect(plan.steps).toEqual([expect.objectContaining({ tool: 'search_hotels', depends_on: [] })]);
+    expect(llmProvider.generateResponse).toHaveBeenCalledTimes(2);
+    expect(llmProvider.generateResponse.mock.calls[0][0]).toContain('- search_hotels(query: string, filters?: object)');
+    const repairPrompt = llmProvider.generateResponse.mock.calls[1][0];
+    expect(repairPrompt).toContain('step_1: Unknown tool: find_hotels');
+  });
+
+  it('should reject a plan that is still invalid after the repair attempts', async () => {
+    const llmProvider = {
+      generateResponse: jest.fn().mockResolvedValue(planJson([{ id: 'step_1', tool: 'find_hotels', parameters: {} }]))
+    };
+    const planner = new PlannerAgent(llmProvider, memorySystem, { toolManager: createToolManager(), maxRepairAttempts: 2 });
+
+    const error = await planner.createPlan('hotels in Paris').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(PlanValidationError);
+    expect(error.code).toBe('ERR_INVALID_PLAN');
+    expect(error.errors).toEqual([expect.objectContaining({ stepId: 'step_1', code: 'unknown_tool' })]);
+    expect(llmProvider.generateResponse).toHaveBeenCalledTimes(3);
+  });
+
+  it('should take the plan from a submit_plan tool call when tool calling is available', async () => {
+    const llmProvider = {
+      generateWithTools: jest.fn().mockResolvedValue({
+        content: '',
+        toolCalls: [{ id: 'call_1', name: 'submit_plan', arguments: { steps: [{ id: 'step_1', tool: 'search_hotels', parameters: { query: 'Paris' } }] } }]
+      }),
+      generateResponse: jest.fn()
+    };
+    const planner = new PlannerAgent(llmProvider, memorySystem, { toolManager: createToolManager() });
+
+    const plan = await planner.createPlan('hotels in Paris');
+
+    expect(plan.steps).toEqual([expect.objectContaining({ id: 'step_1', tool: 'search_hotels', depends_on: [] })]);
+    expect(llmProvider.generateWithTools).toHaveBeenCalledWith(
+      expect.stringContaining('hotels in Paris'),
+      [expect.objectContaining({ name: 'submit_plan' })],
+      expect.objectContaining({ toolChoice: { name: 'submit_plan' } })
+    );
+    expect(llmProvider.generateResponse).not.toHaveBeenCalled();
+  });
+
+  it('should ask for JSON text when tool calling fails', async () => {
+    const llmProvider = {
+      generateWithTools: jest.fn().mockRejectedValue(new Error('tools not supported by this model')),
+      generateResponse: jest.fn().mockResolvedValue(planJson([{ id: 'step_1', tool: 'search_hotels', parameters: { query: 'Paris' } }]))
+    };
+    const planner = new PlannerAgent(llmProvider, memorySystem, { toolManager: createToolManager() });
+
+    const plan = await planner.createPlan('hotels in Paris');
+
+    expect(plan.steps[0]).toMatchObject({ tool: 'search_hotels', parameters: { query: 'Paris' } });
+    expect(llmProvider.generateResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to a hotel search for the query when the output is not JSON', async () => {
+    const llmProvider = { generateResponse: jest.fn().mockResolvedValue('Sorry, I cannot plan that.') };
+    const planner = new PlannerAgent(llmProvider, memorySystem, { toolManager: createToolManager() });
+
+    const plan = await planner.createPlan('hotels in Paris');
+
+    expect(plan.steps[0]).toMatchObject({ tool: 'search_hotels', parameters: { query: 'hotels in Paris' } });
+  });
+});
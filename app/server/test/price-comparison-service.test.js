@@ -0,0 +1,58 @@
+const { compareOffers, getEffectivePrice } = require('../services/price-comparison-service');
+
+describe('PriceComparisonService', () => {
+  describe('getEffectivePrice', () => {
+    it('should credit refundable and member bookings', () => {
+      expect(getEffectivePrice({ price: 100, type: 'aggregator', refundable: false })).toBe(100);
+      expect(getEffectivePrice({ price: 100, type: 'aggregator', refundable: true })).toBe(95);
+      expect(getEffectivePrice({ price: 100, type: 'direct', refundable: true })).toBe(87);
+    });
+  });
+
+  describe('compareOffers', () => {
+    const offers = [
+      { source: 'Marriott Bonvoy', type: 'loyalty', price: 310, currency: 'USD', refundable: true, link: 'https://marriott.example' },
+      { source: 'Expedia', type: 'aggregator', price: 299, currency: 'USD', refundable: false, link: 'https://expedia.example' },
+      { source: 'Booking.com', type: 'aggregator', price: 305, currency: 'USD', refundable: true, link: 'https://booking.example' }
+    ];
+
+    it('should sort offers by price and flag the cheapest and best value', () => {
+      const { offers: compared, comparison } = compareOffers(offers, 'USD');
+
+      expect(compared.map(o => o.source)).toEqual(['Expedia', 'Booking.com', 'Marriott Bonvoy']);
+      expect(compared.filter(o => o.isCheapest).map(o => o.source)).toEqual(['Expedia']);
+      expect(compared.filter(o => o.isBestValue).map(o => o.source)).toEqual(['Marriott Bonvoy']);
+
+      expect(comparison).toMatchObject({
+        currency: 'USD',
+        offerCount: 3,
+        lowestPrice: 299,
+        highestPrice: 310,
+        savings: 11,
+        cheapest: { source: 'Expedia', price: 299, link: 'https://expedia.example' },
+        bestValue: { source: 'Marriott Bonvoy', type: 'loyalty', price: 310 }
+      });
+    });
+
+    it('should not compare offers in another currency', () => {
+      const { offers: compared, comparison } = compareOffers([
+        { source: 'Expedia', type: 'aggregator', price: 299, currency: 'USD' },
+        { source: 'Agoda', type: 'aggregator', price: 250, currency: 'EUR' }
+      ], 'USD');
+
+      expect(comparison.lowestPrice).toBe(299);
+      expect(compared.find(o => o.source === 'Agoda').isCheapest).toBe(false);
+    });
+
+    it('should keep offers without a price at the end, unflagged', () => {
+      const { offers: compared, comparison } = compareOffers([
+        { source: 'Google', type: 'web', price: undefined },
+        { source: 'Kayak', type: 'aggregator', price: 180, currency: 'USD' }
+      ]);
+
+      expect(compared.map(o => o.source)).toEqual(['Kayak', 'Google']);
+      expect(compared[1]).toMatchObject({ isCheapest: false, isBestValue: false });
+      expect(comparison.currency).toBe('USD');
+    });
+  });
+});
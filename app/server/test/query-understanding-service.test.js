@@ -0,0 +1,141 @@
+const {
+  queryUnderstandingService,
+  resolveDates,
+  geocodeLocation
+} = require('../services/query-understanding-service');
+
+// Monday 19 October 2026
+const now = new Date('2026-10-19T10:00:00Z');
+const parse = (query) => queryUnderstandingService.parse(query, { now });
+
+describe('QueryUnderstandingService', () => {
+  describe('resolveDates', () => {
+    it.each([
+      ['this weekend', '2026-10-23', '2026-10-25'],
+      ['next weekend', '2026-10-30', '2026-11-01'],
+      ['tonight', '2026-10-19', '2026-10-20'],
+      ['tomorrow for 2 nights', '2026-10-20', '2026-10-22'],
+      ['3 nights from the 12th', '2026-11-12', '2026-11-15'],
+      ['friday to sunday', '2026-10-23', '2026-10-25'],
+      ['next friday to sunday', '2026-10-30', '2026-11-01'],
+      ['paris next friday until sunday', '2026-10-30', '2026-11-01'],
+      ['thursday to monday', '2026-10-22', '2026-10-26'],
+      ['this weekend until monday', '2026-10-23', '2026-10-26'],
+      ['next friday for 4 nights', '2026-10-30', '2026-11-03'],
+      ['may 10-15', '2027-05-10', '2027-05-15'],
+      ['from 10th to 15th of november', '2026-11-10', '2026-11-15'],
+      ['dec 28 to jan 3', '2026-12-28', '2027-01-03'],
+      ['2026-11-02 for a week', '2026-11-02', '2026-11-09'],
+      ['11/20 to 11/22', '2026-11-20', '2026-11-22'],
+      ['in 2 weeks for 3 nights', '2026-11-02', '2026-11-05'],
+      ['checking out on the 25th for 2 nights', '2026-10-23', '2026-10-25']
+    ])('should resolve "%s"', (text, checkIn, checkOut) => {
+      const dates = resolveDates(text, { now });
+
+      expect(dates.checkIn).toBe(checkIn);
+      expect(dates.checkOut).toBe(checkOut);
+    });
+
+    it('should read numeric dates day first when the user prefers it', () => {
+      expect(resolveDates('20/11 to 22/11', { now, dateFormat: 'DD/MM/YYYY' }))
+        .toMatchObject({ checkIn: '2026-11-20', checkOut: '2026-11-22' });
+    });
+
+    it('should not treat street names or prices as dates', () => {
+      expect(resolveDates('hotel on 5th avenue', { now }).checkIn).toBeNull();
+      expect(resolveDates('$200 a night from the 3rd', { now })).toMatchObject({ checkIn: '2026-11-03', checkOut: null });
+    });
+
+    it('should drop a check-out before check-in', () => {
+      expect(resolveDates('2026-11-10 to 2026-11-05', { now })).toMatchObject({
+        checkIn: '2026-11-10',
+        checkOut: null,
+        valid: false
+      });
+    });
+  });
+
+  describe('geocodeLocation', () => {
+    it('should resolve names and aliases from the gazetteer', () => {
+      expect(geocodeLocation('hotels in NYC').geo).toMatchObject({ name: 'New York', countryCode: 'US' });
+      expect(geocodeLocation('washington d.c. hotels').name).toBe('Washington');
+      expect(geocodeLocation('somewhere near Miami Beach').name).toBe('Miami Beach');
+    });
+
+    it('should only trust ambiguous names after a preposition', () => {
+      expect(geocodeLocation('a nice hotel in Paris').name).toBe('Paris');
+      expect(geocodeLocation('a nice hotel')).toBeNull();
+      expect(geocodeLocation('hotels in Nice').name).toBe('Nice');
+    });
+
+    it('should keep unknown places unresolved', () => {
+      expect(geocodeLocation('hotels in Smalltown for 2 nights')).toMatchObject({
+        name: 'Smalltown',
+        resolved: false,
+        geo: null
+      });
+      expect(geocodeLocation('hotels in may')).toBeNull();
+    });
+  });
+
+  describe('parse', () => {
+    it('should extract every intent from a full query', () => {
+      const parsed = parse('4 star Hyatt in Tokyo may 10-15 under $300 with a pool and breakfast for 2 adults, using my points');
+
+      expect(parsed).toMatchObject({
+        location: 'Tokyo',
+        geo: { countryCode: 'JP' },
+        dates: { checkIn: '2027-05-10', checkOut: '2027-05-15', nights: 5 },
+        guests: 2,
+        filters: {
+          priceMax: 300,
+          priceCurrency: 'USD',
+          stars: 4,
+          amenities: ['pool', 'breakfast']
+        },
+        loyaltyPrograms: ['World of Hyatt'],
+        intents: { paymentPreference: 'points' },
+        missing: [],
+        confidence: 1
+      });
+    });
+
+    it('should read price ranges and budget tiers', () => {
+      expect(parse('between €100 and €200 in Rome').filters).toMatchObject({ priceMin: 100, priceMax: 200, priceCurrency: 'EUR' });
+      expect(parse('cheap hotel in Austin')).toMatchObject({ filters: { priceMax: 150 }, intents: { budgetTier: 'budget' } });
+      expect(parse('up to 4 guests in Miami').filters.priceMax).toBeNull();
+    });
+
+    it('should detect partner brands as hotel chains', () => {
+      expect(parse('Westin in Chicago').filters.hotelChains).toEqual(['Westin']);
+      expect(parse('hotel w/ pool in Chicago').filters.hotelChains).toEqual([]);
+    });
+
+    it('should report missing slots', () => {
+      expect(parse('hotels with a spa').missing).toEqual(['location', 'dates']);
+    });
+
+    it('should lose confidence when dates or place are not understood', () => {
+      const parsed = parse('hotels near Smalltown in early may');
+
+      expect(parsed.location).toBe('Smalltown');
+      expect(parsed.dates.checkIn).toBeNull();
+      expect(queryUnderstandingService.isConfident(parsed)).toBe(false);
+    });
+  });
+
+  describe('toFlatParams', () => {
+    it('should produce the flat shape used by loyalty website scrapers', () => {
+      const flat = queryUnderstandingService.toFlatParams(parse('hotels in Paris this weekend for 3 guests'));
+
+      expect(flat).toEqual({
+        location: 'Paris',
+        coordinates: { lat: 48.8566, lng: 2.3522 },
+        checkIn: '2026-10-23',
+        checkOut: '2026-10-25',
+        guests: 3,
+        query: 'hotels in Paris this weekend for 3 guests'
+      });
+    });
+  });
+});
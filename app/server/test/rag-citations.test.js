@@ -0,0 +1,93 @@
+const { toCitation, extractMarkers, renumberMarkers, splitSentences, checkGrounding, citeAnswer, collectSources } = require('../services/rag-citations');
+
+const sources = [
+  toCitation({
+    id: 'chunk-1',
+    content: 'Titanium Elite status requires 75 qualifying nights per calendar year. Titanium Elite members receive a 75% points bonus on stays.',
+    metadata: { source: 'bonvoy-terms', title: 'Marriott Bonvoy Terms', url: 'https://example.com/bonvoy' }
+  }, 1),
+  toCitation({
+    id: 'chunk-2',
+    content: 'Suite Night Awards can be requested up to five days before arrival.',
+    metadata: { source: 'bonvoy-terms', title: 'Marriott Bonvoy Terms' }
+  }, 2)
+];
+
+describe('rag citations', () => {
+  it('should describe search results as citations', () => {
+    expect(sources[0]).toEqual({
+      marker: 1,
+      id: 'chunk-1',
+      source: 'bonvoy-terms',
+      title: 'Marriott Bonvoy Terms',
+      url: 'https://example.com/bonvoy',
+      content: expect.stringContaining('75 qualifying nights')
+    });
+  });
+
+  it('should read and renumber citation markers', () => {
+    expect(extractMarkers('Earn more [2]. Stay longer [1, 3][2].')).toEqual([2, 1, 3]);
+    expect(renumberMarkers('Earn more [2]. Stay longer [1, 3].', new Map([[1, 5], [2, 4]]))).toBe('Earn more [4]. Stay longer [5, 3].');
+  });
+
+  it('should split answers into sentences that keep their markers', () => {
+    expect(splitSentences('You need 75 nights [1]. Suites are extra [2].\n- Request early [2]')).toEqual([
+      'You need 75 nights [1].',
+      'Suites are extra [2].',
+      'Request early [2]'
+    ]);
+  });
+
+  it('should flag sentences their cited sources do not support', () => {
+    const grounding = checkGrounding([
+      'Titanium Elite status requires 75 qualifying nights a year [1].',
+      'Titanium Elite status requires 50 qualifying nights a year [1].',
+      'Suite Night Awards can be requested five days before arrival [1].',
+      'Breakfast is included at every Marriott hotel worldwide.',
+      'Lifetime status is granted after ten years [7].',
+      'Would you like more detail?'
+    ].join(' '), sources);
+
+    expect(grounding.sentences.map(sentence => [sentence.supported, sentence.reason])).toEqual([
+      [true, undefined],
+      // The night count doesn't match the source
+      [false, 'not_in_cited_sources'],
+      // Supported by a source, but not the one cited
+      [false, 'not_in_cited_sources'],
+      [false, 'not_in_sources'],
+      [false, 'unknown_citation'],
+      [true, undefined]
+    ]);
+    expect(grounding.sentences[5].checked).toBe(false);
+    expect(grounding).toMatchObject({ grounded: false, supportedRatio: 0.2 });
+    expect(grounding.unsupported).toHaveLength(4);
+  });
+
+  it('should only check cited sentences when asked', () => {
+    const grounding = checkGrounding('The Westin Paris is near the Louvre. Suite Night Awards can be requested up to five days before arrival [2].', sources, { citedOnly: true });
+
+    expect(grounding.grounded).toBe(true);
+    expect(grounding.sentences[0].checked).toBe(false);
+  });
+
+  it('should return the cited sources in marker order', () => {
+    const { citations, grounding } = citeAnswer('Suite Night Awards can be requested up to five days before arrival [2]. Titanium Elite members receive a 75% points bonus [1].', sources);
+
+    expect(citations.map(citation => citation.id)).toEqual(['chunk-2', 'chunk-1']);
+    expect(grounding.grounded).toBe(true);
+  });
+
+  it('should number the chunks found across agent steps', () => {
+    const { sources: collected, results } = collectSources([
+      { step_id: 'step_1', success: true, result: [{ id: 'chunk-2', content: 'Suite Night Awards...', metadata: { source: 'bonvoy-terms' } }] },
+      { step_id: 'step_2', success: true, result: { answer: 'You need 75 nights [1]. Suites need notice [2].', citations: [sources[0], { ...sources[1], marker: 2 }] } },
+      { step_id: 'step_3', success: true, result: { hotels: [] } },
+      { step_id: 'step_4', success: false, error: 'timeout' }
+    ]);
+
+    expect(collected.map(source => [source.marker, source.id])).toEqual([[1, 'chunk-2'], [2, 'chunk-1']]);
+    expect(collected[1].url).toBe('https://example.com/bonvoy');
+    expect(results[1].result.answer).toBe('You need 75 nights [2]. Suites need notice [1].');
+    expect(results[2]).toEqual({ step_id: 'step_3', success: true, result: { hotels: [] } });
+  });
+});
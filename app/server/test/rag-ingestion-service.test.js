@@ -0,0 +1,158 @@
+jest.mock('../database/connection', () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  return {
+    pool: {
+      client,
+      connect: jest.fn(async () => client),
+      query: jest.fn()
+    }
+  };
+});
+jest.mock('../services/analytics-service', () => ({
+  trackEvent: jest.fn(),
+  trackError: jest.fn()
+}));
+
+const { pool } = require('../database/connection');
+const llmProvider = require('../services/llm-provider');
+const { RAGService } = require('../services/rag-service');
+const { RAGIngestionService, chunkText, estimateTokens, errors } = require('../services/rag-ingestion-service');
+const { loadDocument, detectFormat } = require('../services/document-loaders');
+
+const sentence = index => `Members earn ${index} bonus points per stay at participating hotels.`;
+
+describe('chunkText', () => {
+  it('should pack sentences into chunks of the target size that overlap', () => {
+    const text = Array.from({ length: 40 }, (_, index) => sentence(index)).join(' ');
+
+    const chunks = chunkText(text, { chunkTokens: 100, overlapTokens: 20 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    chunks.forEach(chunk => expect(estimateTokens(chunk)).toBeLessThanOrEqual(100));
+    // The last sentence of each chunk starts the next one
+    for (let i = 1; i < chunks.length; i++) {
+      const lastSentence = chunks[i - 1].match(/Members earn \d+ [^.]+\.$/)[0];
+      expect(chunks[i].startsWith(lastSentence)).toBe(true);
+    }
+    expect(chunks[chunks.length - 1]).toContain(sentence(39));
+  });
+
+  it('should keep paragraph breaks and split overlong sentences on words', () => {
+    expect(chunkText('Earning\n\n- Stays\n- Dining', { chunkTokens: 50 })).toEqual(['Earning\n\n- Stays\n- Dining']);
+
+    const chunks = chunkText('word '.repeat(200), { chunkTokens: 50, overlapTokens: 0 });
+    chunks.forEach(chunk => expect(estimateTokens(chunk)).toBeLessThanOrEqual(50));
+    expect(chunks.join(' ').split(' ')).toHaveLength(200);
+  });
+});
+
+describe('document loaders', () => {
+  it('should detect formats from file names', () => {
+    expect(detectFormat('terms/hyatt.md')).toBe('markdown');
+    expect(detectFormat('hilton.HTML')).toBe('html');
+    expect(detectFormat('ihg.txt')).toBe('pdf-text');
+    expect(detectFormat('bonvoy.json')).toBe('json');
+    expect(detectFormat('scan.pdf')).toBeNull();
+  });
+
+  it('should strip Markdown syntax and read front matter', () => {
+    const { text, title, metadata } = loadDocument('markdown', '---\nprogramId: hyatt\n---\n# World of Hyatt Terms\n\nSee the **award chart** on [our site](https://hyatt.com).\n\n- Category 1: 5,000 points');
+
+    expect(title).toBe('World of Hyatt Terms');
+    expect(metadata).toEqual({ programId: 'hyatt' });
+    expect(text).toBe('World of Hyatt Terms\n\nSee the award chart on our site.\n\n- Category 1: 5,000 points');
+  });
+
+  it('should keep the readable text of HTML', () => {
+    const { text, title } = loadDocument('html', '<html><head><title>Ritz Paris</title><style>p{}</style></head><body><nav>Menu</nav><h1>Ritz Paris</h1><p>Check-in from 3pm.<br>Pets allowed.</p><script>track()</script></body></html>');
+
+    expect(title).toBe('Ritz Paris');
+    expect(text).toBe('Ritz Paris\n\nCheck-in from 3pm.\nPets allowed.');
+  });
+
+  it('should drop page numbers and running headers from PDF text', () => {
+    const page = body => `Hilton Honors Terms\n${body}\nPage 1`;
+    const { text } = loadDocument('pdf-text', [page('Points expire after 24 months of inac-\ntivity and cannot\nbe transferred.'), page('Elite status is earned by nights.'), page('Diamond members get lounge access.')].join('\f'));
+
+    expect(text).not.toContain('Hilton Honors Terms');
+    expect(text).not.toContain('Page 1');
+    expect(text).toContain('Points expire after 24 months of inactivity and cannot be transferred.');
+  });
+
+  it('should render JSON program terms as labelled lines', () => {
+    const { text, title, metadata } = loadDocument('json', JSON.stringify({ programId: 'ihg', name: 'IHG One Rewards', earnRates: { base_points: 10 }, tiers: ['Silver', 'Gold'] }));
+
+    expect(title).toBe('IHG One Rewards');
+    expect(metadata).toEqual({ programId: 'ihg' });
+    expect(text).toBe('Program id: ihg\nName: IHG One Rewards\nEarn rates:\n  Base points: 10\nTiers:\n  - Silver\n  - Gold');
+  });
+});
+
+describe('RAGIngestionService', () => {
+  let service;
+
+  beforeEach(() => {
+    pool.client.query.mockReset();
+    llmProvider.initialized = true;
+    llmProvider.embeddingProvider = 'local';
+    llmProvider.embeddingModel = null;
+    service = new RAGIngestionService(new RAGService(llmProvider), { chunkTokens: 30, overlapTokens: 0 });
+  });
+
+  it('should chunk a document with source and version metadata and drop repeated chunks', () => {
+    const boilerplate = 'All benefits are subject to availability.';
+    const prepared = service.prepareDocument({
+      source: 'hyatt-terms',
+      format: 'markdown',
+      type: 'program_terms',
+      content: `# Hyatt\n\n${boilerplate}\n\n${sentence(1)}\n\n${boilerplate}`,
+      metadata: { programId: 'hyatt' }
+    });
+
+    expect(prepared.version).toMatch(/^[0-9a-f]{12}$/);
+    expect(prepared.chunks.filter(chunk => chunk.content === boilerplate)).toHaveLength(1);
+    expect(prepared.chunks[0].metadata).toMatchObject({
+      source: 'hyatt-terms',
+      version: prepared.version,
+      type: 'program_terms',
+      title: 'Hyatt',
+      programId: 'hyatt',
+      chunkIndex: 0,
+      chunkCount: prepared.chunks.length,
+      contentHash: expect.stringMatching(/^[0-9a-f]{64}$/)
+    });
+  });
+
+  it('should reject documents without a source or with an unknown format', () => {
+    expect(() => service.prepareDocument({ content: 'text', format: 'markdown' })).toThrow(errors.IngestionError);
+    expect(() => service.prepareDocument({ source: 'a', content: 'text', fileName: 'a.pdf' })).toThrow(/Format must be one of/);
+    expect(() => service.prepareDocument({ source: 'a', content: '{oops', format: 'json' })).toThrow(expect.objectContaining({ code: 'ERR_INGEST_PARSE' }));
+  });
+
+  it('should keep unchanged chunks, embed new ones and delete stale ones on re-ingestion', async () => {
+    const prepared = service.prepareDocument({ source: 'ritz', format: 'markdown', content: `${sentence(1)}\n\n${sentence(2)}` });
+    const [kept, added] = prepared.chunks;
+
+    pool.client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return {
+          rows: [
+            { id: 'row-1', content_hash: kept.metadata.contentHash, embedding_model: 'local/hash-256' },
+            { id: 'row-2', content_hash: 'old', embedding_model: 'local/hash-256' },
+            { id: 'row-3', content_hash: added.metadata.contentHash, embedding_model: 'openai/text-embedding-3-small' }
+          ]
+        };
+      }
+      return { rows: [] };
+    });
+
+    const result = await service.ingestDocument({ source: 'ritz', format: 'markdown', content: `${sentence(1)}\n\n${sentence(2)}` });
+
+    expect(result).toMatchObject({ source: 'ritz', chunks: 2, inserted: 1, unchanged: 1, removed: 2 });
+    const queries = pool.client.query.mock.calls;
+    expect(queries.find(([sql]) => sql.startsWith('UPDATE embeddings'))[1]).toEqual([kept.metadata, 'row-1']);
+    expect(queries.find(([sql]) => sql.includes('INSERT INTO embeddings'))[1].slice(0, 2)).toEqual([added.content, added.metadata]);
+    expect(queries.find(([sql]) => sql.startsWith('DELETE'))[1]).toEqual([['row-2', 'row-3']]);
+    expect(queries[queries.length - 1][0]).toBe('COMMIT');
+  });
+});
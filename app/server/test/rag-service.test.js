@@ -0,0 +1,161 @@
+jest.mock('../database/connection', () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  return {
+    pool: {
+      client,
+      connect: jest.fn(async () => client),
+      query: jest.fn()
+    }
+  };
+});
+jest.mock('../services/analytics-service', () => ({
+  trackEvent: jest.fn(),
+  trackError: jest.fn()
+}));
+
+const { pool } = require('../database/connection');
+const llmProvider = require('../services/llm-provider');
+const { RAGService, buildMetadataFilter, errors } = require('../services/rag-service');
+
+describe('RAGService', () => {
+  let ragService;
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.client.query.mockReset();
+    pool.client.query.mockResolvedValue({ rows: [{ id: 'doc-1' }] });
+    llmProvider.initialized = true;
+    llmProvider.embeddingProvider = 'local';
+    llmProvider.embeddingModel = null;
+    ragService = new RAGService(llmProvider);
+  });
+
+  it('should store documents with the model and dimension of their embedding', async () => {
+    await ragService.storeDocument('The Ritz Paris accepts Marriott Bonvoy points', { source: 'hotels' });
+
+    const [sql, params] = pool.client.query.mock.calls.find(([query]) => query.includes('INSERT INTO embeddings'));
+    expect(sql).toContain('embedding_model, embedding_dimension');
+    expect(params[3]).toBe('local/hash-256');
+    expect(params[4]).toBe(256);
+    expect(JSON.parse(params[2])).toHaveLength(256);
+  });
+
+  it('should embed batches in one call per chunk', async () => {
+    const generateEmbeddings = jest.spyOn(llmProvider, 'generateEmbeddings');
+
+    const stored = await ragService.storeDocumentBatch([
+      { content: 'Hyatt Paris Vendome', metadata: {} },
+      { content: 'Hilton Rome Cavalieri', metadata: {} }
+    ]);
+
+    expect(stored).toBe(2);
+    expect(generateEmbeddings).toHaveBeenCalledTimes(1);
+    expect(generateEmbeddings).toHaveBeenCalledWith(['Hyatt Paris Vendome', 'Hilton Rome Cavalieri']);
+    generateEmbeddings.mockRestore();
+  });
+
+  it('should only compare the query with documents embedded by the same model', async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: 'doc-1', content: 'Hyatt Paris Vendome', similarity: 0.9 }] });
+
+    const results = await ragService.semanticSearch('Hyatt in Paris', { limit: 3, mode: 'vector', filterMetadata: { city: 'Paris' } });
+
+    expect(results).toHaveLength(1);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('embedding_model = $4 AND embedding_dimension = $5');
+    expect(sql).toContain("metadata #>> '{city}' = $6");
+    expect(params.slice(1)).toEqual([0.7, 20, 'local/hash-256', 256, 'Paris']);
+  });
+
+  it('should fuse vector and full-text results by reciprocal rank', async () => {
+    pool.query.mockImplementation(async (sql) => (sql.includes('content_tsv')
+      ? { rows: [{ id: 'titanium', content: 'Titanium Elite members get suite upgrades', text_rank: 0.6 }, { id: 'ritz', content: 'The Ritz Paris', text_rank: 0.2 }] }
+      : { rows: [{ id: 'ritz', content: 'The Ritz Paris', similarity: 0.82 }, { id: 'platinum', content: 'Platinum Elite benefits', similarity: 0.8 }] }));
+
+    const results = await ragService.semanticSearch('Titanium Elite suite upgrades', { limit: 2 });
+
+    expect(pool.query).toHaveBeenCalledTimes(2);
+    const keywordSql = pool.query.mock.calls.map(([sql]) => sql).find(sql => sql.includes('content_tsv'));
+    expect(keywordSql).toContain("plainto_tsquery('english', $1)");
+    expect(results.map(result => result.id)).toEqual(['ritz', 'titanium']);
+    expect(results[0]).toMatchObject({ similarity: 0.82, text_rank: 0.2, score: 1 / 61 + 1 / 62 });
+    expect(results[1]).toMatchObject({ similarity: null, text_rank: 0.6, score: 1 / 61 });
+  });
+
+  it('should send search statements that PostgreSQL can parse', async () => {
+    const { parse } = require('libpg-query');
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await ragService.semanticSearch('Titanium Elite suite upgrades', { filterMetadata: { city: 'Paris', stars: { $gte: 4 } } });
+
+    expect(pool.query).toHaveBeenCalledTimes(2);
+    for (const [sql] of pool.query.mock.calls) {
+      await expect(parse(sql)).resolves.toBeDefined();
+    }
+  });
+
+  it('should reorder fused results by the reranker and keep their order when it fails', async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: 'a', content: 'Hilton Honors' }, { id: 'b', content: 'Marriott Bonvoy Titanium Elite' }] });
+    const reranker = jest.fn().mockResolvedValueOnce([2, 9]).mockRejectedValueOnce(new Error('timeout'));
+    const rerankingService = new RAGService(llmProvider, { reranker });
+
+    const reranked = await rerankingService.semanticSearch('Titanium Elite', { mode: 'keyword', rerank: true });
+    const fallback = await rerankingService.semanticSearch('Titanium Elite', { mode: 'keyword', rerank: true });
+
+    expect(reranker).toHaveBeenCalledWith('Titanium Elite', expect.any(Array));
+    expect(reranked.map(result => [result.id, result.rerank_score])).toEqual([['b', 9], ['a', 2]]);
+    expect(fallback.map(result => result.id)).toEqual(['a', 'b']);
+  });
+
+  it('should score passages for reranking with structured LLM output', async () => {
+    const generateStructured = jest.spyOn(llmProvider, 'generateStructured').mockResolvedValue({ scores: [{ index: 1, score: 8 }] });
+
+    const scores = await ragService.llmRerank('Titanium Elite', [{ content: 'Hilton Honors' }, { content: 'Titanium Elite' }]);
+
+    expect(scores).toEqual([0, 8]);
+    expect(generateStructured.mock.calls[0][0]).toContain('[1] Titanium Elite');
+    generateStructured.mockRestore();
+  });
+
+  it('should build metadata filters with operators', () => {
+    const params = ['query'];
+
+    const conditions = buildMetadataFilter({
+      type: 'program_terms',
+      programId: ['hyatt', 'ihg'],
+      'hotel.category': { $gte: 5, $lt: 8 },
+      tier: { $ne: 'Member' },
+      brands: { $contains: 'Park Hyatt' },
+      expired: { $exists: false }
+    }, params);
+
+    expect(conditions).toEqual([
+      "metadata #>> '{type}' = $2",
+      "metadata #>> '{programId}' = ANY($3::text[])",
+      "(CASE WHEN jsonb_typeof(metadata #> '{hotel,category}') = 'number' THEN (metadata #>> '{hotel,category}')::numeric END) >= $4",
+      "(CASE WHEN jsonb_typeof(metadata #> '{hotel,category}') = 'number' THEN (metadata #>> '{hotel,category}')::numeric END) < $5",
+      "metadata #>> '{tier}' IS DISTINCT FROM $6",
+      "metadata #> '{brands}' @> $7::jsonb",
+      "metadata #> '{expired}' IS NULL"
+    ]);
+    expect(params).toEqual(['query', 'program_terms', ['hyatt', 'ihg'], 5, 8, 'Member', '["Park Hyatt"]']);
+  });
+
+  it('should reject unsafe metadata keys and unknown operators', async () => {
+    expect(() => buildMetadataFilter({ "city' OR '1'='1": 'Paris' }, [])).toThrow(errors.RAGSearchError);
+    expect(() => buildMetadataFilter({ city: { $regex: 'Par' } }, [])).toThrow(/Unsupported metadata filter operator/);
+    await expect(ragService.semanticSearch('Paris', { mode: 'fuzzy' })).rejects.toMatchObject({ code: 'ERR_RAG_INVALID_FILTER' });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should answer through the LLM provider with citations and a grounding check', async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: 'doc-1', content: 'The Park Hyatt Vendome is a Category 8 hotel.', metadata: { source: 'hyatt-fact-sheet', url: 'https://example.com/vendome' } }] });
+    const generateChat = jest.spyOn(llmProvider, 'generateChat').mockResolvedValue('The Park Hyatt Vendome is a Category 8 hotel [1]. Guests get free breakfast by the rooftop pool.');
+
+    const response = await ragService.generateResponse('What category is the Park Hyatt Vendome?', { mode: 'vector' });
+
+    expect(generateChat.mock.calls[0][0][0].content).toContain('[1] The Park Hyatt Vendome is a Category 8 hotel.');
+    expect(response.citations).toEqual([expect.objectContaining({ marker: 1, id: 'doc-1', source: 'hyatt-fact-sheet', url: 'https://example.com/vendome' })]);
+    expect(response.grounding).toMatchObject({ grounded: false, unsupported: ['Guests get free breakfast by the rooftop pool.'] });
+    generateChat.mockRestore();
+  });
+});
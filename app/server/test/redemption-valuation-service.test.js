@@ -0,0 +1,115 @@
+const {
+  RedemptionValuationService,
+  RECOMMENDATIONS
+} = require('../services/redemption-valuation-service');
+
+describe('RedemptionValuationService', () => {
+  const service = new RedemptionValuationService();
+
+  describe('calculateRedemptionValue', () => {
+    it('should recommend points when the redemption beats the program baseline', () => {
+      // World of Hyatt baseline is 1.7 cents per point
+      const valuation = service.calculateRedemptionValue({
+        cashPrice: 450,
+        pointsRequired: 20000,
+        loyaltyProgram: 'World of Hyatt'
+      });
+
+      expect(valuation.centsPerPoint).toBe(2.25);
+      expect(valuation.baselineCentsPerPoint).toBe(1.7);
+      expect(valuation.valueRatio).toBe(1.32);
+      expect(valuation.pointsCashValue).toBe(340);
+      expect(valuation.recommendation).toBe(RECOMMENDATIONS.USE_POINTS);
+    });
+
+    it('should recommend cash when the redemption is below the baseline', () => {
+      // Marriott Bonvoy baseline is 0.7 cents per point
+      const valuation = service.calculateRedemptionValue({
+        cashPrice: 200,
+        pointsRequired: 50000,
+        loyaltyProgram: 'marriottBonvoy'
+      });
+
+      expect(valuation.centsPerPoint).toBe(0.4);
+      expect(valuation.recommendation).toBe(RECOMMENDATIONS.PAY_CASH);
+    });
+
+    it('should subtract cash still due on the award', () => {
+      const valuation = service.calculateRedemptionValue({
+        cashPrice: 300,
+        cashCopay: 50,
+        pointsRequired: 25000,
+        loyaltyProgram: 'Marriott Bonvoy'
+      });
+
+      expect(valuation.centsPerPoint).toBe(1);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => service.calculateRedemptionValue({ cashPrice: 0, pointsRequired: 1000, loyaltyProgram: 'World of Hyatt' }))
+        .toThrow('cashPrice');
+      expect(() => service.calculateRedemptionValue({ cashPrice: 100, pointsRequired: 1000, loyaltyProgram: 'Nope' }))
+        .toThrow('Unknown loyalty program');
+      expect(() => service.calculateRedemptionValue({ cashPrice: 100, pointsRequired: 1000, loyaltyProgram: 'ghaDiscovery' }))
+        .toThrow('does not have a points currency');
+      expect(() => service.calculateRedemptionValue({ cashPrice: 100, pointsRequired: 1000, loyaltyProgram: 'World of Hyatt', currency: 'EUR' }))
+        .toThrow('USD');
+    });
+  });
+
+  describe('valueRedemption', () => {
+    it('should convert cash amounts to USD before valuing', async () => {
+      // Fixture rates: 0.91 EUR to the dollar
+      const valuation = await service.valueRedemption({
+        cashPrice: 409.5,
+        cashCopay: 45.5,
+        currency: 'eur',
+        pointsRequired: 20000,
+        loyaltyProgram: 'World of Hyatt'
+      });
+
+      expect(valuation).toMatchObject({
+        cashPrice: 450,
+        cashCopay: 50,
+        currency: 'USD',
+        centsPerPoint: 2,
+        recommendation: RECOMMENDATIONS.USE_POINTS,
+        originalCashPrice: 409.5,
+        originalCashCopay: 45.5,
+        originalCurrency: 'EUR'
+      });
+    });
+
+    it('should value USD amounts as given and reject currencies without a rate', async () => {
+      const valuation = await service.valueRedemption({ cashPrice: 450, pointsRequired: 20000, loyaltyProgram: 'World of Hyatt' });
+
+      expect(valuation.centsPerPoint).toBe(2.25);
+      expect(valuation.originalCurrency).toBeUndefined();
+      await expect(service.valueRedemption({ cashPrice: 450, currency: 'XYZ', pointsRequired: 20000, loyaltyProgram: 'World of Hyatt' }))
+        .rejects.toMatchObject({ code: 'ERR_UNSUPPORTED_CURRENCY' });
+    });
+  });
+
+  describe('evaluateHotel', () => {
+    it('should value a hotel using its lowest cash price and loyalty offer points', () => {
+      const valuation = service.evaluateHotel({
+        name: 'Park Hyatt Tokyo',
+        loyaltyProgram: 'World of Hyatt',
+        price: 600,
+        currency: 'USD',
+        offers: [
+          { source: 'Booking.com', type: 'aggregator', price: 600 },
+          { source: 'World of Hyatt', type: 'loyalty', price: 650, pointsRequired: 30000 }
+        ]
+      });
+
+      expect(valuation.pointsRequired).toBe(30000);
+      expect(valuation.centsPerPoint).toBe(2);
+      expect(valuation.recommendation).toBe(RECOMMENDATIONS.USE_POINTS);
+    });
+
+    it('should return null when the hotel has no points price', () => {
+      expect(service.evaluateHotel({ name: 'Pod 51', price: 140 })).toBeNull();
+    });
+  });
+});
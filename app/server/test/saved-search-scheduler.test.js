@@ -0,0 +1,196 @@
+const { SavedSearchScheduler, diffSearchResults, LOCK_PREFIX } = require('../services/saved-search-scheduler');
+
+// In-memory stand-in for the node-redis calls the scheduler makes
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    set: jest.fn(async (key, value, { NX }) => {
+      if (NX && store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    }),
+    eval: jest.fn(async (script, { keys: [key], arguments: [token] }) => {
+      if (store.get(key) !== token) return 0;
+      store.delete(key);
+      return 1;
+    })
+  };
+};
+
+const createSearch = (overrides = {}) => ({
+  _id: 'search-1',
+  userId: 'user-1',
+  query: 'hotels in Paris',
+  parameters: { location: 'Paris' },
+  loyaltyPrograms: ['marriott'],
+  results: {
+    count: 2,
+    hotels: [
+      { hotelId: 'hotel_a', name: 'Hotel A', price: 200, currency: 'EUR' },
+      { hotelId: 'hotel_b', name: 'Hotel B', price: 150, currency: 'EUR' }
+    ]
+  },
+  priceHistory: [],
+  schedule: {
+    enabled: true,
+    frequency: 'daily',
+    nextRun: new Date(Date.now() - 1000),
+    notifications: { email: true, push: true }
+  },
+  save: jest.fn(async function save() { return this; }),
+  markScheduledRun: jest.fn(async function markScheduledRun() { return this; }),
+  ...overrides
+});
+
+const createScheduler = ({ search = createSearch(), results, redisClient = createRedis() } = {}) => {
+  const searchAgent = {
+    searchHotels: jest.fn().mockResolvedValue({
+      results: results || [
+        { id: 'hotel_a', name: 'Hotel A', price: 170, currency: 'EUR' },
+        { id: 'hotel_b', name: 'Hotel B', price: 150, currency: 'EUR' },
+        { id: 'hotel_c', name: 'Hotel C', price: 99, currency: 'EUR' }
+      ]
+    })
+  };
+  const model = {
+    findScheduledToRun: jest.fn().mockResolvedValue([search]),
+    findById: jest.fn().mockResolvedValue(search)
+  };
+  const notificationService = { send: jest.fn().mockResolvedValue([{ channel: 'email', status: 'sent' }]) };
+  const scheduler = new SavedSearchScheduler({
+    getSearchAgent: () => searchAgent,
+    redisClient,
+    notificationService,
+    model
+  });
+
+  return { scheduler, searchAgent, model, notificationService, search, redisClient };
+};
+
+describe('SavedSearchScheduler', () => {
+  describe('diffSearchResults', () => {
+    it('should report price drops and new hotels', () => {
+      const changes = diffSearchResults(
+        [{ hotelId: 'a', name: 'A', price: 200, currency: 'USD' }],
+        [
+          { hotelId: 'a', name: 'A', price: 180, currency: 'USD' },
+          { hotelId: 'b', name: 'B', price: 120, currency: 'USD' }
+        ]
+      );
+
+      expect(changes.priceDrops).toEqual([
+        expect.objectContaining({ hotelId: 'a', previousPrice: 200, price: 180, dropPercent: 10 })
+      ]);
+      expect(changes.newHotels.map(h => h.hotelId)).toEqual(['b']);
+      expect(changes.hasChanges).toBe(true);
+    });
+
+    it('should ignore the first run, tiny drops, other currencies and hotels seen before', () => {
+      expect(diffSearchResults(null, [{ hotelId: 'a', price: 100 }]).hasChanges).toBe(false);
+
+      const changes = diffSearchResults(
+        [
+          { hotelId: 'a', price: 200, currency: 'USD' },
+          { hotelId: 'b', price: 200, currency: 'USD' }
+        ],
+        [
+          { hotelId: 'a', price: 199.5, currency: 'USD' },
+          { hotelId: 'b', price: 150, currency: 'EUR' },
+          { hotelId: 'c', price: 90, currency: 'USD' }
+        ],
+        { knownHotelIds: ['c'] }
+      );
+
+      expect(changes.hasChanges).toBe(false);
+    });
+  });
+
+  describe('runDueSearches', () => {
+    it('should re-run a due search, record prices and notify on changes', async () => {
+      const { scheduler, searchAgent, notificationService, search } = createScheduler();
+
+      const summary = await scheduler.runDueSearches();
+
+      expect(summary).toEqual({ due: 1, completed: 1, skipped: 0, failed: 0 });
+      expect(searchAgent.searchHotels).toHaveBeenCalledWith('hotels in Paris', {
+        location: 'Paris',
+        loyaltyPrograms: ['marriott']
+      });
+      expect(search.results.count).toBe(3);
+      expect(search.priceHistory.map(entry => entry.price)).toEqual([170, 150, 99]);
+      expect(search.markScheduledRun).toHaveBeenCalled();
+
+      const [notification, channels] = notificationService.send.mock.calls[0];
+      expect(notification.type).toBe('priceAlerts');
+      expect(notification.userId).toBe('user-1');
+      expect(notification.data.priceDrops.map(drop => drop.hotelId)).toEqual(['hotel_a']);
+      expect(notification.data.newHotels.map(hotel => hotel.hotelId)).toEqual(['hotel_c']);
+      expect(channels).toEqual({ email: true, push: true });
+    });
+
+    it('should not notify when nothing changed', async () => {
+      const { scheduler, notificationService } = createScheduler({
+        results: [
+          { id: 'hotel_a', name: 'Hotel A', price: 200, currency: 'EUR' },
+          { id: 'hotel_b', name: 'Hotel B', price: 160, currency: 'EUR' }
+        ]
+      });
+
+      await scheduler.runDueSearches();
+
+      expect(notificationService.send).not.toHaveBeenCalled();
+    });
+
+    it('should skip a search another worker holds the lock for', async () => {
+      const redisClient = createRedis();
+      redisClient.store.set(`${LOCK_PREFIX}search-1`, 'other-worker');
+      const { scheduler, searchAgent } = createScheduler({ redisClient });
+
+      const summary = await scheduler.runDueSearches();
+
+      expect(summary.skipped).toBe(1);
+      expect(searchAgent.searchHotels).not.toHaveBeenCalled();
+      expect(redisClient.store.get(`${LOCK_PREFIX}search-1`)).toBe('other-worker');
+    });
+
+    it('should release its lock after running', async () => {
+      const { scheduler, redisClient } = createScheduler();
+
+      await scheduler.runDueSearches();
+
+      expect(redisClient.store.size).toBe(0);
+    });
+
+    it('should skip a search another worker already ran', async () => {
+      const search = createSearch();
+      search.schedule.nextRun = new Date(Date.now() + 60 * 60 * 1000);
+      const { scheduler, searchAgent } = createScheduler({ search });
+
+      const summary = await scheduler.runDueSearches();
+
+      expect(summary.skipped).toBe(1);
+      expect(searchAgent.searchHotels).not.toHaveBeenCalled();
+    });
+
+    it('should disable the schedule once the stay has started', async () => {
+      const search = createSearch({ parameters: { location: 'Paris', checkIn: new Date(Date.now() - 24 * 60 * 60 * 1000) } });
+      const { scheduler, searchAgent } = createScheduler({ search });
+
+      await scheduler.runDueSearches();
+
+      expect(search.schedule.enabled).toBe(false);
+      expect(searchAgent.searchHotels).not.toHaveBeenCalled();
+    });
+
+    it('should record a failed run and move on', async () => {
+      const { scheduler, searchAgent, search } = createScheduler();
+      searchAgent.searchHotels.mockRejectedValue(new Error('sources down'));
+
+      const summary = await scheduler.runDueSearches();
+
+      expect(summary.failed).toBe(1);
+      expect(search.markScheduledRun).toHaveBeenCalledWith(expect.any(Date), expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const SearchAgent = require('../agents/search-agent');
+const { sourceHealthService } = require('../services/source-health-service');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Search service stub with one fast loyalty source and one slow aggregator
+const createSearchService = () => ({
+  search: jest.fn(),
+  getHotelReviews: jest.fn(),
+  getEnabledSources: jest.fn().mockResolvedValue({
+    loyalty: [{ key: 'marriottBonvoy', name: 'Marriott Bonvoy' }],
+    web: [],
+    aggregators: [{ key: 'kayak', name: 'Kayak' }],
+    direct: []
+  }),
+  searchLoyaltyProgram: jest.fn().mockResolvedValue({
+    hotels: [{ name: 'Westin Times Square', location: 'New York', price: 320 }]
+  }),
+  searchAggregator: jest.fn().mockImplementation(async () => {
+    await delay(20);
+    return {
+      hotels: [
+        { name: 'Westin Times Square', location: 'New York', price: 299 },
+        { name: 'Pod 51', location: 'New York', price: 140 }
+      ]
+    };
+  }),
+  searchWebProvider: jest.fn(),
+  searchDirectBooking: jest.fn()
+});
+
+const createAgent = (searchService = createSearchService()) => {
+  const agent = new SearchAgent({ generateResponse: jest.fn() }, searchService);
+  agent.parseSearchQuery = jest.fn(async (query, filters) => ({ query, ...filters }));
+  return agent;
+};
+
+describe('SearchAgent', () => {
+  afterEach(() => {
+    sourceHealthService.reset();
+  });
+
+  describe('searchHotels', () => {
+    it('should combine and deduplicate results from all sources', async () => {
+      const agent = createAgent();
+
+      const result = await agent.searchHotels('hotels in New York');
+
+      expect(result.results.map(h => h.name)).toEqual(['Westin Times Square', 'Pod 51']);
+      expect(result.results[0].sources).toEqual(['Marriott Bonvoy', 'Kayak']);
+      expect(result.results[0].offers.map(o => o.price)).toEqual([299, 320]);
+      expect(result.sources).toEqual([
+        { type: 'loyalty', source: 'Marriott Bonvoy', status: 'ok' },
+        { type: 'aggregator', source: 'Kayak', status: 'ok' }
+      ]);
+    });
+
+    it('should treat a failing source as empty', async () => {
+      const searchService = createSearchService();
+      searchService.searchAggregator.mockRejectedValue(new Error('scraper blocked'));
+      const agent = createAgent(searchService);
+
+      const result = await agent.searchHotels('hotels in New York');
+
+      expect(result.results).toHaveLength(1);
+      expect(result.results[0].source).toBe('Marriott Bonvoy');
+      expect(result.sources[1].status).toBe('error');
+    });
+
+    it('should skip a source once its circuit is open', async () => {
+      const searchService = createSearchService();
+      searchService.searchAggregator.mockRejectedValue(new Error('scraper blocked'));
+      const agent = createAgent(searchService);
+
+      for (let i = 0; i < sourceHealthService.options.failureThreshold; i++) {
+        await agent.searchHotels('hotels in New York');
+      }
+      searchService.searchAggregator.mockClear();
+
+      const result = await agent.searchHotels('hotels in New York');
+
+      expect(searchService.searchAggregator).not.toHaveBeenCalled();
+      expect(result.sources[1].status).toBe('skipped');
+    });
+
+    it('should rank hotels from the requested loyalty program first and summarize on request', async () => {
+      const searchService = createSearchService();
+      searchService.searchLoyaltyProgram.mockResolvedValue({
+        hotels: [{ name: 'Pod 51', location: 'New York', price: 140 }]
+      });
+      searchService.searchAggregator.mockResolvedValue({
+        hotels: [{ name: 'Westin Times Square', location: 'New York', price: 320, loyaltyProgram: 'Marriott Bonvoy' }]
+      });
+      const agent = createAgent(searchService);
+      agent.llmProvider.generateResponse.mockResolvedValue('The Westin suits Bonvoy members.');
+
+      const plain = await agent.searchHotels('hotels in New York');
+      const ranked = await agent.searchHotels('hotels in New York', { loyaltyPrograms: ['Marriott Bonvoy'] }, { summarize: true });
+
+      expect(plain.results.map(h => h.name)).toEqual(['Pod 51', 'Westin Times Square']);
+      expect(plain.summary).toBeUndefined();
+      expect(ranked.results.map(h => h.name)).toEqual(['Westin Times Square', 'Pod 51']);
+      expect(ranked.results[0].relevanceScore).toBeGreaterThan(ranked.results[1].relevanceScore);
+      expect(ranked.summary).toBe('The Westin suits Bonvoy members.');
+      expect(agent.llmProvider.generateResponse).toHaveBeenCalledWith(
+        expect.stringContaining('"loyaltyProgram": "Marriott Bonvoy"'),
+        expect.any(Object)
+      );
+    });
+
+    it('should search loyalty programs through the real web search service', async () => {
+      const webSearchService = require('../services/web-search-service');
+      const { loyaltyManager } = webSearchService;
+      webSearchService.isInitialized = true;
+      loyaltyManager.sources.set('marriott-bonvoy', { id: 'marriott-bonvoy', name: 'Marriott Bonvoy', enabled: true });
+      const extractHotels = jest.spyOn(loyaltyManager, 'extractHotels').mockResolvedValue({
+        data: [{ name: 'Westin Times Square', location: 'New York', price: 320 }]
+      });
+      const agent = createAgent(webSearchService);
+
+      try {
+        await agent.initialize();
+        const result = await agent.searchHotels('hotels in New York', { location: 'New York' });
+
+        expect(result.results.map(h => h.name)).toEqual(['Westin Times Square']);
+        expect(result.sources).toEqual([{ type: 'loyalty', source: 'Marriott Bonvoy', status: 'ok' }]);
+        expect(extractHotels).toHaveBeenCalledWith('marriott-bonvoy', expect.objectContaining({ location: 'New York' }));
+      } finally {
+        extractHotels.mockRestore();
+        loyaltyManager.sources.clear();
+        webSearchService.isInitialized = false;
+      }
+    });
+  });
+
+  describe('slot clarification', () => {
+    it('should not fan out when requireSlots is set and slots are missing', async () => {
+      const searchService = createSearchService();
+      const agent = createAgent(searchService);
+      agent.parseSearchQuery.mockResolvedValue({ query: 'hotels in New York', location: 'New York', missing: ['dates'] });
+
+      const result = await agent.searchHotels('hotels in New York', {}, { requireSlots: true });
+
+      expect(result.needsClarification).toBe(true);
+      expect(result.missing).toEqual(['dates']);
+      expect(result.results).toEqual([]);
+      expect(searchService.searchLoyaltyProgram).not.toHaveBeenCalled();
+    });
+
+    it('should yield a single clarification event when streaming', async () => {
+      const agent = createAgent();
+      agent.parseSearchQuery.mockResolvedValue({ query: 'somewhere nice', missing: ['location', 'dates'] });
+
+      const events = [];
+      for await (const event of agent.streamSearchHotels('somewhere nice', {}, { requireSlots: true })) {
+        events.push(event);
+      }
+
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('clarification');
+      expect(events[0].data.missing).toEqual(['location', 'dates']);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    const createParsingAgent = (llmResponse) =>
+      new SearchAgent({ generateResponse: jest.fn().mockResolvedValue(llmResponse) }, createSearchService());
+
+    it('should not call the LLM when the parser is confident', async () => {
+      const agent = createParsingAgent('{}');
+
+      const params = await agent.parseSearchQuery('hotels in Paris tomorrow for 2 nights', { loyaltyPrograms: [] });
+
+      expect(agent.llmProvider.generateResponse).not.toHaveBeenCalled();
+      expect(params).toMatchObject({ location: 'Paris', parsedBy: 'parser', missing: [] });
+      expect(params.dates.nights).toBe(2);
+    });
+
+    it('should fall back to the LLM when confidence is low, keeping resolved dates', async () => {
+      const agent = createParsingAgent(JSON.stringify({
+        location: 'Smalltown, Vermont',
+        dates: { checkIn: '2020-01-01', checkOut: '2020-01-03' },
+        guests: 2
+      }));
+
+      const params = await agent.parseSearchQuery('hotels near Smalltown tomorrow for 2 nights in early may', {
+        loyaltyPrograms: ['Hilton Honors']
+      });
+
+      expect(agent.llmProvider.generateResponse).toHaveBeenCalledTimes(1);
+      expect(params.parsedBy).toBe('llm');
+      expect(params.location).toBe('Smalltown, Vermont');
+      expect(params.guests).toBe(2);
+      expect(params.dates.checkIn).not.toBe('2020-01-01');
+      expect(params.loyaltyPrograms).toEqual(['Hilton Honors']);
+    });
+  });
+
+  describe('extractSearchParameters', () => {
+    it('should ask for schema-checked parameters when structured output is available', async () => {
+      const llmProvider = {
+        generateStructured: jest.fn().mockResolvedValue({ location: 'Lisbon', guests: 2, filters: { stars: 4 } }),
+        generateResponse: jest.fn()
+      };
+      const agent = new SearchAgent(llmProvider, createSearchService());
+
+      const params = await agent.extractSearchParameters('4 star hotels in Lisbon for two');
+
+      expect(llmProvider.generateStructured).toHaveBeenCalledWith(
+        expect.stringContaining('Lisbon'),
+        expect.objectContaining({ type: 'object' }),
+        expect.objectContaining({ schemaName: 'search_parameters' })
+      );
+      expect(llmProvider.generateResponse).not.toHaveBeenCalled();
+      expect(params).toMatchObject({ location: 'Lisbon', guests: 2, filters: { stars: 4 } });
+    });
+
+    it('should report an extraction failure when the output never matches the schema', async () => {
+      const failure = Object.assign(new Error('Structured response did not match the schema'), {
+        code: 'ERR_STRUCTURED_OUTPUT',
+        errors: [{ path: '/guests', message: '/guests must be integer,null' }]
+      });
+      const agent = new SearchAgent({ generateStructured: jest.fn().mockRejectedValue(failure) }, createSearchService());
+
+      const params = await agent.extractSearchParameters('hotels in Lisbon');
+
+      expect(params).toEqual({ query: 'hotels in Lisbon', error: 'Parameter extraction failed' });
+    });
+  });
+
+  describe('redemption valuation', () => {
+    it('should recommend points or cash from the quoted price for any display currency', async () => {
+      const searchService = createSearchService();
+      searchService.searchLoyaltyProgram.mockResolvedValue({
+        hotels: [{ name: 'Park Hyatt Tokyo', location: 'Tokyo', loyaltyProgram: 'World of Hyatt', price: 85500, currency: 'JPY', pointsRequired: 30000 }]
+      });
+      searchService.searchAggregator.mockResolvedValue({
+        hotels: [{ name: 'Pod 51', location: 'New York', price: 140, currency: 'USD' }]
+      });
+      const agent = createAgent(searchService);
+
+      const result = await agent.searchHotels('hotels in Tokyo', { displayCurrency: 'EUR' });
+
+      const byName = Object.fromEntries(result.results.map(h => [h.name, h]));
+      expect(byName['Park Hyatt Tokyo'].currency).toBe('EUR');
+      expect(byName['Park Hyatt Tokyo'].redemption).toMatchObject({
+        cashPrice: 600,
+        currency: 'USD',
+        centsPerPoint: 2,
+        recommendation: 'use_points'
+      });
+      expect(byName['Pod 51'].redemption).toBeNull();
+    });
+
+    it('should value redemptions in the streamed complete event', async () => {
+      const searchService = createSearchService();
+      searchService.searchLoyaltyProgram.mockResolvedValue({
+        hotels: [{ name: 'Park Hyatt Tokyo', location: 'Tokyo', loyaltyProgram: 'World of Hyatt', price: 600, pointsRequired: 40000 }]
+      });
+      const agent = createAgent(searchService);
+
+      let complete;
+      for await (const event of agent.streamSearchHotels('hotels in Tokyo')) {
+        if (event.type === 'complete') complete = event.data;
+      }
+
+      expect(complete.results[0].redemption).toMatchObject({ centsPerPoint: 1.5, recommendation: 'pay_cash' });
+    });
+  });
+
+  describe('streamSearchHotels', () => {
+    it('should yield a partial event per source in settle order, then complete', async () => {
+      const agent = createAgent();
+      const events = [];
+
+      for await (const event of agent.streamSearchHotels('hotels in New York')) {
+        events.push(event);
+      }
+
+      expect(events.map(e => e.type)).toEqual(['partial', 'partial', 'complete']);
+
+      const [first, second, complete] = events;
+      expect(first.data.source).toEqual({ type: 'loyalty', source: 'Marriott Bonvoy', status: 'ok', count: 1 });
+      expect(first.data.results).toHaveLength(1);
+      expect(first.data.completedSources).toBe(1);
+      expect(first.data.totalSources).toBe(2);
+
+      expect(second.data.source.source).toBe('Kayak');
+      expect(second.data.newResults.map(h => h.name)).toEqual(['Pod 51']);
+      expect(second.data.results).toHaveLength(2);
+
+      expect(complete.data.results).toHaveLength(2);
+      expect(complete.data.sourceBreakdown).toEqual({
+        'loyalty_Marriott Bonvoy': 1,
+        aggregator_Kayak: 2
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { SearchClarificationService } = require('../services/search-clarification-service');
+
+// Monday 19 October 2026
+const now = new Date('2026-10-19T10:00:00Z');
+
+describe('SearchClarificationService', () => {
+  const service = new SearchClarificationService();
+
+  describe('buildClarification', () => {
+    it('should ask for each missing slot with suggestions', () => {
+      const clarification = service.buildClarification(
+        { query: 'a quiet hotel', missing: ['location', 'dates'] },
+        { recentLocations: ['Lisbon'], now }
+      );
+
+      expect(clarification.clarificationId).toEqual(expect.any(String));
+      expect(clarification.missing).toEqual(['location', 'dates']);
+      expect(clarification.fields.map(field => field.slot)).toEqual(['location', 'dates']);
+      expect(clarification.fields[0].suggestions[0]).toEqual({ label: 'Lisbon', value: { location: 'Lisbon' } });
+      expect(clarification.fields[1].suggestions.map(s => s.value)).toContainEqual({ checkIn: '2026-10-23', checkOut: '2026-10-25' });
+      expect(clarification.message).toBe('Where would you like to stay? When are you checking in and out?');
+    });
+
+    it('should ask only for check-out once check-in is known', () => {
+      const clarification = service.buildClarification(
+        { clarificationId: 'c1', query: 'Paris', missing: ['dates'], slots: { checkIn: '2026-10-20' } },
+        { now }
+      );
+
+      expect(clarification.clarificationId).toBe('c1');
+      expect(clarification.fields[0].question).toBe('When are you checking out?');
+      expect(clarification.fields[0].suggestions[0].value).toEqual({ checkIn: '2026-10-20', checkOut: '2026-10-21' });
+    });
+  });
+
+  describe('applyAnswer', () => {
+    it('should fill location and dates from free text', () => {
+      const result = service.applyAnswer({ missing: ['location', 'dates'] }, 'in Lisbon next weekend', { now });
+
+      expect(result.slots).toEqual({ location: 'Lisbon', checkIn: '2026-10-30', checkOut: '2026-11-01' });
+      expect(result.missing).toEqual([]);
+    });
+
+    it('should keep asking for what the answer left out', () => {
+      const result = service.applyAnswer({ missing: ['location', 'dates'] }, 'Rome', { now });
+
+      expect(result.slots).toEqual({ location: 'Rome' });
+      expect(result.missing).toEqual(['dates']);
+    });
+
+    it('should take an unknown place as the location when only location was asked', () => {
+      const result = service.applyAnswer({ missing: ['location'] }, 'Springfield', { now });
+
+      expect(result.slots.location).toBe('Springfield');
+      expect(result.missing).toEqual([]);
+      expect(result.answered).toBe(true);
+    });
+
+    it('should not take a change of topic as an answer', () => {
+      const question = "actually, what are Hyatt's elite tiers?";
+
+      const locationOnly = service.applyAnswer({ missing: ['location'] }, question, { now });
+      const both = service.applyAnswer({ missing: ['location', 'dates'], slots: {} }, question, { now });
+
+      expect(locationOnly).toMatchObject({ slots: {}, missing: ['location'], answered: false });
+      expect(both).toMatchObject({ missing: ['location', 'dates'], answered: false });
+    });
+
+    it('should read a lone later date as check-out', () => {
+      const pending = { missing: ['dates'], slots: {} };
+      const first = service.applyAnswer(pending, 'tomorrow', { now });
+      const second = service.applyAnswer({ missing: ['dates'], slots: first.slots }, 'friday', { now });
+
+      expect(first.missing).toEqual(['dates']);
+      expect(second.slots).toEqual({ checkIn: '2026-10-20', checkOut: '2026-10-23' });
+      expect(second.missing).toEqual([]);
+    });
+
+    it('should accept a suggestion value', () => {
+      const result = service.applyAnswer(
+        { missing: ['dates'] },
+        { checkIn: '2026-10-23', checkOut: '2026-10-25' }
+      );
+
+      expect(result.missing).toEqual([]);
+      expect(service.toFilters(result.slots)).toEqual({ dates: { checkIn: '2026-10-23', checkOut: '2026-10-25' } });
+    });
+  });
+});
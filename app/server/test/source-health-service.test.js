@@ -0,0 +1,80 @@
+const {
+  SourceHealthService,
+  CircuitOpenError,
+  SourceTimeoutError,
+  CIRCUIT_STATES
+} = require('../services/source-health-service');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createService = () => {
+  const service = new SourceHealthService();
+  service.options = {
+    defaultTimeout: 50,
+    failureThreshold: 2,
+    resetTimeout: 30,
+    windowSize: 10
+  };
+  return service;
+};
+
+const fail = () => Promise.reject(new Error('boom'));
+
+describe('SourceHealthService', () => {
+  it('should pass through successful calls and score the source as healthy', async () => {
+    const service = createService();
+
+    const result = await service.execute('aggregator:kayak', async () => ({ hotels: [] }));
+
+    expect(result).toEqual({ hotels: [] });
+    expect(service.getHealthScore('aggregator:kayak')).toBeGreaterThan(0.9);
+  });
+
+  it('should reject calls that exceed the timeout budget', async () => {
+    const service = createService();
+
+    await expect(
+      service.execute('aggregator:kayak', () => delay(100), { timeout: 10 })
+    ).rejects.toBeInstanceOf(SourceTimeoutError);
+
+    expect(service.getHealthReport()['aggregator:kayak'].timeout).toBe(10);
+  });
+
+  it('should open the circuit after repeated failures and skip further calls', async () => {
+    const service = createService();
+    const call = jest.fn(fail);
+
+    await expect(service.execute('aggregator:kayak', call)).rejects.toThrow('boom');
+    await expect(service.execute('aggregator:kayak', call)).rejects.toThrow('boom');
+    await expect(service.execute('aggregator:kayak', call)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    expect(call).toHaveBeenCalledTimes(2);
+    expect(service.getBreaker('aggregator:kayak').state).toBe(CIRCUIT_STATES.OPEN);
+    expect(service.getHealthScore('aggregator:kayak')).toBe(0);
+  });
+
+  it('should probe in half-open state and close the circuit on success', async () => {
+    const service = createService();
+
+    await expect(service.execute('aggregator:kayak', fail)).rejects.toThrow();
+    await expect(service.execute('aggregator:kayak', fail)).rejects.toThrow();
+    await delay(40);
+
+    const result = await service.execute('aggregator:kayak', async () => 'recovered');
+
+    expect(result).toBe('recovered');
+    expect(service.getBreaker('aggregator:kayak').state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should reopen the circuit when the half-open probe fails', async () => {
+    const service = createService();
+
+    await expect(service.execute('aggregator:kayak', fail)).rejects.toThrow();
+    await expect(service.execute('aggregator:kayak', fail)).rejects.toThrow();
+    await delay(40);
+
+    await expect(service.execute('aggregator:kayak', fail)).rejects.toThrow('boom');
+
+    expect(service.getBreaker('aggregator:kayak').state).toBe(CIRCUIT_STATES.OPEN);
+  });
+});
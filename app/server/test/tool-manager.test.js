@@ -0,0 +1,93 @@
+const { ToolManager, ToolValidationError } = require('../mcp/tool-manager');
+
+const searchSchema = {
+  type: 'object',
+  required: ['query'],
+  additionalProperties: false,
+  properties: {
+    query: { type: 'string', minLength: 2 },
+    limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+    filters: {
+      type: 'object',
+      properties: {
+        checkIn: { type: 'string', format: 'date' },
+        price: {
+          type: 'object',
+          properties: { max: { type: 'number', exclusiveMinimum: 0 } }
+        },
+        programs: { type: 'array', items: { enum: ['marriott', 'hilton', 'ihg'] } }
+      }
+    }
+  }
+};
+
+describe('ToolManager', () => {
+  let toolManager;
+  let search;
+
+  beforeEach(() => {
+    toolManager = new ToolManager();
+    search = jest.fn(async params => ({ hotels: [], limit: params.limit }));
+    toolManager.registerTool('search_hotels', search, searchSchema, {
+      outputSchema: {
+        type: 'object',
+        required: ['hotels'],
+        properties: { hotels: { type: 'array' } }
+      }
+    });
+  });
+
+  it('should fill in defaults without changing the caller\'s parameters', async () => {
+    const params = { query: 'Paris' };
+
+    const result = await toolManager.executeTool('search_hotels', params);
+
+    expect(search).toHaveBeenCalledWith({ query: 'Paris', limit: 10 });
+    expect(result).toEqual({ hotels: [], limit: 10 });
+    expect(params).toEqual({ query: 'Paris' });
+  });
+
+  it('should validate nested objects, formats, ranges and array items', async () => {
+    const error = await toolManager.executeTool('search_hotels', {
+      query: 'P',
+      limit: 100,
+      filters: { checkIn: '03/04/2025', price: { max: 0 }, programs: ['hyatt'] },
+      sort: 'price'
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ToolValidationError);
+    expect(error.code).toBe('ERR_TOOL_INPUT_INVALID');
+    expect(error.errors.map(({ path, keyword }) => [path, keyword])).toEqual(expect.arrayContaining([
+      ['parameters.sort', 'additionalProperties'],
+      ['parameters.query', 'minLength'],
+      ['parameters.limit', 'maximum'],
+      ['parameters.filters.checkIn', 'format'],
+      ['parameters.filters.price.max', 'exclusiveMinimum'],
+      ['parameters.filters.programs[0]', 'enum']
+    ]));
+    expect(error.message).toContain('parameters.filters.programs[0] must be one of: "marriott", "hilton", "ihg"');
+    expect(search).not.toHaveBeenCalled();
+  });
+
+  it('should report missing parameters by name', () => {
+    const { valid, errors } = toolManager.checkParameters('search_hotels', {});
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([expect.objectContaining({ path: 'parameters.query', message: 'parameters.query is required' })]);
+  });
+
+  it('should reject results that don\'t match the output schema', async () => {
+    search.mockResolvedValue({ results: [] });
+
+    const error = await toolManager.executeTool('search_hotels', { query: 'Paris' }).catch(caught => caught);
+
+    expect(error.code).toBe('ERR_TOOL_OUTPUT_INVALID');
+    expect(error.errors[0].message).toBe('result.hotels is required');
+    expect(toolManager.getToolMetrics('search_hotels')).toMatchObject({ hasSchema: true, hasOutputSchema: true });
+  });
+
+  it('should refuse to register a tool with an invalid schema', () => {
+    expect(toolManager.registerTool('broken', async () => null, { type: 'not-a-type' })).toBe(false);
+    expect(toolManager.hasTool('broken')).toBe(false);
+  });
+});
@@ -0,0 +1,252 @@
+jest.mock('../models/user', () => ({ findById: jest.fn() }));
+jest.mock('../services/memory-service', () => ({
+  getConversationHistory: jest.fn().mockResolvedValue([]),
+  storeMessage: jest.fn().mockResolvedValue({ messages: [{ _id: 'm1' }] })
+}));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const AgentSystem = require('../agents/agent-system');
+const ExecutorAgent = require('../agents/executor-agent');
+const { MemoryCheckpointStore } = require('../services/agent-checkpoint-store');
+const websocketHandler = require('../websocket/handler');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'ana@example.com', role: 'user' };
+
+// Stand-in for socket.io that runs the handler's middleware and connection listener
+const createIo = () => {
+  const io = { middleware: [], connection: null };
+  io.use = fn => io.middleware.push(fn);
+  io.on = (event, fn) => {
+    io.connection = fn;
+  };
+  return io;
+};
+
+const connect = async (io, auth) => {
+  const handlers = {};
+  const socket = {
+    id: `socket-${Math.random()}`,
+    data: {},
+    handshake: { auth },
+    emit: jest.fn(),
+    on: (event, fn) => {
+      handlers[event] = fn;
+    }
+  };
+
+  for (const middleware of io.middleware) {
+    await new Promise((resolve, reject) => middleware(socket, error => (error ? reject(error) : resolve())));
+  }
+  io.connection(socket);
+
+  return { socket, handlers };
+};
+
+const createAgentSystem = () => {
+  const plan = {
+    query: 'best Marriott in Paris',
+    steps: [{ id: 'step_1', description: 'Search Paris hotels', tool: 'search_hotels', parameters: { query: 'Paris' } }]
+  };
+  const llmProvider = {
+    initialized: true,
+    generateResponse: jest.fn(),
+    streamResponse: jest.fn()
+      .mockImplementationOnce(async function* failing() {
+        yield 'Stay';
+        throw new Error('connection reset');
+      })
+      .mockImplementation(async function* streamResponse() {
+        yield 'Stay at the Westin.';
+      })
+  };
+  const executor = new ExecutorAgent(llmProvider, null);
+  executor.isInitialized = true;
+  executor.executeStep = jest.fn(async step => ({ step_id: step.id, tool: step.tool, success: true, result: { results: [1] } }));
+
+  return new AgentSystem({ getRegisteredTools: () => [] }, null, null, {
+    llmProvider,
+    memorySystem: { store: jest.fn().mockResolvedValue({}), getSize: jest.fn() },
+    agents: { planner: { isInitialized: true, createPlan: jest.fn().mockResolvedValue(plan), getStatus: jest.fn() }, executor },
+    checkpointStore: new MemoryCheckpointStore()
+  });
+};
+
+describe('websocket handler', () => {
+  beforeEach(() => {
+    User.findById.mockResolvedValue(user);
+  });
+
+  describe('agent_resume', () => {
+    it('should let a signed-in user resume their own interrupted run', async () => {
+      const agentSystem = createAgentSystem();
+      const io = createIo();
+      websocketHandler(io, { getAgentSystem: () => agentSystem });
+      const token = jwt.sign({ id: String(user._id) }, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+      const { socket, handlers } = await connect(io, { token, sessionId: 'session-1' });
+
+      // The first run fails while answering, leaving a checkpoint in the store
+      const runId = 'run-1';
+      await expect((async () => {
+        for await (const event of agentSystem.streamQuery('best Marriott in Paris', { userId: socket.data.user.id, sessionId: 'session-1' }, { runId })) {
+          expect(event).toBeDefined();
+        }
+      })()).rejects.toThrow('connection reset');
+      expect(typeof (await agentSystem.getCheckpoint(runId)).userId).toBe('string');
+
+      await handlers.agent_resume({ runId });
+
+      expect(socket.emit).not.toHaveBeenCalledWith('agent_error', expect.anything());
+      expect(socket.emit).toHaveBeenCalledWith('chat_message', expect.objectContaining({
+        content: 'Stay at the Westin.',
+        metadata: expect.objectContaining({ responseId: runId, resumed: true })
+      }));
+    });
+
+    it('should not let another user resume the run', async () => {
+      const agentSystem = createAgentSystem();
+      await agentSystem.saveCheckpoint({ runId: 'run-2', query: 'q', plan: { steps: [] }, userId: String(new mongoose.Types.ObjectId()), completed: {} });
+      const io = createIo();
+      websocketHandler(io, { getAgentSystem: () => agentSystem });
+      const token = jwt.sign({ id: String(user._id) }, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+      const { socket, handlers } = await connect(io, { token });
+
+      await handlers.agent_resume({ runId: 'run-2' });
+
+      expect(socket.emit).toHaveBeenCalledWith('agent_error', expect.objectContaining({ runId: 'run-2', resumable: false }));
+    });
+
+    it('should answer from the conversation as it was when the question was asked', async () => {
+      const memoryService = require('../services/memory-service');
+      memoryService.getConversationHistory.mockResolvedValueOnce([
+        { role: 'user', content: 'I collect Hyatt points' },
+        { role: 'assistant', content: 'Noted.' },
+        { role: 'user', content: 'best Hyatt in Paris', metadata: { responseId: 'run-3' } },
+        { role: 'user', content: 'also, is breakfast included?', metadata: { responseId: 'run-4' } },
+        { role: 'assistant', content: 'At Globalist status, yes.' }
+      ]);
+      const agentSystem = {
+        getCheckpoint: jest.fn().mockResolvedValue({ runId: 'run-3', query: 'best Hyatt in Paris', userId: String(user._id), status: 'running' }),
+        streamQuery: jest.fn(async function* streamQuery() {
+          yield { type: 'final_response', data: 'Park Hyatt Paris-Vendome.' };
+        })
+      };
+      const io = createIo();
+      websocketHandler(io, { getAgentSystem: () => agentSystem });
+      const token = jwt.sign({ id: String(user._id) }, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+      const { handlers } = await connect(io, { token });
+
+      await handlers.agent_resume({ runId: 'run-3' });
+
+      const [query, context] = agentSystem.streamQuery.mock.calls[0];
+      expect(query).toBe('best Hyatt in Paris');
+      expect(context.conversation).toEqual([
+        { role: 'user', content: 'I collect Hyatt points' },
+        { role: 'assistant', content: 'Noted.' }
+      ]);
+    });
+
+    it('should not store the answer again when replaying a completed run', async () => {
+      const memoryService = require('../services/memory-service');
+      const agentSystem = createAgentSystem();
+      await agentSystem.saveCheckpoint({
+        runId: 'run-5',
+        query: 'best Marriott in Paris',
+        plan: { steps: [] },
+        userId: String(user._id),
+        completed: {},
+        status: 'completed',
+        response: 'Stay at the Westin.'
+      });
+      const io = createIo();
+      websocketHandler(io, { getAgentSystem: () => agentSystem });
+      const token = jwt.sign({ id: String(user._id) }, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+      const { socket, handlers } = await connect(io, { token });
+      memoryService.storeMessage.mockClear();
+
+      await handlers.agent_resume({ runId: 'run-5' });
+      await handlers.agent_resume({ runId: 'run-5' });
+
+      expect(socket.emit).toHaveBeenCalledWith('chat_message', expect.objectContaining({ content: 'Stay at the Westin.' }));
+      expect(memoryService.storeMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pending searches', () => {
+    const createSearchAgent = () => ({
+      searchHotels: jest.fn(async (query, filters) => (filters.dates
+        ? { searchId: 's1', parameters: { location: 'Paris', dates: filters.dates }, results: [], sources: [] }
+        : { searchId: 's1', needsClarification: true, missing: ['dates'], results: [] }))
+    });
+    const agentSystem = {
+      streamQuery: jest.fn(async function* streamQuery() {
+        yield { type: 'final_response', data: 'Hyatt has four elite tiers.' };
+      })
+    };
+
+    const askForDates = async (searchAgent) => {
+      const io = createIo();
+      websocketHandler(io, { getSearchAgent: () => searchAgent, getAgentSystem: () => agentSystem });
+      const guest = await connect(io, {});
+
+      await guest.handlers.search_query({ query: 'hotels in Paris' });
+      expect(guest.socket.emit).toHaveBeenCalledWith('clarification_needed', expect.objectContaining({ missing: ['dates'] }));
+
+      return guest;
+    };
+
+    beforeEach(() => {
+      agentSystem.streamQuery.mockClear();
+    });
+
+    it('should resume the search when a message answers the question', async () => {
+      const searchAgent = createSearchAgent();
+      const { socket, handlers } = await askForDates(searchAgent);
+
+      await handlers.chat_message({ message: 'next weekend' });
+
+      expect(searchAgent.searchHotels).toHaveBeenCalledTimes(2);
+      expect(searchAgent.searchHotels.mock.calls[1][1].dates).toEqual(expect.objectContaining({ checkIn: expect.any(String) }));
+      expect(socket.emit).toHaveBeenCalledWith('search_results', expect.objectContaining({ query: 'hotels in Paris' }));
+      expect(agentSystem.streamQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only summarize results when the client asks, also after a clarification', async () => {
+      const searchAgent = createSearchAgent();
+      const io = createIo();
+      websocketHandler(io, { getSearchAgent: () => searchAgent, getAgentSystem: () => agentSystem });
+      const { handlers } = await connect(io, {});
+
+      await handlers.search_query({ query: 'hotels in Paris', parameters: { dates: { checkIn: '2026-11-06', checkOut: '2026-11-08' } } });
+      await handlers.search_query({ query: 'hotels in Paris', summarize: true });
+      await handlers.chat_message({ message: 'next weekend' });
+
+      expect(searchAgent.searchHotels.mock.calls.map(([, , options]) => options.summarize)).toEqual([false, true, true]);
+    });
+
+    it('should drop the pending search and answer with the agents when the user changes topic', async () => {
+      const searchAgent = createSearchAgent();
+      const { socket, handlers } = await askForDates(searchAgent);
+
+      await handlers.chat_message({ message: "actually, what are Hyatt's elite tiers?" });
+      await handlers.chat_message({ message: 'and how do I reach Globalist?' });
+
+      expect(searchAgent.searchHotels).toHaveBeenCalledTimes(1);
+      expect(agentSystem.streamQuery).toHaveBeenCalledTimes(2);
+      expect(socket.data.searchContext.pendingSearch).toBeUndefined();
+      expect(socket.emit).toHaveBeenCalledWith('chat_message', expect.objectContaining({ content: 'Hyatt has four elite tiers.' }));
+    });
+
+    it('should not take a message as an answer once the question has expired', async () => {
+      const searchAgent = createSearchAgent();
+      const { socket, handlers } = await askForDates(searchAgent);
+      socket.data.searchContext.pendingSearch.askedAt = new Date(Date.now() - 60 * 60 * 1000);
+
+      await handlers.chat_message({ message: 'next weekend' });
+
+      expect(searchAgent.searchHotels).toHaveBeenCalledTimes(1);
+      expect(agentSystem.streamQuery).toHaveBeenCalledTimes(1);
+    });
+  });
+});
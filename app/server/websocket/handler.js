@@ -4,7 +4,10 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const User = require('../models/user');
 const SearchHistory = require('../models/search-history');
+const Configuration = require('../models/configuration');
 const memoryService = require('../services/memory-service');
+const { searchClarificationService } = require('../services/search-clarification-service');
+const { runWithContext } = require('../services/request-context');
 const winston = require('winston');
 
 // Logger configuration
@@ -20,11 +23,146 @@ const logger = winston.createLogger({
   ],
 });
 
+// Maximum number of hotels persisted on a search history record
+const MAX_STORED_RESULTS = 20;
+
+// Recent destinations kept in the conversation context for suggestions
+const MAX_RECENT_LOCATIONS = 5;
+
+// How long a chat message can still answer a clarification question
+const PENDING_SEARCH_TTL_MS = 10 * 60 * 1000;
+
+// Earlier turns given to the agents with a message, and how far back to look for it
+const MAX_HISTORY_MESSAGES = 10;
+const HISTORY_LOOKBACK_MESSAGES = 100;
+
+/**
+ * Get the currency a user wants prices shown in
+ * @param {Object} socket - Client socket
+ * @returns {Promise<string|undefined>} Currency code, or undefined for the default
+ */
+const getDisplayCurrency = async (socket) => {
+  if (!socket.data.authenticated) {
+    return undefined;
+  }
+  
+  try {
+    const configuration = await Configuration.getForUser(socket.data.user.id);
+    return configuration.uiPreferences && configuration.uiPreferences.showPricesIn;
+  } catch (error) {
+    logger.warn('Could not load display currency preference', { error: error.message });
+    return undefined;
+  }
+};
+
+/**
+ * Normalize a hotel from the search agent into the shape rendered by the client
+ * @param {Object} hotel - Hotel result from SearchAgent
+ * @returns {Object} Client-ready hotel
+ */
+const formatHotelForClient = (hotel) => ({
+  ...hotel,
+  id: hotel.id || hotel.hotelId || uuidv4(),
+  name: hotel.name,
+  chain: hotel.chain || hotel.brand || hotel.source || '',
+  price: hotel.price,
+  currency: hotel.currency || 'USD',
+  originalPrice: hotel.originalPrice ?? hotel.price,
+  originalCurrency: hotel.originalCurrency || hotel.currency || 'USD',
+  stars: hotel.stars || 0,
+  location: hotel.location || '',
+  image: hotel.image || null,
+  link: hotel.link || hotel.url || null,
+});
+
+/**
+ * Store result counts and the top hotels on a search history record
+ * @param {Object} searchHistory - SearchHistory document
+ * @param {Array} hotels - Client-formatted hotels
+ * @returns {Promise<Object>} Saved search history
+ */
+const recordSearchResults = async (searchHistory, hotels) => {
+  searchHistory.results = {
+    count: hotels.length,
+    hotels: hotels.slice(0, MAX_STORED_RESULTS).map(hotel => ({
+      hotelId: hotel.id,
+      name: hotel.name,
+      chain: hotel.chain,
+      loyaltyProgram: hotel.loyaltyProgram,
+      price: hotel.price,
+      currency: hotel.currency,
+      pointsRequired: hotel.pointsRequired,
+      link: hotel.link,
+    })),
+  };
+  return searchHistory.save();
+};
+
+/**
+ * Get the search slot state for a socket's conversation
+ *
+ * Authenticated users keep it in `Conversation.context`; guests have no
+ * stored conversation, so theirs lives on the socket.
+ * @param {Object} socket - Client socket
+ * @returns {Promise<Object>} Context with `pendingSearch`, `searchSlots` and `recentLocations`
+ */
+const getSearchContext = async (socket) => {
+  if (!socket.data.authenticated) {
+    return socket.data.searchContext || {};
+  }
+  
+  return memoryService.getConversationContext(socket.data.user.id, socket.data.sessionId);
+};
+
+/**
+ * Update the search slot state for a socket's conversation
+ * @param {Object} socket - Client socket
+ * @param {Object} updates - Context keys to set; undefined values remove the key
+ * @returns {Promise<Object>} Updated context
+ */
+const updateSearchContext = async (socket, updates) => {
+  if (!socket.data.authenticated) {
+    const context = { ...(socket.data.searchContext || {}), ...updates };
+    Object.keys(context).forEach(key => context[key] === undefined && delete context[key]);
+    socket.data.searchContext = context;
+    return context;
+  }
+  
+  return memoryService.updateConversationContext(socket.data.user.id, socket.data.sessionId, updates);
+};
+
+/**
+ * Summarize a step's result for the client without sending the whole payload
+ * @param {*} result - Tool result
+ * @returns {Object|null} Small summary
+ */
+const summarizeStepResult = (result) => {
+  if (result === null || result === undefined) {
+    return null;
+  }
+  
+  if (Array.isArray(result)) {
+    return { count: result.length };
+  }
+  
+  if (typeof result === 'object') {
+    if (Array.isArray(result.results)) {
+      return { count: result.results.length };
+    }
+    return { keys: Object.keys(result).slice(0, 10) };
+  }
+  
+  return { value: String(result).slice(0, 200) };
+};
+
 /**
  * WebSocket handler
  * @param {Object} io - Socket.io instance
+ * @param {Object} options - Handler options
+ * @param {Function} options.getSearchAgent - Returns the initialized SearchAgent (or null while starting up)
+ * @param {Function} options.getAgentSystem - Returns the initialized AgentSystem (or null while starting up)
  */
-const websocketHandler = (io) => {
+const websocketHandler = (io, { getSearchAgent = () => null, getAgentSystem = () => null } = {}) => {
   // Track connected clients
   const connectedClients = new Map();
   
@@ -101,6 +239,205 @@ const websocketHandler = (io) => {
       user: socket.data.user || null,
     });
     
+    /**
+     * Run work for this socket's user, so the LLM calls it makes are attributed
+     * to them and held to their role's quota; guests are limited per session
+     * @param {string} correlationId - ID tying the calls together, e.g. the agent run id
+     * @param {Function} fn - Async work
+     */
+    const withUsageContext = (correlationId, fn) => runWithContext({
+      correlationId,
+      user: socket.data.authenticated
+        ? { id: String(socket.data.user.id), role: socket.data.user.role }
+        : { id: `guest:${socket.data.sessionId}`, role: 'guest' },
+    }, fn);
+    
+    /**
+     * Forward one agent run event to the client
+     * @param {string} responseId - Agent run id
+     * @param {Object} event - Event from `AgentSystem#streamQuery`
+     */
+    const emitAgentEvent = (responseId, event) => {
+      switch (event.type) {
+        case 'plan':
+          socket.emit('agent_plan', {
+            responseId,
+            runId: responseId,
+            steps: event.data.steps.map(step => ({
+              id: step.id,
+              description: step.description,
+              tool: step.tool,
+            })),
+            expectations: event.data.expectations,
+          });
+          break;
+          
+        case 'step_start':
+          socket.emit('agent_step', {
+            responseId,
+            stepId: event.data.step_id,
+            tool: event.data.tool,
+            description: event.data.description,
+            status: 'running',
+          });
+          break;
+          
+        case 'step_result':
+          socket.emit('agent_step', {
+            responseId,
+            stepId: event.data.step_id,
+            tool: event.data.tool,
+            description: event.data.description,
+            status: event.data.success ? 'completed' : (event.data.skipped ? 'skipped' : 'failed'),
+            restored: event.data.restored || undefined,
+            error: event.data.error || undefined,
+            summary: summarizeStepResult(event.data.result),
+          });
+          break;
+          
+        case 'token':
+          socket.emit('agent_token', { responseId, token: event.data });
+          break;
+          
+        default:
+          break;
+      }
+    };
+    
+    /**
+     * Conversation turns before the user message an agent run answers
+     * 
+     * The message is found by the run id stored on it, or for older messages
+     * by its text, so a resumed run sees the conversation as it was when the
+     * question was asked rather than whatever was said since.
+     * @param {string} userId - User ID
+     * @param {string} runId - Agent run id
+     * @param {string} content - User message
+     * @returns {Promise<Array>} Up to `MAX_HISTORY_MESSAGES` earlier messages, oldest first
+     */
+    const getHistoryBefore = async (userId, runId, content) => {
+      const messages = await memoryService.getConversationHistory(userId, socket.data.sessionId, HISTORY_LOOKBACK_MESSAGES);
+      const isQuestion = message => message.role === 'user' && message.metadata && message.metadata.responseId === runId;
+      
+      let index = messages.findIndex(isQuestion);
+      if (index === -1) {
+        index = messages.findLastIndex(message => message.role === 'user' && message.content === content);
+      }
+      
+      return index === -1 ? [] : messages.slice(Math.max(0, index - MAX_HISTORY_MESSAGES), index);
+    };
+    
+    /**
+     * Answer a chat message through the agent system, streaming its progress
+     * 
+     * Emits `agent_plan` once the planner is done, `agent_step` as each tool
+     * call starts and finishes, `agent_token` for each chunk of the answer and
+     * finally the stored assistant `chat_message`, whose metadata has the
+     * `citations` and `grounding` of answers that cite the knowledge base.
+     * The response id is the agent run id; when the run fails, `agent_error`
+     * tells the client it can send `agent_resume` to continue from the last
+     * completed step.
+     * @param {string} content - User message
+     * @param {Object} metadata - Extra metadata for the assistant message
+     * @param {Object} options - Options
+     * @param {string} options.runId - Run id, also stored on the user message being answered
+     * @param {boolean} options.replay - The run already completed and its answer was stored
+     */
+    const respondWithAgents = async (content, metadata = {}, { runId, replay = false } = {}) => {
+      const agentSystem = getAgentSystem();
+      
+      if (!agentSystem) {
+        return socket.emit('error', { message: 'The assistant is not ready yet, please try again shortly' });
+      }
+      
+      const userId = socket.data.authenticated ? socket.data.user.id : 'guest';
+      const responseId = runId || uuidv4();
+      const history = socket.data.authenticated
+        ? await getHistoryBefore(userId, responseId, content)
+        : [];
+      
+      const context = {
+        // Guests have no stored conversation for long-term memory
+        userId: socket.data.authenticated ? userId : undefined,
+        sessionId: socket.data.sessionId,
+        history: history.map(entry => `${entry.role}: ${entry.content}`),
+        // Earlier turns as chat messages, for answering in the context of the conversation
+        conversation: history.map(entry => ({ role: entry.role, content: entry.content })),
+      };
+      
+      let answer = '';
+      let citations = null;
+      try {
+        await withUsageContext(responseId, async () => {
+          for await (const event of agentSystem.streamQuery(content, context, { runId: responseId })) {
+            emitAgentEvent(responseId, event);
+            if (event.type === 'citations') {
+              citations = event.data;
+            }
+            if (event.type === 'final_response') {
+              answer = event.data;
+            }
+          }
+        });
+      } catch (error) {
+        logger.error(`Agent run ${responseId} failed: ${error.message}`);
+        
+        // Retrying before the quota resets would only fail again
+        if (error.code === 'ERR_LLM_QUOTA_EXCEEDED') {
+          return socket.emit('agent_error', {
+            responseId,
+            runId: responseId,
+            message: "You've reached your assistant usage limit for now, please try again later",
+            resumable: false,
+            quota: error.details,
+          });
+        }
+        
+        // A plan that can't be made valid never started running, so there is nothing to resume
+        if (error.code === 'ERR_INVALID_PLAN') {
+          return socket.emit('agent_error', {
+            responseId,
+            runId: responseId,
+            message: "I couldn't work out how to answer that with the tools I have, could you rephrase it?",
+            resumable: false,
+            errors: error.errors,
+          });
+        }
+        
+        return socket.emit('agent_error', {
+          responseId,
+          runId: responseId,
+          message: 'Something went wrong while answering, you can retry from where it stopped',
+          resumable: true,
+        });
+      }
+      
+      const responseMessage = {
+        role: 'assistant',
+        content: answer,
+        timestamp: new Date(),
+        metadata: {
+          ...metadata,
+          responseId,
+          agent: true,
+          // Knowledge base chunks behind the [n] markers in the answer
+          ...(citations && { citations: citations.citations, grounding: citations.grounding }),
+        },
+      };
+      
+      // Store assistant response, unless it was stored when the run first completed
+      if (!replay) {
+        await memoryService.storeMessage(
+          userId,
+          socket.data.sessionId,
+          responseMessage
+        );
+      }
+      
+      // Send response to client
+      socket.emit('chat_message', responseMessage);
+    };
+    
     // Handle chat messages
     socket.on('chat_message', async (data) => {
       try {
@@ -110,12 +447,13 @@ const websocketHandler = (io) => {
           return socket.emit('error', { message: 'Message cannot be empty' });
         }
         
-        // Create message object
+        // Create message object, with the id of the agent run that will answer it
+        const responseId = uuidv4();
         const messageObj = {
           role: 'user',
           content: message,
           timestamp: new Date(),
-          metadata: metadata || {},
+          metadata: { ...(metadata || {}), responseId },
         };
         
         // Store message in memory service
@@ -132,32 +470,51 @@ const websocketHandler = (io) => {
           timestamp: new Date(),
         });
         
-        // TODO: Process message with agent system
-        // For now, just echo back
-        
-        // Create assistant response
-        const responseMessage = {
-          role: 'assistant',
-          content: `Echo: ${message}`,
-          timestamp: new Date(),
-          metadata: { echo: true },
-        };
-        
-        // Store assistant response
-        await memoryService.storeMessage(
-          userId,
-          socket.data.sessionId,
-          responseMessage
-        );
+        // A message while a search is waiting on missing slots may answer it
+        if (await answerPendingSearch(message)) {
+          return;
+        }
         
-        // Send response to client
-        socket.emit('chat_message', responseMessage);
+        await respondWithAgents(message, {}, { runId: responseId });
       } catch (error) {
         logger.error(`Error processing chat message: ${error.message}`);
         socket.emit('error', { message: 'Error processing your message' });
       }
     });
     
+    // Resume an agent run that failed or was cut off
+    socket.on('agent_resume', async (data) => {
+      try {
+        const agentSystem = getAgentSystem();
+        const checkpoint = agentSystem && data && data.runId
+          ? await agentSystem.getCheckpoint(data.runId)
+          : null;
+        
+        // Runs can only be resumed by the user (or guest session) that started them;
+        // checkpoints are stored as JSON, so the user id comes back as a string
+        const owner = socket.data.authenticated
+          ? checkpoint && checkpoint.userId != null && String(checkpoint.userId) === String(socket.data.user.id)
+          : checkpoint && !checkpoint.userId && checkpoint.sessionId === socket.data.sessionId;
+        
+        if (!owner) {
+          return socket.emit('agent_error', {
+            responseId: data && data.runId,
+            runId: data && data.runId,
+            message: 'This answer can no longer be resumed, please ask again',
+            resumable: false,
+          });
+        }
+        
+        await respondWithAgents(checkpoint.query, { resumed: true }, {
+          runId: checkpoint.runId,
+          replay: checkpoint.status === 'completed',
+        });
+      } catch (error) {
+        logger.error(`Error resuming agent run: ${error.message}`);
+        socket.emit('error', { message: 'Error resuming your request' });
+      }
+    });
+    
     // Handle voice transcriptions
     socket.on('voice_transcript', async (data) => {
       try {
@@ -173,11 +530,12 @@ const websocketHandler = (io) => {
         }
         
         // Process final transcript as a chat message
+        const responseId = uuidv4();
         const messageObj = {
           role: 'user',
           content: transcript,
           timestamp: new Date(),
-          metadata: { ...metadata, source: 'voice' },
+          metadata: { ...metadata, source: 'voice', responseId },
         };
         
         // Store message in memory service
@@ -194,113 +552,269 @@ const websocketHandler = (io) => {
           timestamp: new Date(),
         });
         
-        // TODO: Process message with agent system
-        // For now, just echo back
+        // A spoken answer to a clarification question resumes the search
+        if (await answerPendingSearch(transcript)) {
+          return;
+        }
         
-        // Create assistant response
-        const responseMessage = {
-          role: 'assistant',
-          content: `Echo (voice): ${transcript}`,
-          timestamp: new Date(),
-          metadata: { echo: true, voice: true },
-        };
+        await respondWithAgents(transcript, { voice: true }, { runId: responseId });
+      } catch (error) {
+        logger.error(`Error processing voice transcript: ${error.message}`);
+        socket.emit('error', { message: 'Error processing your voice input' });
+      }
+    });
+    
+    /**
+     * Run a search for this socket, asking for missing slots instead of guessing
+     * @param {Object} searchAgent - Initialized SearchAgent
+     * @param {Object} request - Search request
+     * @param {string} request.query - User's search query
+     * @param {Object} request.parameters - Explicit search parameters
+     * @param {Array} request.loyaltyPrograms - Loyalty programs to include
+     * @param {boolean} request.stream - Emit per-source partial results
+     * @param {boolean} request.summarize - Add an LLM summary of the results
+     * @param {Object} request.slots - Slots answered through clarification
+     * @param {string} request.clarificationId - Clarification being answered
+     * @param {string} request.searchHistoryId - Search record created when first asked
+     */
+    const runSearch = async (searchAgent, { query, parameters, loyaltyPrograms, stream, summarize, slots = {}, clarificationId, searchHistoryId }) => {
+      const userId = socket.data.authenticated ? socket.data.user.id : 'guest';
+      let searchHistory = null;
+      
+      if (searchHistoryId) {
+        // Resuming a search that was waiting for an answer
+        searchHistory = await SearchHistory.findById(searchHistoryId);
+      } else if (socket.data.authenticated) {
+        // Only store searches for authenticated users
+        searchHistory = await SearchHistory.create({
+          userId,
+          query,
+          parameters: parameters || {},
+          loyaltyPrograms: loyaltyPrograms || [],
+          createdAt: new Date(),
+        });
         
-        // Store assistant response
-        await memoryService.storeMessage(
+        // Link search to conversation
+        await memoryService.linkSearchToConversation(
           userId,
           socket.data.sessionId,
-          responseMessage
+          searchHistory._id
         );
         
-        // Send response to client
-        socket.emit('chat_message', responseMessage);
-      } catch (error) {
-        logger.error(`Error processing voice transcript: ${error.message}`);
-        socket.emit('error', { message: 'Error processing your voice input' });
+        // Acknowledge search
+        socket.emit('search_acknowledged', {
+          searchId: searchHistory._id,
+          timestamp: new Date(),
+        });
+      }
+      
+      // Run the search through the agent pipeline
+      const filters = {
+        ...(parameters || {}),
+        ...searchClarificationService.toFilters(slots),
+        loyaltyPrograms: loyaltyPrograms || [],
+        displayCurrency: (parameters && parameters.displayCurrency) || await getDisplayCurrency(socket),
+      };
+      
+      let searchResult;
+      if (stream) {
+        // Stream per-source results so one slow source doesn't hold up the rest
+        for await (const event of searchAgent.streamSearchHotels(query, filters, { requireSlots: true, summarize: Boolean(summarize) })) {
+          if (event.type === 'partial') {
+            const { results: partialHotels, newResults, ...progress } = event.data;
+            socket.emit('search_partial', {
+              ...progress,
+              searchId: searchHistory ? searchHistory._id : progress.searchId,
+              newResults: newResults.map(formatHotelForClient),
+              hotels: partialHotels.map(formatHotelForClient),
+            });
+          } else {
+            searchResult = event.data;
+          }
+        }
+      } else {
+        searchResult = await searchAgent.searchHotels(query, filters, { requireSlots: true, summarize: Boolean(summarize) });
       }
+      
+      const context = await getSearchContext(socket);
+      
+      if (searchResult.needsClarification) {
+        const pendingSearch = {
+          clarificationId,
+          query,
+          parameters: parameters || {},
+          loyaltyPrograms: loyaltyPrograms || [],
+          stream: Boolean(stream),
+          summarize: Boolean(summarize),
+          searchHistoryId: searchHistory ? String(searchHistory._id) : null,
+          missing: searchResult.missing,
+          slots,
+        };
+        const clarification = searchClarificationService.buildClarification(pendingSearch, {
+          recentLocations: context.recentLocations,
+        });
+        
+        await updateSearchContext(socket, {
+          pendingSearch: {
+            ...pendingSearch,
+            clarificationId: clarification.clarificationId,
+            askedAt: new Date(),
+          },
+        });
+        
+        if (socket.data.authenticated) {
+          await memoryService.storeMessage(userId, socket.data.sessionId, {
+            role: 'assistant',
+            content: clarification.message,
+            timestamp: new Date(),
+            metadata: { clarificationId: clarification.clarificationId, missing: clarification.missing },
+          });
+        }
+        
+        socket.emit('clarification_needed', {
+          ...clarification,
+          searchId: searchHistory ? searchHistory._id : searchResult.searchId,
+          timestamp: new Date(),
+        });
+        return;
+      }
+      
+      // Remember the resolved slots and clear any search that was waiting on them
+      const { location, dates = {} } = searchResult.parameters || {};
+      await updateSearchContext(socket, {
+        pendingSearch: undefined,
+        searchSlots: { location, checkIn: dates.checkIn, checkOut: dates.checkOut },
+        recentLocations: [location, ...(context.recentLocations || []).filter(recent => recent !== location)]
+          .filter(Boolean)
+          .slice(0, MAX_RECENT_LOCATIONS),
+      });
+      
+      const hotels = (searchResult.results || []).map(formatHotelForClient);
+      
+      // Record result counts on the search history
+      if (searchHistory) {
+        await recordSearchResults(searchHistory, hotels);
+      }
+      
+      const results = {
+        searchId: searchHistory ? searchHistory._id : searchResult.searchId,
+        query,
+        parameters: searchResult.parameters,
+        loyaltyPrograms: filters.loyaltyPrograms,
+        timestamp: new Date(),
+        count: hotels.length,
+        hotels,
+        summary: searchResult.summary,
+        sources: searchResult.sources,
+        timing: searchResult.timing,
+      };
+      
+      if (stream) {
+        socket.emit('search_complete', {
+          ...results,
+          sourceBreakdown: searchResult.sourceBreakdown,
+        });
+        return;
+      }
+      
+      // Send results to client
+      socket.emit('search_results', results);
+    };
+    
+    /**
+     * Fill a pending search's missing slots from the user's answer
+     * @param {Object} pendingSearch - Pending search from the conversation context
+     * @param {string|Object} answer - Free text or a suggestion value
+     * @returns {Object} `{ slots, missing, answered }` from the clarification service
+     */
+    const applyAnswer = (pendingSearch, answer) => searchClarificationService.applyAnswer(pendingSearch, answer, {
+      dateFormat: pendingSearch.parameters && pendingSearch.parameters.dateFormat,
     });
     
+    /**
+     * Resume a pending search with its answered slots
+     * @param {Object} pendingSearch - Pending search from the conversation context
+     * @param {Object} slots - Slots after applying the answer
+     */
+    const resumeSearch = async (pendingSearch, slots) => {
+      const searchAgent = getSearchAgent();
+      
+      if (!searchAgent) {
+        return socket.emit('error', { message: 'Search service is not ready yet, please try again shortly' });
+      }
+      
+      logger.info(`Resuming search after clarification ${pendingSearch.clarificationId}`);
+      
+      await withUsageContext(uuidv4(), () => runSearch(searchAgent, { ...pendingSearch, slots }));
+    };
+    
+    /**
+     * Resume the pending search if a chat or voice message answers it
+     * 
+     * The message only counts as an answer when it comes within
+     * `PENDING_SEARCH_TTL_MS` of the question and fills a missing slot.
+     * Otherwise the user has moved on, so the pending search is dropped and
+     * the message goes to the agents.
+     * @param {string} text - User message
+     * @returns {Promise<boolean>} Whether the message resumed the search
+     */
+    const answerPendingSearch = async (text) => {
+      const { pendingSearch } = await getSearchContext(socket);
+      
+      if (!pendingSearch) {
+        return false;
+      }
+      
+      const askedAt = new Date(pendingSearch.askedAt).getTime();
+      const { slots, answered } = Date.now() - askedAt < PENDING_SEARCH_TTL_MS
+        ? applyAnswer(pendingSearch, text)
+        : {};
+      
+      if (!answered) {
+        logger.info(`Dropping clarification ${pendingSearch.clarificationId}, the message did not answer it`);
+        await updateSearchContext(socket, { pendingSearch: undefined });
+        return false;
+      }
+      
+      await resumeSearch(pendingSearch, slots);
+      return true;
+    };
+    
     // Handle search queries
     socket.on('search_query', async (data) => {
       try {
-        const { query, parameters, loyaltyPrograms } = data;
+        const { query, parameters, loyaltyPrograms, stream, summarize } = data;
         
         if (!query || !query.trim()) {
           return socket.emit('error', { message: 'Search query cannot be empty' });
         }
         
-        // Create search record
-        const userId = socket.data.authenticated ? socket.data.user.id : 'guest';
+        const searchAgent = getSearchAgent();
         
-        // Only store searches for authenticated users
-        if (socket.data.authenticated) {
-          const searchHistory = await SearchHistory.create({
-            userId,
-            query,
-            parameters: parameters || {},
-            loyaltyPrograms: loyaltyPrograms || [],
-            createdAt: new Date(),
-          });
-          
-          // Link search to conversation
-          await memoryService.linkSearchToConversation(
-            userId,
-            socket.data.sessionId,
-            searchHistory._id
-          );
-          
-          // Acknowledge search
-          socket.emit('search_acknowledged', {
-            searchId: searchHistory._id,
-            timestamp: new Date(),
-          });
+        if (!searchAgent) {
+          return socket.emit('error', { message: 'Search service is not ready yet, please try again shortly' });
         }
         
-        // TODO: Process search with agent system
-        // For now, just return dummy results
+        await withUsageContext(uuidv4(), () => runSearch(searchAgent, { query, parameters, loyaltyPrograms, stream, summarize }));
+      } catch (error) {
+        logger.error(`Error processing search query: ${error.message}`);
+        socket.emit('error', { message: 'Error processing your search' });
+      }
+    });
+    
+    // Handle answers to clarification questions
+    socket.on('clarification_response', async (data) => {
+      try {
+        const { clarificationId, answer } = data || {};
+        const { pendingSearch } = await getSearchContext(socket);
         
-        const dummyResults = {
-          query,
-          timestamp: new Date(),
-          count: 3,
-          hotels: [
-            {
-              id: 'hotel1',
-              name: 'Luxury Hotel A',
-              chain: 'Marriott',
-              price: 250,
-              currency: 'USD',
-              stars: 5,
-              location: 'City Center',
-              image: 'https://example.com/hotelA.jpg',
-            },
-            {
-              id: 'hotel2',
-              name: 'Luxury Hotel B',
-              chain: 'Hilton',
-              price: 220,
-              currency: 'USD',
-              stars: 4,
-              location: 'Downtown',
-              image: 'https://example.com/hotelB.jpg',
-            },
-            {
-              id: 'hotel3',
-              name: 'Luxury Hotel C',
-              chain: 'Hyatt',
-              price: 280,
-              currency: 'USD',
-              stars: 5,
-              location: 'Beachfront',
-              image: 'https://example.com/hotelC.jpg',
-            },
-          ],
-        };
+        if (!pendingSearch || (clarificationId && clarificationId !== pendingSearch.clarificationId)) {
+          return socket.emit('error', { message: 'There is no search waiting for that answer' });
+        }
         
-        // Send results to client
-        socket.emit('search_results', dummyResults);
+        await resumeSearch(pendingSearch, applyAnswer(pendingSearch, answer).slots);
       } catch (error) {
-        logger.error(`Error processing search query: ${error.message}`);
+        logger.error(`Error processing clarification response: ${error.message}`);
         socket.emit('error', { message: 'Error processing your search' });
       }
     });
@@ -33,6 +33,7 @@ const appState = {
   activeView: 'chat', // 'chat', 'search', 'profile'
   voiceActive: false,
   darkMode: localStorage.getItem('theme') === 'dark',
+  chatInterface: null,
 };
 
 /**
@@ -59,7 +60,7 @@ function initApp() {
   // Make themeManager available in the global namespace for debugging
   window.themeManager = themeManager;
   
-  initChatInterface({
+  appState.chatInterface = initChatInterface({
     onSendMessage: handleSendMessage,
     onClearChat: handleClearChat,
     onSaveSearch: handleSaveSearch,
@@ -140,7 +141,12 @@ function setupWebSocket() {
 function handleSocketMessage(data) {
   switch (data.type) {
     case 'chat_message':
-      // Add message to chat
+      // Finish a streamed agent answer, or add the message to chat
+      if (data.metadata && data.metadata.responseId && appState.chatInterface &&
+          appState.chatInterface.completeAgentResponse(data.metadata.responseId, data.content, data.metadata)) {
+        appState.currentChat.messages.push({ role: 'assistant', content: data.content, timestamp: new Date() });
+        break;
+      }
       addMessageToChat({
         role: 'assistant',
         content: data.content,
@@ -148,12 +154,52 @@ function handleSocketMessage(data) {
       });
       break;
       
+    case 'agent_plan':
+      // Show the steps the agents will run
+      appState.chatInterface.showAgentPlan(data);
+      break;
+      
+    case 'agent_step':
+      // Mark tool calls as they run and finish
+      appState.chatInterface.updateAgentStep(data);
+      break;
+      
+    case 'agent_token':
+      // Stream the answer as it is generated
+      appState.chatInterface.appendAgentToken(data);
+      break;
+      
+    case 'agent_error':
+      // Offer to pick the run up again from its last completed step
+      appState.chatInterface.failAgentResponse(data, runId => {
+        if (appState.socket && appState.socket.readyState === WebSocket.OPEN) {
+          appState.socket.send(JSON.stringify({ type: 'agent_resume', runId }));
+        }
+      });
+      break;
+      
     case 'search_results':
+    case 'search_complete':
       // Display search results
       appState.searchResults = data;
       renderSearchResults(data);
       break;
       
+    case 'search_partial':
+      // Display results as each source responds
+      renderSearchResults(data);
+      break;
+      
+    case 'clarification_needed':
+      // Ask for the missing location or dates before searching
+      addMessageToChat({
+        role: 'assistant',
+        content: data.message,
+        timestamp: new Date(),
+      });
+      renderClarification(data);
+      break;
+      
     case 'session':
       // Update session info
       appState.currentChat.sessionId = data.sessionId;
@@ -453,7 +499,17 @@ function renderSearchResults(results) {
   // Clear previous results
   searchResults.innerHTML = '';
   
+  const isPartial = !!results && typeof results.completedSources === 'number';
+  const progressHTML = isPartial
+    ? `<p class="results-progress">Searched ${results.completedSources} of ${results.totalSources} sources...</p>`
+    : '';
+  
   if (!results || !results.hotels || results.hotels.length === 0) {
+    if (isPartial) {
+      searchResults.innerHTML = progressHTML;
+      return;
+    }
+    
     searchResults.innerHTML = `
       <div class="chat-details__empty">
         <p>No results found for "${results.query}"</p>
@@ -472,12 +528,18 @@ function renderSearchResults(results) {
         <h4 class="hotel-card__name">${hotel.name}</h4>
         <p class="hotel-card__chain">${hotel.chain}</p>
         <div class="hotel-card__stats">
-          <span class="hotel-card__price">${hotel.price} ${hotel.currency}</span>
+          <span class="hotel-card__price">
+            ${hotel.price} ${hotel.currency}
+            ${hotel.originalCurrency && hotel.originalCurrency !== hotel.currency
+              ? `<small class="hotel-card__original-price">(${hotel.originalPrice} ${hotel.originalCurrency})</small>`
+              : ''}
+          </span>
           <span class="hotel-card__stars">
             ${'★'.repeat(hotel.stars)}${'☆'.repeat(5 - hotel.stars)}
           </span>
         </div>
         <p class="hotel-card__location">${hotel.location}</p>
+        ${renderOfferComparison(hotel)}
       </div>
     </div>
   `).join('');
@@ -486,6 +548,7 @@ function renderSearchResults(results) {
     <div class="results-header">
       <h4 class="results-title">Results for "${results.query}"</h4>
       <p class="results-count">${results.hotels.length} hotels found</p>
+      ${progressHTML}
     </div>
     <div class="hotel-list">
       ${resultsHTML}
@@ -501,6 +564,65 @@ function renderSearchResults(results) {
   document.getElementById('saveSearchButton')?.addEventListener('click', handleSaveSearch);
 }
 
+/**
+ * Render where a hotel is cheapest and best value when several sources offer it
+ */
+function renderOfferComparison(hotel) {
+  const comparison = hotel.priceComparison;
+  if (!comparison || comparison.offerCount < 2 || !comparison.cheapest) {
+    return '';
+  }
+  
+  const bestValue = comparison.bestValue && comparison.bestValue.source !== comparison.cheapest.source
+    ? ` · Best value: ${comparison.bestValue.source} (${comparison.bestValue.price} ${comparison.currency})`
+    : '';
+  
+  return `
+    <p class="hotel-card__offers">
+      Cheapest: ${comparison.cheapest.source} (${comparison.cheapest.price} ${comparison.currency})${bestValue}
+      · ${comparison.offerCount} offers
+    </p>
+  `;
+}
+
+/**
+ * Render one-tap answers for a clarification question
+ */
+function renderClarification(clarification) {
+  const chatMessages = document.getElementById('chatMessages');
+  const suggestionsElement = document.createElement('div');
+  suggestionsElement.className = 'chat-suggestions';
+  
+  clarification.fields.forEach(field => {
+    field.suggestions.forEach(suggestion => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chat-suggestions__item';
+      button.textContent = suggestion.label;
+      button.addEventListener('click', () => {
+        addMessageToChat({
+          role: 'user',
+          content: suggestion.label,
+          timestamp: new Date(),
+        });
+        suggestionsElement.remove();
+        
+        if (appState.socket && appState.socket.readyState === WebSocket.OPEN) {
+          appState.socket.send(JSON.stringify({
+            type: 'clarification_response',
+            clarificationId: clarification.clarificationId,
+            answer: suggestion.value,
+          }));
+        }
+      });
+      suggestionsElement.appendChild(button);
+    });
+  });
+  
+  chatMessages.appendChild(suggestionsElement);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
 /**
  * Render saved searches in sidebar
  */
@@ -26,7 +26,11 @@ export function initChatInterface(options = {}) {
   const state = {
     isTyping: false,
     messages: [],
-    typingTimeout: null
+    typingTimeout: null,
+    // Streaming agent responses by responseId
+    agentRuns: new Map(),
+    // Messages rendered with footnotes, for unique footnote ids
+    footnoteSets: 0
   };
   
   // Set up event listeners
@@ -183,6 +187,10 @@ export function initChatInterface(options = {}) {
       </div>
     `;
     
+    if (metadata.citations && metadata.citations.length > 0) {
+      addCitations(messageElement.querySelector('.chat-message__content'), metadata);
+    }
+    
     // Add to chat container
     chatMessages.appendChild(messageElement);
     
@@ -249,6 +257,75 @@ export function initChatInterface(options = {}) {
     return formatted;
   }
   
+  /**
+   * Link an answer's [n] citation markers to its footnotes and add the
+   * footnotes below it, each expanding to show the cited passage
+   * @param {HTMLElement} contentElement - Element holding the formatted answer
+   * @param {Object} metadata - Message metadata with `citations` and `grounding`
+   */
+  function addCitations(contentElement, metadata) {
+    const citations = new Map(metadata.citations.map(citation => [citation.marker, citation]));
+    const prefix = `citation-${++state.footnoteSets}`;
+    const answerElement = contentElement.querySelector('.agent-answer') || contentElement;
+    
+    answerElement.innerHTML = answerElement.innerHTML.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, numbers) => {
+      const markers = numbers.split(',').map(number => parseInt(number, 10));
+      if (!markers.every(marker => citations.has(marker))) {
+        return match;
+      }
+      return markers
+        .map(marker => `<sup class="citation-ref"><a href="#${prefix}-${marker}" data-citation="${marker}">${marker}</a></sup>`)
+        .join('');
+    });
+    
+    const footnotes = document.createElement('ol');
+    footnotes.className = 'citations';
+    
+    citations.forEach(citation => {
+      const item = document.createElement('li');
+      item.className = 'citation';
+      item.id = `${prefix}-${citation.marker}`;
+      
+      const link = /^https?:\/\//.test(citation.url || '')
+        ? ` <a class="citation__link" href="${escapeHtml(citation.url)}" target="_blank" rel="noopener noreferrer">source</a>`
+        : '';
+      
+      item.innerHTML = `
+        <details>
+          <summary>
+            <span class="citation__marker">${citation.marker}</span>
+            <span class="citation__title">${escapeHtml(citation.title || citation.source || 'Knowledge base')}</span>${link}
+          </summary>
+          <blockquote class="citation__excerpt">${escapeHtml(citation.content || '')}</blockquote>
+        </details>
+      `;
+      footnotes.appendChild(item);
+    });
+    
+    // Following a marker opens its footnote
+    answerElement.querySelectorAll('.citation-ref a').forEach(anchor => {
+      anchor.addEventListener('click', () => {
+        const footnote = footnotes.querySelector(`#${prefix}-${anchor.dataset.citation} details`);
+        if (footnote) {
+          footnote.open = true;
+        }
+      });
+    });
+    
+    contentElement.appendChild(footnotes);
+    
+    const { grounding } = metadata;
+    if (grounding && grounding.unsupported && grounding.unsupported.length > 0) {
+      const warning = document.createElement('details');
+      warning.className = 'grounding-warning';
+      warning.innerHTML = `
+        <summary>Some statements couldn't be matched to a source</summary>
+        <ul>${grounding.unsupported.map(sentence => `<li>${escapeHtml(sentence)}</li>`).join('')}</ul>
+      `;
+      contentElement.appendChild(warning);
+    }
+  }
+  
   /**
    * Escape HTML to prevent XSS
    * @param {string} html - HTML string to escape
@@ -322,11 +399,177 @@ export function initChatInterface(options = {}) {
     return [...state.messages];
   }
   
+  /**
+   * Get or create the message element for a streaming agent response
+   * @param {string} responseId - Response identifier from the server
+   * @returns {Object} Agent run with its elements and streamed text
+   */
+  function getAgentRun(responseId) {
+    if (state.agentRuns.has(responseId)) {
+      return state.agentRuns.get(responseId);
+    }
+    
+    const messageElement = document.createElement('div');
+    messageElement.className = 'chat-message chat-message--assistant chat-message--streaming';
+    messageElement.innerHTML = `
+      <div class="chat-message__content">
+        <ol class="agent-plan"></ol>
+        <div class="agent-answer"></div>
+      </div>
+      <div class="chat-message__meta">
+        <span class="chat-message__time">${formatTime(new Date())}</span>
+      </div>
+    `;
+    chatMessages.appendChild(messageElement);
+    
+    const run = {
+      element: messageElement,
+      planElement: messageElement.querySelector('.agent-plan'),
+      answerElement: messageElement.querySelector('.agent-answer'),
+      text: ''
+    };
+    state.agentRuns.set(responseId, run);
+    
+    return run;
+  }
+  
+  /**
+   * Find or add the list item for a plan step
+   * @param {Object} run - Agent run
+   * @param {Object} step - Step with id, description and tool
+   * @returns {HTMLElement} Step list item
+   */
+  function getStepElement(run, step) {
+    let stepElement = run.planElement.querySelector(`[data-step-id="${CSS.escape(step.id)}"]`);
+    
+    if (!stepElement) {
+      stepElement = document.createElement('li');
+      stepElement.className = 'agent-plan__step agent-plan__step--pending';
+      stepElement.dataset.stepId = step.id;
+      stepElement.innerHTML = `
+        <span class="agent-plan__description">${escapeHtml(step.description || step.id)}</span>
+        <code class="agent-plan__tool">${escapeHtml(step.tool || '')}</code>
+      `;
+      run.planElement.appendChild(stepElement);
+    }
+    
+    return stepElement;
+  }
+  
+  /**
+   * Show the plan the agents are about to execute
+   * @param {Object} plan - `{ responseId, steps }` from an agent_plan event
+   */
+  function showAgentPlan(plan) {
+    const run = getAgentRun(plan.responseId);
+    
+    // A resumed run streams its answer again from the start
+    run.text = '';
+    run.answerElement.innerHTML = '';
+    run.element.classList.remove('chat-message--failed');
+    
+    plan.steps.forEach(step => getStepElement(run, step));
+    scrollToBottom();
+  }
+  
+  /**
+   * Mark a plan step as running, completed, failed or skipped
+   * @param {Object} step - `{ responseId, stepId, tool, description, status, error }` from an agent_step event
+   */
+  function updateAgentStep(step) {
+    const run = getAgentRun(step.responseId);
+    const stepElement = getStepElement(run, { id: step.stepId, tool: step.tool, description: step.description });
+    
+    stepElement.className = `agent-plan__step agent-plan__step--${step.status}`;
+    stepElement.title = step.error || '';
+  }
+  
+  /**
+   * Append a streamed chunk of the final answer
+   * @param {Object} chunk - `{ responseId, token }` from an agent_token event
+   */
+  function appendAgentToken(chunk) {
+    const run = getAgentRun(chunk.responseId);
+    run.text += chunk.token;
+    run.answerElement.innerHTML = formatMessageContent(run.text);
+    scrollToBottom(false);
+  }
+  
+  /**
+   * Show that an agent response failed, with a retry button when it can resume
+   * @param {Object} failure - `{ responseId, message, resumable }` from an agent_error event
+   * @param {Function} onRetry - Called when the user asks to resume the run
+   */
+  function failAgentResponse(failure, onRetry) {
+    const run = getAgentRun(failure.responseId);
+    run.element.classList.remove('chat-message--streaming');
+    run.element.classList.add('chat-message--failed');
+    
+    const errorElement = document.createElement('div');
+    errorElement.className = 'agent-error';
+    errorElement.innerHTML = `<span>${escapeHtml(failure.message)}</span>`;
+    
+    if (failure.resumable && onRetry) {
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'agent-error__retry';
+      retryButton.textContent = 'Retry';
+      retryButton.addEventListener('click', () => {
+        errorElement.remove();
+        run.element.classList.add('chat-message--streaming');
+        onRetry(failure.responseId);
+      });
+      errorElement.appendChild(retryButton);
+    } else {
+      state.agentRuns.delete(failure.responseId);
+    }
+    
+    run.element.querySelector('.chat-message__content').appendChild(errorElement);
+    scrollToBottom();
+  }
+  
+  /**
+   * Finish a streamed agent response with the stored message
+   * @param {string} responseId - Response identifier
+   * @param {string} content - Full answer
+   * @param {Object} metadata - Message metadata
+   * @returns {boolean} Whether a streamed response was waiting for this message
+   */
+  function completeAgentResponse(responseId, content, metadata = {}) {
+    const run = state.agentRuns.get(responseId);
+    
+    if (!run) {
+      return false;
+    }
+    
+    run.answerElement.innerHTML = formatMessageContent(content);
+    if (metadata.citations && metadata.citations.length > 0) {
+      addCitations(run.element.querySelector('.chat-message__content'), metadata);
+    }
+    run.element.classList.remove('chat-message--streaming');
+    state.agentRuns.delete(responseId);
+    
+    state.messages.push({
+      role: 'assistant',
+      content,
+      timestamp: new Date(),
+      metadata
+    });
+    
+    scrollToBottom();
+    return true;
+  }
+  
   // Return public API
   return {
     addMessage: addMessageToChat,
     addSystemMessage,
     addAssistantMessage,
+    showAgentPlan,
+    updateAgentStep,
+    appendAgentToken,
+    completeAgentResponse,
+    failAgentResponse,
     clearChat,
     toggleDetailsPanel,
     focusInput,